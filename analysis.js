@@ -20,20 +20,36 @@ const AUTOFILL_KEYWORDS = [
   // value, text, code, reference, ref) to reduce false positives
 ];
 
-const AUTOCOMPLETE_VALUES_THAT_TRIGGER = [
-  'on', 'name', 'email', 'username', 'new-password', 'current-password',
-  'organization', 'organization-title', 'street-address', 'address-line1',
-  'address-line2', 'address-line3', 'address-level1', 'address-level2',
-  'address-level3', 'address-level4', 'country', 'country-name', 'postal-code',
-  'cc-name', 'cc-given-name', 'cc-additional-name', 'cc-family-name', 'cc-number',
+const SAFE_AUTOCOMPLETE_VALUES = ['off', 'one-time-code', 'nope', 'false', 'disabled'];
+
+// Autocomplete token grammar (WHATWG HTML, "autofill detail tokens"), in order:
+// [section-*] [shipping|billing] [home|work|mobile|fax|pager] field-name [webauthn]
+// The contact token is only allowed before a contact field name; "on" and "off" must stand alone
+const AUTOCOMPLETE_FIELD_NAMES = [
+  'name', 'honorific-prefix', 'given-name', 'additional-name', 'family-name', 'honorific-suffix',
+  'nickname', 'username', 'new-password', 'current-password', 'one-time-code', 'organization-title',
+  'organization', 'street-address', 'address-line1', 'address-line2', 'address-line3',
+  'address-level4', 'address-level3', 'address-level2', 'address-level1', 'country', 'country-name',
+  'postal-code', 'cc-name', 'cc-given-name', 'cc-additional-name', 'cc-family-name', 'cc-number',
   'cc-exp', 'cc-exp-month', 'cc-exp-year', 'cc-csc', 'cc-type', 'transaction-currency',
-  'transaction-amount', 'language', 'bday', 'bday-day', 'bday-month', 'bday-year',
-  'sex', 'tel', 'tel-country-code', 'tel-national', 'tel-area-code', 'tel-local',
-  'tel-extension', 'impp', 'url', 'photo', 'given-name', 'additional-name', 'family-name',
-  'honorific-prefix', 'honorific-suffix', 'nickname'
+  'transaction-amount', 'language', 'bday', 'bday-day', 'bday-month', 'bday-year', 'sex', 'url', 'photo'
+];
+const AUTOCOMPLETE_CONTACT_FIELD_NAMES = [
+  'tel', 'tel-country-code', 'tel-national', 'tel-area-code', 'tel-local', 'tel-local-prefix',
+  'tel-local-suffix', 'tel-extension', 'email', 'impp'
 ];
+const AUTOCOMPLETE_ADDRESS_TYPES = ['shipping', 'billing'];
+const AUTOCOMPLETE_CONTACT_TYPES = ['home', 'work', 'mobile', 'fax', 'pager'];
 
-const SAFE_AUTOCOMPLETE_VALUES = ['off', 'one-time-code', 'nope', 'false', 'disabled'];
+// Kinds of token in the order the grammar allows them, with how errors name them
+const AUTOCOMPLETE_TOKEN_ORDER = ['section', 'addressType', 'contact', 'fieldName', 'webauthn'];
+const AUTOCOMPLETE_TOKEN_LABELS = {
+  section: 'section',
+  addressType: 'shipping/billing token',
+  contact: 'home/work/mobile/fax/pager token',
+  fieldName: 'field name',
+  webauthn: 'webauthn token'
+};
 
 // Input types that should be skipped (not analyzable for autofill risk)
 const SKIP_INPUT_TYPES = ['hidden', 'submit', 'button', 'reset', 'image', 'file', 'checkbox', 'radio'];
@@ -41,6 +57,87 @@ const SKIP_INPUT_TYPES = ['hidden', 'submit', 'button', 'reset', 'image', 'file'
 // Input types that can receive text input (for injection validation)
 const INJECTABLE_INPUT_TYPES = ['text', 'email', 'password', 'search', 'tel', 'url', 'number'];
 
+// Attributes that make the browser reject a value before the form is submitted
+const VALIDATION_CONSTRAINT_ATTRIBUTES = ['maxlength', 'minlength', 'pattern', 'required', 'min', 'max', 'step'];
+
+// Input types whose value the browser validates or sanitizes (bypassing validation turns them into text fields)
+const VALIDATING_INPUT_TYPES = [
+  'email', 'url', 'number', 'range', 'date', 'datetime-local', 'month', 'week', 'time', 'color'
+];
+
+// Autocomplete field names mapped to the purpose of the field (for smart fill)
+const AUTOCOMPLETE_PURPOSES = {
+  'email': 'email',
+  'username': 'name',
+  'name': 'name',
+  'given-name': 'name',
+  'additional-name': 'name',
+  'family-name': 'name',
+  'nickname': 'name',
+  'honorific-prefix': 'name',
+  'honorific-suffix': 'name',
+  'cc-name': 'name',
+  'cc-given-name': 'name',
+  'cc-additional-name': 'name',
+  'cc-family-name': 'name',
+  'organization': 'organization',
+  'organization-title': 'organization',
+  'street-address': 'address',
+  'address-line1': 'address',
+  'address-line2': 'address',
+  'address-line3': 'address',
+  'address-level1': 'address',
+  'address-level2': 'address',
+  'address-level3': 'address',
+  'address-level4': 'address',
+  'country': 'address',
+  'country-name': 'address',
+  'postal-code': 'postal-code',
+  'cc-number': 'card-number',
+  'cc-csc': 'number',
+  'cc-exp': 'number',
+  'cc-exp-month': 'number',
+  'cc-exp-year': 'number',
+  'transaction-amount': 'number',
+  'one-time-code': 'number',
+  'bday-day': 'number',
+  'bday-month': 'number',
+  'bday-year': 'number',
+  'tel': 'tel',
+  'tel-country-code': 'tel',
+  'tel-national': 'tel',
+  'tel-area-code': 'tel',
+  'tel-local': 'tel',
+  'tel-local-prefix': 'tel',
+  'tel-local-suffix': 'tel',
+  'tel-extension': 'tel',
+  'url': 'url',
+  'photo': 'url',
+  'new-password': 'password',
+  'current-password': 'password'
+};
+
+// Input types that identify the field purpose on their own
+const TYPE_PURPOSES = {
+  email: 'email',
+  tel: 'tel',
+  url: 'url',
+  number: 'number',
+  password: 'password'
+};
+
+// Keywords (from AUTOFILL_KEYWORDS) that identify the field purpose, checked in order
+const PURPOSE_KEYWORDS = [
+  { purpose: 'email', keywords: ['email', 'e-mail', 'mail'] },
+  { purpose: 'postal-code', keywords: ['zip', 'postal', 'postcode'] },
+  { purpose: 'card-number', keywords: ['ccnum', 'card', 'credit'] },
+  { purpose: 'number', keywords: ['cvv', 'cvc', 'expiry', 'expiration'] },
+  { purpose: 'tel', keywords: ['phone', 'tel', 'mobile', 'cell', 'fax'] },
+  { purpose: 'address', keywords: ['address', 'street', 'city', 'state', 'province', 'country', 'region', 'apt', 'suite', 'building'] },
+  { purpose: 'name', keywords: ['fname', 'lname', 'firstname', 'lastname', 'first-name', 'last-name', 'fullname', 'full-name', 'nickname', 'username', 'name', 'user'] },
+  { purpose: 'organization', keywords: ['company', 'organization', 'org', 'employer', 'business'] }
+];
+
 /**
  * Escape HTML special characters to prevent XSS
  * @param {string} str - String to escape
@@ -84,6 +181,92 @@ function isInjectableElement(elementInfo) {
   return false;
 }
 
+/**
+ * Which part of the autocomplete grammar a single (lowercase) token belongs to
+ * @param {string} token - Autocomplete token
+ * @returns {string|null} Kind from AUTOCOMPLETE_TOKEN_ORDER, 'onOff', or null if unknown
+ */
+function getAutocompleteTokenKind(token) {
+  if (token === 'on' || token === 'off') return 'onOff';
+  if (token.startsWith('section-')) return 'section';
+  if (AUTOCOMPLETE_ADDRESS_TYPES.includes(token)) return 'addressType';
+  if (AUTOCOMPLETE_CONTACT_TYPES.includes(token)) return 'contact';
+  if (AUTOCOMPLETE_FIELD_NAMES.includes(token) || AUTOCOMPLETE_CONTACT_FIELD_NAMES.includes(token)) return 'fieldName';
+  if (token === 'webauthn') return 'webauthn';
+  return null;
+}
+
+/**
+ * Parse an autocomplete attribute value with the WHATWG autofill token grammar.
+ * Pure function - no DOM dependencies.
+ *
+ * Tokens are case-insensitive and separated by any whitespace. "on" and "off"
+ * are valid only on their own and are returned as the field name.
+ *
+ * @param {string} value - Autocomplete attribute value
+ * @returns {Object} Parsed value: valid, tokens, section, addressType, contact,
+ *   fieldName, webauthn, and errors (one message per invalid or misordered token)
+ */
+function parseAutocomplete(value) {
+  const tokens = String(value || '').toLowerCase().split(/\s+/).filter(Boolean);
+  const result = {
+    valid: false,
+    tokens,
+    section: null,
+    addressType: null,
+    contact: null,
+    fieldName: null,
+    webauthn: false,
+    errors: []
+  };
+
+  if (tokens.length === 0) {
+    result.errors.push('No tokens');
+    return result;
+  }
+
+  const onOff = tokens.find(token => getAutocompleteTokenKind(token) === 'onOff');
+  if (onOff) {
+    if (tokens.length === 1) {
+      result.fieldName = onOff;
+      result.valid = true;
+    } else {
+      result.errors.push(`"${onOff}" must be the only token`);
+    }
+    return result;
+  }
+
+  // Each token must belong to a later part of the grammar than the one before it
+  let previous = null;
+  for (const token of tokens) {
+    const kind = getAutocompleteTokenKind(token);
+    if (!kind) {
+      result.errors.push(`"${token}" is not an autocomplete token`);
+      continue;
+    }
+    const position = AUTOCOMPLETE_TOKEN_ORDER.indexOf(kind);
+    if (previous && position === previous.position) {
+      result.errors.push(`Only one ${AUTOCOMPLETE_TOKEN_LABELS[kind]} allowed ("${previous.token}", "${token}")`);
+      continue;
+    }
+    if (previous && position < previous.position) {
+      result.errors.push(`"${token}" must come before "${previous.token}"`);
+      continue;
+    }
+    result[kind] = kind === 'webauthn' ? true : token;
+    previous = { token, position };
+  }
+
+  if (!result.fieldName) {
+    result.errors.push('No field name');
+  } else if (result.contact && !AUTOCOMPLETE_CONTACT_FIELD_NAMES.includes(result.fieldName)) {
+    result.errors.push(`"${result.contact}" only applies to tel, email and impp fields, not "${result.fieldName}"`);
+  }
+
+  result.valid = result.errors.length === 0;
+  return result;
+}
+
 /**
  * Analyze field attributes for autofill risk.
  * Pure function - no DOM dependencies.
@@ -130,24 +313,36 @@ function analyzeFieldAttributes(attrs) {
   const risks = [];
   let riskLevel = 'low';
 
-  // Check autocomplete attribute
-  if (!normalizedAutocomplete) {
+  // Check autocomplete attribute. Non-standard values in SAFE_AUTOCOMPLETE_VALUES ("nope"...) are
+  // matched as a whole; everything else goes through the token grammar
+  const parsedAutocomplete = parseAutocomplete(normalizedAutocomplete);
+  const preventsAutofill = SAFE_AUTOCOMPLETE_VALUES.includes(normalizedAutocomplete.trim()) ||
+    (parsedAutocomplete.valid && SAFE_AUTOCOMPLETE_VALUES.includes(parsedAutocomplete.fieldName));
+
+  if (!normalizedAutocomplete.trim()) {
     risks.push({
       type: 'warning',
       message: 'No autocomplete attribute - Chrome may use form history'
     });
     riskLevel = 'medium';
-  } else if (SAFE_AUTOCOMPLETE_VALUES.includes(normalizedAutocomplete)) {
+  } else if (preventsAutofill) {
     risks.push({
       type: 'info',
       message: `autocomplete="${autocomplete}" - Should prevent autofill`
     });
-  } else if (AUTOCOMPLETE_VALUES_THAT_TRIGGER.includes(normalizedAutocomplete)) {
+  } else if (parsedAutocomplete.valid) {
     risks.push({
       type: 'error',
       message: `autocomplete="${autocomplete}" - WILL trigger autofill`
     });
     riskLevel = 'high';
+  } else {
+    // Browsers ignore an invalid value and fall back to guessing from the other attributes
+    risks.push({
+      type: 'invalid',
+      message: `autocomplete="${autocomplete}" - Invalid (${parsedAutocomplete.errors.join('; ')}), ignored by the browser`
+    });
+    riskLevel = 'medium';
   }
 
   // Check input type
@@ -213,7 +408,7 @@ function analyzeFieldAttributes(attrs) {
 
   // Fields with an unsafe autocomplete value that have a name are susceptible to form history
   // (Only warn when autocomplete EXISTS but isn't safe - missing autocomplete is already caught above)
-  if (normalizedName && normalizedAutocomplete && !SAFE_AUTOCOMPLETE_VALUES.includes(normalizedAutocomplete)) {
+  if (normalizedName && normalizedAutocomplete.trim() && !preventsAutofill) {
     risks.push({
       type: 'warning',
       message: 'Has name attribute without autocomplete="off" - Chrome saves form history for this field'
@@ -235,16 +430,116 @@ function analyzeFieldAttributes(attrs) {
   };
 }
 
+/**
+ * Work out what a field is for (email, phone, address...) from the same
+ * signals analyzeFieldAttributes uses. Pure function - no DOM dependencies.
+ *
+ * Signals are checked from strongest to weakest: autocomplete, input type,
+ * then keywords in name, id, label text and placeholder.
+ *
+ * @param {Object} attrs - Field attributes (same shape as analyzeFieldAttributes)
+ * @returns {string} Purpose: email, tel, url, number, password, postal-code,
+ *   card-number, address, name, organization, multiline or text
+ */
+function classifyFieldPurpose(attrs) {
+  const {
+    tagName = '',
+    type = 'text',
+    name = '',
+    id = '',
+    autocomplete = '',
+    placeholder = '',
+    labelText = ''
+  } = attrs;
+
+  // Only a valid autocomplete value names the field (e.g. "shipping postal-code", "username webauthn")
+  const { valid, fieldName } = parseAutocomplete(autocomplete);
+  if (valid && AUTOCOMPLETE_PURPOSES[fieldName]) {
+    return AUTOCOMPLETE_PURPOSES[fieldName];
+  }
+
+  const normalizedType = type.toLowerCase();
+  if (TYPE_PURPOSES[normalizedType]) {
+    return TYPE_PURPOSES[normalizedType];
+  }
+
+  const signals = [name, id, labelText, placeholder].map(s => s.toLowerCase());
+  for (const signal of signals) {
+    if (!signal) continue;
+    for (const { purpose, keywords } of PURPOSE_KEYWORDS) {
+      if (keywords.some(keyword => signal.includes(keyword))) {
+        return purpose;
+      }
+    }
+  }
+
+  return tagName.toLowerCase() === 'textarea' ? 'multiline' : 'text';
+}
+
+/**
+ * Work out which attributes to change so the browser stops validating an element.
+ * Pure function - no DOM dependencies.
+ *
+ * Forms get novalidate; inputs, textareas and selects lose their constraint
+ * attributes, and inputs with a validating type become type="text".
+ *
+ * @param {Object} elementInfo - Element information
+ * @param {string} elementInfo.tagName - Tag name
+ * @param {Object} elementInfo.attributes - Attribute names (lowercase) mapped to their values
+ * @returns {Array<{name: string, from: ?string, to: ?string}>} Changes, where from is the
+ *   original value and to the new one (null meaning the attribute is absent)
+ */
+function planValidationBypass(elementInfo) {
+  const { tagName = '', attributes = {} } = elementInfo;
+  const tag = tagName.toLowerCase();
+
+  if (tag === 'form') {
+    return 'novalidate' in attributes ? [] : [{ name: 'novalidate', from: null, to: '' }];
+  }
+  if (tag !== 'input' && tag !== 'textarea' && tag !== 'select') {
+    return [];
+  }
+
+  const changes = VALIDATION_CONSTRAINT_ATTRIBUTES
+    .filter(name => name in attributes)
+    .map(name => ({ name, from: attributes[name], to: null }));
+
+  const type = attributes.type;
+  if (tag === 'input' && type !== undefined && VALIDATING_INPUT_TYPES.includes(type.trim().toLowerCase())) {
+    changes.push({ name: 'type', from: type, to: 'text' });
+  }
+  return changes;
+}
+
+/**
+ * Describe a validation bypass change for display, e.g. maxlength="10" or type="email" → "text"
+ * @param {Object} change - Change from planValidationBypass
+ * @returns {string} Description
+ */
+function describeBypassChange(change) {
+  const { name, from, to } = change;
+  if (from === null) return `${name} added`;
+  const original = from === '' ? name : `${name}="${from}"`;
+  return to === null ? original : `${original} → "${to}"`;
+}
+
 // Export for Node.js (tests) and browser (content script)
 if (typeof module !== 'undefined' && module.exports) {
   module.exports = {
     AUTOFILL_KEYWORDS,
-    AUTOCOMPLETE_VALUES_THAT_TRIGGER,
     SAFE_AUTOCOMPLETE_VALUES,
+    AUTOCOMPLETE_FIELD_NAMES,
+    AUTOCOMPLETE_CONTACT_FIELD_NAMES,
     SKIP_INPUT_TYPES,
     INJECTABLE_INPUT_TYPES,
+    VALIDATION_CONSTRAINT_ATTRIBUTES,
+    VALIDATING_INPUT_TYPES,
+    parseAutocomplete,
     analyzeFieldAttributes,
+    classifyFieldPurpose,
     escapeHtml,
-    isInjectableElement
+    isInjectableElement,
+    planValidationBypass,
+    describeBypassChange
   };
 }
@@ -2,9 +2,13 @@ const {
   SAFE_AUTOCOMPLETE_VALUES,
   SKIP_INPUT_TYPES,
   INJECTABLE_INPUT_TYPES,
+  parseAutocomplete,
   analyzeFieldAttributes,
+  classifyFieldPurpose,
   escapeHtml,
-  isInjectableElement
+  isInjectableElement,
+  planValidationBypass,
+  describeBypassChange
 } = require('./analysis');
 
 describe('analyzeFieldAttributes', () => {
@@ -33,6 +37,45 @@ describe('analyzeFieldAttributes', () => {
         expect(result.risks.some(r => r.type === 'error')).toBe(true);
       }
     );
+
+    test.each([
+      'section-billing shipping street-address',
+      'work email',
+      'username webauthn',
+      'tel-national ',
+      'Billing  Postal-Code'
+    ])('multi-token autocomplete="%s" is HIGH risk', (autocomplete) => {
+      const result = analyzeFieldAttributes({ tagName: 'input', type: 'text', autocomplete });
+      expect(result.riskLevel).toBe('high');
+      expect(result.risks.some(r => r.type === 'error' && r.message.includes('WILL trigger autofill'))).toBe(true);
+    });
+  });
+
+  describe('invalid autocomplete values', () => {
+    test.each([
+      ['email shipping', '"shipping" must come before "email"'],
+      ['work name', '"work" only applies to tel, email and impp fields, not "name"'],
+      ['emial', '"emial" is not an autocomplete token']
+    ])('autocomplete="%s" is reported as invalid', (autocomplete, error) => {
+      const result = analyzeFieldAttributes({ tagName: 'input', type: 'text', autocomplete });
+      expect(result.riskLevel).toBe('medium');
+      expect(result.risks).toContainEqual({
+        type: 'invalid',
+        message: expect.stringContaining(error)
+      });
+      expect(result.risks.some(r => r.type === 'error')).toBe(false);
+    });
+
+    test('a valid one-time-code value with a section still prevents autofill', () => {
+      const result = analyzeFieldAttributes({ tagName: 'input', type: 'text', name: 'otp', autocomplete: 'section-login one-time-code' });
+      expect(result.riskLevel).toBe('low');
+      expect(result.risks.some(r => r.message.includes('prevent autofill'))).toBe(true);
+    });
+
+    test('a whitespace-only value counts as no autocomplete attribute', () => {
+      const result = analyzeFieldAttributes({ tagName: 'input', type: 'text', autocomplete: '  ' });
+      expect(result.risks.some(r => r.message.includes('No autocomplete attribute'))).toBe(true);
+    });
   });
 
   describe('HIGH risk - input types', () => {
@@ -241,6 +284,107 @@ describe('analyzeFieldAttributes', () => {
   });
 });
 
+describe('classifyFieldPurpose', () => {
+  test.each([
+    ['email', 'email'],
+    ['shipping street-address', 'address'],
+    ['billing postal-code', 'postal-code'],
+    ['cc-number', 'card-number'],
+    ['tel-national', 'tel'],
+    ['work email', 'email'],
+    ['username webauthn', 'name'],
+    ['section-billing shipping street-address', 'address'],
+    ['given-name', 'name'],
+    ['new-password', 'password']
+  ])('autocomplete="%s" is classified as %s', (autocomplete, purpose) => {
+    expect(classifyFieldPurpose({ tagName: 'input', autocomplete })).toBe(purpose);
+  });
+
+  test.each(['email', 'tel', 'url', 'number', 'password'])('type="%s" is classified by type', (type) => {
+    expect(classifyFieldPurpose({ tagName: 'input', type })).toBe(type);
+  });
+
+  test('autocomplete takes priority over type', () => {
+    expect(classifyFieldPurpose({ tagName: 'input', type: 'text', autocomplete: 'email' })).toBe('email');
+    expect(classifyFieldPurpose({ tagName: 'input', type: 'tel', autocomplete: 'postal-code' })).toBe('postal-code');
+  });
+
+  test.each([
+    [{ name: 'user_email' }, 'email'],
+    [{ name: 'zipcode' }, 'postal-code'],
+    [{ id: 'card-holder-number' }, 'card-number'],
+    [{ name: 'phone' }, 'tel'],
+    [{ name: 'street' }, 'address'],
+    [{ name: 'firstname' }, 'name'],
+    [{ name: 'company' }, 'organization'],
+    [{ labelText: 'Your email address' }, 'email'],
+    [{ placeholder: 'Postcode' }, 'postal-code']
+  ])('keywords in %o are classified as %s', (attrs, purpose) => {
+    expect(classifyFieldPurpose({ tagName: 'input', type: 'text', ...attrs })).toBe(purpose);
+  });
+
+  test('name is a stronger signal than label text', () => {
+    expect(classifyFieldPurpose({ tagName: 'input', name: 'phone', labelText: 'Email or phone' })).toBe('tel');
+  });
+
+  test('falls back to text or multiline', () => {
+    expect(classifyFieldPurpose({ tagName: 'input', name: 'comment' })).toBe('text');
+    expect(classifyFieldPurpose({ tagName: 'textarea', name: 'comment' })).toBe('multiline');
+  });
+
+  test('ignores unknown autocomplete values', () => {
+    expect(classifyFieldPurpose({ tagName: 'input', autocomplete: 'off', name: 'city' })).toBe('address');
+  });
+
+  test('ignores invalid autocomplete values', () => {
+    expect(classifyFieldPurpose({ tagName: 'input', autocomplete: 'email shipping', name: 'city' })).toBe('address');
+  });
+});
+
+describe('parseAutocomplete', () => {
+  test('parses every part of the grammar', () => {
+    expect(parseAutocomplete('section-login shipping work tel-national webauthn')).toEqual({
+      valid: true,
+      tokens: ['section-login', 'shipping', 'work', 'tel-national', 'webauthn'],
+      section: 'section-login',
+      addressType: 'shipping',
+      contact: 'work',
+      fieldName: 'tel-national',
+      webauthn: true,
+      errors: []
+    });
+  });
+
+  test('is case-insensitive and splits on any whitespace', () => {
+    const result = parseAutocomplete(' Shipping\tEMAIL\n');
+    expect(result.valid).toBe(true);
+    expect(result.tokens).toEqual(['shipping', 'email']);
+    expect(result.fieldName).toBe('email');
+  });
+
+  test.each(['on', 'off'])('"%s" is valid on its own and is the field name', (value) => {
+    expect(parseAutocomplete(value)).toEqual(expect.objectContaining({ valid: true, fieldName: value }));
+    expect(parseAutocomplete(`${value} email`).errors).toEqual([`"${value}" must be the only token`]);
+  });
+
+  test.each([
+    ['', ['No tokens']],
+    ['shipping', ['No field name']],
+    ['webauthn', ['No field name']],
+    ['billing section-a email', ['"section-a" must come before "billing"']],
+    ['username webauthn shipping', ['"shipping" must come before "webauthn"']],
+    ['email work', ['"work" must come before "email"']],
+    ['name email', ['Only one field name allowed ("name", "email")']],
+    ['shipping billing email', ['Only one shipping/billing token allowed ("shipping", "billing")']],
+    ['fax street-address', ['"fax" only applies to tel, email and impp fields, not "street-address"']],
+    ['nope', ['"nope" is not an autocomplete token', 'No field name']]
+  ])('"%s" is invalid', (value, errors) => {
+    const result = parseAutocomplete(value);
+    expect(result.valid).toBe(false);
+    expect(result.errors).toEqual(errors);
+  });
+});
+
 describe('escapeHtml', () => {
   test('escapes ampersand', () => {
     expect(escapeHtml('foo & bar')).toBe('foo &amp; bar');
@@ -320,3 +464,63 @@ describe('isInjectableElement', () => {
     expect(isInjectableElement({ tagName: 'INPUT', type: 'EMAIL' })).toBe(true);
   });
 });
+
+describe('planValidationBypass', () => {
+  test('removes every constraint attribute with its original value', () => {
+    const changes = planValidationBypass({
+      tagName: 'INPUT',
+      attributes: { name: 'q', maxlength: '10', minlength: '2', pattern: '[a-z]+', required: '' }
+    });
+    expect(changes).toEqual([
+      { name: 'maxlength', from: '10', to: null },
+      { name: 'minlength', from: '2', to: null },
+      { name: 'pattern', from: '[a-z]+', to: null },
+      { name: 'required', from: '', to: null }
+    ]);
+  });
+
+  test('turns validating input types into text and keeps the original spelling', () => {
+    const changes = planValidationBypass({
+      tagName: 'INPUT',
+      attributes: { type: 'Number', min: '0', max: '10', step: '2' }
+    });
+    expect(changes).toEqual([
+      { name: 'min', from: '0', to: null },
+      { name: 'max', from: '10', to: null },
+      { name: 'step', from: '2', to: null },
+      { name: 'type', from: 'Number', to: 'text' }
+    ]);
+  });
+
+  test('leaves non-validating types alone', () => {
+    expect(planValidationBypass({ tagName: 'INPUT', attributes: { type: 'password' } })).toEqual([]);
+    expect(planValidationBypass({ tagName: 'INPUT', attributes: { type: 'checkbox', required: '' } }))
+      .toEqual([{ name: 'required', from: '', to: null }]);
+  });
+
+  test('handles textareas and selects', () => {
+    expect(planValidationBypass({ tagName: 'TEXTAREA', attributes: { maxlength: '5' } }))
+      .toEqual([{ name: 'maxlength', from: '5', to: null }]);
+    expect(planValidationBypass({ tagName: 'SELECT', attributes: { required: 'required' } }))
+      .toEqual([{ name: 'required', from: 'required', to: null }]);
+  });
+
+  test('adds novalidate to forms that lack it', () => {
+    expect(planValidationBypass({ tagName: 'FORM', attributes: {} }))
+      .toEqual([{ name: 'novalidate', from: null, to: '' }]);
+    expect(planValidationBypass({ tagName: 'FORM', attributes: { novalidate: '' } })).toEqual([]);
+  });
+
+  test('ignores other elements', () => {
+    expect(planValidationBypass({ tagName: 'DIV', attributes: { required: '' } })).toEqual([]);
+  });
+});
+
+describe('describeBypassChange', () => {
+  test('describes removed, changed and added attributes', () => {
+    expect(describeBypassChange({ name: 'maxlength', from: '10', to: null })).toBe('maxlength="10"');
+    expect(describeBypassChange({ name: 'required', from: '', to: null })).toBe('required');
+    expect(describeBypassChange({ name: 'type', from: 'email', to: 'text' })).toBe('type="email" → "text"');
+    expect(describeBypassChange({ name: 'novalidate', from: null, to: '' })).toBe('novalidate added');
+  });
+});
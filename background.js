@@ -1,33 +1,61 @@
 // Background service worker
 
 // Import shared utilities (must be at top level for MV3 service workers)
-importScripts('utils.js');
+importScripts('utils.js', 'boundaries.js', 'sessionlog.js');
 
 let PAYLOADS = {};
+let bundledPayloads = {}; // payloads.json, before user-defined categories are merged in
 let currentMode = 'inject';
-let recentPayloads = []; // { category, index, value }
+let typingDelay = DEFAULT_TYPING_DELAY;
+let richHtml = false; // inject payloads into contentEditable editors as HTML
+let pendingTransform = 'none'; // one-shot encoding for the next payload (PAYLOAD_TRANSFORMS id)
+let recentPayloads = []; // { category, index, value, name?, generator?, params?, file?, transform? }
+let validationBypassTabs = new Set(); // tab IDs with client-side validation bypassed
+let boundaryConstraints = {}; // constraints of the most recently focused field (kept in storage.session)
+let boundaryItems = []; // boundary payloads generated from boundaryConstraints
+let sessionLog = []; // every injection of the browser session, for session.html (kept in storage.session)
 
 // Map menu item IDs to payload data for robust lookups
 const payloadLookup = new Map();
 
+// Map "Fill whole form" menu item IDs to { category, strategy }
+const formFillLookup = new Map();
+
+// Category name recent entries of boundary payloads are stored under
+const BOUNDARY_CATEGORY = 'Boundaries';
+
+// File inputs aren't "editable" and drop zones can be any element, so file items
+// (and the menus leading to them) also show on right-clicks anywhere on the page
+const FILE_MENU_CONTEXTS = ['editable', 'page', 'frame'];
+
 // Track initialization state
 let initPromise = null;
 let isInitialized = false;
 
-// Note: validatePayloads is provided by utils.js (loaded via importScripts)
+// Note: validatePayloads is provided by utils.js, generateBoundaryValues by boundaries.js and
+// addToSessionLog by sessionlog.js (loaded via importScripts)
 
 // Initialize/reinitialize the service worker state
 async function initialize() {
   try {
-    const [data, storage] = await Promise.all([
+    const [data, storage, session] = await Promise.all([
       fetch(chrome.runtime.getURL('payloads.json')).then(r => r.json()),
-      chrome.storage.local.get(['operationalMode', 'recentPayloads'])
+      chrome.storage.local.get(['operationalMode', 'recentPayloads', 'typingDelay', 'customPayloads', 'richHtml']),
+      chrome.storage.session.get(['pendingTransform', 'validationBypassTabs', 'boundaryConstraints', 'sessionLog'])
     ]);
 
     validatePayloads(data);
-    PAYLOADS = data;
+    bundledPayloads = data;
+    PAYLOADS = buildPayloads(storage.customPayloads);
     currentMode = storage.operationalMode || 'inject';
     recentPayloads = storage.recentPayloads || [];
+    typingDelay = storage.typingDelay ?? DEFAULT_TYPING_DELAY;
+    richHtml = storage.richHtml || false;
+    pendingTransform = session.pendingTransform || 'none';
+    validationBypassTabs = new Set(session.validationBypassTabs || []);
+    boundaryConstraints = session.boundaryConstraints || {};
+    boundaryItems = generateBoundaryValues(boundaryConstraints);
+    sessionLog = session.sessionLog || [];
     await createMenus();
     isInitialized = true;
   } catch (err) {
@@ -36,6 +64,21 @@ async function initialize() {
   }
 }
 
+// Merge user-defined categories into the bundled payloads
+// Invalid custom data is ignored so a bad edit can't break the bundled menus
+function buildPayloads(customPayloads) {
+  if (!customPayloads || Object.keys(customPayloads).length === 0) {
+    return bundledPayloads;
+  }
+  try {
+    validatePayloads(customPayloads);
+    return mergePayloads(bundledPayloads, customPayloads);
+  } catch (err) {
+    console.error('Ignoring invalid custom payloads:', err);
+    return bundledPayloads;
+  }
+}
+
 // Ensure initialization completes before proceeding
 async function ensureInitialized() {
   if (isInitialized && Object.keys(PAYLOADS).length > 0) {
@@ -57,10 +100,24 @@ ensureInitialized();
 // Operational modes
 const MODES = [
   { id: 'inject', title: 'Inject value', action: 'fillField' },
-  { id: 'append', title: 'Simulate pasting', action: 'appendField' },
+  { id: 'append', title: 'Append to value', action: 'appendField' },
+  { id: 'paste', title: 'Simulate pasting', action: 'pasteField' },
+  { id: 'caret', title: 'Insert at caret', action: 'insertAtCaret' },
+  { id: 'selection', title: 'Replace selection', action: 'replaceSelection' },
+  { id: 'type', title: 'Type it', action: 'typeField' },
+  { id: 'compose', title: 'Compose with IME', action: 'composeField' },
   { id: 'copy', title: 'Copy to clipboard', action: 'copyToClipboard' }
 ];
 
+// Menu items (and commands with the same id) the focused frame handles by itself -> content script actions.
+// The content script keeps each field's values for undo, and form states in chrome.storage.local
+const FRAME_ACTIONS = {
+  'undo-injection': 'undoInjection',
+  'restore-original': 'restoreOriginalValue',
+  'save-form-state': 'saveFormState',
+  'restore-form-state': 'restoreFormState'
+};
+
 // Promisify chrome.contextMenus.create for proper async handling
 function createMenuItem(options) {
   return new Promise((resolve) => {
@@ -72,14 +129,20 @@ function createMenuItem(options) {
   });
 }
 
+// Menu contexts for an entry leading to these payload items
+function getMenuContexts(items) {
+  return items.some(isFileItem) ? FILE_MENU_CONTEXTS : ['editable'];
+}
+
 // Create all context menus
 async function createMenus() {
   if (Object.keys(PAYLOADS).length === 0) {
     return;
   }
 
-  // Clear lookup map before rebuilding
+  // Clear lookup maps before rebuilding
   payloadLookup.clear();
+  formFillLookup.clear();
 
   await new Promise(resolve => chrome.contextMenus.removeAll(resolve));
 
@@ -87,7 +150,7 @@ async function createMenus() {
   await createMenuItem({
     id: 'testdata-root',
     title: 'Buglin',
-    contexts: ['editable']
+    contexts: getMenuContexts(Object.values(PAYLOADS).flat())
   });
 
   // Recently used section (if any)
@@ -96,7 +159,7 @@ async function createMenus() {
       id: 'recent-menu',
       parentId: 'testdata-root',
       title: 'Recently used',
-      contexts: ['editable']
+      contexts: getMenuContexts(recentPayloads.map(getRecentItem))
     });
 
     for (let i = 0; i < recentPayloads.length; i++) {
@@ -105,14 +168,15 @@ async function createMenus() {
       await createMenuItem({
         id: menuId,
         parentId: 'recent-menu',
-        title: truncate(recent.value),
-        contexts: ['editable']
+        title: getRecentTitle(recent),
+        contexts: getMenuContexts([getRecentItem(recent)])
       });
       // Store lookup for recent items
       payloadLookup.set(menuId, {
         category: recent.category,
         index: recent.index,
-        value: recent.value
+        item: getRecentItem(recent),
+        transform: recent.transform
       });
     }
 
@@ -120,7 +184,7 @@ async function createMenus() {
       id: 'separator-recent',
       parentId: 'testdata-root',
       type: 'separator',
-      contexts: ['editable']
+      contexts: getMenuContexts(recentPayloads.map(getRecentItem))
     });
   }
 
@@ -130,7 +194,7 @@ async function createMenus() {
       id: `category-${categoryId}`,
       parentId: 'testdata-root',
       title: categoryId,
-      contexts: ['editable']
+      contexts: getMenuContexts(items)
     });
 
     for (let i = 0; i < items.length; i++) {
@@ -139,17 +203,26 @@ async function createMenus() {
         id: menuId,
         parentId: `category-${categoryId}`,
         title: getItemTitle(items[i]),
-        contexts: ['editable']
+        contexts: getMenuContexts([items[i]])
       });
       // Store lookup for payload items
       payloadLookup.set(menuId, {
         category: categoryId,
         index: i,
-        value: getItemValue(items[i])
+        item: items[i]
       });
     }
   }
 
+  // Boundary values for the focused field (rebuilt as fields gain focus)
+  await createMenuItem({
+    id: 'boundaries-menu',
+    parentId: 'testdata-root',
+    title: 'Boundaries for this field',
+    contexts: ['editable']
+  });
+  await createBoundaryMenuItems();
+
   // Separator
   await createMenuItem({
     id: 'separator-mode',
@@ -158,6 +231,85 @@ async function createMenus() {
     contexts: ['editable']
   });
 
+  // Fill whole form submenu
+  await createMenuItem({
+    id: 'fillform-menu',
+    parentId: 'testdata-root',
+    title: 'Fill whole form',
+    contexts: ['editable']
+  });
+
+  // Category submenus are numbered rather than named: a user-defined category called "menu",
+  // or "X-by-index" next to "X", would otherwise reuse another item's ID and break the menu
+  for (const [categoryIndex, [categoryId, items]] of Object.entries(PAYLOADS).entries()) {
+    // Files can't be typed into text fields
+    if (items.every(isFileItem)) continue;
+
+    const categoryMenuId = `fillform-category-${categoryIndex}`;
+    await createMenuItem({
+      id: categoryMenuId,
+      parentId: 'fillform-menu',
+      title: categoryId,
+      contexts: ['editable']
+    });
+
+    for (const strategy of FORM_FILL_STRATEGIES) {
+      const menuId = `${categoryMenuId}-${strategy.id}`;
+      await createMenuItem({
+        id: menuId,
+        parentId: categoryMenuId,
+        title: strategy.title,
+        contexts: ['editable']
+      });
+      formFillLookup.set(menuId, { category: categoryId, strategy: strategy.id });
+    }
+  }
+
+  // Smart fill (payload picked per field purpose)
+  await createMenuItem({
+    id: 'smartfill',
+    parentId: 'testdata-root',
+    title: 'Smart fill this form',
+    contexts: ['editable']
+  });
+
+  // Named snapshots of the form's values, per page
+  await createMenuItem({
+    id: 'save-form-state',
+    parentId: 'testdata-root',
+    title: 'Save form state…',
+    contexts: ['editable']
+  });
+
+  await createMenuItem({
+    id: 'restore-form-state',
+    parentId: 'testdata-root',
+    title: 'Restore form state…',
+    contexts: ['editable']
+  });
+
+  // Payload palette (search every payload)
+  await createMenuItem({
+    id: 'palette',
+    parentId: 'testdata-root',
+    title: 'Search payloads…',
+    contexts: ['editable']
+  });
+
+  await createMenuItem({
+    id: 'undo-injection',
+    parentId: 'testdata-root',
+    title: 'Undo last injection',
+    contexts: ['editable']
+  });
+
+  await createMenuItem({
+    id: 'restore-original',
+    parentId: 'testdata-root',
+    title: 'Restore original value',
+    contexts: ['editable']
+  });
+
   // Operational mode submenu
   await createMenuItem({
     id: 'mode-menu',
@@ -177,6 +329,42 @@ async function createMenus() {
       contexts: ['editable']
     });
   }
+
+  await createMenuItem({
+    id: 'separator-rich-html',
+    parentId: 'mode-menu',
+    type: 'separator',
+    contexts: ['editable']
+  });
+
+  // Rich-text editors only; plain fields always get text
+  await createMenuItem({
+    id: 'rich-html',
+    parentId: 'mode-menu',
+    title: 'Inject HTML as rich content',
+    type: 'checkbox',
+    checked: richHtml,
+    contexts: ['editable']
+  });
+
+  // Transform submenu: encoding applied to the next payload only
+  await createMenuItem({
+    id: 'transform-menu',
+    parentId: 'testdata-root',
+    title: 'Transform',
+    contexts: ['editable']
+  });
+
+  for (const transform of PAYLOAD_TRANSFORMS) {
+    await createMenuItem({
+      id: `transform-${transform.id}`,
+      parentId: 'transform-menu',
+      title: transform.title,
+      type: 'radio',
+      checked: transform.id === pendingTransform,
+      contexts: ['editable']
+    });
+  }
 }
 
 // Promisify chrome.contextMenus.remove
@@ -218,7 +406,7 @@ async function updateRecentMenuItems() {
     id: 'recent-menu',
     parentId: 'testdata-root',
     title: 'Recently used',
-    contexts: ['editable']
+    contexts: getMenuContexts(recentPayloads.map(getRecentItem))
   });
 
   for (let i = 0; i < recentPayloads.length; i++) {
@@ -227,13 +415,14 @@ async function updateRecentMenuItems() {
     await createMenuItem({
       id: menuId,
       parentId: 'recent-menu',
-      title: truncate(recent.value),
-      contexts: ['editable']
+      title: getRecentTitle(recent),
+      contexts: getMenuContexts([getRecentItem(recent)])
     });
     payloadLookup.set(menuId, {
       category: recent.category,
       index: recent.index,
-      value: recent.value
+      item: getRecentItem(recent),
+      transform: recent.transform
     });
   }
 
@@ -241,28 +430,264 @@ async function updateRecentMenuItems() {
     id: 'separator-recent',
     parentId: 'testdata-root',
     type: 'separator',
-    contexts: ['editable']
+    contexts: getMenuContexts(recentPayloads.map(getRecentItem))
+  });
+}
+
+// Create the items of the boundaries submenu from boundaryItems
+async function createBoundaryMenuItems() {
+  if (boundaryItems.length === 0) {
+    await createMenuItem({
+      id: 'boundary-none',
+      parentId: 'boundaries-menu',
+      title: 'No length or range constraints',
+      enabled: false,
+      contexts: ['editable']
+    });
+    return;
+  }
+
+  for (let i = 0; i < boundaryItems.length; i++) {
+    await createMenuItem({
+      id: `boundary-${i}`,
+      parentId: 'boundaries-menu',
+      title: boundaryItems[i].name,
+      contexts: ['editable']
+    });
+  }
+}
+
+// Updates run one at a time so items from two focus changes don't interleave
+let boundaryMenuUpdate = Promise.resolve();
+
+// Regenerate the boundaries submenu for a newly focused field's constraints
+function updateBoundaryMenu(constraints) {
+  boundaryMenuUpdate = boundaryMenuUpdate.then(async () => {
+    if (JSON.stringify(constraints) === JSON.stringify(boundaryConstraints)) return;
+
+    const previousCount = boundaryItems.length;
+    boundaryConstraints = constraints;
+    boundaryItems = generateBoundaryValues(constraints);
+    chrome.storage.session.set({ boundaryConstraints });
+
+    const removePromises = [removeMenuItem('boundary-none')];
+    for (let i = 0; i < previousCount; i++) {
+      removePromises.push(removeMenuItem(`boundary-${i}`));
+    }
+    await Promise.all(removePromises);
+    await createBoundaryMenuItems();
   });
+  return boundaryMenuUpdate;
+}
+
+// Resolve a payload item and expand its {{...}} template tokens
+function resolvePayload(item) {
+  return expandTemplate(resolveItemValue(item), PAYLOADS);
+}
+
+// Set the one-shot transform and keep the radio items in sync
+function setPendingTransform(transformId) {
+  pendingTransform = transformId;
+  chrome.storage.session.set({ pendingTransform });
+  chrome.contextMenus.update(`transform-${transformId}`, { checked: true }, () => {
+    if (chrome.runtime.lastError) { /* menu may be rebuilding */ }
+  });
+}
+
+// Take the pending transform for this payload and reset it to none
+function consumePendingTransform() {
+  const transform = pendingTransform;
+  if (transform !== 'none') {
+    setPendingTransform('none');
+  }
+  return transform;
+}
+
+// Send a message to one frame, or (frameId undefined, e.g. keyboard commands)
+// to every frame with requireFocus so only the frame that has focus handles it
+function sendToFrame(tabId, frameId, message, callback = () => {
+  // Ignore errors if frame navigated away
+  if (chrome.runtime.lastError) { /* expected */ }
+}) {
+  if (frameId === undefined) {
+    chrome.tabs.sendMessage(tabId, { ...message, requireFocus: true }, callback);
+  } else {
+    chrome.tabs.sendMessage(tabId, message, { frameId }, callback);
+  }
+}
+
+// Show an error notification in a frame
+function notifyFrameError(tabId, frameId, message) {
+  sendToFrame(tabId, frameId, { action: 'showNotification', message, isError: true });
+}
+
+// Field columns of a session log entry, from the field a content script reported (empty if none)
+function toLogFields(field = {}) {
+  const { frameUrl = '', framePath = [], selector = '', tagName = '', name = '', id = '', type = '' } = field;
+  return { frameUrl, framePath, selector, tagName, name, id, type };
+}
+
+// Add injections to the session log once the frame has answered. The tab URL is looked
+// up now, while the click or shortcut that started the injection still grants activeTab
+function recordInjections(tabId, frameId, entries) {
+  const time = new Date().toISOString();
+  chrome.tabs.get(tabId, (tab) => {
+    const url = chrome.runtime.lastError ? '' : (tab.url || '');
+    const logged = entries.map(entry => ({ time, url, frameId: frameId ?? null, ...entry }));
+    sessionLog = addToSessionLog(sessionLog, logged);
+    chrome.storage.session.set({ sessionLog });
+  });
+}
+
+// Log a form fill: one entry per filled field, or one failed entry if nothing could be filled
+function recordFormFill(tabId, frameId, response, { mode, category, transform }) {
+  const error = chrome.runtime.lastError?.message || response?.error || '';
+  const common = { mode, category, payloadName: '', transform: getTransformTitle(transform) || '' };
+  const filled = response?.filled || [];
+  if (filled.length === 0) {
+    recordInjections(tabId, frameId, [{ ...toLogFields(), ...common, payload: '', success: false, error: error || 'No fields filled' }]);
+    return;
+  }
+  recordInjections(tabId, frameId, filled.map(({ field, value }) => ({
+    ...toLogFields(field), ...common, payload: value, success: true, error: ''
+  })));
 }
 
 // Add to recent payloads (uses pure function from utils.js)
-function addToRecent(category, index, value) {
-  recentPayloads = addToRecentList(recentPayloads, category, index, value);
+// Generator items keep their definition so re-using them produces a fresh value
+function addToRecent(category, index, item, value, transform = 'none') {
+  let extra = {};
+  if (isGeneratorItem(item)) {
+    extra = { name: item.name, generator: item.generator, params: item.params };
+  } else if (isFileItem(item)) {
+    extra = { name: item.name, file: item.file };
+  }
+  if (transform !== 'none') {
+    extra.transform = transform;
+  }
+  recentPayloads = addToRecentList(recentPayloads, category, index, value, extra);
 
   // Persist and update only recent section
   chrome.storage.local.set({ recentPayloads });
   updateRecentMenuItems();
 }
 
+// Keep settings in sync with the popup and options page
+chrome.storage.onChanged.addListener(async (changes, areaName) => {
+  if (areaName !== 'local') return;
+
+  if (changes.typingDelay) {
+    typingDelay = changes.typingDelay.newValue ?? DEFAULT_TYPING_DELAY;
+  }
+
+  // Rebuild menus live when user-defined payloads change
+  if (changes.customPayloads) {
+    await ensureInitialized();
+    PAYLOADS = buildPayloads(changes.customPayloads.newValue);
+    await createMenus();
+  }
+});
+
 // Handle context menu clicks
 chrome.contextMenus.onClicked.addListener(async (info, tab) => {
   // Ensure payloads are loaded (handles service worker wake-up)
   await ensureInitialized();
 
+  if (info.menuItemId === 'rich-html') {
+    richHtml = info.checked;
+    chrome.storage.local.set({ richHtml });
+    return;
+  }
+
+  // Transform selection (applies to the next payload)
+  if (info.menuItemId.startsWith('transform-')) {
+    setPendingTransform(info.menuItemId.replace('transform-', ''));
+    return;
+  }
+
   // Mode selection
   if (info.menuItemId.startsWith('mode-')) {
-    currentMode = info.menuItemId.replace('mode-', '');
-    chrome.storage.local.set({ operationalMode: currentMode });
+    setMode(info.menuItemId.replace('mode-', ''));
+    return;
+  }
+
+  // Boundary value for the focused field
+  if (info.menuItemId.startsWith('boundary-')) {
+    const index = Number(info.menuItemId.replace('boundary-', ''));
+    const item = boundaryItems[index];
+    if (item) {
+      injectPayload(tab.id, info.frameId, { category: BOUNDARY_CATEGORY, index, item });
+    }
+    return;
+  }
+
+  if (info.menuItemId === 'palette') {
+    openPaletteInFrame(tab.id, info.frameId);
+    return;
+  }
+
+  if (FRAME_ACTIONS[info.menuItemId]) {
+    sendToFrame(tab.id, info.frameId, { action: FRAME_ACTIONS[info.menuItemId] });
+    return;
+  }
+
+  // Smart fill: ask the frame what each field is for, then fill with matching payloads
+  if (info.menuItemId === 'smartfill') {
+    chrome.tabs.sendMessage(tab.id, { action: 'describeForm' }, { frameId: info.frameId }, (response) => {
+      if (chrome.runtime.lastError) {
+        console.warn('Failed to send message to frame:', chrome.runtime.lastError.message);
+        return;
+      }
+      if (!response?.success) return;
+
+      const transform = consumePendingTransform();
+      let values;
+      try {
+        values = pickSmartFillValues(response.purposes, PAYLOADS)
+          .map(value => value === null ? null : applyTransform(expandTemplate(value, PAYLOADS), transform));
+      } catch (err) {
+        notifyFrameError(tab.id, info.frameId, `Failed to generate payload: ${err.message}`);
+        return;
+      }
+
+      chrome.tabs.sendMessage(tab.id, {
+        action: 'fillForm',
+        values,
+        strategy: 'by-index',
+        transform: getTransformTitle(transform)
+      }, { frameId: info.frameId }, (fillResponse) => {
+        if (chrome.runtime.lastError) {
+          console.warn('Failed to send message to frame:', chrome.runtime.lastError.message);
+        }
+        recordFormFill(tab.id, info.frameId, fillResponse, { mode: 'smart-fill', category: 'Smart fill', transform });
+      });
+    });
+    return;
+  }
+
+  // Fill whole form with a category
+  const formFill = formFillLookup.get(info.menuItemId);
+  if (formFill) {
+    const items = (PAYLOADS[formFill.category] || []).filter(item => !isFileItem(item));
+    const transform = consumePendingTransform();
+    let values;
+    try {
+      values = items.map(item => applyTransform(resolvePayload(item), transform));
+    } catch (err) {
+      notifyFrameError(tab.id, info.frameId, `Failed to generate payload: ${err.message}`);
+      return;
+    }
+    chrome.tabs.sendMessage(tab.id, {
+      action: 'fillForm',
+      values,
+      strategy: formFill.strategy,
+      transform: getTransformTitle(transform)
+    }, { frameId: info.frameId }, (response) => {
+      if (chrome.runtime.lastError) {
+        console.warn('Failed to send message to frame:', chrome.runtime.lastError.message);
+      }
+      recordFormFill(tab.id, info.frameId, response, { mode: 'fill-form', category: formFill.category, transform });
+    });
     return;
   }
 
@@ -271,41 +696,211 @@ chrome.contextMenus.onClicked.addListener(async (info, tab) => {
   if (!payloadData) {
     // This can happen if service worker just woke up and menus are stale
     console.warn('Payload not found for menu item:', info.menuItemId);
-    chrome.tabs.sendMessage(tab.id, {
-      action: 'showNotification',
-      message: 'Extension reloading, please try again',
-      isError: true
-    }, { frameId: info.frameId }, () => {
-      // Ignore errors if frame navigated away
-      if (chrome.runtime.lastError) { /* expected */ }
+    notifyFrameError(tab.id, info.frameId, 'Extension reloading, please try again');
+    return;
+  }
+
+  injectPayload(tab.id, info.frameId, payloadData);
+});
+
+// Inject a payload { category, index, item, transform? } using the current mode
+// frameId undefined targets whichever frame has focus (keyboard commands).
+// requireFocus sends files to the focused element rather than the one last right-clicked (palette picks).
+function injectPayload(tabId, frameId, { category, index, item, transform: recentTransform }, { requireFocus = false } = {}) {
+  // Files are attached whatever the mode; templates and transforms don't apply to them
+  if (isFileItem(item)) {
+    addToRecent(category, index, item, item.file.name);
+    sendToFrame(tabId, frameId, { action: 'attachFile', file: item.file, name: item.name, requireFocus }, (response) => {
+      const error = chrome.runtime.lastError?.message;
+      if (error) {
+        console.warn('Failed to send message to frame:', error);
+      }
+      recordInjections(tabId, frameId, [{
+        ...toLogFields(response?.field),
+        mode: 'attach-file',
+        category,
+        payloadName: item.name,
+        payload: item.file.name,
+        file: item.file,
+        transform: '',
+        success: Boolean(response?.success),
+        error: error || response?.error || ''
+      }]);
     });
     return;
   }
 
-  const { category, index, value: payload } = payloadData;
+  // A transform picked from the menu wins over the one a recent entry was used with
+  const selectedTransform = consumePendingTransform();
+  const transform = selectedTransform !== 'none' ? selectedTransform : (recentTransform || 'none');
+
+  // Resolve generator items to a fresh value, expand templates, then encode
+  let value;
+  let payload;
+  try {
+    value = resolveItemValue(item);
+    payload = applyTransform(expandTemplate(value, PAYLOADS), transform);
+  } catch (err) {
+    console.error('Failed to generate payload:', err);
+    notifyFrameError(tabId, frameId, `Failed to generate payload: ${err.message}`);
+    return;
+  }
 
-  // Add to recent
-  addToRecent(category, index, payload);
+  // Add to recent (unexpanded, so templates produce fresh values when reused)
+  addToRecent(category, index, item, value, transform);
 
   // Send to content script
   const mode = MODES.find(m => m.id === currentMode);
-  chrome.tabs.sendMessage(tab.id, {
+  sendToFrame(tabId, frameId, {
     action: mode.action,
-    value: payload
-  }, { frameId: info.frameId }, (response) => {
+    value: payload,
+    delay: typingDelay,
+    html: richHtml,
+    transform: getTransformTitle(transform)
+  }, (response) => {
     // Handle potential errors (e.g., frame navigated away)
-    if (chrome.runtime.lastError) {
-      console.warn('Failed to send message to frame:', chrome.runtime.lastError.message);
+    const error = chrome.runtime.lastError?.message;
+    if (error) {
+      console.warn('Failed to send message to frame:', error);
     }
+    // Copying puts nothing into the page
+    if (mode.id === 'copy') return;
+    // A batch selection reports every field it went into; one entry each
+    const fields = response?.fields?.length ? response.fields : [response?.field];
+    recordInjections(tabId, frameId, fields.map(field => ({
+      ...toLogFields(field),
+      mode: mode.id,
+      category,
+      payloadName: typeof item === 'object' ? item.name || '' : '',
+      payload,
+      transform: getTransformTitle(transform) || '',
+      success: Boolean(response?.success),
+      error: error || response?.error || ''
+    })));
   });
+}
+
+// Open the payload palette in a frame (frameId undefined = the focused frame)
+function openPaletteInFrame(tabId, frameId) {
+  sendToFrame(tabId, frameId, { action: 'openPalette', entries: buildPaletteEntries(PAYLOADS) });
+}
+
+// Switch operational mode and keep the radio items in sync
+function setMode(modeId) {
+  currentMode = modeId;
+  chrome.storage.local.set({ operationalMode: currentMode });
+  chrome.contextMenus.update(`mode-${modeId}`, { checked: true }, () => {
+    if (chrome.runtime.lastError) { /* menu may be rebuilding */ }
+  });
+}
+
+// Keyboard shortcuts (see "commands" in manifest.json)
+chrome.commands.onCommand.addListener(async (command, tab) => {
+  if (!tab?.id) return;
+
+  // Commands can wake the service worker, so load state first
+  await ensureInitialized();
+
+  if (command === 'open-palette') {
+    openPaletteInFrame(tab.id, undefined);
+    return;
+  }
+
+  if (FRAME_ACTIONS[command]) {
+    sendToFrame(tab.id, undefined, { action: FRAME_ACTIONS[command] });
+    return;
+  }
+
+  if (command === 'cycle-mode') {
+    const mode = MODES[getAdjacentIndex(MODES.length, MODES.findIndex(m => m.id === currentMode), 1)];
+    setMode(mode.id);
+    sendToFrame(tab.id, undefined, { action: 'showNotification', message: `Mode: ${mode.title}` });
+    return;
+  }
+
+  const [recent] = recentPayloads;
+  if (!recent) {
+    notifyFrameError(tab.id, undefined, 'No recently used payload yet');
+    return;
+  }
+
+  if (command === 'reinject-last') {
+    injectPayload(tab.id, undefined, {
+      category: recent.category,
+      index: recent.index,
+      item: getRecentItem(recent),
+      transform: recent.transform
+    });
+    return;
+  }
+
+  if (command === 'next-payload' || command === 'previous-payload') {
+    // Step through the category of the most recent payload (or the focused field's boundaries)
+    const items = recent.category === BOUNDARY_CATEGORY ? boundaryItems : PAYLOADS[recent.category];
+    if (!Array.isArray(items) || items.length === 0) {
+      notifyFrameError(tab.id, undefined, `Category "${recent.category}" no longer exists`);
+      return;
+    }
+    const step = command === 'next-payload' ? 1 : -1;
+    const index = getAdjacentIndex(items.length, recent.index, step);
+    injectPayload(tab.id, undefined, { category: recent.category, index, item: items[index] });
+  }
 });
 
+// Switch the validation bypass for a tab and tell all its frames
+// (kept in storage.session so it survives service worker restarts but not the browser)
+function setValidationBypassForTab(tabId, enabled) {
+  if (enabled) {
+    validationBypassTabs.add(tabId);
+  } else {
+    validationBypassTabs.delete(tabId);
+  }
+  chrome.storage.session.set({ validationBypassTabs: [...validationBypassTabs] });
+  chrome.tabs.sendMessage(tabId, { action: 'setValidationBypass', enabled }, () => {
+    if (chrome.runtime.lastError) { /* page without content scripts */ }
+  });
+}
+
 // Track word scanner count per tab for badge priority
 const wordScannerCounts = new Map();
 
 // Badge update handler
 chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
-  if (message.action === 'updateBadge') {
+  if (message.action === 'paletteSelect') {
+    // Payload chosen in the palette: inject into the frame the palette ran in
+    ensureInitialized().then(() => {
+      const item = PAYLOADS[message.category]?.[message.index];
+      if (item === undefined) {
+        notifyFrameError(sender.tab.id, sender.frameId, 'Payload no longer exists');
+      } else {
+        // The palette returns focus to the field it was opened from, which the file goes to
+        injectPayload(sender.tab.id, sender.frameId, { category: message.category, index: message.index, item }, { requireFocus: true });
+      }
+      sendResponse({ success: item !== undefined });
+    });
+  } else if (message.action === 'fieldConstraints') {
+    // A field gained focus or was right-clicked: offer boundaries for its constraints
+    ensureInitialized().then(() => updateBoundaryMenu(message.constraints)).then(() => {
+      sendResponse({ success: true });
+    });
+  } else if (message.action === 'getValidationBypass') {
+    // Asked by the popup (for the active tab) or by a content script as it loads (for its own tab)
+    const tabId = message.tabId ?? sender.tab?.id;
+    ensureInitialized().then(() => {
+      sendResponse({ enabled: validationBypassTabs.has(tabId) });
+    });
+  } else if (message.action === 'setValidationBypass') {
+    ensureInitialized().then(() => {
+      setValidationBypassForTab(message.tabId, message.enabled);
+      sendResponse({ success: true });
+    });
+  } else if (message.action === 'clearSessionLog') {
+    // From session.html; the in-memory copy has to go too or the next injection brings it back
+    ensureInitialized().then(() => {
+      sessionLog = [];
+      return chrome.storage.session.set({ sessionLog });
+    }).then(() => sendResponse({ success: true }));
+  } else if (message.action === 'updateBadge') {
     const { stats } = message;
     const total = (stats?.high || 0) + (stats?.medium || 0) + (stats?.low || 0);
 
@@ -348,3 +943,12 @@ chrome.tabs.onUpdated.addListener((tabId, changeInfo) => {
     wordScannerCounts.delete(tabId);
   }
 });
+
+// Forget closed tabs' validation bypass
+chrome.tabs.onRemoved.addListener((tabId) => {
+  ensureInitialized().then(() => {
+    if (validationBypassTabs.delete(tabId)) {
+      chrome.storage.session.set({ validationBypassTabs: [...validationBypassTabs] });
+    }
+  });
+});
@@ -11,8 +11,40 @@ const {
   truncate,
   getItemTitle,
   getItemValue,
+  isGeneratorItem,
+  resolveItemValue,
+  MAX_TEMPLATE_REPEAT,
+  expandTemplate,
+  PAYLOAD_TRANSFORMS,
+  applyTransform,
+  getTransformTitle,
+  PAYLOAD_GENERATORS,
+  validateGeneratorParams,
+  luhnCheckDigit,
+  ibanMod97,
+  getRecentItem,
+  getRecentTitle,
+  splitGraphemes,
   addToRecentList,
+  getAdjacentIndex,
+  assignFormValues,
+  SMART_FILL_CATEGORIES,
+  pickSmartFillValues,
+  formatFillSummary,
   validatePayloads,
+  mergePayloads,
+  payloadsToList,
+  listToPayloads,
+  moveArrayItem,
+  buildPaletteEntries,
+  fuzzyScore,
+  searchPayloads,
+  escapePreview,
+  isFileItem,
+  buildFileBytes,
+  formatFileSize,
+  describeFileSpec,
+  buildCompositionSteps,
   getBadgeColor
 } = require('./utils.js');
 
@@ -90,6 +122,220 @@ describe('background.js utility functions', () => {
   });
 });
 
+describe('payload generators', () => {
+  // Validate a card number with the Luhn algorithm
+  function isLuhnValid(number) {
+    return luhnCheckDigit(number.slice(0, -1)) === number.slice(-1);
+  }
+
+  test('luhnCheckDigit computes known check digits', () => {
+    expect(luhnCheckDigit('7992739871')).toBe('3');
+    expect(luhnCheckDigit('424242424242424')).toBe('2');
+  });
+
+  test('ibanMod97 validates a known IBAN', () => {
+    // GB82 WEST 1234 5698 7654 32, rearranged with country and check digits at the end
+    expect(ibanMod97('WEST12345698765432GB82')).toBe(1);
+  });
+
+  test('chars generates the requested number of characters from the class', () => {
+    expect(PAYLOAD_GENERATORS.chars({ length: 20, charClass: 'digit' })).toMatch(/^[0-9]{20}$/);
+    expect(splitGraphemes(PAYLOAD_GENERATORS.chars({ length: 7, charClass: 'emoji' }))).toHaveLength(7);
+  });
+
+  test('chars rejects unknown character classes', () => {
+    expect(() => PAYLOAD_GENERATORS.chars({ charClass: 'klingon' })).toThrow('Unknown character class "klingon"');
+  });
+
+  test('email generates unique addresses', () => {
+    const first = PAYLOAD_GENERATORS.email();
+    const second = PAYLOAD_GENERATORS.email({ prefix: 'qa', domain: 'test.dev' });
+    expect(first).toMatch(/^buglin\+[a-z0-9]+@example\.com$/);
+    expect(second).toMatch(/^qa\+[a-z0-9]+@test\.dev$/);
+    expect(PAYLOAD_GENERATORS.email()).not.toBe(PAYLOAD_GENERATORS.email());
+  });
+
+  test('cardNumber generates Luhn-valid numbers with prefix and length', () => {
+    for (let i = 0; i < 20; i++) {
+      const amex = PAYLOAD_GENERATORS.cardNumber({ prefix: '34', length: 15 });
+      expect(amex).toMatch(/^34[0-9]{13}$/);
+      expect(isLuhnValid(amex)).toBe(true);
+    }
+    expect(PAYLOAD_GENERATORS.cardNumber()).toMatch(/^4[0-9]{15}$/);
+  });
+
+  test.each(['GB', 'DE', 'FR', 'NL', 'ES', 'IT'])('iban generates valid %s IBANs', (country) => {
+    const iban = PAYLOAD_GENERATORS.iban({ country });
+    expect(iban.startsWith(country)).toBe(true);
+    expect(ibanMod97(iban.slice(4) + iban.slice(0, 4))).toBe(1);
+  });
+
+  test('iban rejects unsupported countries', () => {
+    expect(() => PAYLOAD_GENERATORS.iban({ country: 'XX' })).toThrow('Unsupported IBAN country "XX"');
+  });
+
+  test('uuid generates version 4 UUIDs', () => {
+    expect(PAYLOAD_GENERATORS.uuid()).toMatch(/^[0-9a-f]{8}-[0-9a-f]{4}-4[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/);
+  });
+
+  describe('time-based generators', () => {
+    beforeEach(() => {
+      jest.useFakeTimers({ now: new Date('2024-02-28T12:00:00Z') });
+    });
+
+    afterEach(() => {
+      jest.useRealTimers();
+    });
+
+    test('timestamp supports iso, unix and unix-ms formats', () => {
+      expect(PAYLOAD_GENERATORS.timestamp()).toBe('2024-02-28T12:00:00.000Z');
+      expect(PAYLOAD_GENERATORS.timestamp({ format: 'unix' })).toBe('1709121600');
+      expect(PAYLOAD_GENERATORS.timestamp({ format: 'unix-ms' })).toBe('1709121600000');
+    });
+
+    test('date applies day offsets', () => {
+      expect(PAYLOAD_GENERATORS.date()).toBe('2024-02-28');
+      expect(PAYLOAD_GENERATORS.date({ days: 1 })).toBe('2024-02-29');
+      expect(PAYLOAD_GENERATORS.date({ days: -29 })).toBe('2024-01-30');
+    });
+
+    test('date rejects unknown formats', () => {
+      expect(() => PAYLOAD_GENERATORS.date({ format: 'roman' })).toThrow('Unknown date format "roman"');
+    });
+  });
+
+  test('resolveItemValue runs generators and passes static items through', () => {
+    expect(resolveItemValue({ name: 'Digits', generator: 'chars', params: { length: 3, charClass: 'digit' } }))
+      .toMatch(/^[0-9]{3}$/);
+    expect(resolveItemValue({ name: 'Static', value: 'fixed' })).toBe('fixed');
+    expect(resolveItemValue('plain')).toBe('plain');
+  });
+
+  test('resolveItemValue checks params before running the generator', () => {
+    expect(() => resolveItemValue({ name: 'Digits', generator: 'chars', params: { length: -1 } }))
+      .toThrow('chars param "length" must be an integer between 1 and 100000');
+    expect(() => resolveItemValue({ name: 'Card', generator: 'cardNumber', params: { prefix: 4 } }))
+      .toThrow('cardNumber param "prefix" must be a string of digits');
+  });
+
+  test('validateGeneratorParams accepts the bundled generator params', () => {
+    expect(() => validateGeneratorParams('cardNumber', { prefix: '34', length: 15 })).not.toThrow();
+    expect(() => validateGeneratorParams('date', { days: -29, format: 'unix' })).not.toThrow();
+    expect(() => validateGeneratorParams('uuid')).not.toThrow();
+  });
+
+  test('resolveItemValue rejects unknown generators', () => {
+    expect(() => resolveItemValue({ name: 'X', generator: 'nope' })).toThrow('Unknown generator "nope"');
+  });
+
+  test('isGeneratorItem only matches generator entries', () => {
+    expect(isGeneratorItem({ name: 'UUID', generator: 'uuid' })).toBe(true);
+    expect(isGeneratorItem({ name: 'Static', value: 'x' })).toBe(false);
+    expect(isGeneratorItem('uuid')).toBe(false);
+    expect(isGeneratorItem(null)).toBe(false);
+  });
+
+  test('getItemTitle uses generator names', () => {
+    expect(getItemTitle({ name: 'UUID v4', generator: 'uuid' })).toBe('UUID v4');
+  });
+});
+
+describe('expandTemplate', () => {
+  const payloads = {
+    'XSS': ['<script>alert(1)</script>'],
+    'Nested': ['[{{payload:XSS/0}}]', { name: 'Generated', generator: 'chars', params: { length: 3, charClass: 'digit' } }],
+    'A / B': ['slash'],
+    'Loop': ['{{payload:Loop/0}}'],
+    'Files': [{ name: 'Empty PDF', file: { name: 'empty.pdf', type: 'application/pdf' } }],
+    'Broken': [{ name: 'No value' }]
+  };
+
+  test('leaves values without tokens untouched', () => {
+    expect(expandTemplate('plain', payloads)).toBe('plain');
+    expect(expandTemplate('', payloads)).toBe('');
+  });
+
+  test('expands generator variables', () => {
+    expect(expandTemplate('{{email}}')).toMatch(/^buglin\+[a-z0-9]+@example\.com$/);
+    expect(expandTemplate('{{uuid}}')).toMatch(/^[0-9a-f]{8}-[0-9a-f]{4}-4[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/);
+    expect(expandTemplate('at {{timestamp}}')).toMatch(/^at \d{4}-\d{2}-\d{2}T/);
+  });
+
+  test('expands {{random:N}} to N alphanumeric characters', () => {
+    expect(expandTemplate('{{random:8}}')).toMatch(/^[A-Za-z0-9]{8}$/);
+    expect(expandTemplate('{{random}}')).toHaveLength(10);
+    expect(() => expandTemplate('{{random:abc}}')).toThrow('{{random}} needs a count');
+    expect(() => expandTemplate(`{{random:${MAX_TEMPLATE_REPEAT + 1}}}`)).toThrow('{{random}} needs a count');
+  });
+
+  test('expands {{repeat:N:text}}', () => {
+    expect(expandTemplate('a{{repeat:3:\u200b}}b')).toBe('a\u200b\u200b\u200bb');
+    expect(expandTemplate('{{repeat:2:x:y}}')).toBe('x:yx:y');
+    expect(() => expandTemplate('{{repeat:3}}')).toThrow('{{repeat}} needs a count and text');
+  });
+
+  test('expands payload references recursively', () => {
+    expect(expandTemplate('{{payload:XSS/0}}!', payloads)).toBe('<script>alert(1)</script>!');
+    expect(expandTemplate('{{payload:Nested/0}}', payloads)).toBe('[<script>alert(1)</script>]');
+    expect(expandTemplate('{{payload:Nested/1}}', payloads)).toMatch(/^\d{3}$/);
+    expect(expandTemplate('{{payload:A / B/0}}', payloads)).toBe('slash');
+  });
+
+  test('rejects unknown and circular payload references', () => {
+    expect(() => expandTemplate('{{payload:XSS/5}}', payloads)).toThrow('Unknown payload reference "XSS/5"');
+    expect(() => expandTemplate('{{payload:Missing/0}}', payloads)).toThrow('Unknown payload reference');
+    expect(() => expandTemplate('{{payload:XSS}}', payloads)).toThrow('Unknown payload reference');
+    expect(() => expandTemplate('{{payload:Loop/0}}', payloads)).toThrow('nest too deeply');
+  });
+
+  test('rejects references to items that do not produce text', () => {
+    expect(() => expandTemplate('{{payload:Files/0}}', payloads)).toThrow('Payload reference "Files/0" is a file, not text');
+    expect(() => expandTemplate('{{payload:Broken/0}}', payloads)).toThrow('Payload reference "Broken/0" doesn\'t produce text');
+  });
+
+  test('escaped \\{{ produces a literal {{', () => {
+    expect(expandTemplate('\\{{email}}')).toBe('{{email}}');
+    expect(expandTemplate('\\{{ {{repeat:2:a}}')).toBe('{{ aa');
+  });
+
+  test('leaves unknown tokens verbatim', () => {
+    expect(expandTemplate('example+{{template}}@example.com')).toBe('example+{{template}}@example.com');
+    expect(expandTemplate('{{ email }} {{')).toBe('{{ email }} {{');
+  });
+
+  test('every bundled template expands', () => {
+    const bundled = require('./payloads.json');
+    for (const items of Object.values(bundled)) {
+      for (const item of items) {
+        expect(() => expandTemplate(resolveItemValue(item), bundled)).not.toThrow();
+      }
+    }
+  });
+});
+
+describe('splitGraphemes', () => {
+  test('returns empty array for empty input', () => {
+    expect(splitGraphemes('')).toEqual([]);
+    expect(splitGraphemes(null)).toEqual([]);
+  });
+
+  test('splits ASCII into single characters', () => {
+    expect(splitGraphemes('abc')).toEqual(['a', 'b', 'c']);
+  });
+
+  test('keeps surrogate pairs together', () => {
+    expect(splitGraphemes('a😀b')).toEqual(['a', '😀', 'b']);
+  });
+
+  test('keeps combining marks with their base character', () => {
+    expect(splitGraphemes('e\u0301x')).toEqual(['e\u0301', 'x']);
+  });
+
+  test('keeps ZWJ emoji sequences and flags together', () => {
+    expect(splitGraphemes('👨‍👩‍👧🇬🇧')).toEqual(['👨‍👩‍👧', '🇬🇧']);
+  });
+});
+
 describe('addToRecentList logic', () => {
   test('adds new payload to front', () => {
     const recent = [];
@@ -136,6 +382,225 @@ describe('addToRecentList logic', () => {
   });
 });
 
+describe('recent generator entries', () => {
+  test('addToRecentList keeps extra properties', () => {
+    const result = addToRecentList([], 'Generated', 8, 'abc-123', { name: 'UUID v4', generator: 'uuid' });
+    expect(result[0]).toEqual({ category: 'Generated', index: 8, value: 'abc-123', name: 'UUID v4', generator: 'uuid' });
+  });
+
+  test('getRecentItem rebuilds generator items', () => {
+    const recent = { category: 'Generated', index: 0, value: 'old', name: 'Digits', generator: 'chars', params: { charClass: 'digit' } };
+    expect(getRecentItem(recent)).toEqual({ name: 'Digits', generator: 'chars', params: { charClass: 'digit' } });
+    expect(getRecentTitle(recent)).toBe('Digits');
+  });
+
+  test('getRecentItem rebuilds file items', () => {
+    const file = { name: 'empty.txt', size: 0 };
+    const recent = { category: 'Files', index: 0, value: 'empty.txt', name: 'Empty file', file };
+    expect(getRecentItem(recent)).toEqual({ name: 'Empty file', file });
+    expect(getRecentTitle(recent)).toBe('Empty file');
+  });
+
+  test('getRecentItem returns the value for static entries', () => {
+    const recent = { category: 'Emails', index: 0, value: 'a@b.c' };
+    expect(getRecentItem(recent)).toBe('a@b.c');
+    expect(getRecentTitle(recent)).toBe('a@b.c');
+  });
+});
+
+describe('payload transforms', () => {
+  test('URL-encodes once or twice', () => {
+    expect(applyTransform("' OR 1=1 --", 'url')).toBe('\'%20OR%201%3D1%20--');
+    expect(applyTransform('../etc/passwd', 'double-url')).toBe('..%252Fetc%252Fpasswd');
+  });
+
+  test('HTML-encodes markup characters and non-ASCII', () => {
+    expect(applyTransform('<a title="x">\'&é</a>', 'html'))
+      .toBe('&lt;a title=&quot;x&quot;&gt;&#39;&amp;&#xE9;&lt;/a&gt;');
+    expect(applyTransform('😀', 'html')).toBe('&#x1F600;');
+  });
+
+  test('Base64-encodes UTF-8 bytes', () => {
+    expect(applyTransform('<script>', 'base64')).toBe('PHNjcmlwdD4=');
+    expect(applyTransform('é', 'base64')).toBe('w6k=');
+  });
+
+  test('escapes JS/JSON strings', () => {
+    const escaped = applyTransform('"\'\\\n\u2028', 'js');
+    expect(escaped).toBe('\\"\\u0027\\\\\\n\\u2028');
+    expect(JSON.parse(`"${escaped}"`)).toBe('"\'\\\n\u2028');
+  });
+
+  test('escapes every code unit as \\u', () => {
+    expect(applyTransform('a😀', 'unicode')).toBe('\\u0061\\ud83d\\ude00');
+  });
+
+  test('changes case', () => {
+    expect(applyTransform('<Script>', 'upper')).toBe('<SCRIPT>');
+    expect(applyTransform('<Script>', 'lower')).toBe('<script>');
+  });
+
+  test('none returns the value and unknown transforms throw', () => {
+    expect(applyTransform('x')).toBe('x');
+    expect(() => applyTransform('x', 'rot13')).toThrow('Unknown transform "rot13"');
+  });
+
+  test('every transform has a unique id and title', () => {
+    expect(new Set(PAYLOAD_TRANSFORMS.map(t => t.id)).size).toBe(PAYLOAD_TRANSFORMS.length);
+    expect(PAYLOAD_TRANSFORMS.every(t => t.title)).toBe(true);
+  });
+
+  test('getTransformTitle ignores none and unknown ids', () => {
+    expect(getTransformTitle('base64')).toBe('Base64');
+    expect(getTransformTitle('none')).toBeNull();
+    expect(getTransformTitle(undefined)).toBeNull();
+    expect(getTransformTitle('rot13')).toBeNull();
+  });
+
+  test('recent entries show their transform and are kept per transform', () => {
+    let recent = addToRecentList([], 'SQL', 0, "'--");
+    recent = addToRecentList(recent, 'SQL', 0, "'--", { transform: 'url' });
+    expect(recent).toHaveLength(2);
+    expect(getRecentTitle(recent[0])).toBe("'-- [URL-encode]");
+
+    recent = addToRecentList(recent, 'SQL', 0, "'--", { transform: 'url' });
+    expect(recent).toHaveLength(2);
+  });
+});
+
+describe('getAdjacentIndex', () => {
+  test('steps forward and backward', () => {
+    expect(getAdjacentIndex(39, 5, 1)).toBe(6);
+    expect(getAdjacentIndex(39, 5, -1)).toBe(4);
+  });
+
+  test('wraps around both ends', () => {
+    expect(getAdjacentIndex(39, 38, 1)).toBe(0);
+    expect(getAdjacentIndex(39, 0, -1)).toBe(38);
+  });
+
+  test('brings out-of-range indexes back into the list', () => {
+    expect(getAdjacentIndex(4, 10, 1)).toBe(3);
+  });
+});
+
+describe('assignFormValues', () => {
+  test('round-robin cycles through values', () => {
+    expect(assignFormValues(5, ['a', 'b'], 'round-robin')).toEqual(['a', 'b', 'a', 'b', 'a']);
+  });
+
+  test('defaults to round-robin', () => {
+    expect(assignFormValues(3, ['a', 'b'])).toEqual(['a', 'b', 'a']);
+  });
+
+  test('by-index leaves fields past the end of the list empty', () => {
+    expect(assignFormValues(4, ['a', 'b'], 'by-index')).toEqual(['a', 'b', null, null]);
+  });
+
+  test('by-index ignores surplus values', () => {
+    expect(assignFormValues(2, ['a', 'b', 'c'], 'by-index')).toEqual(['a', 'b']);
+  });
+
+  test('returns nulls when there are no values', () => {
+    expect(assignFormValues(2, [], 'round-robin')).toEqual([null, null]);
+  });
+
+  test('preserves empty-string payloads', () => {
+    expect(assignFormValues(2, [''], 'round-robin')).toEqual(['', '']);
+  });
+});
+
+describe('pickSmartFillValues', () => {
+  const payloads = {
+    'Emails': ['a@example.com', { name: 'Plus', value: 'b+x@example.com' }],
+    'Addresses': ['1 Main St'],
+    'Postcodes': ['N1 4AZ'],
+    'Lorems': ['Lorem ipsum']
+  };
+
+  test('picks from the category matching each purpose', () => {
+    const values = pickSmartFillValues(['email', 'address', 'postal-code'], payloads, () => 0);
+    expect(values).toEqual(['a@example.com', '1 Main St', 'N1 4AZ']);
+  });
+
+  test('uses the random source to choose an item', () => {
+    expect(pickSmartFillValues(['email'], payloads, () => 0.99)).toEqual(['b+x@example.com']);
+  });
+
+  test('falls back to the text category for unknown purposes', () => {
+    expect(pickSmartFillValues(['mystery'], payloads, () => 0)).toEqual(['Lorem ipsum']);
+  });
+
+  test('returns null when the category is missing', () => {
+    expect(pickSmartFillValues(['tel'], payloads, () => 0)).toEqual([null]);
+  });
+
+  describe('with the bundled payloads', () => {
+    const bundled = require('./payloads.json');
+
+    // Every value smart fill can choose for a purpose
+    function candidates(purpose) {
+      const count = bundled[SMART_FILL_CATEGORIES[purpose]].length;
+      return Array.from({ length: count }, (_, i) => pickSmartFillValues([purpose], bundled, () => i / count)[0]);
+    }
+
+    test('every purpose has a bundled category', () => {
+      for (const purpose of Object.keys(SMART_FILL_CATEGORIES)) {
+        expect(candidates(purpose).every(value => typeof value === 'string')).toBe(true);
+      }
+    });
+
+    test('postcode fields get postcode-shaped values, not whole addresses', () => {
+      const values = candidates('postal-code');
+      expect(values).toContain('EC1N 8QX');
+      for (const value of values) {
+        expect(value).not.toMatch(/\n/);
+        expect(Array.from(value).length).toBeLessThanOrEqual(16);
+      }
+    });
+
+    test('phone fields get phone-shaped values', () => {
+      const values = candidates('tel');
+      expect(values).toContain('+44 20 7946 0958');
+      expect(values.filter(value => /^\+?[\d ()-]+$/.test(value)).length).toBeGreaterThan(values.length / 2);
+    });
+
+    test('card number fields get Luhn-valid test cards and near misses', () => {
+      const digits = candidates('card-number').map(value => value.replace(/[ -]/g, '')).filter(value => /^\d+$/.test(value));
+      const valid = digits.filter(value => luhnCheckDigit(value.slice(0, -1)) === value.slice(-1));
+      expect(valid).toContain('4111111111111111');
+      expect(digits).toContain('4111111111111112');
+    });
+
+    test('password and organization fields get values for those fields', () => {
+      expect(candidates('password')).toEqual(expect.arrayContaining(['password', 'a'.repeat(73)]));
+      expect(candidates('organization')).toEqual(expect.arrayContaining(['AT&T', 'O\'Reilly Media, Inc.']));
+    });
+  });
+});
+
+describe('formatFillSummary', () => {
+  test('reports filled count without skipped fields', () => {
+    expect(formatFillSummary(3, [])).toBe('Filled 3 fields');
+    expect(formatFillSummary(1, [])).toBe('Filled 1 field');
+  });
+
+  test('lists skipped fields with reasons', () => {
+    const skipped = [
+      { field: 'email', reason: 'read-only' },
+      { field: 'phone', reason: 'disabled' }
+    ];
+    expect(formatFillSummary(2, skipped))
+      .toBe('Filled 2 fields, skipped 2: email (read-only), phone (disabled)');
+  });
+
+  test('truncates long skipped lists', () => {
+    const skipped = ['a', 'b', 'c'].map(field => ({ field, reason: 'disabled' }));
+    expect(formatFillSummary(0, skipped, 2))
+      .toBe('Filled 0 fields, skipped 3: a (disabled), b (disabled), +1 more');
+  });
+});
+
 describe('validatePayloads', () => {
   // Uses actual validatePayloads imported from utils.js
 
@@ -169,6 +634,307 @@ describe('validatePayloads', () => {
     const valid = { 'Empty': [] };
     expect(() => validatePayloads(valid)).not.toThrow();
   });
+
+  test('accepts {name, value} and generator items', () => {
+    const valid = {
+      'Mixed': [
+        'plain',
+        { name: 'Named', value: 'value' },
+        { name: 'UUID', generator: 'uuid' },
+        { name: 'Digits', generator: 'chars', params: { length: 4, charClass: 'digit' } }
+      ]
+    };
+    expect(() => validatePayloads(valid)).not.toThrow();
+  });
+
+  test('accepts the bundled payloads.json', () => {
+    expect(() => validatePayloads(require('./payloads.json'))).not.toThrow();
+  });
+
+  test('rejects items that are neither strings nor objects', () => {
+    expect(() => validatePayloads({ 'Bad': [42] }))
+      .toThrow('Item 0 in category "Bad" must be a string or an object');
+  });
+
+  test('rejects objects without a string value', () => {
+    expect(() => validatePayloads({ 'Bad': ['ok', { name: 'No value' }] }))
+      .toThrow('Item 1 in category "Bad" must have a string value');
+  });
+
+  test('rejects unknown generators', () => {
+    expect(() => validatePayloads({ 'Bad': [{ name: 'X', generator: 'nope' }] }))
+      .toThrow('Item 0 in category "Bad" uses unknown generator "nope"');
+  });
+
+  test('rejects generator items without a name', () => {
+    expect(() => validatePayloads({ 'Bad': [{ generator: 'uuid' }] }))
+      .toThrow('Item 0 in category "Bad" must have a name');
+  });
+
+  test('rejects non-object generator params', () => {
+    expect(() => validatePayloads({ 'Bad': [{ name: 'X', generator: 'uuid', params: [1] }] }))
+      .toThrow('Item 0 in category "Bad" params must be an object');
+  });
+
+  test('rejects generator params outside their schema', () => {
+    expect(() => validatePayloads({ 'Bad': [{ name: 'X', generator: 'iban', params: { country: 'XX' } }] }))
+      .toThrow('Item 0 in category "Bad": iban param "country" must be one of GB, DE, FR, NL, ES, IT');
+  });
+
+  test.each([
+    ['negative chars length', 'chars', { length: -1 }, 'chars param "length" must be an integer between 1 and 100000'],
+    ['non-numeric chars length', 'chars', { length: '10' }, 'chars param "length" must be an integer between 1 and 100000'],
+    ['fractional chars length', 'chars', { length: 2.5 }, 'chars param "length" must be an integer between 1 and 100000'],
+    ['huge chars length', 'chars', { length: 1e9 }, 'chars param "length" must be an integer between 1 and 100000'],
+    ['unknown character class', 'chars', { charClass: 'klingon' }, 'chars param "charClass" must be one of alpha, digit'],
+    ['non-string email domain', 'email', { domain: 42 }, 'email param "domain" must be a string'],
+    ['non-string email prefix', 'email', { prefix: null }, 'email param "prefix" must be a string'],
+    ['numeric card prefix', 'cardNumber', { prefix: 4 }, 'cardNumber param "prefix" must be a string of digits'],
+    ['non-digit card prefix', 'cardNumber', { prefix: '4a' }, 'cardNumber param "prefix" must be a string of digits'],
+    ['card prefix longer than the length', 'cardNumber', { prefix: '4111111111111111111', length: 16 },
+      'Card number prefix "4111111111111111111" must be shorter than the length (16)'],
+    ['huge card length', 'cardNumber', { length: 1e9 }, 'cardNumber param "length" must be an integer between 1 and 100000'],
+    ['unknown timestamp format', 'timestamp', { format: 'roman' }, 'timestamp param "format" must be one of iso, date, unix, unix-ms'],
+    ['non-integer date offset', 'date', { days: '1' }, 'date param "days" must be an integer between -100000 and 100000'],
+    ['unknown param', 'uuid', { version: 7 }, 'Unknown uuid param "version"']
+  ])('rejects %s', (_, generator, params, message) => {
+    expect(() => validatePayloads({ 'Bad': [{ name: 'X', generator, params }] }))
+      .toThrow(`Item 0 in category "Bad": ${message}`);
+  });
+
+  test('rejects bad params without running the generator', () => {
+    const chars = jest.spyOn(PAYLOAD_GENERATORS, 'chars');
+    expect(() => validatePayloads({ 'Bad': [{ name: 'X', generator: 'chars', params: { length: 1e9 } }] })).toThrow();
+    expect(chars).not.toHaveBeenCalled();
+    chars.mockRestore();
+  });
+
+  test('strict validation requires names on object items and rejects unknown keys', () => {
+    expect(() => validatePayloads({ 'A': [{ value: 'x' }] }, { strict: true })).toThrow('must have a name');
+    expect(() => validatePayloads({ 'A': [{ name: 'X', value: 'x', extra: 1 }] }, { strict: true }))
+      .toThrow('unknown property "extra"');
+    expect(() => validatePayloads({ 'A': [{ value: 'x' }] })).not.toThrow();
+  });
+
+  test('strict validation rejects empty categories and bad names', () => {
+    expect(() => validatePayloads({ 'A': [] }, { strict: true })).toThrow('must not be empty');
+    expect(() => validatePayloads({ ' ': ['x'] }, { strict: true })).toThrow('must be 1-100 characters');
+    expect(() => validatePayloads({ ['x'.repeat(101)]: ['x'] }, { strict: true })).toThrow('must be 1-100 characters');
+  });
+});
+
+describe('custom payloads', () => {
+  const bundled = {
+    'Emails': ['a@example.com'],
+    'SQL': ["' OR 1=1 --"]
+  };
+
+  test('mergePayloads appends custom categories after bundled ones', () => {
+    const merged = mergePayloads(bundled, { 'SKUs': ['AB/12/34'] });
+    expect(Object.keys(merged)).toEqual(['Emails', 'SQL', 'SKUs']);
+    expect(merged.SKUs).toEqual(['AB/12/34']);
+  });
+
+  test('mergePayloads extends bundled categories with the same name', () => {
+    const merged = mergePayloads(bundled, { 'Emails': ['b@example.com'] });
+    expect(merged.Emails).toEqual(['a@example.com', 'b@example.com']);
+  });
+
+  test('mergePayloads does not mutate its inputs', () => {
+    const custom = { 'Emails': ['b@example.com'] };
+    mergePayloads(bundled, custom);
+    expect(bundled.Emails).toEqual(['a@example.com']);
+    expect(custom.Emails).toEqual(['b@example.com']);
+  });
+
+  test('mergePayloads handles missing custom payloads', () => {
+    expect(mergePayloads(bundled, undefined)).toEqual(bundled);
+  });
+
+  test('payloadsToList and listToPayloads round-trip in order', () => {
+    const payloads = { 'B': ['1'], 'A': [{ name: 'Two', value: '2' }] };
+    const list = payloadsToList(payloads);
+    expect(list).toEqual([{ name: 'B', items: ['1'] }, { name: 'A', items: [{ name: 'Two', value: '2' }] }]);
+    expect(Object.keys(listToPayloads([list[1], list[0]]))).toEqual(['A', 'B']);
+  });
+
+  test('listToPayloads trims names and rejects empty or duplicate names', () => {
+    expect(listToPayloads([{ name: ' IDs ', items: [] }])).toEqual({ 'IDs': [] });
+    expect(() => listToPayloads([{ name: '  ', items: [] }])).toThrow('Category names cannot be empty');
+    expect(() => listToPayloads([{ name: 'A', items: [] }, { name: 'A ', items: [] }]))
+      .toThrow('Duplicate category "A"');
+  });
+
+  test('moveArrayItem moves and clamps', () => {
+    expect(moveArrayItem(['a', 'b', 'c'], 0, 2)).toEqual(['b', 'c', 'a']);
+    expect(moveArrayItem(['a', 'b', 'c'], 2, 0)).toEqual(['c', 'a', 'b']);
+    expect(moveArrayItem(['a', 'b', 'c'], 0, -1)).toEqual(['a', 'b', 'c']);
+    expect(moveArrayItem(['a', 'b', 'c'], 2, 3)).toEqual(['a', 'b', 'c']);
+  });
+});
+
+describe('file payloads', () => {
+  const text = bytes => new TextDecoder().decode(bytes);
+
+  test('isFileItem recognises {name, file} items', () => {
+    expect(isFileItem({ name: 'Empty', file: { name: 'empty.txt' } })).toBe(true);
+    expect(isFileItem({ name: 'x', value: 'y' })).toBe(false);
+    expect(isFileItem('file')).toBe(false);
+    expect(isFileItem(null)).toBe(false);
+  });
+
+  test('buildFileBytes encodes content as UTF-8', () => {
+    expect(Array.from(buildFileBytes({ content: 'é' }))).toEqual([0xC3, 0xA9]);
+    expect(buildFileBytes({})).toHaveLength(0);
+  });
+
+  test('buildFileBytes repeats or cuts content to the size', () => {
+    expect(text(buildFileBytes({ content: 'abc', size: 8 }))).toBe('abcabcab');
+    expect(text(buildFileBytes({ content: 'abcdef', size: 2 }))).toBe('ab');
+  });
+
+  test('buildFileBytes zero-fills files without content', () => {
+    const bytes = buildFileBytes({ size: 1024 });
+    expect(bytes).toHaveLength(1024);
+    expect(bytes.every(byte => byte === 0)).toBe(true);
+  });
+
+  test('buildFileBytes decodes base64 content', () => {
+    expect(Array.from(buildFileBytes({ content: 'iVBORw0KGgo=', encoding: 'base64' })))
+      .toEqual([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]);
+  });
+
+  test('formatFileSize and describeFileSpec', () => {
+    expect(formatFileSize(0)).toBe('0 bytes');
+    expect(formatFileSize(1)).toBe('1 byte');
+    expect(formatFileSize(1536)).toBe('1.5 KB');
+    expect(formatFileSize(50 * 1024 * 1024)).toBe('50 MB');
+    expect(describeFileSpec({ name: 'a.txt', content: 'hello', type: 'text/plain' })).toBe('a.txt, 5 bytes, text/plain');
+    expect(describeFileSpec({ name: 'blob', size: 2048 })).toBe('blob, 2 KB');
+  });
+
+  test('validatePayloads accepts file items, also in strict mode', () => {
+    const data = {
+      Files: [
+        { name: 'Empty', file: { name: 'empty.txt', type: 'text/plain', size: 0 } },
+        { name: 'PNG', file: { name: 'x.pdf', content: 'iVBORw0KGgo=', encoding: 'base64' } }
+      ]
+    };
+    expect(() => validatePayloads(data)).not.toThrow();
+    expect(() => validatePayloads(data, { strict: true })).not.toThrow();
+  });
+
+  test('validatePayloads rejects bad file specs', () => {
+    const check = file => () => validatePayloads({ Files: [{ name: 'Bad', file }] });
+    expect(check({ type: 'text/plain' })).toThrow('file must have a name');
+    expect(check({ name: 'a', size: -1 })).toThrow('file size must be a whole number of bytes up to 100 MB');
+    expect(check({ name: 'a', size: 200 * 1024 * 1024 })).toThrow('file size');
+    expect(check({ name: 'a', encoding: 'hex' })).toThrow('file encoding must be "base64"');
+    expect(check({ name: 'a', content: '%%%', encoding: 'base64' })).toThrow('not valid base64');
+    expect(check({ name: 'a', mode: 0o644 })).toThrow('file has unknown property "mode"');
+    expect(() => validatePayloads({ Files: [{ file: { name: 'a' } }] })).toThrow('must have a name');
+  });
+
+  test('the bundled Files category is valid', () => {
+    const payloads = require('./payloads.json');
+    expect(payloads.Files.every(isFileItem)).toBe(true);
+    expect(() => validatePayloads({ Files: payloads.Files }, { strict: true })).not.toThrow();
+  });
+});
+
+describe('payload palette search', () => {
+  const payloads = {
+    'Emails': ['a@example.com'],
+    'Cursed': [{ name: 'RTL override', value: 'abc\u202Edef' }, 'zero\u200Bwidth'],
+    'Generated': [{ name: 'UUID v4', generator: 'uuid' }]
+  };
+  const entries = buildPaletteEntries(payloads);
+
+  test('buildPaletteEntries flattens every item', () => {
+    expect(entries).toEqual([
+      { category: 'Emails', index: 0, name: '', value: 'a@example.com', generator: null, file: null },
+      { category: 'Cursed', index: 0, name: 'RTL override', value: 'abc\u202Edef', generator: null, file: null },
+      { category: 'Cursed', index: 1, name: '', value: 'zero\u200Bwidth', generator: null, file: null },
+      { category: 'Generated', index: 0, name: 'UUID v4', value: '', generator: 'uuid', file: null }
+    ]);
+  });
+
+  test('file items are described and searchable by file name', () => {
+    const fileEntries = buildPaletteEntries({
+      'Files': [{ name: 'Zero bytes', file: { name: 'empty.txt', type: 'text/plain', size: 0 } }]
+    });
+    expect(fileEntries[0]).toMatchObject({ value: '', file: 'empty.txt, 0 bytes, text/plain' });
+    expect(searchPayloads(fileEntries, 'empty.txt')).toHaveLength(1);
+  });
+
+  test('fuzzyScore matches characters in order', () => {
+    expect(fuzzyScore('rtl', 'RTL override')).toBeGreaterThan(0);
+    expect(fuzzyScore('rov', 'RTL override')).toBeGreaterThan(0);
+    expect(fuzzyScore('vor', 'RTL override')).toBe(-1);
+    expect(fuzzyScore('', 'anything')).toBe(0);
+  });
+
+  test('fuzzyScore prefers substrings and word starts', () => {
+    expect(fuzzyScore('over', 'RTL override')).toBeGreaterThan(fuzzyScore('over', 'o v e r'));
+    expect(fuzzyScore('ov', 'RTL override')).toBeGreaterThan(fuzzyScore('ov', 'removal'));
+  });
+
+  test('searchPayloads matches name, category, generator and value', () => {
+    expect(searchPayloads(entries, 'rtl').map(e => e.name)).toEqual(['RTL override']);
+    expect(searchPayloads(entries, 'cursed')).toHaveLength(2);
+    expect(searchPayloads(entries, 'uuid')[0].generator).toBe('uuid');
+    expect(searchPayloads(entries, 'example')[0].value).toBe('a@example.com');
+  });
+
+  test('searchPayloads requires every word to match', () => {
+    expect(searchPayloads(entries, 'cursed rtl')).toHaveLength(1);
+    expect(searchPayloads(entries, 'emails rtl')).toHaveLength(0);
+  });
+
+  test('searchPayloads finds invisible characters by code point', () => {
+    expect(searchPayloads(entries, '200b').map(e => e.value)).toEqual(['zero\u200Bwidth']);
+  });
+
+  test('searchPayloads returns everything for an empty query, up to the limit', () => {
+    expect(searchPayloads(entries, '  ')).toHaveLength(4);
+    expect(searchPayloads(entries, '', 2)).toHaveLength(2);
+  });
+
+  test('escapePreview shows invisible characters and truncates', () => {
+    expect(escapePreview('a\u202Eb\u0000c\tZ')).toBe('a\\u202Eb\\u0000c\\u0009Z');
+    expect(escapePreview('x'.repeat(10), 4)).toBe('xxxx…');
+    expect(escapePreview('😀😀😀', 2)).toBe('😀😀…');
+    expect(escapePreview('José')).toBe('José');
+  });
+});
+
+describe('buildCompositionSteps', () => {
+  test('composes text one grapheme per update', () => {
+    expect(buildCompositionSteps('日本語')).toEqual([{ text: '日本語', updates: ['日', '日本', '日本語'] }]);
+  });
+
+  test('types whitespace between compositions', () => {
+    expect(buildCompositionSteps('漢字 かな\n')).toEqual([
+      { text: '漢字', updates: ['漢', '漢字'] },
+      { text: ' ', updates: null },
+      { text: 'かな', updates: ['か', 'かな'] },
+      { text: '\n', updates: null }
+    ]);
+  });
+
+  test('splits long text into several compositions', () => {
+    const steps = buildCompositionSteps('あいうえおかきくけこ', 4);
+    expect(steps.map(step => step.text)).toEqual(['あいうえ', 'おかきく', 'けこ']);
+    expect(steps[2].updates).toEqual(['け', 'けこ']);
+  });
+
+  test('keeps emoji sequences and combining marks whole', () => {
+    expect(buildCompositionSteps('👍🏽e\u0301')[0].updates).toEqual(['👍🏽', '👍🏽e\u0301']);
+  });
+
+  test('returns no steps for an empty payload', () => {
+    expect(buildCompositionSteps('')).toEqual([]);
+  });
 });
 
 describe('badge color logic', () => {
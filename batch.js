@@ -0,0 +1,82 @@
+// Batch Selection Module
+// Fields picked with Alt+click, outlined on the page; while any are selected, the next
+// payloads go into all of them instead of the focused field
+
+// Outline marking a selected field. Set inline with !important so page styles can't hide it,
+// and so it shows inside shadow roots, which styles.css doesn't reach
+const BATCH_OUTLINE = { outline: '2px dashed #8b5cf6', 'outline-offset': '1px' };
+
+// State
+const batchFields = new Map(); // field -> its own inline outline styles, put back on deselect
+
+// The field an Alt+click selects: the editing host for clicks inside a rich-text editor
+function getBatchTarget(element) {
+  let field = element;
+  while (field.isContentEditable && field.parentElement?.isContentEditable) {
+    field = field.parentElement;
+  }
+  return field;
+}
+
+function markBatchField(field) {
+  const saved = {};
+  for (const [property, value] of Object.entries(BATCH_OUTLINE)) {
+    saved[property] = { value: field.style.getPropertyValue(property), priority: field.style.getPropertyPriority(property) };
+    field.style.setProperty(property, value, 'important');
+  }
+  batchFields.set(field, saved);
+}
+
+function unmarkBatchField(field) {
+  for (const [property, { value, priority }] of Object.entries(batchFields.get(field))) {
+    if (value) {
+      field.style.setProperty(property, value, priority);
+    } else {
+      field.style.removeProperty(property);
+    }
+  }
+  if (field.getAttribute('style') === '') {
+    field.removeAttribute('style');
+  }
+  batchFields.delete(field);
+}
+
+// Add a field to the selection, or remove it if it is already selected; returns whether it is selected now
+function toggleBatchField(field) {
+  if (batchFields.has(field)) {
+    unmarkBatchField(field);
+    return false;
+  }
+  markBatchField(field);
+  return true;
+}
+
+// Deselect every field; returns how many were selected
+function clearBatchSelection() {
+  const count = batchFields.size;
+  for (const field of [...batchFields.keys()]) {
+    unmarkBatchField(field);
+  }
+  return count;
+}
+
+// Selected fields still in the page, in selection order (fields the page removed are deselected)
+function getBatchFields() {
+  for (const field of [...batchFields.keys()]) {
+    if (!field.isConnected) {
+      unmarkBatchField(field);
+    }
+  }
+  return [...batchFields.keys()];
+}
+
+// Export for testing (Node.js environment)
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    BATCH_OUTLINE,
+    getBatchTarget,
+    toggleBatchField,
+    clearBatchSelection,
+    getBatchFields
+  };
+}
@@ -0,0 +1,85 @@
+/**
+ * @jest-environment jsdom
+ */
+
+// Tests for batch.js multi-field selection
+
+const {
+  getBatchTarget,
+  toggleBatchField,
+  clearBatchSelection,
+  getBatchFields
+} = require('./batch');
+
+describe('batch.js', () => {
+  let first;
+  let second;
+
+  beforeEach(() => {
+    clearBatchSelection();
+    document.body.innerHTML = '<input id="first"><input id="second" style="outline: 1px solid red">';
+    first = document.getElementById('first');
+    second = document.getElementById('second');
+  });
+
+  test('toggling selects a field and outlines it over page styles', () => {
+    expect(toggleBatchField(first)).toBe(true);
+
+    expect(getBatchFields()).toEqual([first]);
+    expect(first.style.getPropertyValue('outline')).toBe('2px dashed #8b5cf6');
+    expect(first.style.getPropertyPriority('outline')).toBe('important');
+  });
+
+  test('toggling again deselects it and removes the outline', () => {
+    toggleBatchField(first);
+    expect(toggleBatchField(first)).toBe(false);
+
+    expect(getBatchFields()).toEqual([]);
+    expect(first.hasAttribute('style')).toBe(false);
+  });
+
+  test('deselecting puts the page\'s own inline outline back', () => {
+    toggleBatchField(second);
+    toggleBatchField(second);
+
+    expect(second.style.getPropertyValue('outline')).toBe('1px solid red');
+    expect(second.style.getPropertyPriority('outline')).toBe('');
+  });
+
+  test('fields are returned in selection order', () => {
+    toggleBatchField(second);
+    toggleBatchField(first);
+
+    expect(getBatchFields()).toEqual([second, first]);
+  });
+
+  test('clearBatchSelection deselects everything', () => {
+    toggleBatchField(first);
+    toggleBatchField(second);
+
+    expect(clearBatchSelection()).toBe(2);
+    expect(getBatchFields()).toEqual([]);
+    expect(first.hasAttribute('style')).toBe(false);
+    expect(second.style.getPropertyValue('outline')).toBe('1px solid red');
+  });
+
+  test('fields the page removed are dropped from the selection', () => {
+    toggleBatchField(first);
+    toggleBatchField(second);
+    first.remove();
+
+    expect(getBatchFields()).toEqual([second]);
+  });
+
+  test('getBatchTarget selects the editing host for clicks inside an editor', () => {
+    document.body.innerHTML = '<div contenteditable="true"><p><b>text</b></p></div>';
+    const editor = document.querySelector('div');
+    // jsdom doesn't implement isContentEditable
+    for (const element of [editor, editor.querySelector('p'), editor.querySelector('b')]) {
+      Object.defineProperty(element, 'isContentEditable', { value: true });
+    }
+
+    expect(getBatchTarget(editor.querySelector('b'))).toBe(editor);
+    expect(getBatchTarget(first)).toBe(first);
+  });
+});
@@ -0,0 +1,293 @@
+// Boundary Values - Pure logic module (testable without DOM)
+// Builds the "Boundaries for this field" payloads from a field's length, range, step and pattern constraints
+
+// Note: MAX_TEMPLATE_REPEAT is provided by utils.js (loaded before this script)
+
+// Characters boundary-length values are built from: ASCII plus multi-byte characters,
+// so limits counted in bytes, UTF-16 code units or characters disagree
+const BOUNDARY_TEXT_VARIANTS = [
+  { label: 'ASCII', char: 'a' },
+  { label: '2-byte', char: 'é' },
+  { label: '4-byte emoji', char: '\u{1F600}' }
+];
+
+// ASCII characters tried when a pattern has to be matched (or broken)
+const BOUNDARY_PATTERN_CANDIDATES = ['a', 'A', 'z', '0', '9', 'x', 'Z', '!', ' '];
+
+/**
+ * Parse a length constraint (maxlength/minlength)
+ * @param {?string} value - Attribute value
+ * @returns {?number} Non-negative integer, or null if absent or invalid
+ */
+function parseBoundaryLength(value) {
+  return typeof value === 'string' && /^\s*\d+\s*$/.test(value) ? parseInt(value, 10) : null;
+}
+
+/**
+ * Parse a numeric constraint (min/max/step)
+ * @param {?string} value - Attribute value
+ * @returns {?number} Finite number, or null if absent or not a number (e.g. a date)
+ */
+function parseBoundaryNumber(value) {
+  if (typeof value !== 'string' || value.trim() === '') return null;
+  const number = Number(value);
+  return Number.isFinite(number) ? number : null;
+}
+
+const DAY_MS = 86400000;
+
+// Milliseconds since the epoch of a UTC date, for any year from 1 (Date.UTC maps years 0-99 to the 1900s)
+function toUtcTime(year, month, day, ms = 0) {
+  const date = new Date(0);
+  date.setUTCFullYear(year, month, day);
+  return date.getTime() + ms;
+}
+
+// A 4+ digit year, as date and time inputs write it
+function formatBoundaryYear(year) {
+  return String(year).padStart(4, '0');
+}
+
+// "yyyy-mm-dd" -> milliseconds since the epoch (UTC midnight), null if invalid
+function parseDateValue(value) {
+  const match = /^(\d{4,})-(\d{2})-(\d{2})$/.exec(value);
+  if (!match) return null;
+  const [year, month, day] = match.slice(1).map(Number);
+  const time = toUtcTime(year, month - 1, day);
+  return year > 0 && new Date(time).getUTCMonth() === month - 1 && new Date(time).getUTCDate() === day ? time : null;
+}
+
+function formatDateValue(time) {
+  const date = new Date(time);
+  if (!(date.getUTCFullYear() >= 1)) return null;
+  const pad = number => String(number).padStart(2, '0');
+  return `${formatBoundaryYear(date.getUTCFullYear())}-${pad(date.getUTCMonth() + 1)}-${pad(date.getUTCDate())}`;
+}
+
+// "hh:mm", "hh:mm:ss" or "hh:mm:ss.sss" -> milliseconds since midnight, null if invalid
+function parseTimeValue(value) {
+  const match = /^(\d{2}):(\d{2})(?::(\d{2})(?:\.(\d{1,3}))?)?$/.exec(value);
+  if (!match) return null;
+  const [hours, minutes, seconds] = match.slice(1, 4).map(part => Number(part ?? 0));
+  if (hours > 23 || minutes > 59 || seconds > 59) return null;
+  return ((hours * 60 + minutes) * 60 + seconds) * 1000 + Number((match[4] || '').padEnd(3, '0'));
+}
+
+// Milliseconds since midnight -> the shortest time string for it, null outside the day
+function formatTimeValue(ms) {
+  if (ms < 0 || ms >= DAY_MS) return null;
+  const pad = number => String(number).padStart(2, '0');
+  const seconds = Math.floor(ms / 1000) % 60;
+  const millis = ms % 1000;
+  let value = `${pad(Math.floor(ms / 3600000))}:${pad(Math.floor(ms / 60000) % 60)}`;
+  if (seconds || millis) value += `:${pad(seconds)}`;
+  if (millis) value += `.${String(millis).padStart(3, '0')}`;
+  return value;
+}
+
+// "yyyy-mm-ddThh:mm[:ss[.sss]]" -> milliseconds since the epoch as if UTC, null if invalid
+function parseDateTimeValue(value) {
+  const match = /^(.+)[T ](.+)$/.exec(value);
+  if (!match) return null;
+  const date = parseDateValue(match[1]);
+  const time = parseTimeValue(match[2]);
+  return date === null || time === null ? null : date + time;
+}
+
+function formatDateTimeValue(ms) {
+  const dayStart = Math.floor(ms / DAY_MS) * DAY_MS;
+  const date = formatDateValue(dayStart);
+  return date === null ? null : `${date}T${formatTimeValue(ms - dayStart)}`;
+}
+
+// "yyyy-mm" -> months since year 0, null if invalid
+function parseMonthValue(value) {
+  const match = /^(\d{4,})-(\d{2})$/.exec(value);
+  if (!match) return null;
+  const [year, month] = match.slice(1).map(Number);
+  return year > 0 && month >= 1 && month <= 12 ? year * 12 + month - 1 : null;
+}
+
+function formatMonthValue(months) {
+  const year = Math.floor(months / 12);
+  return year < 1 ? null : `${formatBoundaryYear(year)}-${String(months % 12 + 1).padStart(2, '0')}`;
+}
+
+// Monday of ISO week 1 of a year: the week with the year's first Thursday
+function getIsoWeekOneStart(year) {
+  const fourthOfJanuary = toUtcTime(year, 0, 4);
+  return fourthOfJanuary - ((new Date(fourthOfJanuary).getUTCDay() + 6) % 7) * DAY_MS;
+}
+
+// Monday (UTC) -> "yyyy-Www" of the ISO week it starts, null before year 1
+function formatWeekValue(time) {
+  // The ISO year is the year of the week's Thursday
+  const year = new Date(time + 3 * DAY_MS).getUTCFullYear();
+  if (!(year >= 1)) return null;
+  const week = Math.floor((time - getIsoWeekOneStart(year)) / (7 * DAY_MS)) + 1;
+  return `${formatBoundaryYear(year)}-W${String(week).padStart(2, '0')}`;
+}
+
+// "yyyy-Www" -> milliseconds since the epoch of the week's Monday, null if invalid
+function parseWeekValue(value) {
+  const match = /^(\d{4,})-W(\d{2})$/.exec(value);
+  if (!match) return null;
+  const [year, week] = match.slice(1).map(Number);
+  if (year < 1 || week < 1) return null;
+  const time = getIsoWeekOneStart(year) + (week - 1) * 7 * DAY_MS;
+  // Week 53 exists only in some years
+  return formatWeekValue(time) === value ? time : null;
+}
+
+// Date and time input types: their value format as a number, the step unit in that number
+// and the default step (see the HTML spec's step scale factors)
+const BOUNDARY_DATE_TYPES = {
+  date: { parse: parseDateValue, format: formatDateValue, unit: DAY_MS, defaultStep: 1 },
+  time: { parse: parseTimeValue, format: formatTimeValue, unit: 1000, defaultStep: 60 },
+  'datetime-local': { parse: parseDateTimeValue, format: formatDateTimeValue, unit: 1000, defaultStep: 60 },
+  month: { parse: parseMonthValue, format: formatMonthValue, unit: 1, defaultStep: 1 },
+  week: { parse: parseWeekValue, format: formatWeekValue, unit: 7 * DAY_MS, defaultStep: 1 }
+};
+
+/**
+ * Format a boundary number without floating point noise (0.30000000000000004 → 0.3)
+ * @param {number} value - Number
+ * @returns {string} Formatted number
+ */
+function formatBoundaryNumber(value) {
+  return String(Number(value.toPrecision(15)));
+}
+
+/**
+ * Rewrite ASCII digits, minus sign and decimal point as their full-width forms
+ * @param {string} value - Number as a string
+ * @returns {string} Full-width number
+ */
+function toFullWidthNumber(value) {
+  return value.replace(/[0-9.-]/g, char => String.fromCharCode(char.charCodeAt(0) + 0xFEE0));
+}
+
+/**
+ * Compile an HTML pattern attribute the way browsers do (whole value, v flag)
+ * @param {?string} pattern - Pattern attribute
+ * @returns {?RegExp} Regex, or null if absent or invalid (browsers ignore invalid patterns)
+ */
+function compileFieldPattern(pattern) {
+  if (typeof pattern !== 'string') return null;
+  try {
+    return new RegExp(`^(?:${pattern})$`, 'v');
+  } catch (err) {
+    return null;
+  }
+}
+
+/**
+ * Generate boundary values for a field from its constraints. Lengths come as
+ * limit-1, limit and limit+1 in each BOUNDARY_TEXT_VARIANTS character (the ASCII
+ * one matching the pattern when possible); numbers as min-step, min, max, max+step
+ * and a value half a step off, in ASCII and full-width digits. Date and time inputs
+ * get min-step, min, max and max+step in their own format.
+ * @param {Object} constraints - Attribute values as the page set them (null when absent)
+ * @param {?string} constraints.type - type attribute (date and time types read min and max as dates)
+ * @param {?string} constraints.maxlength - maxlength attribute
+ * @param {?string} constraints.minlength - minlength attribute
+ * @param {?string} constraints.min - min attribute
+ * @param {?string} constraints.max - max attribute
+ * @param {?string} constraints.step - step attribute ("any" for no step)
+ * @param {?string} constraints.pattern - pattern attribute
+ * @returns {Array<{name: string, value: string}>} Boundary payload items (empty without constraints)
+ */
+function generateBoundaryValues(constraints = {}) {
+  const items = [];
+  const seen = new Set();
+  const add = (name, value) => {
+    if (seen.has(value)) return;
+    seen.add(value);
+    items.push({ name, value });
+  };
+  const pattern = compileFieldPattern(constraints.pattern);
+
+  // Lengths around minlength and maxlength
+  for (const attribute of ['minlength', 'maxlength']) {
+    const limit = parseBoundaryLength(constraints[attribute]);
+    if (limit === null) continue;
+    for (const [offset, suffix] of [[-1, '-1'], [0, ''], [1, '+1']]) {
+      const length = limit + offset;
+      if (length < 0 || length > MAX_TEMPLATE_REPEAT) continue;
+      const unit = length === 1 ? 'char' : 'chars';
+      for (const { label, char } of BOUNDARY_TEXT_VARIANTS) {
+        const filler = label === 'ASCII' && pattern
+          ? BOUNDARY_PATTERN_CANDIDATES.find(c => pattern.test(c.repeat(length))) || char
+          : char;
+        add(`${attribute}${suffix} (${length} ${unit}, ${label})`, filler.repeat(length));
+      }
+    }
+  }
+
+  const dateType = BOUNDARY_DATE_TYPES[String(constraints.type).trim().toLowerCase()];
+  if (dateType) {
+    addDateBoundaries(dateType, constraints, add);
+  } else {
+    addNumberBoundaries(constraints, add);
+  }
+
+  // A value of an allowed length that fails the pattern
+  if (pattern) {
+    const length = Math.max(1, parseBoundaryLength(constraints.minlength) ??
+      parseBoundaryLength(constraints.maxlength) ?? 1);
+    const breaker = BOUNDARY_PATTERN_CANDIDATES.find(c => !pattern.test(c.repeat(length)));
+    if (breaker) {
+      add(`breaks pattern (${length} ${length === 1 ? 'char' : 'chars'})`, breaker.repeat(length));
+    }
+  }
+
+  return items;
+}
+
+// Numbers around min, max and the step
+function addNumberBoundaries(constraints, add) {
+  const min = parseBoundaryNumber(constraints.min);
+  const max = parseBoundaryNumber(constraints.max);
+  const stepAttribute = constraints.step;
+  const isAnyStep = typeof stepAttribute === 'string' && stepAttribute.trim().toLowerCase() === 'any';
+  const parsedStep = parseBoundaryNumber(stepAttribute);
+  const step = parsedStep !== null && parsedStep > 0 ? parsedStep : 1;
+
+  const numbers = [];
+  if (min !== null) numbers.push(['min-step', min - step], ['min', min]);
+  if (max !== null) numbers.push(['max', max], ['max+step', max + step]);
+  if (!isAnyStep && (min !== null || max !== null || parsedStep !== null)) {
+    // The step base is min when there is one, otherwise zero
+    numbers.push(['half a step off', (min ?? 0) + step / 2]);
+  }
+  for (const [name, number] of numbers) {
+    const value = formatBoundaryNumber(number);
+    add(`${name} (${value}, ASCII)`, value);
+    add(`${name} (${value}, full-width)`, toFullWidthNumber(value));
+  }
+}
+
+// Dates and times around min and max, one step out, in the input type's own format
+// (values outside what the type can write, like a time before midnight, are left out)
+function addDateBoundaries({ parse, format, unit, defaultStep }, constraints, add) {
+  const min = typeof constraints.min === 'string' ? parse(constraints.min.trim()) : null;
+  const max = typeof constraints.max === 'string' ? parse(constraints.max.trim()) : null;
+  const parsedStep = parseBoundaryNumber(constraints.step);
+  const step = (parsedStep !== null && parsedStep > 0 ? parsedStep : defaultStep) * unit;
+
+  const dates = [];
+  if (min !== null) dates.push(['min-step', min - step], ['min', min]);
+  if (max !== null) dates.push(['max', max], ['max+step', max + step]);
+  for (const [name, date] of dates) {
+    const value = format(date);
+    if (value !== null) add(`${name} (${value})`, value);
+  }
+}
+
+// Export for Node.js (tests) and browser (service worker)
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    BOUNDARY_TEXT_VARIANTS,
+    generateBoundaryValues
+  };
+}
@@ -0,0 +1,108 @@
+// Tests for boundaries.js boundary value generation
+
+// MAX_TEMPLATE_REPEAT is a global in the extension (utils.js loads first)
+global.MAX_TEMPLATE_REPEAT = require('./utils').MAX_TEMPLATE_REPEAT;
+
+const { generateBoundaryValues } = require('./boundaries');
+
+describe('generateBoundaryValues', () => {
+  const values = items => items.map(item => item.value);
+
+  test('returns nothing without constraints', () => {
+    expect(generateBoundaryValues({})).toEqual([]);
+    expect(generateBoundaryValues({ maxlength: null, min: '', pattern: null })).toEqual([]);
+  });
+
+  test('generates length-1, length and length+1 in ASCII and multi-byte characters', () => {
+    const items = generateBoundaryValues({ maxlength: '3' });
+    expect(items.map(item => item.name)).toEqual([
+      'maxlength-1 (2 chars, ASCII)',
+      'maxlength-1 (2 chars, 2-byte)',
+      'maxlength-1 (2 chars, 4-byte emoji)',
+      'maxlength (3 chars, ASCII)',
+      'maxlength (3 chars, 2-byte)',
+      'maxlength (3 chars, 4-byte emoji)',
+      'maxlength+1 (4 chars, ASCII)',
+      'maxlength+1 (4 chars, 2-byte)',
+      'maxlength+1 (4 chars, 4-byte emoji)'
+    ]);
+    expect(items[3].value).toBe('aaa');
+    expect(items[4].value).toBe('\u00E9\u00E9\u00E9');
+    expect(items[5].value).toBe('\u{1F600}\u{1F600}\u{1F600}');
+    expect(Array.from(items[5].value)).toHaveLength(3);
+  });
+
+  test('skips negative lengths and duplicates between minlength and maxlength', () => {
+    const items = generateBoundaryValues({ minlength: '0', maxlength: '1' });
+    expect(values(items)).toEqual(['', 'a', '\u00E9', '\u{1F600}', 'aa', '\u00E9\u00E9', '\u{1F600}\u{1F600}']);
+  });
+
+  test('ASCII values match the pattern when a character can', () => {
+    const items = generateBoundaryValues({ maxlength: '2', pattern: '[0-9]+' });
+    expect(items.find(item => item.name === 'maxlength (2 chars, ASCII)').value).toBe('00');
+    expect(items[items.length - 1]).toEqual({ name: 'breaks pattern (2 chars)', value: 'aa' });
+  });
+
+  test('ignores invalid patterns, as browsers do', () => {
+    expect(values(generateBoundaryValues({ maxlength: '1', pattern: '[' }))).toContain('a');
+  });
+
+  test('generates min-step, min, max, max+step and half a step off', () => {
+    const items = generateBoundaryValues({ min: '0.1', max: '1', step: '0.2' });
+    expect(items.filter(item => item.name.endsWith(', ASCII)')).map(item => [item.name, item.value])).toEqual([
+      ['min-step (-0.1, ASCII)', '-0.1'],
+      ['min (0.1, ASCII)', '0.1'],
+      ['max (1, ASCII)', '1'],
+      ['max+step (1.2, ASCII)', '1.2'],
+      ['half a step off (0.2, ASCII)', '0.2']
+    ]);
+  });
+
+  test('numbers also come in full-width digits', () => {
+    const items = generateBoundaryValues({ min: '-5' });
+    expect(items).toContainEqual({ name: 'min-step (-6, full-width)', value: '\uFF0D\uFF16' });
+    expect(items).toContainEqual({ name: 'half a step off (-4.5, full-width)', value: '\uFF0D\uFF14\uFF0E\uFF15' });
+  });
+
+  test('step="any" has no off-step value and steps by one', () => {
+    const items = generateBoundaryValues({ max: '10', step: 'any' });
+    expect(values(items)).toEqual(['10', '\uFF11\uFF10', '11', '\uFF11\uFF11']);
+  });
+
+  test('non-numeric min and max, such as dates, are ignored', () => {
+    expect(generateBoundaryValues({ min: '2024-01-01', max: '2024-12-31' })).toEqual([]);
+  });
+
+  test.each([
+    ['date', { min: '2024-03-01', max: '2024-12-31' }, ['2024-02-29', '2024-03-01', '2024-12-31', '2025-01-01']],
+    ['date', { min: '2024-01-01', step: '7' }, ['2023-12-25', '2024-01-01']],
+    ['time', { min: '09:00', max: '17:30' }, ['08:59', '09:00', '17:30', '17:31']],
+    ['time', { min: '09:00:00', step: '0.5' }, ['08:59:59.500', '09:00']],
+    ['datetime-local', { min: '2024-01-01T00:00', max: '2024-12-31T23:59' }, ['2023-12-31T23:59', '2024-01-01T00:00', '2024-12-31T23:59', '2025-01-01T00:00']],
+    ['month', { min: '2024-01', max: '2024-12' }, ['2023-12', '2024-01', '2024-12', '2025-01']],
+    ['week', { min: '2021-W01' }, ['2020-W53', '2021-W01']],
+    ['week', { min: '2024-W01', max: '2024-W52', step: '2' }, ['2023-W51', '2024-W01', '2024-W52', '2025-W02']]
+  ])('%s inputs get min-step, min, max and max+step in their own format (%o)', (type, constraints, expected) => {
+    expect(values(generateBoundaryValues({ type, ...constraints }))).toEqual(expected);
+  });
+
+  test('date boundaries are named after the limit they come from', () => {
+    expect(generateBoundaryValues({ type: 'date', max: '2024-12-31' })).toEqual([
+      { name: 'max (2024-12-31)', value: '2024-12-31' },
+      { name: 'max+step (2025-01-01)', value: '2025-01-01' }
+    ]);
+  });
+
+  test('date boundaries the input type can\'t write, and invalid limits, are left out', () => {
+    expect(values(generateBoundaryValues({ type: 'time', min: '00:00', max: '23:59' }))).toEqual(['00:00', '23:59']);
+    expect(values(generateBoundaryValues({ type: 'date', min: '0001-01-01' }))).toEqual(['0001-01-01']);
+    expect(generateBoundaryValues({ type: 'date', min: '2023-02-29', max: 'soon' })).toEqual([]);
+    expect(generateBoundaryValues({ type: 'week', min: '2021-W53' })).toEqual([]);
+    expect(generateBoundaryValues({ type: 'time', min: '24:00' })).toEqual([]);
+  });
+
+  test('date inputs still get length and pattern boundaries', () => {
+    const items = generateBoundaryValues({ type: 'date', maxlength: '1', min: '2024-01-01' });
+    expect(values(items)).toEqual(expect.arrayContaining(['a', '2024-01-01']));
+  });
+});
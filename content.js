@@ -1,5 +1,5 @@
 // Autofill Risk Detector - Content Script
-// Uses analyzeFieldAttributes from analysis.js (loaded before this script)
+// Uses analyzeFieldAttributes from analysis.js and the shadow DOM helpers from dom.js (loaded before this script)
 
 let isEnabled = true;
 
@@ -13,6 +13,10 @@ const analyzedFields = new WeakMap();
 const overlayMap = new WeakMap();      // field -> overlay element
 const tooltipMap = new WeakMap();      // field -> tooltip element
 const tooltipTimeoutMap = new WeakMap(); // badge -> tooltip timeout ID
+const overlayFields = new Set();       // fields that have an overlay, repositioned on scroll
+
+// Tooltip icon for each kind of finding from analyzeFieldAttributes
+const RISK_ICONS = { error: '🔴', warning: '🟡', invalid: '🟠', info: '🔵' };
 
 // Store observer instance to prevent memory leaks
 let domObserver = null;
@@ -21,10 +25,17 @@ let domObserver = null;
 let reconcileInterval = null;
 const RECONCILE_INTERVAL_MS = 30000;
 
-// Rescan timeout for debouncing DOM mutations
+// Rescan timeout for debouncing DOM mutations, and the fields waiting for it
 let rescanTimeout = null;
+const pendingAnalysisFields = new Set();
 
-// Note: escapeHtml and isInjectableElement are provided by analysis.js (loaded before this script)
+// Note: escapeHtml, isInjectableElement, classifyFieldPurpose and describeBypassChange are provided by analysis.js (loaded before this script)
+// Note: splitGraphemes, buildCompositionSteps, DEFAULT_TYPING_DELAY, assignFormValues, formatFillSummary and describeFileSpec are provided by utils.js (loaded before this script)
+// Note: injectValue, appendValue, setNativeValue, getFieldValue, getRestorableValue, restoreValue, setEditorSelection, getEditorSelection, createPayloadFile, attachFiles and dropFiles are provided by injection.js (loaded before this script)
+// Note: openPalette and isPaletteOpen are provided by palette.js (loaded before this script)
+// Note: setValidationBypass, getPageAttribute, getBypassChanges and onValidationBypassChange are provided by validation.js (loaded before this script)
+// Note: getPageSnapshots, saveFormSnapshot, restoreFormState and buildSnapshotEntries are provided by formstate.js (loaded before this script)
+// Note: getBatchTarget, toggleBatchField, clearBatchSelection and getBatchFields are provided by batch.js (loaded before this script)
 
 // Check stored state
 chrome.storage.local.get(['autofillDetectorEnabled'], (result) => {
@@ -119,69 +130,682 @@ function showNotification(message, isError = false) {
   }, 2000);
 }
 
+// Append the transform used (e.g. "URL-encode") to a notification message
+function withTransformNote(message, transform) {
+  return transform ? `${message} (${transform})` : message;
+}
+
+// Confirm a transformed injection; plain injections stay silent
+function notifyTransform(transform) {
+  if (transform) {
+    showNotification(withTransformNote('Payload injected', transform));
+  }
+}
+
+// Whether this frame has keyboard focus itself (not the page as a whole or a child frame)
+function hasKeyboardFocus() {
+  if (!document.hasFocus()) return false;
+  const tagName = getDeepActiveElement()?.tagName;
+  return tagName !== 'IFRAME' && tagName !== 'FRAME';
+}
+
+// Return the focused field if it can receive a payload, otherwise notify the user and respond with an error.
+// Every injection into a single field goes through here, so its value is remembered for undo
+function getTargetField(sendResponse) {
+  const activeElement = getDeepActiveElement();
+
+  if (!isInjectable(activeElement)) {
+    showNotification('No text field focused', true);
+    sendResponse({ success: false, error: 'No valid field focused' });
+    return null;
+  }
+
+  if (activeElement.disabled || activeElement.readOnly) {
+    showNotification('Field is disabled or read-only', true);
+    sendResponse({ success: false, error: 'Field is disabled or read-only' });
+    return null;
+  }
+
+  recordFieldValue(activeElement);
+  return activeElement;
+}
+
+// Values each field had before the injections into it, oldest first. The first is the
+// page's own value and survives trimming, so "Restore original value" always has it
+const valueHistory = new WeakMap();
+const MAX_VALUE_HISTORY = 50;
+
+// Remember a field's value before an injection changes it
+function recordFieldValue(field) {
+  const history = valueHistory.get(field) || [];
+  history.push(getRestorableValue(field));
+  if (history.length > MAX_VALUE_HISTORY) {
+    history.splice(1, 1);
+  }
+  valueHistory.set(field, history);
+}
+
+// Put back the value a field had before the last injection into it
+function undoInjection(field) {
+  const history = valueHistory.get(field) || [];
+  // Skip values the injection didn't change (a blocked paste, the same payload twice)
+  const current = getRestorableValue(field);
+  while (history.length > 0 && history[history.length - 1] === current) {
+    history.pop();
+  }
+  if (history.length === 0) {
+    valueHistory.delete(field);
+    return { success: false, error: 'Nothing to undo in this field' };
+  }
+
+  restoreValue(field, history.pop());
+  if (history.length === 0) {
+    valueHistory.delete(field);
+  }
+  return { success: true, remaining: history.length };
+}
+
+// Put back the value a field had before the first injection into it, and forget the rest
+function restoreOriginalValue(field) {
+  const history = valueHistory.get(field);
+  if (!history) {
+    return { success: false, error: 'Nothing to restore in this field' };
+  }
+  valueHistory.delete(field);
+  if (history[0] !== getRestorableValue(field)) {
+    restoreValue(field, history[0]);
+  }
+  return { success: true };
+}
+
+// Position of this frame in window.frames at each level below the top page ([] in the top frame),
+// so generated tests can find it the way Selenium's switchTo().frame(index) does. Cross-origin
+// parents still expose frames, length and parent.
+function getFramePath() {
+  const path = [];
+  for (let win = window; win !== win.parent; win = win.parent) {
+    const siblings = win.parent.frames;
+    let index = 0;
+    while (index < siblings.length && siblings[index] !== win) index++;
+    path.unshift(index);
+  }
+  return path;
+}
+
+// The field an injection went into, for the session log
+function describeInjectionTarget(field) {
+  return {
+    selector: getRobustSelector(field),
+    tagName: field.tagName.toLowerCase(),
+    name: field.getAttribute('name') || '',
+    id: field.getAttribute('id') || '',
+    type: getPageAttribute(field, 'type') || (field.isContentEditable ? 'contenteditable' : ''),
+    frameUrl: location.href,
+    framePath: getFramePath()
+  };
+}
+
+// Attributes the "Boundaries for this field" submenu is generated from (the type says how min and max read)
+const BOUNDARY_CONSTRAINT_ATTRIBUTES = ['type', 'maxlength', 'minlength', 'min', 'max', 'step', 'pattern'];
+
+// A field's constraints as the page set them (null when absent), even while the validation bypass has removed them
+function getFieldConstraints(field) {
+  const constraints = {};
+  for (const name of BOUNDARY_CONSTRAINT_ATTRIBUTES) {
+    constraints[name] = getPageAttribute(field, name);
+  }
+  return constraints;
+}
+
+// Tell the background which field the boundaries submenu is for. Sent on focus and
+// again on right-click, so the submenu follows whichever frame was used last
+function reportFieldConstraints(event) {
+  const field = event.composedPath()[0];
+  if (!isInjectable(field)) return;
+  chrome.runtime.sendMessage({ action: 'fieldConstraints', constraints: getFieldConstraints(field) }).catch(() => {
+    // Ignore errors (e.g., no background script in some contexts)
+  });
+}
+
+document.addEventListener('focusin', reportFieldConstraints, true);
+document.addEventListener('contextmenu', reportFieldConstraints, true);
+
+// Element last right-clicked: a file payload picked from the context menu goes where the user
+// clicked, since file inputs and drop zones usually don't keep focus. It is used once, by the
+// menu pick that follows the right-click.
+let lastContextTarget = null;
+
+document.addEventListener('contextmenu', (event) => {
+  lastContextTarget = event.composedPath()[0];
+}, true);
+
+// The file input an element stands for: itself, the control of its label, or a file input inside it
+function findFileInput(element) {
+  if (!element || element.nodeType !== Node.ELEMENT_NODE) return null;
+  if (element.matches('input[type="file"]')) return element;
+  const control = element.closest('label')?.control;
+  if (control?.matches('input[type="file"]')) return control;
+  return element.querySelector('input[type="file"]');
+}
+
+// Attach a file payload to the file input behind an element, or drop it on the element
+// (drop zones are often styled wrappers around a hidden input, or have no input at all)
+function attachFilePayload(element, spec) {
+  const file = createPayloadFile(spec);
+  const input = findFileInput(element);
+
+  if (input) {
+    if (input.disabled) {
+      return { success: false, error: 'File input is disabled' };
+    }
+    attachFiles(input, [file]);
+    return { success: true, target: 'input', field: describeInjectionTarget(input) };
+  }
+
+  if (element && dropFiles(element, [file])) {
+    return { success: true, target: 'drop', field: describeInjectionTarget(element) };
+  }
+  return { success: false, error: 'No file input or drop zone here' };
+}
+
+// Key name reported in keyboard events for a typed grapheme
+function getKeyForGrapheme(grapheme) {
+  if (grapheme === '\n' || grapheme === '\r\n' || grapheme === '\r') return 'Enter';
+  if (grapheme === '\t') return 'Tab';
+  return grapheme;
+}
+
+// Fire the keydown, keypress, beforeinput, input, keyup sequence for one grapheme.
+// Cancelling keydown, keypress or beforeinput suppresses the insertion, as in a real browser.
+function simulateKeystroke(element, grapheme) {
+  const isLineBreak = getKeyForGrapheme(grapheme) === 'Enter';
+  const keyInit = {
+    key: getKeyForGrapheme(grapheme),
+    bubbles: true,
+    cancelable: true,
+    composed: true
+  };
+  const inputInit = {
+    inputType: isLineBreak ? 'insertLineBreak' : 'insertText',
+    data: isLineBreak ? null : grapheme,
+    bubbles: true,
+    composed: true
+  };
+
+  const inserted =
+    element.dispatchEvent(new KeyboardEvent('keydown', keyInit)) &&
+    element.dispatchEvent(new KeyboardEvent('keypress', { ...keyInit, charCode: grapheme.codePointAt(0) })) &&
+    element.dispatchEvent(new InputEvent('beforeinput', { ...inputInit, cancelable: true }));
+
+  if (inserted) {
+    setNativeValue(element, getFieldValue(element) + grapheme);
+    element.dispatchEvent(new InputEvent('input', inputInit));
+  }
+
+  element.dispatchEvent(new KeyboardEvent('keyup', keyInit));
+}
+
+// Type one grapheme into a rich-text editor: key events, then an editor insertion
+// (which fires its own beforeinput and input) at the caret
+function simulateEditorKeystroke(element, grapheme) {
+  const keyInit = {
+    key: getKeyForGrapheme(grapheme),
+    bubbles: true,
+    cancelable: true,
+    composed: true
+  };
+
+  const allowed =
+    element.dispatchEvent(new KeyboardEvent('keydown', keyInit)) &&
+    element.dispatchEvent(new KeyboardEvent('keypress', { ...keyInit, charCode: grapheme.codePointAt(0) }));
+
+  if (allowed) {
+    insertIntoEditor(element, grapheme);
+  }
+
+  element.dispatchEvent(new KeyboardEvent('keyup', keyInit));
+}
+
+// Empty a field before typing into it
+function clearForTyping(element) {
+  if (element.isContentEditable) {
+    clearEditor(element);
+  } else {
+    setNativeValue(element, '');
+    element.dispatchEvent(new InputEvent('input', { inputType: 'deleteContent', bubbles: true, composed: true }));
+  }
+}
+
+// Wait between keystrokes (not at all when the delay is 0)
+function pauseTyping(delay) {
+  return delay > 0 ? new Promise(resolve => setTimeout(resolve, delay)) : Promise.resolve();
+}
+
+// Type graphemes one keystroke at a time
+async function typeGraphemes(element, graphemes, delay) {
+  for (const grapheme of graphemes) {
+    if (element.isContentEditable) {
+      simulateEditorKeystroke(element, grapheme);
+    } else {
+      simulateKeystroke(element, grapheme);
+    }
+    await pauseTyping(delay);
+  }
+}
+
+// Replace the field value by typing the payload one grapheme at a time
+async function typeIntoField(element, value, delay = DEFAULT_TYPING_DELAY) {
+  clearForTyping(element);
+  await typeGraphemes(element, splitGraphemes(value), delay);
+  element.dispatchEvent(new Event('change', { bubbles: true }));
+}
+
+// Empty text node at the end of an editor that holds the composition, as browsers keep it
+function insertCompositionNode(element) {
+  setEditorSelection(element, 'end');
+  const node = element.ownerDocument.createTextNode('');
+  const selection = getEditorSelection(element);
+  if (selection?.rangeCount > 0) {
+    selection.getRangeAt(0).insertNode(node);
+  } else {
+    element.appendChild(node);
+  }
+  return node;
+}
+
+// Compose text the way an input method editor does. Each update fires keydown (key "Process",
+// keyCode 229), compositionupdate (after compositionstart the first time), beforeinput and input
+// (insertCompositionText) and keyup, all with isComposing set, while the field shows the
+// intermediate string. Enter then commits: compositionend, followed by the final input.
+async function simulateComposition(element, updates, delay) {
+  const isEditor = element.isContentEditable;
+  const before = isEditor ? '' : getFieldValue(element);
+  const node = isEditor ? insertCompositionNode(element) : null;
+  const keyInit = { key: 'Process', keyCode: 229, isComposing: true, bubbles: true, cancelable: true, composed: true };
+  const eventInit = { bubbles: true, composed: true };
+
+  for (const [index, text] of updates.entries()) {
+    element.dispatchEvent(new KeyboardEvent('keydown', keyInit));
+    if (index === 0) {
+      element.dispatchEvent(new CompositionEvent('compositionstart', { ...eventInit, data: '' }));
+    }
+    element.dispatchEvent(new CompositionEvent('compositionupdate', { ...eventInit, data: text }));
+
+    const inputInit = { ...eventInit, inputType: 'insertCompositionText', data: text, isComposing: true };
+    element.dispatchEvent(new InputEvent('beforeinput', inputInit));
+    if (isEditor) {
+      node.data = text;
+      getEditorSelection(element)?.collapse(node, node.length);
+    } else {
+      setNativeValue(element, before + text);
+    }
+    element.dispatchEvent(new InputEvent('input', inputInit));
+    element.dispatchEvent(new KeyboardEvent('keyup', keyInit));
+    await pauseTyping(delay);
+  }
+
+  const text = updates[updates.length - 1];
+  element.dispatchEvent(new KeyboardEvent('keydown', { ...keyInit, key: 'Enter' }));
+  element.dispatchEvent(new CompositionEvent('compositionend', { ...eventInit, data: text }));
+  element.dispatchEvent(new InputEvent('input', { ...eventInit, inputType: 'insertFromComposition', data: text, isComposing: false }));
+  element.dispatchEvent(new KeyboardEvent('keyup', { ...keyInit, key: 'Enter', keyCode: 13, isComposing: false }));
+}
+
+// Replace the field value the way an input method editor enters it: text composed a few
+// characters at a time, whitespace typed between compositions (see buildCompositionSteps)
+async function composeIntoField(element, value, delay = DEFAULT_TYPING_DELAY) {
+  clearForTyping(element);
+  for (const { text, updates } of buildCompositionSteps(value)) {
+    if (updates) {
+      await simulateComposition(element, updates, delay);
+    } else {
+      await typeGraphemes(element, splitGraphemes(text), delay);
+    }
+  }
+  element.dispatchEvent(new Event('change', { bubbles: true }));
+}
+
+// How each mode writes a payload into one field of a batch selection.
+// Each resolves to whether the payload went in (the page can block a paste)
+const BATCH_INJECTORS = {
+  fillField: (field, { value, html }) => { injectValue(field, value, { html }); return true; },
+  appendField: (field, { value, html }) => { appendValue(field, value, { html }); return true; },
+  insertAtCaret: (field, { value, html }) => { insertValueAtCaret(field, value, { html }); return true; },
+  replaceSelection: (field, { value, html }) => { replaceSelectionValue(field, value, { html }); return true; },
+  pasteField: (field, { value }) => pasteValue(field, value),
+  typeField: (field, { value, delay }) => typeIntoField(field, value, delay).then(() => true),
+  composeField: (field, { value, delay }) => composeIntoField(field, value, delay).then(() => true)
+};
+
+// Inject a payload into every selected field with the mode's action, one field after another
+// (typing is slow, and editors take focus), then give focus back to the field that had it
+async function injectIntoBatch(message) {
+  const focused = getDeepActiveElement();
+  const fields = [];
+  let skipped = 0;
+
+  for (const field of getBatchFields()) {
+    if (field.disabled || field.readOnly) {
+      skipped++;
+      continue;
+    }
+    recordFieldValue(field);
+    if (await BATCH_INJECTORS[message.action](field, message)) {
+      fields.push(describeInjectionTarget(field));
+    } else {
+      skipped++;
+    }
+  }
+
+  if (focused?.isConnected && getDeepActiveElement() !== focused) {
+    focused.focus();
+  }
+
+  const summary = `Injected into ${fields.length} selected field${fields.length === 1 ? '' : 's'}`;
+  showNotification(withTransformNote(skipped > 0 ? `${summary}, ${skipped} skipped` : summary, message.transform), fields.length === 0);
+  if (fields.length === 0) {
+    return { success: false, error: 'No selected field took the payload', fields };
+  }
+  return { success: true, fields };
+}
+
+// Alt+click selects and deselects fields for batch injection
+document.addEventListener('click', (event) => {
+  if (!event.altKey) return;
+  const field = getBatchTarget(event.composedPath()[0]);
+  if (!isInjectable(field)) return;
+
+  toggleBatchField(field);
+  const count = getBatchFields().length;
+  showNotification(count === 0
+    ? 'Batch selection cleared'
+    : `${count} field${count === 1 ? '' : 's'} selected: payloads go into all of them (Esc to clear)`);
+}, true);
+
+// Esc clears the selection (unless it is closing the palette)
+document.addEventListener('keydown', (event) => {
+  if (event.key !== 'Escape' || isPaletteOpen() || getBatchFields().length === 0) return;
+  clearBatchSelection();
+  showNotification('Batch selection cleared');
+}, true);
+
+// Short human-readable name for a field in notifications
+function getFieldLabel(field, index) {
+  return field.getAttribute('name') || field.id || `${field.tagName.toLowerCase()} #${index + 1}`;
+}
+
+// Split a form's injectable fields into fillable ones and disabled/read-only ones
+function getFormFields(form) {
+  const fillable = [];
+  const skipped = [];
+
+  // form.elements leaves out fields inside shadow roots in the form (a component's own inputs)
+  const fields = new Set([...form.elements, ...querySelectorAllDeep('input, textarea, select', form)]);
+  [...fields].filter(isInjectable).forEach((field, i) => {
+    if (field.disabled) {
+      skipped.push({ field: getFieldLabel(field, i), reason: 'disabled' });
+    } else if (field.readOnly) {
+      skipped.push({ field: getFieldLabel(field, i), reason: 'read-only' });
+    } else {
+      fillable.push({ field, label: getFieldLabel(field, i) });
+    }
+  });
+
+  return { fillable, skipped };
+}
+
+// Find the form containing the focused field. closest() stops at a shadow root, so a field in a
+// component inside a form is looked up from each shadow host in turn
+function getFocusedForm() {
+  const activeElement = getDeepActiveElement();
+  if (!activeElement) return null;
+  if (activeElement.form) return activeElement.form;
+  for (let node = activeElement; node; node = node.getRootNode().host) {
+    const form = node.closest('form');
+    if (form) return form;
+  }
+  return null;
+}
+
+// Fill every injectable field of a form, skipping disabled and read-only fields
+function fillForm(form, values, strategy) {
+  const { fillable, skipped } = getFormFields(form);
+  const assigned = assignFormValues(fillable.length, values, strategy);
+  const filled = []; // { field, value } for the session log
+  let filledCount = 0;
+
+  fillable.forEach(({ field, label }, i) => {
+    if (assigned[i] === null) {
+      skipped.push({ field: label, reason: 'no payload' });
+      return;
+    }
+    recordFieldValue(field);
+    injectValue(field, assigned[i]);
+    filled.push({ field: describeInjectionTarget(field), value: assigned[i] });
+    filledCount++;
+  });
+
+  return { filledCount, skipped, filled };
+}
+
+// Classify each fillable field of a form (same order fillForm fills them)
+function describeFormFields(form) {
+  return getFormFields(form).fillable.map(({ field }) => classifyFieldPurpose({
+    tagName: field.tagName,
+    type: getPageAttribute(field, 'type') || 'text',
+    name: field.getAttribute('name') || '',
+    id: field.getAttribute('id') || '',
+    autocomplete: field.getAttribute('autocomplete') || '',
+    placeholder: field.getAttribute('placeholder') || '',
+    labelText: getLabelText(field)
+  }));
+}
+
 // Listen for messages
 chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
   // Note: toggle is handled by chrome.storage.onChanged listener (lines 31-50)
   // which properly manages reconcileInterval and works across all frames
 
+  // Keyboard commands are sent to every frame; only the focused one answers
+  if (message.requireFocus && !hasKeyboardFocus()) return false;
+
+  // Fields selected with Alt+click take the payload instead of the focused field
+  if (BATCH_INJECTORS[message.action] && getBatchFields().length > 0) {
+    injectIntoBatch(message).then(sendResponse);
+    return true; // Keep channel open for async response
+  }
+
   if (message.action === 'fillField') {
     // Replace field value with payload
-    const activeElement = document.activeElement;
+    const activeElement = getTargetField(sendResponse);
+    if (!activeElement) return true;
 
-    if (!isInjectable(activeElement)) {
-      showNotification('No text field focused', true);
-      sendResponse({ success: false, error: 'No valid field focused' });
+    injectValue(activeElement, message.value, { html: message.html });
+    notifyTransform(message.transform);
+    sendResponse({ success: true, field: describeInjectionTarget(activeElement) });
+  } else if (message.action === 'appendField') {
+    // Append payload to existing field value
+    const activeElement = getTargetField(sendResponse);
+    if (!activeElement) return true;
+
+    appendValue(activeElement, message.value, { html: message.html });
+    notifyTransform(message.transform);
+    sendResponse({ success: true, field: describeInjectionTarget(activeElement) });
+  } else if (message.action === 'insertAtCaret') {
+    // Insert payload at the caret, keeping the rest of the value
+    const activeElement = getTargetField(sendResponse);
+    if (!activeElement) return true;
+
+    insertValueAtCaret(activeElement, message.value, { html: message.html });
+    notifyTransform(message.transform);
+    sendResponse({ success: true, field: describeInjectionTarget(activeElement) });
+  } else if (message.action === 'replaceSelection') {
+    // Replace only the selected text with the payload
+    const activeElement = getTargetField(sendResponse);
+    if (!activeElement) return true;
+
+    replaceSelectionValue(activeElement, message.value, { html: message.html });
+    notifyTransform(message.transform);
+    sendResponse({ success: true, field: describeInjectionTarget(activeElement) });
+  } else if (message.action === 'pasteField') {
+    // Paste through a real paste event; the page may cancel it
+    const activeElement = getTargetField(sendResponse);
+    if (!activeElement) return true;
+
+    const field = describeInjectionTarget(activeElement);
+    if (pasteValue(activeElement, message.value)) {
+      notifyTransform(message.transform);
+      sendResponse({ success: true, field });
+    } else {
+      showNotification('Paste was blocked by the page', true);
+      sendResponse({ success: false, error: 'Paste was blocked by the page', field });
+    }
+  } else if (message.action === 'typeField') {
+    // Type payload keystroke by keystroke
+    const activeElement = getTargetField(sendResponse);
+    if (!activeElement) return true;
+
+    typeIntoField(activeElement, message.value, message.delay).then(() => {
+      notifyTransform(message.transform);
+      sendResponse({ success: true, field: describeInjectionTarget(activeElement) });
+    });
+    return true; // Keep channel open for async response
+  } else if (message.action === 'composeField') {
+    // Enter the payload through simulated IME compositions
+    const activeElement = getTargetField(sendResponse);
+    if (!activeElement) return true;
+
+    composeIntoField(activeElement, message.value, message.delay).then(() => {
+      notifyTransform(message.transform);
+      sendResponse({ success: true, field: describeInjectionTarget(activeElement) });
+    });
+    return true; // Keep channel open for async response
+  } else if (message.action === 'fillForm') {
+    // Fill every field of the form containing the focused field
+    const form = getFocusedForm();
+
+    if (!form) {
+      showNotification('Focused field is not inside a form', true);
+      sendResponse({ success: false, error: 'No form found' });
       return true;
     }
 
-    if (activeElement.disabled || activeElement.readOnly) {
-      showNotification('Field is disabled or read-only', true);
-      sendResponse({ success: false, error: 'Field is disabled or read-only' });
+    const { filledCount, skipped, filled } = fillForm(form, message.values, message.strategy);
+    showNotification(withTransformNote(formatFillSummary(filledCount, skipped), message.transform), filledCount === 0);
+    sendResponse({ success: filledCount > 0, filledCount, skipped, filled });
+  } else if (message.action === 'describeForm') {
+    // Report the purpose of each fillable field for smart fill
+    const form = getFocusedForm();
+
+    if (!form) {
+      showNotification('Focused field is not inside a form', true);
+      sendResponse({ success: false, error: 'No form found' });
       return true;
     }
 
-    if (activeElement.isContentEditable) {
-      activeElement.textContent = message.value;
+    sendResponse({ success: true, purposes: describeFormFields(form) });
+  } else if (message.action === 'copyToClipboard') {
+    // Copy payload to clipboard
+    navigator.clipboard.writeText(message.value).then(() => {
+      showNotification(withTransformNote('Copied to clipboard', message.transform));
+      sendResponse({ success: true });
+    }).catch(() => {
+      showNotification('Failed to copy to clipboard', true);
+      sendResponse({ success: false, error: 'Clipboard access denied' });
+    });
+    return true; // Keep channel open for async response
+  } else if (message.action === 'attachFile') {
+    // Keyboard commands and palette picks (requireFocus) use the focused element, menu clicks
+    // the element right-clicked
+    const element = message.requireFocus ? getDeepActiveElement() : (lastContextTarget || getDeepActiveElement());
+    lastContextTarget = null;
+    const result = attachFilePayload(element, message.file);
+    const description = describeFileSpec(message.file);
+    if (result.success) {
+      showNotification(`${result.target === 'input' ? 'Attached' : 'Dropped'} ${description}`);
     } else {
-      activeElement.value = message.value;
+      showNotification(result.error, true);
     }
-    activeElement.dispatchEvent(new Event('input', { bubbles: true }));
-    activeElement.dispatchEvent(new Event('change', { bubbles: true }));
-    sendResponse({ success: true });
-  } else if (message.action === 'appendField') {
-    // Append payload to existing field value
-    const activeElement = document.activeElement;
-
-    if (!isInjectable(activeElement)) {
+    sendResponse(result);
+  } else if (message.action === 'undoInjection' || message.action === 'restoreOriginalValue') {
+    // Undo applies to the focused field; the context menu focuses it on right-click
+    const field = getDeepActiveElement();
+    if (!isInjectable(field)) {
       showNotification('No text field focused', true);
       sendResponse({ success: false, error: 'No valid field focused' });
       return true;
     }
 
-    if (activeElement.disabled || activeElement.readOnly) {
-      showNotification('Field is disabled or read-only', true);
-      sendResponse({ success: false, error: 'Field is disabled or read-only' });
+    const result = message.action === 'undoInjection' ? undoInjection(field) : restoreOriginalValue(field);
+    if (!result.success) {
+      showNotification(result.error, true);
+    } else if (message.action === 'restoreOriginalValue') {
+      showNotification('Original value restored');
+    } else {
+      showNotification(result.remaining > 0 ? `Injection undone (${result.remaining} more to undo)` : 'Injection undone');
+    }
+    sendResponse(result);
+  } else if (message.action === 'saveFormState') {
+    // Save the form around the focused field under a name the user picks
+    const form = getFocusedForm();
+
+    if (!form) {
+      showNotification('Focused field is not inside a form', true);
+      sendResponse({ success: false, error: 'No form found' });
       return true;
     }
 
-    if (activeElement.isContentEditable) {
-      activeElement.textContent += message.value;
-    } else {
-      activeElement.value += message.value;
+    getPageSnapshots((snapshots) => {
+      const name = prompt('Save form state as (an existing name is replaced):', `Form state ${snapshots.length + 1}`)?.trim();
+      if (!name) {
+        sendResponse({ success: false, error: 'Cancelled' });
+        return;
+      }
+      saveFormSnapshot(form, name, (snapshot) => {
+        const count = snapshot.fields.length;
+        showNotification(`Saved form state "${name}" (${count} field${count === 1 ? '' : 's'})`);
+        sendResponse({ success: true, name, fieldCount: count });
+      });
+    });
+    return true; // Keep channel open for async response
+  } else if (message.action === 'restoreFormState') {
+    // Choose one of this page's saved states in the palette and restore it into the focused form
+    const form = getFocusedForm();
+
+    if (!form) {
+      showNotification('Focused field is not inside a form', true);
+      sendResponse({ success: false, error: 'No form found' });
+      return true;
     }
-    activeElement.dispatchEvent(new Event('input', { bubbles: true }));
-    activeElement.dispatchEvent(new Event('change', { bubbles: true }));
-    sendResponse({ success: true });
-  } else if (message.action === 'copyToClipboard') {
-    // Copy payload to clipboard
-    navigator.clipboard.writeText(message.value).then(() => {
-      showNotification('Copied to clipboard');
+
+    getPageSnapshots((snapshots) => {
+      if (snapshots.length === 0) {
+        showNotification('No saved form states for this page', true);
+        sendResponse({ success: false, error: 'No saved form states' });
+        return;
+      }
+      openPalette(buildSnapshotEntries(snapshots), {
+        label: 'Restore form state',
+        placeholder: 'Search saved form states by name or date…',
+        action: 'restore',
+        emptyText: 'No matching form states',
+        onSelect: (entry) => {
+          const { restored, missing } = restoreFormState(form, entry.snapshot.fields);
+          const note = missing > 0 ? `, ${missing} not found` : '';
+          showNotification(`Restored "${entry.name}" (${restored} field${restored === 1 ? '' : 's'}${note})`);
+        }
+      });
       sendResponse({ success: true });
-    }).catch(() => {
-      showNotification('Failed to copy to clipboard', true);
-      sendResponse({ success: false, error: 'Clipboard access denied' });
     });
     return true; // Keep channel open for async response
+  } else if (message.action === 'openPalette') {
+    // Search every payload; the choice comes back through background as a normal injection
+    openPalette(message.entries);
+    sendResponse({ success: true });
+  } else if (message.action === 'setValidationBypass') {
+    // Popup switched the tab's validation bypass; every frame applies it
+    const count = setValidationBypass(message.enabled);
+    sendResponse({ success: true, count });
   } else if (message.action === 'showNotification') {
     // Show a notification from background script
     showNotification(message.message, message.isError || false);
@@ -190,31 +814,44 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
   return true;
 });
 
-function analyzeField(field) {
-  // Skip elements that aren't visible or have no dimensions (DOM-specific check)
+// Get the text of labels associated with a field (for= and wrapping labels)
+function getLabelText(field) {
+  let labelText = '';
+  if (field.id) {
+    // Use CSS.escape to prevent selector injection from malicious IDs. IDs are scoped to
+    // the field's tree, so a field inside a shadow root has its label in the same root
+    const label = field.getRootNode().querySelector(`label[for="${CSS.escape(field.id)}"]`);
+    if (label) labelText = label.textContent;
+  }
+  const parentLabel = field.closest('label');
+  if (parentLabel) labelText += ' ' + parentLabel.textContent;
+  return labelText;
+}
+
+// Whether a field takes up space on the page (DOM-specific check)
+function isFieldVisible(field) {
   const rect = field.getBoundingClientRect();
   if (rect.width === 0 || rect.height === 0) {
-    return null;
+    return false;
   }
   const style = window.getComputedStyle(field);
-  if (style.display === 'none' || style.visibility === 'hidden' || style.opacity === '0') {
+  return style.display !== 'none' && style.visibility !== 'hidden' && style.opacity !== '0';
+}
+
+function analyzeField(field) {
+  // Skip elements that aren't visible or have no dimensions
+  if (!isFieldVisible(field)) {
     return null;
   }
 
   // Get associated label text (DOM-specific)
-  let labelText = '';
-  if (field.id) {
-    // Use CSS.escape to prevent selector injection from malicious IDs
-    const label = document.querySelector(`label[for="${CSS.escape(field.id)}"]`);
-    if (label) labelText = label.textContent;
-  }
-  const parentLabel = field.closest('label');
-  if (parentLabel) labelText += ' ' + parentLabel.textContent;
+  const labelText = getLabelText(field);
 
   // Use the pure analysis function from analysis.js
   const result = analyzeFieldAttributes({
     tagName: field.tagName,
-    type: field.getAttribute('type') || 'text',
+    // The page's own type, not the text type a validation bypass swapped in
+    type: getPageAttribute(field, 'type') || 'text',
     name: field.getAttribute('name') || '',
     id: field.getAttribute('id') || '',
     autocomplete: field.getAttribute('autocomplete') || '',
@@ -233,8 +870,20 @@ function analyzeField(field) {
   };
 }
 
+// Tooltip lines listing the constraints the validation bypass removed from a field
+function formatBypassChanges(changes) {
+  if (changes.length === 0) return '';
+  let content = `<strong>Validation bypassed:</strong><br>`;
+  changes.forEach(change => {
+    content += `• ${escapeHtml(describeBypassChange(change))}<br>`;
+  });
+  return content;
+}
+
+// Overlay with a badge and tooltip for a field; an analysis without risks makes a bypass-only overlay
 function createOverlay(analysis) {
   const { element, riskLevel, risks, attributes } = analysis;
+  const bypassOnly = risks.length === 0;
 
   // Remove existing overlay if any
   const existingOverlay = overlayMap.get(element);
@@ -243,7 +892,9 @@ function createOverlay(analysis) {
   }
 
   const overlay = document.createElement('div');
-  overlay.className = `autofill-detector-overlay autofill-risk-${riskLevel}`;
+  overlay.className = bypassOnly
+    ? 'autofill-detector-overlay autofill-bypass-only'
+    : `autofill-detector-overlay autofill-risk-${riskLevel}`;
 
   // Position overlay using fixed positioning
   // This handles CSS transforms correctly since getBoundingClientRect()
@@ -259,8 +910,8 @@ function createOverlay(analysis) {
 
   // Create badge
   const badge = document.createElement('div');
-  badge.className = `autofill-detector-badge autofill-badge-${riskLevel}`;
-  badge.textContent = riskLevel.toUpperCase();
+  badge.className = `autofill-detector-badge autofill-badge-${bypassOnly ? 'bypass' : riskLevel}`;
+  badge.textContent = bypassOnly ? 'BYPASS' : riskLevel.toUpperCase();
   badge.style.position = 'absolute';
   badge.style.top = '-10px';
   badge.style.right = '-10px';
@@ -280,7 +931,7 @@ function createOverlay(analysis) {
   tooltipContent += `• type: ${escapeHtml(attributes.type)}<br><br>`;
   tooltipContent += `<strong>Analysis:</strong><br>`;
   risks.forEach(risk => {
-    const icon = risk.type === 'error' ? '🔴' : risk.type === 'warning' ? '🟡' : '🔵';
+    const icon = RISK_ICONS[risk.type] || RISK_ICONS.info;
     tooltipContent += `${icon} ${escapeHtml(risk.message)}<br>`;
   });
 
@@ -289,7 +940,13 @@ function createOverlay(analysis) {
     tooltipContent += `Add autocomplete="off" or autocomplete="one-time-code"`;
   }
 
-  tooltip.innerHTML = tooltipContent;
+  // A field shown only for the validation bypass has no analysis worth listing
+  tooltip.innerHTML = bypassOnly ? '' : tooltipContent;
+
+  // Constraints removed by the validation bypass, filled in each time the tooltip opens
+  const bypassSection = document.createElement('div');
+  bypassSection.className = 'autofill-detector-bypass';
+  tooltip.appendChild(bypassSection);
 
   // Helper to hide tooltip
   const hideTooltip = () => {
@@ -303,6 +960,8 @@ function createOverlay(analysis) {
   badge.addEventListener('mouseenter', () => {
     // Remove any other open tooltips first
     document.querySelectorAll('.autofill-detector-tooltip').forEach(el => el.remove());
+    const changes = formatBypassChanges(getBypassChanges(element));
+    bypassSection.innerHTML = changes && !bypassOnly ? `<br><br>${changes}` : changes;
 
     // Position tooltip relative to badge
     const badgeRect = badge.getBoundingClientRect();
@@ -346,6 +1005,7 @@ function createOverlay(analysis) {
   document.body.appendChild(overlay);
 
   overlayMap.set(element, overlay);
+  overlayFields.add(element);
 
   return overlay;
 }
@@ -355,7 +1015,7 @@ function scanPage() {
 
   fieldStats = { high: 0, medium: 0, low: 0, total: 0 };
 
-  const fields = document.querySelectorAll('input, textarea, select');
+  const fields = querySelectorAllDeep('input, textarea, select');
 
   fields.forEach(field => {
     const analysis = analyzeField(field);
@@ -367,6 +1027,8 @@ function scanPage() {
       createOverlay(analysis);
       fieldStats[analysis.riskLevel]++;
       fieldStats.total++;
+    } else if (!analysis && getBypassChanges(field).length > 0 && isFieldVisible(field)) {
+      createBypassOverlay(field);
     }
   });
 
@@ -391,6 +1053,7 @@ function reconcileStats() {
     if (overlay.classList.contains('autofill-risk-high')) actual.high++;
     else if (overlay.classList.contains('autofill-risk-medium')) actual.medium++;
     else if (overlay.classList.contains('autofill-risk-low')) actual.low++;
+    else return; // validation bypass only, not a risk
     actual.total++;
   });
 
@@ -429,11 +1092,12 @@ function removeAllOverlays() {
   });
   document.querySelectorAll('.autofill-detector-overlay').forEach(el => el.remove());
   document.querySelectorAll('.autofill-detector-tooltip').forEach(el => el.remove());
-  document.querySelectorAll('input, textarea, select').forEach(field => {
+  querySelectorAllDeep('input, textarea, select').forEach(field => {
     analyzedFields.delete(field);
     overlayMap.delete(field);
     tooltipMap.delete(field);
   });
+  overlayFields.clear();
 }
 
 function stopObserving() {
@@ -443,6 +1107,14 @@ function stopObserving() {
   }
 }
 
+const DOM_OBSERVER_OPTIONS = { childList: true, subtree: true };
+
+// Form fields in an added or removed subtree: the node itself or any descendant, shadow trees included
+function findFieldsIn(node) {
+  if (node.matches && node.matches('input, textarea, select')) return [node];
+  return querySelectorAllDeep('input, textarea, select', node);
+}
+
 function observeDOM() {
   // Prevent multiple observers
   if (domObserver) return;
@@ -455,25 +1127,18 @@ function observeDOM() {
 
     for (const mutation of mutations) {
       if (mutation.type === 'childList') {
-        // Check for added form fields
+        // Check for added form fields, including those inside shadow roots the nodes carry
         for (const node of mutation.addedNodes) {
           if (node.nodeType === Node.ELEMENT_NODE) {
-            if (node.matches && node.matches('input, textarea, select')) {
-              newFields.push(node);
-            } else if (node.querySelectorAll) {
-              newFields.push(...node.querySelectorAll('input, textarea, select'));
-            }
+            newFields.push(...findFieldsIn(node));
+            observeShadowRoots(domObserver, node, DOM_OBSERVER_OPTIONS);
           }
         }
 
         // Check for removed form fields
         for (const node of mutation.removedNodes) {
           if (node.nodeType === Node.ELEMENT_NODE) {
-            if (node.matches && node.matches('input, textarea, select')) {
-              removedFields.push(node);
-            } else if (node.querySelectorAll) {
-              removedFields.push(...node.querySelectorAll('input, textarea, select'));
-            }
+            removedFields.push(...findFieldsIn(node));
           }
         }
       }
@@ -481,25 +1146,7 @@ function observeDOM() {
 
     // Clean up overlays for removed fields
     for (const field of removedFields) {
-      const overlay = overlayMap.get(field);
-      if (overlay) {
-        // Clear tooltip timeout on badge to prevent orphaned references
-        const badge = overlay.querySelector('.autofill-detector-badge');
-        if (badge) {
-          const timeout = tooltipTimeoutMap.get(badge);
-          if (timeout) {
-            clearTimeout(timeout);
-            tooltipTimeoutMap.delete(badge);
-          }
-        }
-        overlay.remove();
-        overlayMap.delete(field);
-      }
-      const tooltip = tooltipMap.get(field);
-      if (tooltip) {
-        tooltip.remove();
-        tooltipMap.delete(field);
-      }
+      removeOverlay(field);
       // Remove from cache and update stats
       const cached = analyzedFields.get(field);
       if (cached) {
@@ -511,24 +1158,7 @@ function observeDOM() {
 
     // Analyze only new fields
     if (newFields.length > 0) {
-      clearTimeout(rescanTimeout);
-      rescanTimeout = setTimeout(() => {
-        for (const field of newFields) {
-          if (analyzedFields.has(field)) continue;
-
-          const analysis = analyzeField(field);
-          analyzedFields.set(field, analysis);
-
-          if (analysis && analysis.risks.length > 0) {
-            createOverlay(analysis);
-            fieldStats[analysis.riskLevel]++;
-            fieldStats.total++;
-          }
-        }
-        updateBadge();
-        // Reconcile stats after mutation batch to catch any drift
-        reconcileStats();
-      }, 100);
+      analyzeAddedFields(newFields);
     } else if (removedFields.length > 0) {
       // Update badge if fields were removed
       updateBadge();
@@ -537,19 +1167,90 @@ function observeDOM() {
     }
   });
 
-  domObserver.observe(document.body, {
-    childList: true,
-    subtree: true
-  });
+  domObserver.observe(document.body, DOM_OBSERVER_OPTIONS);
+  observeShadowRoots(domObserver, document.body, DOM_OBSERVER_OPTIONS);
+}
+
+// Remove a field's overlay and tooltip
+function removeOverlay(field) {
+  const overlay = overlayMap.get(field);
+  if (overlay) {
+    // Clear tooltip timeout on badge to prevent orphaned references
+    const badge = overlay.querySelector('.autofill-detector-badge');
+    if (badge) {
+      const timeout = tooltipTimeoutMap.get(badge);
+      if (timeout) {
+        clearTimeout(timeout);
+        tooltipTimeoutMap.delete(badge);
+      }
+    }
+    overlay.remove();
+    overlayMap.delete(field);
+    overlayFields.delete(field);
+  }
+  const tooltip = tooltipMap.get(field);
+  if (tooltip) {
+    tooltip.remove();
+    tooltipMap.delete(field);
+  }
+}
+
+// Analyze fields that appeared since the last batch (debounced, so a burst of mutations is one pass)
+function analyzeAddedFields(fields) {
+  fields.forEach(field => pendingAnalysisFields.add(field));
+  clearTimeout(rescanTimeout);
+  rescanTimeout = setTimeout(() => {
+    for (const field of pendingAnalysisFields) {
+      if (analyzedFields.has(field)) continue;
+
+      const analysis = analyzeField(field);
+      analyzedFields.set(field, analysis);
+
+      if (analysis && analysis.risks.length > 0) {
+        createOverlay(analysis);
+        fieldStats[analysis.riskLevel]++;
+        fieldStats.total++;
+      } else if (!analysis && getBypassChanges(field).length > 0 && isFieldVisible(field)) {
+        createBypassOverlay(field);
+      }
+    }
+    pendingAnalysisFields.clear();
+    updateBadge();
+    // Reconcile stats after mutation batch to catch any drift
+    reconcileStats();
+  }, 100);
 }
 
+// Fields the autofill analysis skips (selects, checkboxes, file inputs) get an overlay while the
+// validation bypass has changed them, so its tooltip can list what was removed
+function createBypassOverlay(field) {
+  return createOverlay({ element: field, riskLevel: 'low', risks: [], attributes: {} });
+}
+
+onValidationBypassChange((element, bypassed) => {
+  if (!isEnabled || !element.matches('input, textarea, select')) return;
+  const overlay = overlayMap.get(element);
+  if (bypassed && !overlay && isFieldVisible(element) && !analyzeField(element)) {
+    createBypassOverlay(element);
+  } else if (!bypassed && overlay?.classList.contains('autofill-bypass-only')) {
+    removeOverlay(element);
+  }
+});
+
+// Shadow roots attached after their host was inserted (e.g. a custom element upgraded later)
+onLateShadowRoot((shadowRoot) => {
+  if (!isEnabled || !domObserver) return;
+  domObserver.observe(shadowRoot, DOM_OBSERVER_OPTIONS);
+  analyzeAddedFields(querySelectorAllDeep('input, textarea, select', shadowRoot));
+});
+
 // Handle scroll and resize to reposition overlays
 let repositionTimeout = null;
 function repositionOverlays() {
   clearTimeout(repositionTimeout);
   repositionTimeout = setTimeout(() => {
     // Update positions of existing overlays without recreating them
-    document.querySelectorAll('input, textarea, select').forEach(field => {
+    overlayFields.forEach(field => {
       const overlay = overlayMap.get(field);
       if (!overlay) return;
 
@@ -584,6 +1285,7 @@ function clearRescanTimeout() {
     clearTimeout(rescanTimeout);
     rescanTimeout = null;
   }
+  pendingAnalysisFields.clear();
 }
 
 // Hide tooltips and reposition overlays on scroll/resize
@@ -621,7 +1323,29 @@ if (typeof module !== 'undefined' && module.exports) {
   module.exports = {
     isInjectable,
     showNotification,
+    withTransformNote,
+    hasKeyboardFocus,
+    notifyTransform,
+    getTargetField,
+    recordFieldValue,
+    undoInjection,
+    restoreOriginalValue,
+    describeInjectionTarget,
+    getFieldConstraints,
+    reportFieldConstraints,
+    findFileInput,
+    attachFilePayload,
+    simulateKeystroke,
+    simulateEditorKeystroke,
+    typeIntoField,
+    simulateComposition,
+    composeIntoField,
+    injectIntoBatch,
+    fillForm,
+    describeFormFields,
+    getLabelText,
     analyzeField,
+    formatBypassChanges,
     createOverlay,
     scanPage,
     updateBadge,
@@ -630,6 +1354,7 @@ if (typeof module !== 'undefined' && module.exports) {
     startReconcileInterval,
     stopReconcileInterval,
     stopObserving,
+    findFieldsIn,
     observeDOM,
     repositionOverlays,
     clearRepositionTimeout,
@@ -29,21 +29,72 @@ global.chrome = mockChrome;
 // Import shared utilities (makes DEFAULT_FORBIDDEN_WORDS available globally before wordscanner.js)
 const utils = require('./utils');
 global.DEFAULT_FORBIDDEN_WORDS = utils.DEFAULT_FORBIDDEN_WORDS;
+global.DEFAULT_TYPING_DELAY = utils.DEFAULT_TYPING_DELAY;
+global.splitGraphemes = utils.splitGraphemes;
+global.buildCompositionSteps = utils.buildCompositionSteps;
+global.assignFormValues = utils.assignFormValues;
+global.formatFillSummary = utils.formatFillSummary;
+global.buildFileBytes = utils.buildFileBytes;
+global.describeFileSpec = utils.describeFileSpec;
+global.TextEncoder = require('util').TextEncoder;
+
+// jsdom has no drag and drop or clipboard API; minimal stand-ins with the parts dropFiles and pasteValue use
+global.DataTransfer = class DataTransfer {
+  constructor() {
+    this.files = [];
+    this.items = { add: file => this.files.push(file) };
+    this.data = new Map();
+  }
+  setData(type, value) {
+    this.data.set(type, value);
+  }
+};
+global.ClipboardEvent = class ClipboardEvent extends Event {
+  constructor(type, init = {}) {
+    super(type, init);
+    this.clipboardData = init.clipboardData ?? null;
+  }
+};
+global.DragEvent = class DragEvent extends MouseEvent {
+  constructor(type, init = {}) {
+    super(type, init);
+    this.dataTransfer = init.dataTransfer ?? null;
+  }
+};
 
 // Import pure functions from analysis.js
 const {
   analyzeFieldAttributes,
+  classifyFieldPurpose,
   escapeHtml,
-  isInjectableElement
+  isInjectableElement,
+  planValidationBypass,
+  describeBypassChange,
+  VALIDATION_CONSTRAINT_ATTRIBUTES
 } = require('./analysis');
 
+// Import shadow DOM helpers (content.js, wordscanner.js and palette.js expect these as globals)
+Object.assign(global, require('./dom'));
+
+// Import injection layer (content.js expects these as globals)
+const injection = require('./injection');
+Object.assign(global, injection);
+
 // Import Word Scanner functions for testing
 const wordscanner = require('./wordscanner');
 
 // Make analysis.js functions available globally (as content.js expects)
 global.analyzeFieldAttributes = analyzeFieldAttributes;
+global.classifyFieldPurpose = classifyFieldPurpose;
 global.escapeHtml = escapeHtml;
 global.isInjectableElement = isInjectableElement;
+global.planValidationBypass = planValidationBypass;
+global.describeBypassChange = describeBypassChange;
+global.VALIDATION_CONSTRAINT_ATTRIBUTES = VALIDATION_CONSTRAINT_ATTRIBUTES;
+
+// Import validation bypass (content.js expects these as globals)
+const validation = require('./validation');
+Object.assign(global, validation);
 
 // Polyfill CSS.escape for jsdom (not available by default)
 if (typeof CSS === 'undefined') {
@@ -83,8 +134,18 @@ if (typeof CSS.escape !== 'function') {
   };
 }
 
+// Import form snapshots (content.js expects these as globals); the palette is stubbed to see what it is opened with
+Object.assign(global, { escapePreview: utils.escapePreview }, require('./formstate'));
+global.openPalette = jest.fn();
+global.isPaletteOpen = jest.fn(() => false);
+
+// Import batch selection (content.js expects these as globals)
+const batch = require('./batch');
+Object.assign(global, batch);
+
 // Import content.js functions (after chrome mock and globals are set up)
 const content = require('./content');
+const messageListener = mockChrome.runtime.onMessage.addListener.mock.calls[0][0];
 
 // Helper to create a test input field
 function createInput(attrs = {}) {
@@ -256,6 +317,99 @@ describe('content.js DOM functions', () => {
       expect(tooltip.innerHTML).toContain('&lt;script&gt;');
       expect(tooltip.innerHTML).not.toContain('<script>alert');
     });
+
+    test('marks invalid autocomplete findings with their own icon', () => {
+      const input = createVisibleInput({ type: 'text' });
+      const analysis = {
+        element: input,
+        riskLevel: 'medium',
+        risks: [{ type: 'invalid', message: 'autocomplete="email shipping" - Invalid' }],
+        attributes: {
+          tagName: 'input', type: 'text',
+          name: '', id: '', autocomplete: 'email shipping', placeholder: ''
+        }
+      };
+
+      content.createOverlay(analysis);
+      const tooltip = content.getTooltipMap().get(input);
+      expect(tooltip.innerHTML).toContain('🟠 autocomplete=');
+    });
+  });
+
+  describe('validation bypass', () => {
+    afterEach(() => {
+      validation.setValidationBypass(false);
+    });
+
+    test('the tooltip lists the constraints that were removed', () => {
+      const input = createVisibleInput({ type: 'email', maxlength: '10', required: '' });
+      const overlay = content.createOverlay(content.analyzeField(input));
+      const badge = overlay.querySelector('.autofill-detector-badge');
+
+      validation.setValidationBypass(true);
+      badge.dispatchEvent(new Event('mouseenter'));
+      const tooltip = content.getTooltipMap().get(input);
+      expect(tooltip.textContent).toContain('Validation bypassed:');
+      expect(tooltip.textContent).toContain('maxlength="10"');
+      expect(tooltip.textContent).toContain('required');
+      expect(tooltip.textContent).toContain('type="email" → "text"');
+
+      validation.setValidationBypass(false);
+      badge.dispatchEvent(new Event('mouseenter'));
+      expect(tooltip.textContent).not.toContain('Validation bypassed');
+    });
+
+    test('fields the autofill analysis skips get a tooltip while bypassed', () => {
+      document.body.innerHTML = '<select name="country" required><option>GB</option></select>';
+      const input = document.querySelector('select');
+      input.getBoundingClientRect = () => ({ width: 200, height: 30, top: 100, left: 100, right: 300, bottom: 130 });
+      content.scanPage();
+      expect(content.getOverlayMap().has(input)).toBe(false);
+
+      validation.setValidationBypass(true);
+      const overlay = content.getOverlayMap().get(input);
+      expect(overlay.classList.contains('autofill-bypass-only')).toBe(true);
+      overlay.querySelector('.autofill-detector-badge').dispatchEvent(new Event('mouseenter'));
+      const tooltip = content.getTooltipMap().get(input);
+      expect(tooltip.textContent).toContain('Validation bypassed:');
+      expect(tooltip.textContent).toContain('required');
+      expect(tooltip.textContent).not.toContain('Autofill Risk');
+
+      content.reconcileStats();
+      expect(content.getFieldStats().total).toBe(0);
+
+      validation.setValidationBypass(false);
+      expect(content.getOverlayMap().has(input)).toBe(false);
+    });
+
+    test('switching the bypass off keeps the overlays of risky fields', () => {
+      const input = createVisibleInput({ type: 'email', maxlength: '10' });
+      content.scanPage();
+      const overlay = content.getOverlayMap().get(input);
+
+      validation.setValidationBypass(true);
+      validation.setValidationBypass(false);
+
+      expect(content.getOverlayMap().get(input)).toBe(overlay);
+    });
+
+    test('analysis still sees the page\'s own input type', () => {
+      const input = createVisibleInput({ type: 'email' });
+      validation.setValidationBypass(true);
+
+      expect(input.getAttribute('type')).toBe('text');
+      expect(content.analyzeField(input).attributes.type).toBe('email');
+    });
+
+    test('the setValidationBypass message switches the bypass and reports the count', () => {
+      createInput({ maxlength: '5' });
+      const sendResponse = jest.fn();
+
+      messageListener({ action: 'setValidationBypass', enabled: true }, {}, sendResponse);
+
+      expect(sendResponse).toHaveBeenCalledWith({ success: true, count: 1 });
+      expect(validation.getValidationBypassEnabled()).toBe(true);
+    });
   });
 
   describe('overlay cleanup via removeAllOverlays', () => {
@@ -403,6 +557,1052 @@ describe('content.js DOM functions', () => {
     });
   });
 
+  describe('field constraints for boundaries', () => {
+    afterEach(() => {
+      validation.setValidationBypass(false);
+    });
+
+    test('getFieldConstraints reads the constraint attributes', () => {
+      const input = createInput({ maxlength: '8', pattern: '[a-z]+' });
+      expect(content.getFieldConstraints(input)).toEqual({
+        type: null, maxlength: '8', minlength: null, min: null, max: null, step: null, pattern: '[a-z]+'
+      });
+    });
+
+    test('getFieldConstraints sees constraints the validation bypass removed', () => {
+      const input = createInput({ type: 'number', min: '1', max: '9' });
+      validation.setValidationBypass(true);
+
+      expect(input.hasAttribute('min')).toBe(false);
+      expect(content.getFieldConstraints(input)).toMatchObject({ type: 'number', min: '1', max: '9' });
+    });
+
+    test('focusing a field reports its constraints to the background', () => {
+      const input = createInput({ minlength: '2' });
+      mockChrome.runtime.sendMessage.mockClear();
+      input.focus();
+
+      expect(mockChrome.runtime.sendMessage).toHaveBeenCalledWith({
+        action: 'fieldConstraints',
+        constraints: expect.objectContaining({ minlength: '2', maxlength: null })
+      });
+    });
+
+    test('right-clicking a field inside a shadow root reports it', () => {
+      const host = document.createElement('div');
+      document.body.appendChild(host);
+      const input = document.createElement('input');
+      input.setAttribute('maxlength', '4');
+      host.attachShadow({ mode: 'open' }).appendChild(input);
+      mockChrome.runtime.sendMessage.mockClear();
+
+      input.dispatchEvent(new MouseEvent('contextmenu', { bubbles: true, composed: true }));
+
+      expect(mockChrome.runtime.sendMessage).toHaveBeenCalledWith({
+        action: 'fieldConstraints',
+        constraints: expect.objectContaining({ maxlength: '4' })
+      });
+    });
+
+    test('non-editable elements are not reported', () => {
+      const button = document.createElement('button');
+      document.body.appendChild(button);
+      mockChrome.runtime.sendMessage.mockClear();
+      button.dispatchEvent(new MouseEvent('contextmenu', { bubbles: true }));
+
+      expect(mockChrome.runtime.sendMessage).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('file payloads', () => {
+    const spec = { name: 'eicar.com', type: 'application/octet-stream', content: 'X5O!' };
+
+    function rightClick(element) {
+      element.dispatchEvent(new MouseEvent('contextmenu', { bubbles: true, composed: true }));
+    }
+
+    test('findFileInput resolves inputs, their labels and wrappers', () => {
+      document.body.innerHTML = `
+        <input type="file" id="upload">
+        <label for="upload" id="for-label">Upload</label>
+        <label id="wrapping"><span id="inner">Pick</span><input type="file" id="wrapped"></label>
+        <div id="zone"><button id="button">Browse</button><input type="file" id="hidden" hidden></div>
+        <div id="plain"></div>`;
+      const byId = id => document.getElementById(id);
+
+      expect(content.findFileInput(byId('upload'))).toBe(byId('upload'));
+      expect(content.findFileInput(byId('for-label'))).toBe(byId('upload'));
+      expect(content.findFileInput(byId('inner'))).toBe(byId('wrapped'));
+      expect(content.findFileInput(byId('zone'))).toBe(byId('hidden'));
+      expect(content.findFileInput(byId('plain'))).toBeNull();
+      expect(content.findFileInput(null)).toBeNull();
+    });
+
+    // File input whose files can be set (jsdom only accepts a real FileList, which can't be built in tests)
+    function createFileInput() {
+      const input = createInput({ type: 'file' });
+      let files = input.files;
+      Object.defineProperty(input, 'files', { configurable: true, get: () => files, set: (value) => { files = value; } });
+      return input;
+    }
+
+    test('attachFile attaches to the right-clicked file input', () => {
+      const input = createFileInput();
+      const onChange = jest.fn();
+      input.addEventListener('change', onChange);
+      const sendResponse = jest.fn();
+
+      rightClick(input);
+      messageListener({ action: 'attachFile', file: spec, name: 'EICAR test file' }, {}, sendResponse);
+
+      expect(input.files[0].name).toBe('eicar.com');
+      expect(onChange).toHaveBeenCalled();
+      expect(sendResponse).toHaveBeenCalledWith({ success: true, target: 'input', field: expect.objectContaining({ type: 'file' }) });
+      expect(document.querySelector('.autofill-detector-notification').textContent)
+        .toBe('Attached eicar.com, 4 bytes, application/octet-stream');
+    });
+
+    test('attachFile drops on a right-clicked drop zone', () => {
+      const zone = document.createElement('div');
+      const text = document.createElement('p');
+      zone.appendChild(text);
+      document.body.appendChild(zone);
+      zone.addEventListener('dragover', (e) => e.preventDefault());
+      const onDrop = jest.fn();
+      zone.addEventListener('drop', (e) => onDrop(e.dataTransfer.files[0].name));
+      const sendResponse = jest.fn();
+
+      rightClick(text);
+      messageListener({ action: 'attachFile', file: spec, name: 'EICAR test file' }, {}, sendResponse);
+
+      expect(onDrop).toHaveBeenCalledWith('eicar.com');
+      expect(sendResponse).toHaveBeenCalledWith({ success: true, target: 'drop', field: expect.objectContaining({ tagName: 'p' }) });
+    });
+
+    test('a right-clicked element takes only the file picked from the menu that follows', () => {
+      const zone = document.createElement('div');
+      document.body.appendChild(zone);
+      const input = createFileInput();
+      const sendResponse = jest.fn();
+
+      rightClick(zone);
+      messageListener({ action: 'attachFile', file: spec, name: 'EICAR test file' }, {}, sendResponse);
+      input.focus();
+      messageListener({ action: 'attachFile', file: spec, name: 'EICAR test file' }, {}, sendResponse);
+
+      expect(sendResponse).toHaveBeenLastCalledWith(expect.objectContaining({ success: true, target: 'input' }));
+    });
+
+    test('palette picks attach to the focused file input, not the element last right-clicked', () => {
+      jest.spyOn(document, 'hasFocus').mockReturnValue(true);
+      const zone = document.createElement('div');
+      document.body.appendChild(zone);
+      const input = createFileInput();
+      const sendResponse = jest.fn();
+
+      rightClick(zone);
+      input.focus();
+      messageListener({ action: 'attachFile', file: spec, name: 'EICAR test file', requireFocus: true }, {}, sendResponse);
+
+      expect(input.files[0].name).toBe('eicar.com');
+      expect(sendResponse).toHaveBeenCalledWith(expect.objectContaining({ success: true, target: 'input' }));
+    });
+
+    test('attachFile reports elements that take no files', () => {
+      const div = document.createElement('div');
+      document.body.appendChild(div);
+      const sendResponse = jest.fn();
+
+      rightClick(div);
+      messageListener({ action: 'attachFile', file: spec, name: 'EICAR test file' }, {}, sendResponse);
+
+      expect(sendResponse).toHaveBeenCalledWith({ success: false, error: 'No file input or drop zone here' });
+    });
+
+    test('disabled file inputs are left alone', () => {
+      const input = createInput({ type: 'file', disabled: '' });
+      expect(content.attachFilePayload(input, spec)).toEqual({ success: false, error: 'File input is disabled' });
+    });
+  });
+
+  describe('session log field descriptions', () => {
+    test('describeInjectionTarget reports the selector, name, id, type and frame', () => {
+      const input = createInput({ type: 'email', name: 'email', id: 'email-1' });
+      expect(content.describeInjectionTarget(input)).toEqual({
+        selector: '#email-1',
+        tagName: 'input',
+        name: 'email',
+        id: 'email-1',
+        type: 'email',
+        frameUrl: location.href,
+        framePath: []
+      });
+    });
+
+    test('describeInjectionTarget reports the type the page set while the validation bypass is on', () => {
+      const input = createInput({ type: 'number', name: 'qty' });
+      validation.setValidationBypass(true);
+      expect(content.describeInjectionTarget(input).type).toBe('number');
+      validation.setValidationBypass(false);
+    });
+
+    test('injection responses include the field', () => {
+      const input = createInput({ type: 'text', name: 'city' });
+      input.focus();
+      const sendResponse = jest.fn();
+
+      messageListener({ action: 'appendField', value: 'x' }, {}, sendResponse);
+      expect(sendResponse).toHaveBeenCalledWith({
+        success: true,
+        field: expect.objectContaining({ selector: 'input[name="city"]', name: 'city', type: 'text' })
+      });
+    });
+
+    test('a paste the page cancels is reported as failed', () => {
+      const input = createInput({ type: 'text', name: 'city' });
+      input.addEventListener('paste', (e) => e.preventDefault());
+      input.focus();
+      const sendResponse = jest.fn();
+
+      messageListener({ action: 'pasteField', value: 'x' }, {}, sendResponse);
+      expect(sendResponse).toHaveBeenCalledWith({
+        success: false,
+        error: 'Paste was blocked by the page',
+        field: expect.objectContaining({ name: 'city' })
+      });
+      expect(input.value).toBe('');
+      const notification = document.querySelector('.autofill-detector-notification');
+      expect(notification.textContent).toBe('Paste was blocked by the page');
+      expect(notification.style.background).toBe('rgb(239, 68, 68)');
+    });
+
+    test('a paste the page lets through is reported as successful', () => {
+      const input = createInput({ type: 'text', name: 'city' });
+      input.focus();
+      const sendResponse = jest.fn();
+
+      messageListener({ action: 'pasteField', value: 'x' }, {}, sendResponse);
+      expect(sendResponse).toHaveBeenCalledWith({ success: true, field: expect.objectContaining({ name: 'city' }) });
+      expect(input.value).toBe('x');
+    });
+
+    test('fillForm reports each filled field with its value', () => {
+      document.body.innerHTML = '<form><input name="a"><input name="b" disabled></form>';
+      const result = content.fillForm(document.querySelector('form'), ['x'], 'round-robin');
+      expect(result.filled).toEqual([{ field: expect.objectContaining({ selector: 'input[name="a"]' }), value: 'x' }]);
+    });
+  });
+
+  describe('batch selection', () => {
+    let fields;
+
+    function altClick(element) {
+      element.dispatchEvent(new MouseEvent('click', { altKey: true, bubbles: true, composed: true }));
+    }
+
+    beforeEach(() => {
+      batch.clearBatchSelection();
+      document.body.innerHTML = '<input name="line1" value="a"><input name="line2" value="b"><input name="focus" value="c"><button>Go</button>';
+      fields = [...document.querySelectorAll('input')];
+      fields[2].focus();
+    });
+
+    test('Alt+click toggles fields in the selection', () => {
+      altClick(fields[0]);
+      altClick(fields[1]);
+      expect(batch.getBatchFields()).toEqual([fields[0], fields[1]]);
+
+      altClick(fields[0]);
+      expect(batch.getBatchFields()).toEqual([fields[1]]);
+    });
+
+    test('clicks without Alt and clicks on other elements select nothing', () => {
+      fields[0].dispatchEvent(new MouseEvent('click', { bubbles: true }));
+      altClick(document.querySelector('button'));
+
+      expect(batch.getBatchFields()).toEqual([]);
+    });
+
+    test('Esc clears the selection', () => {
+      altClick(fields[0]);
+      document.dispatchEvent(new KeyboardEvent('keydown', { key: 'Escape', bubbles: true }));
+
+      expect(batch.getBatchFields()).toEqual([]);
+      expect(fields[0].hasAttribute('style')).toBe(false);
+    });
+
+    test('Esc that closes the palette keeps the selection', () => {
+      altClick(fields[0]);
+      isPaletteOpen.mockReturnValueOnce(true);
+      document.dispatchEvent(new KeyboardEvent('keydown', { key: 'Escape', bubbles: true }));
+
+      expect(batch.getBatchFields()).toEqual([fields[0]]);
+    });
+
+    test('payloads go into every selected field instead of the focused one', async () => {
+      altClick(fields[0]);
+      altClick(fields[1]);
+      const sendResponse = jest.fn();
+
+      expect(messageListener({ action: 'fillField', value: 'x'.repeat(255) }, {}, sendResponse)).toBe(true);
+      await new Promise(resolve => setTimeout(resolve, 0));
+
+      expect(fields.map(field => field.value)).toEqual(['x'.repeat(255), 'x'.repeat(255), 'c']);
+      expect(sendResponse).toHaveBeenCalledWith({
+        success: true,
+        fields: [
+          expect.objectContaining({ name: 'line1' }),
+          expect.objectContaining({ name: 'line2' })
+        ]
+      });
+      expect(document.activeElement).toBe(fields[2]);
+    });
+
+    test('each mode is used for the batch, and the selection stays for the next payload', async () => {
+      altClick(fields[0]);
+      altClick(fields[1]);
+
+      await content.injectIntoBatch({ action: 'appendField', value: '!' });
+      await content.injectIntoBatch({ action: 'typeField', value: 'ok', delay: 0 });
+
+      expect(fields.map(field => field.value)).toEqual(['ok', 'ok', 'c']);
+      expect(batch.getBatchFields()).toHaveLength(2);
+    });
+
+    test('batch injections can be undone field by field', async () => {
+      altClick(fields[0]);
+      altClick(fields[1]);
+
+      await content.injectIntoBatch({ action: 'fillField', value: '' });
+      content.undoInjection(fields[1]);
+
+      expect(fields.map(field => field.value)).toEqual(['', 'b', 'c']);
+    });
+
+    test('read-only and disabled fields are skipped', async () => {
+      altClick(fields[0]);
+      altClick(fields[1]);
+      fields[1].readOnly = true;
+
+      const result = await content.injectIntoBatch({ action: 'fillField', value: 'x' });
+
+      expect(result.fields).toHaveLength(1);
+      expect(fields[1].value).toBe('b');
+    });
+
+    test('fails when no selected field took the payload', async () => {
+      altClick(fields[0]);
+      fields[0].disabled = true;
+
+      const result = await content.injectIntoBatch({ action: 'fillField', value: 'x' });
+
+      expect(result).toEqual({ success: false, error: 'No selected field took the payload', fields: [] });
+    });
+
+    test('other actions still use the focused field', () => {
+      altClick(fields[0]);
+      const sendResponse = jest.fn();
+
+      messageListener({ action: 'describeForm' }, {}, sendResponse);
+
+      expect(sendResponse).toHaveBeenCalledWith({ success: false, error: 'No form found' });
+    });
+  });
+
+  describe('form state messages', () => {
+    let snapshotStore;
+
+    beforeEach(() => {
+      snapshotStore = {};
+      document.body.innerHTML = '<form><input name="email" value="alice@example.com"><input name="age" value="30"></form>';
+      document.querySelector('[name="email"]').focus();
+      mockChrome.storage.local.get.mockImplementation((keys, callback) => callback({ formSnapshots: snapshotStore }));
+      mockChrome.storage.local.set.mockImplementation((items, callback) => {
+        snapshotStore = items.formSnapshots;
+        callback();
+      });
+      mockChrome.storage.local.set.mockClear();
+      global.prompt = jest.fn(() => 'Baseline');
+      openPalette.mockClear();
+    });
+
+    afterEach(() => {
+      mockChrome.storage.local.get.mockImplementation((keys, callback) => setTimeout(() => callback({ autofillDetectorEnabled: false }), 0));
+      mockChrome.storage.local.set.mockImplementation(() => {});
+    });
+
+    test('saveFormState saves the focused form under the name the user gives', () => {
+      const sendResponse = jest.fn();
+
+      messageListener({ action: 'saveFormState' }, {}, sendResponse);
+
+      expect(prompt).toHaveBeenCalledWith(expect.any(String), 'Form state 1');
+      expect(sendResponse).toHaveBeenCalledWith({ success: true, name: 'Baseline', fieldCount: 2 });
+      expect(snapshotStore[getSnapshotPage(location.href)][0].name).toBe('Baseline');
+    });
+
+    test('saveFormState does nothing when the prompt is cancelled', () => {
+      prompt.mockReturnValue(null);
+      const sendResponse = jest.fn();
+
+      messageListener({ action: 'saveFormState' }, {}, sendResponse);
+
+      expect(sendResponse).toHaveBeenCalledWith({ success: false, error: 'Cancelled' });
+      expect(mockChrome.storage.local.set).not.toHaveBeenCalled();
+    });
+
+    test('restoreFormState offers the saved states in the palette and restores the chosen one', () => {
+      messageListener({ action: 'saveFormState' }, {}, jest.fn());
+      const email = document.querySelector('[name="email"]');
+      email.value = '<script>alert(1)</script>';
+      const sendResponse = jest.fn();
+
+      messageListener({ action: 'restoreFormState' }, {}, sendResponse);
+
+      expect(sendResponse).toHaveBeenCalledWith({ success: true });
+      const [entries, options] = openPalette.mock.calls[0];
+      expect(entries.map(entry => entry.name)).toEqual(['Baseline']);
+      expect(options.action).toBe('restore');
+
+      options.onSelect(entries[0]);
+      expect(email.value).toBe('alice@example.com');
+    });
+
+    test('restoreFormState reports when the page has no saved states', () => {
+      const sendResponse = jest.fn();
+
+      messageListener({ action: 'restoreFormState' }, {}, sendResponse);
+
+      expect(openPalette).not.toHaveBeenCalled();
+      expect(sendResponse).toHaveBeenCalledWith({ success: false, error: 'No saved form states' });
+    });
+
+    test('both need a focused field inside a form', () => {
+      document.body.innerHTML = '<input name="loose">';
+      document.querySelector('input').focus();
+      const sendResponse = jest.fn();
+
+      messageListener({ action: 'saveFormState' }, {}, sendResponse);
+      messageListener({ action: 'restoreFormState' }, {}, sendResponse);
+
+      expect(sendResponse).toHaveBeenNthCalledWith(1, { success: false, error: 'No form found' });
+      expect(sendResponse).toHaveBeenNthCalledWith(2, { success: false, error: 'No form found' });
+    });
+  });
+
+  describe('getTargetField', () => {
+    test('returns focused injectable field', () => {
+      const input = createInput({ type: 'text' });
+      input.focus();
+      const sendResponse = jest.fn();
+
+      expect(content.getTargetField(sendResponse)).toBe(input);
+      expect(sendResponse).not.toHaveBeenCalled();
+    });
+
+    test('responds with error when field is read-only', () => {
+      const input = createInput({ type: 'text', readonly: '' });
+      input.focus();
+      const sendResponse = jest.fn();
+
+      expect(content.getTargetField(sendResponse)).toBeNull();
+      expect(sendResponse).toHaveBeenCalledWith({ success: false, error: 'Field is disabled or read-only' });
+    });
+
+    test('responds with error when nothing is focused', () => {
+      const sendResponse = jest.fn();
+
+      expect(content.getTargetField(sendResponse)).toBeNull();
+      expect(sendResponse).toHaveBeenCalledWith({ success: false, error: 'No valid field focused' });
+    });
+  
+    test('returns a focused field inside nested shadow roots', () => {
+      const host = document.createElement('div');
+      document.body.appendChild(host);
+      const innerHost = document.createElement('div');
+      host.attachShadow({ mode: 'open' }).appendChild(innerHost);
+      const input = document.createElement('input');
+      innerHost.attachShadow({ mode: 'open' }).appendChild(input);
+      input.focus();
+
+      expect(content.getTargetField(jest.fn())).toBe(input);
+    });
+  });
+
+  describe('undo history', () => {
+    function injectInto(input, action, value) {
+      input.focus();
+      messageListener({ action, value }, {}, jest.fn());
+    }
+
+    test('undo steps back through the values before each injection', () => {
+      const input = createInput({ type: 'text', value: 'pre-filled' });
+      injectInto(input, 'fillField', 'first');
+      injectInto(input, 'appendField', '+second');
+      const sendResponse = jest.fn();
+
+      messageListener({ action: 'undoInjection' }, {}, sendResponse);
+      expect(input.value).toBe('first');
+      expect(sendResponse).toHaveBeenCalledWith({ success: true, remaining: 1 });
+
+      messageListener({ action: 'undoInjection' }, {}, sendResponse);
+      expect(input.value).toBe('pre-filled');
+      expect(sendResponse).toHaveBeenLastCalledWith({ success: true, remaining: 0 });
+    });
+
+    test('undo fires input and change so frameworks see the old value', () => {
+      const input = createInput({ type: 'text', value: 'pre-filled' });
+      injectInto(input, 'fillField', 'payload');
+      const events = [];
+      input.addEventListener('input', (e) => events.push(`input:${e.inputType}`));
+      input.addEventListener('change', () => events.push('change'));
+
+      messageListener({ action: 'undoInjection' }, {}, jest.fn());
+
+      expect(events).toEqual(['input:historyUndo', 'change']);
+    });
+
+    test('undo skips injections that left the value unchanged', () => {
+      const input = createInput({ type: 'text', value: 'pre-filled' });
+      injectInto(input, 'fillField', 'payload');
+      injectInto(input, 'fillField', 'payload');
+
+      expect(content.undoInjection(input)).toEqual({ success: true, remaining: 0 });
+      expect(input.value).toBe('pre-filled');
+    });
+
+    test('restore original value skips the steps between and forgets them', () => {
+      const input = createInput({ type: 'text', value: 'pre-filled' });
+      injectInto(input, 'fillField', 'Z̷̢a̵l̸g̶o̷'.repeat(200));
+      injectInto(input, 'appendField', 'more');
+      const sendResponse = jest.fn();
+
+      messageListener({ action: 'restoreOriginalValue' }, {}, sendResponse);
+
+      expect(input.value).toBe('pre-filled');
+      expect(sendResponse).toHaveBeenCalledWith({ success: true });
+      expect(content.undoInjection(input)).toEqual({ success: false, error: 'Nothing to undo in this field' });
+    });
+
+    test('the original value survives a long history', () => {
+      const input = createInput({ type: 'text', value: 'pre-filled' });
+      for (let i = 0; i < 60; i++) {
+        injectInto(input, 'fillField', `payload ${i}`);
+      }
+
+      content.restoreOriginalValue(input);
+
+      expect(input.value).toBe('pre-filled');
+    });
+
+    test('form fills are undone field by field', () => {
+      document.body.innerHTML = '<form><input name="a" value="one"><input name="b" value="two"></form>';
+      const [a, b] = document.querySelectorAll('input');
+      content.fillForm(document.querySelector('form'), ['x'], 'round-robin');
+
+      content.undoInjection(b);
+
+      expect(a.value).toBe('x');
+      expect(b.value).toBe('two');
+    });
+
+    test('reports when the focused field has nothing to undo', () => {
+      const input = createInput({ type: 'text' });
+      input.focus();
+      const sendResponse = jest.fn();
+
+      messageListener({ action: 'undoInjection' }, {}, sendResponse);
+      messageListener({ action: 'restoreOriginalValue' }, {}, sendResponse);
+
+      expect(sendResponse).toHaveBeenNthCalledWith(1, { success: false, error: 'Nothing to undo in this field' });
+      expect(sendResponse).toHaveBeenNthCalledWith(2, { success: false, error: 'Nothing to restore in this field' });
+    });
+
+    test('responds with an error when no field is focused', () => {
+      const sendResponse = jest.fn();
+
+      messageListener({ action: 'undoInjection' }, {}, sendResponse);
+
+      expect(sendResponse).toHaveBeenCalledWith({ success: false, error: 'No valid field focused' });
+    });
+  });
+
+  describe('shadow DOM fields', () => {
+    // Visible email input inside an open shadow root
+    function createShadowInput() {
+      const host = document.createElement('div');
+      document.body.appendChild(host);
+      const root = host.attachShadow({ mode: 'open' });
+      const input = document.createElement('input');
+      input.type = 'email';
+      input.getBoundingClientRect = () => ({ width: 200, height: 30, top: 100, left: 100, right: 300, bottom: 130 });
+      root.appendChild(input);
+      return { host, root, input };
+    }
+
+    test('scanPage analyzes fields inside shadow roots', () => {
+      const { input } = createShadowInput();
+      content.scanPage();
+
+      expect(content.getOverlayMap().has(input)).toBe(true);
+      expect(content.getFieldStats().high).toBe(1);
+    });
+
+    test('observeDOM picks up fields added inside an existing shadow root', async () => {
+      const host = document.createElement('div');
+      document.body.appendChild(host);
+      const root = host.attachShadow({ mode: 'open' });
+      content.observeDOM();
+
+      const input = document.createElement('input');
+      input.type = 'email';
+      input.getBoundingClientRect = () => ({ width: 200, height: 30, top: 100, left: 100, right: 300, bottom: 130 });
+      root.appendChild(input);
+      await new Promise(resolve => setTimeout(resolve, 150));
+
+      expect(content.getOverlayMap().has(input)).toBe(true);
+    });
+
+    test('observeDOM watches shadow roots that arrive with added elements', async () => {
+      content.observeDOM();
+      const { root } = createShadowInput();
+      await new Promise(resolve => setTimeout(resolve, 150));
+
+      const later = document.createElement('input');
+      later.type = 'email';
+      later.getBoundingClientRect = () => ({ width: 200, height: 30, top: 100, left: 100, right: 300, bottom: 130 });
+      root.appendChild(later);
+      await new Promise(resolve => setTimeout(resolve, 150));
+
+      expect(content.getOverlayMap().has(later)).toBe(true);
+      expect(content.getFieldStats().high).toBe(2);
+    });
+
+    test('labels inside the same shadow root are found by their for attribute', () => {
+      const { root, input } = createShadowInput();
+      input.type = 'text';
+      input.id = 'contact';
+      const label = document.createElement('label');
+      label.setAttribute('for', 'contact');
+      label.textContent = 'Phone number';
+      root.appendChild(label);
+      // A label in the document with the same id belongs to a different tree
+      document.body.insertAdjacentHTML('beforeend', '<label for="contact">Company</label>');
+
+      expect(content.getLabelText(input)).toBe('Phone number');
+      expect(content.analyzeField(input).risks).toContainEqual(expect.objectContaining({ message: 'Label contains "phone" - Chrome may use this as context' }));
+    });
+
+    test('form actions find the form around the shadow host of the focused field', () => {
+      document.body.innerHTML = '<form><input name="email"><div id="host"></div></form>';
+      const root = document.getElementById('host').attachShadow({ mode: 'open' });
+      root.innerHTML = '<input name="phone" autocomplete="tel">';
+      root.querySelector('input').focus();
+      const sendResponse = jest.fn();
+
+      messageListener({ action: 'describeForm' }, {}, sendResponse);
+
+      expect(sendResponse).toHaveBeenCalledWith({ success: true, purposes: ['email', 'tel'] });
+    });
+
+    test('fields of a custom element that upgrades after it was inserted are analyzed', async () => {
+      jest.useFakeTimers();
+      content.observeDOM();
+      document.body.appendChild(document.createElement('upgraded-email-field'));
+      await Promise.resolve();
+
+      customElements.define('upgraded-email-field', class extends HTMLElement {
+        constructor() {
+          super();
+          const input = document.createElement('input');
+          input.type = 'email';
+          input.getBoundingClientRect = () => ({ width: 200, height: 30, top: 100, left: 100, right: 300, bottom: 130 });
+          this.attachShadow({ mode: 'open' }).appendChild(input);
+        }
+      });
+      jest.advanceTimersByTime(250 + 100);
+      jest.useRealTimers();
+
+      const input = document.querySelector('upgraded-email-field').shadowRoot.querySelector('input');
+      expect(content.getOverlayMap().has(input)).toBe(true);
+    });
+
+    test('repositionOverlays moves overlays without searching the page for fields', () => {
+      jest.useFakeTimers();
+      const { input } = createShadowInput();
+      content.scanPage();
+      const overlay = content.getOverlayMap().get(input);
+      input.getBoundingClientRect = () => ({ width: 200, height: 30, top: 40, left: 10, right: 210, bottom: 70 });
+      const deepQuery = jest.spyOn(global, 'querySelectorAllDeep');
+
+      content.repositionOverlays();
+      jest.advanceTimersByTime(16);
+      jest.useRealTimers();
+
+      expect(overlay.style.top).toBe('40px');
+      expect(overlay.style.left).toBe('10px');
+      expect(deepQuery).not.toHaveBeenCalled();
+      deepQuery.mockRestore();
+    });
+
+    test('removing a shadow host cleans up its fields\' overlays', async () => {
+      const { host, input } = createShadowInput();
+      content.scanPage();
+      content.observeDOM();
+
+      host.remove();
+      await Promise.resolve();
+
+      expect(content.getOverlayMap().has(input)).toBe(false);
+      expect(content.getFieldStats().total).toBe(0);
+    });
+  });
+
+  describe('transform notifications', () => {
+    test('withTransformNote appends the transform title', () => {
+      expect(content.withTransformNote('Copied to clipboard', 'Base64')).toBe('Copied to clipboard (Base64)');
+      expect(content.withTransformNote('Copied to clipboard', null)).toBe('Copied to clipboard');
+    });
+
+    test('notifyTransform only notifies for transformed payloads', () => {
+      content.notifyTransform(null);
+      expect(document.querySelector('.autofill-detector-notification')).toBeNull();
+
+      content.notifyTransform('URL-encode');
+      expect(document.querySelector('.autofill-detector-notification').textContent)
+        .toBe('Payload injected (URL-encode)');
+    });
+  });
+
+  describe('keyboard command focus', () => {
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    test('hasKeyboardFocus requires document focus', () => {
+      jest.spyOn(document, 'hasFocus').mockReturnValue(false);
+      expect(content.hasKeyboardFocus()).toBe(false);
+    });
+
+    test('hasKeyboardFocus is false when focus is inside a child frame', () => {
+      jest.spyOn(document, 'hasFocus').mockReturnValue(true);
+      const iframe = document.createElement('iframe');
+      document.body.appendChild(iframe);
+      jest.spyOn(document, 'activeElement', 'get').mockReturnValue(iframe);
+      expect(content.hasKeyboardFocus()).toBe(false);
+    });
+
+    test('hasKeyboardFocus is true when a field in this frame is focused', () => {
+      jest.spyOn(document, 'hasFocus').mockReturnValue(true);
+      const input = createInput({ type: 'text' });
+      input.focus();
+      expect(content.hasKeyboardFocus()).toBe(true);
+    });
+
+    test('unfocused frames ignore requireFocus messages', () => {
+      jest.spyOn(document, 'hasFocus').mockReturnValue(false);
+      const input = createInput({ type: 'text' });
+      input.focus();
+      const sendResponse = jest.fn();
+
+      expect(messageListener({ action: 'fillField', value: 'x', requireFocus: true }, {}, sendResponse)).toBe(false);
+      expect(input.value).toBe('');
+      expect(sendResponse).not.toHaveBeenCalled();
+    });
+
+    test('the focused frame handles requireFocus messages', () => {
+      jest.spyOn(document, 'hasFocus').mockReturnValue(true);
+      const input = createInput({ type: 'text' });
+      input.focus();
+      const sendResponse = jest.fn();
+
+      messageListener({ action: 'fillField', value: 'x', requireFocus: true }, {}, sendResponse);
+      expect(input.value).toBe('x');
+      expect(sendResponse).toHaveBeenCalledWith({ success: true, field: expect.any(Object) });
+    });
+  });
+
+  describe('typeIntoField', () => {
+    test('fires the full event sequence for each character', async () => {
+      const input = createInput({ type: 'text' });
+      const events = [];
+      ['keydown', 'keypress', 'beforeinput', 'input', 'keyup', 'change'].forEach(type => {
+        input.addEventListener(type, (e) => events.push(`${type}:${e.key || e.data || ''}`));
+      });
+
+      await content.typeIntoField(input, 'ab', 0);
+
+      expect(input.value).toBe('ab');
+      expect(events).toEqual([
+        'input:',
+        'keydown:a', 'keypress:a', 'beforeinput:a', 'input:a', 'keyup:a',
+        'keydown:b', 'keypress:b', 'beforeinput:b', 'input:b', 'keyup:b',
+        'change:'
+      ]);
+    });
+
+    test('replaces existing value', async () => {
+      const input = createInput({ type: 'text', value: 'old' });
+      await content.typeIntoField(input, 'new', 0);
+      expect(input.value).toBe('new');
+    });
+
+    test('sees the value grow one keystroke at a time', async () => {
+      const input = createInput({ type: 'text' });
+      const seen = [];
+      input.addEventListener('input', () => seen.push(input.value));
+
+      await content.typeIntoField(input, 'xyz', 0);
+
+      expect(seen).toEqual(['', 'x', 'xy', 'xyz']);
+    });
+
+    test('types emoji and combining marks as whole graphemes', async () => {
+      const input = createInput({ type: 'text' });
+      const keys = [];
+      input.addEventListener('keydown', (e) => keys.push(e.key));
+
+      await content.typeIntoField(input, '👍🏽e\u0301', 0);
+
+      expect(keys).toEqual(['👍🏽', 'e\u0301']);
+      expect(input.value).toBe('👍🏽e\u0301');
+    });
+
+    test('skips insertion when keydown is cancelled', async () => {
+      const input = createInput({ type: 'text' });
+      input.addEventListener('keydown', (e) => {
+        if (e.key === 'b') e.preventDefault();
+      });
+
+      await content.typeIntoField(input, 'abc', 0);
+
+      expect(input.value).toBe('ac');
+    });
+
+    test('skips insertion when beforeinput is cancelled', async () => {
+      const input = createInput({ type: 'text' });
+      input.addEventListener('beforeinput', (e) => {
+        if (!/[0-9]/.test(e.data)) e.preventDefault();
+      });
+
+      await content.typeIntoField(input, 'a1b2', 0);
+
+      expect(input.value).toBe('12');
+    });
+
+    test('types into contentEditable elements', async () => {
+      const div = document.createElement('div');
+      div.contentEditable = 'true';
+      // jsdom doesn't implement isContentEditable
+      Object.defineProperty(div, 'isContentEditable', { value: true });
+      div.textContent = 'old';
+      document.body.appendChild(div);
+
+      await content.typeIntoField(div, 'hi', 0);
+
+      expect(div.textContent).toBe('hi');
+    });
+
+    test('types into rich-text editors through editor input events', async () => {
+      const div = document.createElement('div');
+      div.contentEditable = 'true';
+      Object.defineProperty(div, 'isContentEditable', { value: true });
+      div.innerHTML = '<p>old</p>';
+      document.body.appendChild(div);
+      const events = [];
+      ['keydown', 'keyup'].forEach(type => div.addEventListener(type, (e) => events.push(`${type}:${e.key}`)));
+      ['beforeinput', 'input'].forEach(type => div.addEventListener(type, (e) => events.push(`${type}:${e.inputType}`)));
+
+      await content.typeIntoField(div, 'a', 0);
+
+      expect(div.textContent).toBe('a');
+      expect(events).toEqual([
+        'beforeinput:deleteContent', 'input:deleteContent',
+        'keydown:a', 'beforeinput:insertText', 'input:insertText', 'keyup:a'
+      ]);
+    });
+
+    test('waits between keystrokes when a delay is set', async () => {
+      jest.useFakeTimers();
+      const input = createInput({ type: 'text' });
+
+      const done = content.typeIntoField(input, 'ab', 50);
+      expect(input.value).toBe('a');
+
+      await jest.advanceTimersByTimeAsync(50);
+      expect(input.value).toBe('ab');
+
+      await jest.advanceTimersByTimeAsync(50);
+      await done;
+      jest.useRealTimers();
+    });
+  });
+
+  describe('composeIntoField', () => {
+    // Record every event a field gets, with the details composition handlers look at
+    function recordEvents(element) {
+      const events = [];
+      ['keydown', 'keyup'].forEach(type => element.addEventListener(type, (e) =>
+        events.push(`${type}:${e.key}:${e.keyCode}${e.isComposing ? ':composing' : ''}`)));
+      ['compositionstart', 'compositionupdate', 'compositionend'].forEach(type => element.addEventListener(type, (e) =>
+        events.push(`${type}:${e.data}`)));
+      ['beforeinput', 'input'].forEach(type => element.addEventListener(type, (e) =>
+        events.push(`${type}:${e.inputType}:${e.data}${e.isComposing ? ':composing' : ''}`)));
+      element.addEventListener('change', () => events.push('change'));
+      return events;
+    }
+
+    test('fires the composition sequence an IME does', async () => {
+      const input = createInput({ type: 'text', value: 'old' });
+      const events = recordEvents(input);
+
+      await content.composeIntoField(input, '日本', 0);
+
+      expect(input.value).toBe('日本');
+      expect(events).toEqual([
+        'input:deleteContent:null',
+        'keydown:Process:229:composing',
+        'compositionstart:',
+        'compositionupdate:日',
+        'beforeinput:insertCompositionText:日:composing',
+        'input:insertCompositionText:日:composing',
+        'keyup:Process:229:composing',
+        'keydown:Process:229:composing',
+        'compositionupdate:日本',
+        'beforeinput:insertCompositionText:日本:composing',
+        'input:insertCompositionText:日本:composing',
+        'keyup:Process:229:composing',
+        'keydown:Enter:229:composing',
+        'compositionend:日本',
+        'input:insertFromComposition:日本',
+        'keyup:Enter:13',
+        'change'
+      ]);
+    });
+
+    test('the field shows each intermediate string while composing', async () => {
+      const input = createInput({ type: 'text' });
+      const seen = [];
+      input.addEventListener('keyup', () => seen.push(input.value));
+
+      await content.composeIntoField(input, 'テスト 漢字', 0);
+
+      expect(seen).toEqual(['テ', 'テス', 'テスト', 'テスト', 'テスト ', 'テスト 漢', 'テスト 漢字', 'テスト 漢字']);
+      expect(input.value).toBe('テスト 漢字');
+    });
+
+    test('composes into rich-text editors at the end of the content', async () => {
+      const div = document.createElement('div');
+      div.contentEditable = 'true';
+      Object.defineProperty(div, 'isContentEditable', { value: true });
+      div.innerHTML = '<p>old</p>';
+      document.body.appendChild(div);
+      const updates = [];
+      div.addEventListener('input', (e) => e.isComposing && updates.push(div.textContent));
+
+      await content.composeIntoField(div, '中文', 0);
+
+      expect(updates).toEqual(['中', '中文']);
+      expect(div.textContent).toBe('中文');
+    });
+
+    test('is a mode for the focused field', async () => {
+      const input = createInput({ type: 'text' });
+      input.focus();
+      const sendResponse = jest.fn();
+
+      expect(messageListener({ action: 'composeField', value: '한국어', delay: 0 }, {}, sendResponse)).toBe(true);
+      await new Promise(resolve => setTimeout(resolve, 0));
+
+      expect(input.value).toBe('한국어');
+      expect(sendResponse).toHaveBeenCalledWith({ success: true, field: expect.objectContaining({ type: 'text' }) });
+    });
+  });
+
+  describe('fillForm', () => {
+    function createForm(html) {
+      const form = document.createElement('form');
+      form.innerHTML = html;
+      document.body.appendChild(form);
+      return form;
+    }
+
+    test('fills injectable fields round-robin', () => {
+      const form = createForm(`
+        <input name="a"><input name="b" type="email"><textarea name="c"></textarea>
+      `);
+
+      const result = content.fillForm(form, ['x', 'y'], 'round-robin');
+
+      expect(result.filledCount).toBe(3);
+      expect(form.elements.a.value).toBe('x');
+      expect(form.elements.b.value).toBe('y');
+      expect(form.elements.c.value).toBe('x');
+    });
+
+    test('skips disabled and read-only fields', () => {
+      const form = createForm(`
+        <input name="a"><input name="b" disabled><input name="c" readonly><input name="d">
+      `);
+
+      const result = content.fillForm(form, ['x', 'y'], 'round-robin');
+
+      expect(result.filledCount).toBe(2);
+      expect(form.elements.b.value).toBe('');
+      expect(form.elements.c.value).toBe('');
+      expect(form.elements.d.value).toBe('y');
+      expect(result.skipped).toEqual([
+        { field: 'b', reason: 'disabled' },
+        { field: 'c', reason: 'read-only' }
+      ]);
+    });
+
+    test('ignores non-injectable fields', () => {
+      const form = createForm(`
+        <input name="a"><input type="checkbox" name="b"><select name="c"></select><button>Go</button>
+      `);
+
+      const result = content.fillForm(form, ['x'], 'round-robin');
+
+      expect(result.filledCount).toBe(1);
+      expect(result.skipped).toEqual([]);
+    });
+
+    test('by-index reports fields without a payload as skipped', () => {
+      const form = createForm('<input name="a"><input><input id="third">');
+
+      const result = content.fillForm(form, ['x'], 'by-index');
+
+      expect(result.filledCount).toBe(1);
+      expect(result.skipped).toEqual([
+        { field: 'input #2', reason: 'no payload' },
+        { field: 'third', reason: 'no payload' }
+      ]);
+    });
+
+    test('describeFormFields classifies fillable fields in fill order', () => {
+      const form = createForm(`
+        <label for="e">Email</label><input id="e">
+        <input name="locked" disabled>
+        <input name="postcode">
+        <textarea name="notes"></textarea>
+      `);
+
+      expect(content.describeFormFields(form)).toEqual(['email', 'postal-code', 'multiline']);
+    });
+
+    test('fires input and change events on filled fields', () => {
+      const form = createForm('<input name="a">');
+      const events = [];
+      form.addEventListener('input', () => events.push('input'));
+      form.addEventListener('change', () => events.push('change'));
+
+      content.fillForm(form, ['x'], 'round-robin');
+
+      expect(events).toEqual(['input', 'change']);
+    });
+  });
+
   describe('label association via analyzeField', () => {
     test('CSS.escape handles adversarial IDs safely', () => {
       // Adversarial ID that could break naive selector interpolation
@@ -633,6 +1833,75 @@ describe('Word Scanner feature', () => {
     });
   });
 
+  describe('shadow DOM', () => {
+    const { scanForForbiddenWords, scanSubtreesForForbiddenWords, removeShadowHighlightStyles } = wordscanner;
+
+    function createShadowText(text) {
+      const host = document.createElement('div');
+      document.body.appendChild(host);
+      const root = host.attachShadow({ mode: 'open' });
+      const paragraph = document.createElement('p');
+      paragraph.textContent = text;
+      root.appendChild(paragraph);
+      return { root, paragraph };
+    }
+
+    afterEach(() => {
+      removeShadowHighlightStyles();
+    });
+
+    test('full scan highlights words inside nested shadow roots and styles them', () => {
+      setWordScannerEnabled(true);
+      setForbiddenWords(['partner']);
+      const { root } = createShadowText('Outer');
+      const innerHost = document.createElement('div');
+      root.appendChild(innerHost);
+      const innerRoot = innerHost.attachShadow({ mode: 'open' });
+      innerRoot.append('Hello partner');
+
+      scanForForbiddenWords();
+
+      expect(innerRoot.querySelector('.word-scanner-highlight').textContent).toBe('partner');
+      expect(innerRoot.querySelectorAll('style[data-word-scanner]')).toHaveLength(1);
+      expect(root.querySelector('style[data-word-scanner]')).toBeNull();
+    });
+
+    test('rescans do not duplicate shadow root styles', () => {
+      setWordScannerEnabled(true);
+      setForbiddenWords(['partner']);
+      const { root } = createShadowText('Hello partner');
+
+      scanForForbiddenWords();
+      scanForForbiddenWords();
+
+      expect(root.querySelectorAll('.word-scanner-highlight')).toHaveLength(1);
+      expect(root.querySelectorAll('style[data-word-scanner]')).toHaveLength(1);
+    });
+
+    test('removeWordHighlights unwraps highlights inside shadow roots', () => {
+      setWordScannerEnabled(true);
+      setForbiddenWords(['partner']);
+      const { paragraph } = createShadowText('Hello partner');
+      scanForForbiddenWords();
+
+      getHighlights().clear(); // leave only the orphan sweep
+      removeWordHighlights();
+
+      expect(paragraph.querySelector('.word-scanner-highlight')).toBeNull();
+      expect(paragraph.textContent).toBe('Hello partner');
+    });
+
+    test('incremental scans accept roots inside shadow trees', () => {
+      setWordScannerEnabled(true);
+      setForbiddenWords(['partner']);
+      const { paragraph } = createShadowText('Hello partner');
+
+      scanSubtreesForForbiddenWords([paragraph]);
+
+      expect(paragraph.querySelectorAll('.word-scanner-highlight')).toHaveLength(1);
+    });
+  });
+
   describe('incremental scanning', () => {
     const { scanSubtreesForForbiddenWords } = wordscanner;
 
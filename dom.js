@@ -0,0 +1,208 @@
+// Shadow DOM Traversal Module
+// Helpers that look through open shadow roots, which querySelectorAll, TreeWalker,
+// document.activeElement and MutationObserver all stop at
+
+// Every open shadow root below root (a document, element or shadow root), nested ones included.
+// Closed roots are invisible to page scripts and to us alike.
+function collectShadowRoots(root) {
+  const roots = [];
+  const visit = (node) => {
+    const walker = (node.ownerDocument || node).createTreeWalker(node, NodeFilter.SHOW_ELEMENT);
+    for (let el = walker.currentNode; el; el = walker.nextNode()) {
+      if (el.shadowRoot) {
+        roots.push(el.shadowRoot);
+        visit(el.shadowRoot);
+      }
+    }
+  };
+  if (root && (root.nodeType === Node.ELEMENT_NODE ||
+               root.nodeType === Node.DOCUMENT_NODE ||
+               root.nodeType === Node.DOCUMENT_FRAGMENT_NODE)) {
+    visit(root);
+  }
+  return roots;
+}
+
+// querySelectorAll that also matches inside open shadow roots
+function querySelectorAllDeep(selector, root = document) {
+  const matches = root.querySelectorAll ? [...root.querySelectorAll(selector)] : [];
+  for (const shadowRoot of collectShadowRoots(root)) {
+    matches.push(...shadowRoot.querySelectorAll(selector));
+  }
+  return matches;
+}
+
+// The focused element itself, not the shadow host document.activeElement is retargeted to
+function getDeepActiveElement(root = document) {
+  let active = root.activeElement;
+  while (active?.shadowRoot?.activeElement) {
+    active = active.shadowRoot.activeElement;
+  }
+  return active;
+}
+
+// Point an observer at every open shadow root below root; mutations inside a shadow
+// tree are not reported to observers of the light DOM around it
+function observeShadowRoots(observer, root, options) {
+  for (const shadowRoot of collectShadowRoots(root)) {
+    observer.observe(shadowRoot, options);
+  }
+}
+
+// Shadow roots attached to hosts already in the page are reported to no MutationObserver: custom
+// elements upgraded once their definition loads, and components that attach a root on first use.
+// onLateShadowRoot listeners hear about them: undefined custom elements are checked again until they
+// upgrade, and the shadow roots around a focused element are checked when it gets focus.
+const lateShadowRootListeners = [];
+const knownShadowRoots = new WeakSet();
+const pendingShadowHosts = new Map(); // undefined custom element -> checks left
+let lateShadowRootObserver = null;
+let pendingShadowHostTimeout = null;
+
+const SHADOW_HOST_CHECK_INTERVAL = 250; // ms
+const MAX_SHADOW_HOST_CHECKS = 40; // elements never defined are given up on after 10 s
+
+// Remember the shadow roots in root (itself included, if it is one) and the undefined custom elements
+// in them; new ones are passed to the listeners when report is set
+function trackShadowRoots(root, report) {
+  const roots = root.host ? [root, ...collectShadowRoots(root)] : collectShadowRoots(root);
+  const trees = root.host ? roots : [root, ...roots];
+  for (const tree of trees) {
+    const undefinedHosts = tree.querySelectorAll(':not(:defined)');
+    const hosts = tree.matches?.(':not(:defined)') ? [tree, ...undefinedHosts] : undefinedHosts;
+    for (const host of hosts) {
+      // Custom element names have a hyphen; anything else is a built-in element
+      if (host.localName.includes('-') && !host.shadowRoot) {
+        pendingShadowHosts.set(host, MAX_SHADOW_HOST_CHECKS);
+      }
+    }
+  }
+  for (const shadowRoot of roots) {
+    if (knownShadowRoots.has(shadowRoot)) continue;
+    knownShadowRoots.add(shadowRoot);
+    lateShadowRootObserver.observe(shadowRoot, { childList: true, subtree: true });
+    if (report) lateShadowRootListeners.forEach(listener => listener(shadowRoot));
+  }
+  schedulePendingShadowHostCheck();
+}
+
+function schedulePendingShadowHostCheck() {
+  if (pendingShadowHostTimeout || pendingShadowHosts.size === 0) return;
+  pendingShadowHostTimeout = setTimeout(() => {
+    pendingShadowHostTimeout = null;
+    for (const [host, checksLeft] of [...pendingShadowHosts]) {
+      if (host.shadowRoot) {
+        pendingShadowHosts.delete(host);
+        trackShadowRoots(host.shadowRoot, true);
+      } else if (!host.isConnected || host.matches(':defined') || checksLeft <= 1) {
+        pendingShadowHosts.delete(host);
+      } else {
+        pendingShadowHosts.set(host, checksLeft - 1);
+      }
+    }
+    schedulePendingShadowHostCheck();
+  }, SHADOW_HOST_CHECK_INTERVAL);
+}
+
+// Call listener(shadowRoot) for each open shadow root attached to a host after the host was inserted.
+// Roots that come with inserted nodes are left to the caller's own observer, as are nested roots
+// already inside a reported one (each of them is reported too).
+function onLateShadowRoot(listener) {
+  lateShadowRootListeners.push(listener);
+  if (lateShadowRootObserver) return;
+
+  lateShadowRootObserver = new MutationObserver((mutations) => {
+    for (const mutation of mutations) {
+      for (const node of mutation.addedNodes) {
+        if (node.nodeType === Node.ELEMENT_NODE) trackShadowRoots(node, false);
+      }
+    }
+  });
+  lateShadowRootObserver.observe(document.documentElement, { childList: true, subtree: true });
+  trackShadowRoots(document.documentElement, false);
+
+  document.addEventListener('focusin', (event) => {
+    for (const node of event.composedPath()) {
+      if (node.nodeType === Node.DOCUMENT_FRAGMENT_NODE && node.host && !knownShadowRoots.has(node)) {
+        trackShadowRoots(node, true);
+      }
+    }
+  }, true);
+}
+
+// Attributes test suites put on elements to find them, most specific first
+const TEST_ID_ATTRIBUTES = ['data-testid', 'data-test-id', 'data-test', 'data-cy', 'data-qa'];
+
+// Ids frameworks generate per render (React's :r1:, ember123, long numbers), which won't match next time
+const GENERATED_ID_PATTERN = /^:|^ember\d|\d{4,}/;
+
+// Separates the selectors of shadow hosts and the element inside them
+const SHADOW_SELECTOR_SEPARATOR = ' >>> ';
+
+// A CSS string literal (quotes, backslashes and line breaks escaped)
+function cssString(value) {
+  return `"${value.replace(/["\\]/g, '\\$&').replace(/\r?\n|\r/g, '\\a ')}"`;
+}
+
+// Selectors that identify an element on their own, if one of them is unique in its root
+function findUniqueSelector(element, root) {
+  const tag = element.tagName.toLowerCase();
+  const candidates = [];
+
+  const id = element.getAttribute('id');
+  if (id && !GENERATED_ID_PATTERN.test(id)) {
+    candidates.push(/^-?[A-Za-z_][\w-]*$/.test(id) ? `#${id}` : `[id=${cssString(id)}]`);
+  }
+  for (const name of TEST_ID_ATTRIBUTES) {
+    const value = element.getAttribute(name);
+    if (value) candidates.push(`[${name}=${cssString(value)}]`);
+  }
+  for (const name of ['name', 'aria-label', 'placeholder']) {
+    const value = element.getAttribute(name);
+    if (value) candidates.push(`${tag}[${name}=${cssString(value)}]`);
+  }
+
+  return candidates.find(selector => root.querySelectorAll(selector).length === 1) || null;
+}
+
+// Selector for an element within its own document or shadow root: a unique id, test id,
+// name, label or placeholder, else an nth-of-type path from the nearest ancestor that has one
+function getSelectorInRoot(element, root) {
+  const steps = [];
+  for (let el = element; el && el.nodeType === Node.ELEMENT_NODE; el = el.parentElement) {
+    const unique = findUniqueSelector(el, root);
+    if (unique) {
+      steps.unshift(unique);
+      break;
+    }
+    const tag = el.tagName.toLowerCase();
+    const parent = el.parentElement;
+    const siblings = parent ? [...parent.children].filter(child => child.tagName === el.tagName) : [el];
+    steps.unshift(siblings.length > 1 ? `${tag}:nth-of-type(${siblings.indexOf(el) + 1})` : tag);
+  }
+  return steps.join(' > ');
+}
+
+// A selector that finds the element again after a reload, for logs and generated tests.
+// Elements in open shadow roots get their hosts' selectors first, joined with " >>> "
+function getRobustSelector(element) {
+  const root = element.getRootNode();
+  const selector = getSelectorInRoot(element, root);
+  if (root.host) {
+    return getRobustSelector(root.host) + SHADOW_SELECTOR_SEPARATOR + selector;
+  }
+  return selector;
+}
+
+// Export for testing (Node.js environment)
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    collectShadowRoots,
+    querySelectorAllDeep,
+    getDeepActiveElement,
+    observeShadowRoots,
+    onLateShadowRoot,
+    getRobustSelector,
+    SHADOW_SELECTOR_SEPARATOR
+  };
+}
@@ -0,0 +1,205 @@
+/**
+ * @jest-environment jsdom
+ */
+
+// Tests for dom.js shadow DOM traversal
+
+const {
+  collectShadowRoots,
+  querySelectorAllDeep,
+  getDeepActiveElement,
+  observeShadowRoots,
+  onLateShadowRoot,
+  getRobustSelector
+} = require('./dom');
+
+// host > open root > [input, inner host > open root > textarea], plus a closed host
+function buildNestedShadowTree() {
+  const host = document.createElement('div');
+  document.body.appendChild(host);
+  const root = host.attachShadow({ mode: 'open' });
+  const input = document.createElement('input');
+  const innerHost = document.createElement('span');
+  root.append(input, innerHost);
+  const innerRoot = innerHost.attachShadow({ mode: 'open' });
+  const textarea = document.createElement('textarea');
+  innerRoot.appendChild(textarea);
+
+  const closedHost = document.createElement('div');
+  document.body.appendChild(closedHost);
+  closedHost.attachShadow({ mode: 'closed' }).appendChild(document.createElement('input'));
+
+  return { host, root, input, innerHost, innerRoot, textarea };
+}
+
+describe('dom.js', () => {
+  beforeEach(() => {
+    document.body.innerHTML = '';
+  });
+
+  describe('collectShadowRoots', () => {
+    test('finds nested open shadow roots and skips closed ones', () => {
+      const { root, innerRoot } = buildNestedShadowTree();
+      expect(collectShadowRoots(document)).toEqual([root, innerRoot]);
+    });
+
+    test('includes the shadow root of the starting element', () => {
+      const { host, root, innerRoot } = buildNestedShadowTree();
+      expect(collectShadowRoots(host)).toEqual([root, innerRoot]);
+    });
+
+    test('returns nothing for text nodes', () => {
+      expect(collectShadowRoots(document.createTextNode('x'))).toEqual([]);
+    });
+  });
+
+  describe('querySelectorAllDeep', () => {
+    test('matches in the light DOM and inside open shadow roots', () => {
+      const light = document.createElement('input');
+      document.body.appendChild(light);
+      const { input, textarea } = buildNestedShadowTree();
+
+      expect(querySelectorAllDeep('input, textarea')).toEqual([light, input, textarea]);
+    });
+
+    test('searches from a shadow root', () => {
+      const { root, input, textarea } = buildNestedShadowTree();
+      expect(querySelectorAllDeep('input, textarea', root)).toEqual([input, textarea]);
+    });
+  });
+
+  describe('getDeepActiveElement', () => {
+    test('follows focus into nested shadow roots', () => {
+      const { host, textarea } = buildNestedShadowTree();
+      textarea.focus();
+
+      expect(document.activeElement).toBe(host);
+      expect(getDeepActiveElement()).toBe(textarea);
+    });
+
+    test('returns the light DOM element when focus is outside shadow roots', () => {
+      const input = document.createElement('input');
+      document.body.appendChild(input);
+      input.focus();
+
+      expect(getDeepActiveElement()).toBe(input);
+    });
+  });
+
+  describe('observeShadowRoots', () => {
+    test('reports mutations inside nested shadow roots', async () => {
+      const { innerRoot } = buildNestedShadowTree();
+      const callback = jest.fn();
+      const observer = new MutationObserver(callback);
+      observeShadowRoots(observer, document.body, { childList: true, subtree: true });
+
+      innerRoot.appendChild(document.createElement('input'));
+      await Promise.resolve();
+      observer.disconnect();
+
+      expect(callback).toHaveBeenCalledTimes(1);
+      expect(callback.mock.calls[0][0][0].target).toBe(innerRoot);
+    });
+  });
+
+  describe('onLateShadowRoot', () => {
+    afterEach(() => {
+      jest.useRealTimers();
+    });
+
+    test('reports the shadow root of a custom element that upgrades after it was inserted', async () => {
+      jest.useFakeTimers();
+      const listener = jest.fn();
+      onLateShadowRoot(listener);
+      document.body.innerHTML = '<form><late-field></late-field></form>';
+      await Promise.resolve();
+
+      customElements.define('late-field', class extends HTMLElement {
+        constructor() {
+          super();
+          this.attachShadow({ mode: 'open' }).innerHTML = '<input name="email"><nested-field></nested-field>';
+        }
+      });
+      jest.advanceTimersByTime(250);
+
+      const root = document.querySelector('late-field').shadowRoot;
+      expect(listener).toHaveBeenCalledWith(root);
+      expect(listener).toHaveBeenCalledTimes(1);
+
+      customElements.define('nested-field', class extends HTMLElement {
+        constructor() {
+          super();
+          this.attachShadow({ mode: 'open' }).innerHTML = '<textarea></textarea>';
+        }
+      });
+      jest.advanceTimersByTime(250);
+
+      expect(listener).toHaveBeenLastCalledWith(root.querySelector('nested-field').shadowRoot);
+    });
+
+    test('reports a shadow root attached on first use when something inside it gets focus', async () => {
+      const listener = jest.fn();
+      onLateShadowRoot(listener);
+      const host = document.createElement('div');
+      document.body.appendChild(host);
+      await Promise.resolve();
+
+      const root = host.attachShadow({ mode: 'open' });
+      root.innerHTML = '<input>';
+      root.querySelector('input').focus();
+
+      expect(listener).toHaveBeenCalledWith(root);
+    });
+
+    test('leaves shadow roots that arrive with inserted nodes to the caller', async () => {
+      const listener = jest.fn();
+      onLateShadowRoot(listener);
+      const { input } = buildNestedShadowTree();
+      await Promise.resolve();
+      input.focus();
+
+      expect(listener).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('getRobustSelector', () => {
+    const select = html => {
+      document.body.innerHTML = html;
+      return document.querySelector('[data-target]') || document.querySelector('.target');
+    };
+
+    test('prefers a unique id, then test ids, then name', () => {
+      expect(getRobustSelector(select('<input id="email" data-target>'))).toBe('#email');
+      expect(getRobustSelector(select('<input data-testid="zip" name="zip" data-target>'))).toBe('[data-testid="zip"]');
+      expect(getRobustSelector(select('<input name="city" data-target>'))).toBe('input[name="city"]');
+    });
+
+    test('skips generated and duplicate ids', () => {
+      expect(getRobustSelector(select('<input id=":r1:" name="a" data-target>'))).toBe('input[name="a"]');
+      expect(getRobustSelector(select('<input id="x" class="target"><input id="x" name="b">'))).not.toBe('#x');
+    });
+
+    test('quotes ids and values that need it', () => {
+      expect(getRobustSelector(select('<input id="user.email" data-target>'))).toBe('[id="user.email"]');
+      expect(getRobustSelector(select('<input aria-label=\'Say "hi"\' data-target>'))).toBe('input[aria-label="Say \\"hi\\""]');
+    });
+
+    test('falls back to an nth-of-type path from an identifiable ancestor', () => {
+      const field = select('<form id="signup"><div><input></div><div><input class="target"></div></form>');
+      const selector = getRobustSelector(field);
+
+      expect(selector).toBe('#signup > div:nth-of-type(2) > input');
+      expect(document.querySelector(selector)).toBe(field);
+    });
+
+    test('prefixes the shadow hosts of fields in shadow roots', () => {
+      const host = document.createElement('my-field');
+      host.id = 'card';
+      document.body.appendChild(host);
+      const root = host.attachShadow({ mode: 'open' });
+      root.innerHTML = '<label><input></label>';
+
+      expect(getRobustSelector(root.querySelector('input'))).toBe('#card >>> label > input');
+    });
+  });
+});
@@ -0,0 +1,230 @@
+// Form State Module
+// Saves the values of the form around the focused field under a name, per page, and
+// puts them back later, so a valid baseline doesn't have to be re-typed between payloads
+
+// Note: escapePreview is provided by utils.js, querySelectorAllDeep by dom.js, setNativeValue,
+// dispatchValueEvents and restoreValue by injection.js (loaded before this script)
+
+const FORM_SNAPSHOTS_KEY = 'formSnapshots';
+
+// Form snapshots kept per page; saving past the limit drops the oldest
+const MAX_FORM_SNAPSHOTS = 20;
+
+/**
+ * Page a form snapshot belongs to: origin and path, so query strings and
+ * fragments (session ids, tracking, SPA routes in the hash) don't split them up
+ * @param {string} url - Page or frame URL
+ * @returns {string} Snapshot page key
+ */
+function getSnapshotPage(url) {
+  const { origin, pathname } = new URL(url);
+  return `${origin}${pathname}`;
+}
+
+/**
+ * Keys that match a form's fields between a snapshot and the form it is restored into:
+ * the name (with the value for checkboxes and radios, which share one), else the id,
+ * else "unnamed". Repeated keys (name="items[]", unnamed fields) get #1, #2, ... in document
+ * order, so named fields stay matched when unnamed ones come and go, and the other way round.
+ * @param {Array<{name: string, id: string, type: string, value: string}>} fields - Fields in document order
+ * @returns {Array<string>} One key per field
+ */
+function getFormFieldKeys(fields) {
+  const seen = new Map();
+  return fields.map(({ name, id, type, value }) => {
+    let key = 'unnamed';
+    if (name) {
+      key = type === 'checkbox' || type === 'radio' ? `name:${name}=${value}` : `name:${name}`;
+    } else if (id) {
+      key = `id:${id}`;
+    }
+    const count = seen.get(key) || 0;
+    seen.set(key, count + 1);
+    return count === 0 ? key : `${key}#${count}`;
+  });
+}
+
+/**
+ * Add a snapshot to a page's list, newest first. A snapshot with the same name replaces the old one.
+ * @param {Object} store - Snapshots by page key
+ * @param {string} page - Page key (see getSnapshotPage)
+ * @param {Object} snapshot - Snapshot with name, savedAt and fields
+ * @param {number} max - Snapshots kept per page (default MAX_FORM_SNAPSHOTS)
+ * @returns {Object} New store
+ */
+function addFormSnapshot(store, page, snapshot, max = MAX_FORM_SNAPSHOTS) {
+  const others = (store[page] || []).filter(existing => existing.name !== snapshot.name);
+  return { ...store, [page]: [snapshot, ...others].slice(0, max) };
+}
+
+// Inputs that hold no user-entered state (or whose state can't be set from a script)
+const SKIPPED_INPUT_TYPES = ['hidden', 'file', 'submit', 'reset', 'button', 'image'];
+
+// Fields a snapshot covers, in document order: the form's inputs, selects and textareas, then its
+// contentEditable regions (outermost only: nested ones are part of their parent's markup)
+function getSnapshotFields(form) {
+  const controls = [...form.elements].filter(element =>
+    element.tagName === 'SELECT' ||
+    element.tagName === 'TEXTAREA' ||
+    (element.tagName === 'INPUT' && !SKIPPED_INPUT_TYPES.includes(element.type)));
+  const editors = querySelectorAllDeep('[contenteditable]', form)
+    .filter(element => element.isContentEditable && !element.parentElement?.isContentEditable);
+  return [...controls, ...editors];
+}
+
+// Keys matching the fields of a form between saving and restoring (see getFormFieldKeys)
+function getSnapshotFieldKeys(fields) {
+  return getFormFieldKeys(fields.map(field => ({
+    name: field.getAttribute('name') || '',
+    id: field.getAttribute('id') || '',
+    type: field.isContentEditable ? 'contenteditable' : field.type,
+    value: field.isContentEditable ? '' : field.value
+  })));
+}
+
+// Current state of one field: markup, checked state, selected option values or value
+function readFieldState(field) {
+  if (field.isContentEditable) {
+    return { html: field.innerHTML };
+  }
+  if (field.tagName === 'SELECT') {
+    return { selected: [...field.options].filter(option => option.selected).map(option => option.value) };
+  }
+  if (field.type === 'checkbox' || field.type === 'radio') {
+    return { checked: field.checked };
+  }
+  return { value: field.value };
+}
+
+// Put one field back into a saved state, firing events only for fields that change
+function applyFieldState(field, state) {
+  if ('html' in state) {
+    if (field.innerHTML !== state.html) {
+      restoreValue(field, state.html);
+    }
+  } else if ('selected' in state) {
+    const options = [...field.options];
+    if (options.some(option => option.selected !== state.selected.includes(option.value))) {
+      options.forEach(option => { option.selected = state.selected.includes(option.value); });
+      dispatchValueEvents(field);
+    }
+  } else if ('checked' in state) {
+    // A click toggles it with the events the page expects from the user
+    if (field.checked !== state.checked) {
+      field.click();
+    }
+  } else if (field.value !== state.value) {
+    setNativeValue(field, state.value);
+    dispatchValueEvents(field, { inputType: 'insertReplacementText', data: state.value });
+  }
+}
+
+// Put a radio group back as a unit ({ field, state } for each saved radio the form still has):
+// click the radio that was checked, which unchecks the rest, so the page never sees the group
+// pass through having none checked. The group is cleared only if none was checked when saved.
+function applyRadioGroupState(group) {
+  const saved = group.find(({ state }) => state.checked);
+  if (saved) {
+    if (!saved.field.checked && !saved.field.disabled) {
+      saved.field.click();
+    }
+    return;
+  }
+  for (const { field } of group) {
+    if (field.checked && !field.disabled) {
+      // Clicking can't clear a radio button
+      field.checked = false;
+      field.dispatchEvent(new Event('change', { bubbles: true }));
+    }
+  }
+}
+
+// State of every field of a form, keyed so it can be matched when restoring
+function captureFormState(form) {
+  const fields = getSnapshotFields(form);
+  const keys = getSnapshotFieldKeys(fields);
+  return fields.map((field, i) => ({ key: keys[i], ...readFieldState(field) }));
+}
+
+// Restore saved field states into a form. Disabled and read-only fields are left alone;
+// saved fields the form no longer has are counted as missing. Radio buttons are restored
+// by group, after the other fields.
+function restoreFormState(form, savedFields) {
+  const fields = getSnapshotFields(form);
+  const byKey = new Map(getSnapshotFieldKeys(fields).map((key, i) => [key, fields[i]]));
+  // Saved radios by group name (unnamed radios are groups of their own)
+  const radioGroups = new Map();
+  let restored = 0;
+  let missing = 0;
+
+  for (const { key, ...state } of savedFields) {
+    const field = byKey.get(key);
+    if (!field) {
+      missing++;
+    } else if (field.type === 'radio' && 'checked' in state) {
+      // Disabled radios stay in the group so a disabled checked one keeps the group as it is
+      const groupKey = field.name || field;
+      radioGroups.set(groupKey, [...(radioGroups.get(groupKey) || []), { field, state }]);
+      if (!field.disabled) restored++;
+    } else if (!field.disabled && !field.readOnly) {
+      applyFieldState(field, state);
+      restored++;
+    }
+  }
+  radioGroups.forEach(applyRadioGroupState);
+  return { restored, missing };
+}
+
+// Snapshots saved for this page, newest first
+function getPageSnapshots(callback) {
+  chrome.storage.local.get([FORM_SNAPSHOTS_KEY], (result) => {
+    const store = result[FORM_SNAPSHOTS_KEY] || {};
+    callback(store[getSnapshotPage(location.href)] || []);
+  });
+}
+
+// Save the state of a form under a name for this page (replacing a snapshot with the same name)
+function saveFormSnapshot(form, name, callback) {
+  const snapshot = { name, savedAt: new Date().toISOString(), fields: captureFormState(form) };
+  chrome.storage.local.get([FORM_SNAPSHOTS_KEY], (result) => {
+    const store = addFormSnapshot(result[FORM_SNAPSHOTS_KEY] || {}, getSnapshotPage(location.href), snapshot);
+    chrome.storage.local.set({ [FORM_SNAPSHOTS_KEY]: store }, () => callback(snapshot));
+  });
+}
+
+// Palette entries for choosing a snapshot: its name, when it was saved and a preview of its values
+function buildSnapshotEntries(snapshots) {
+  return snapshots.map(snapshot => {
+    const values = snapshot.fields
+      .map(field => field.value ?? field.selected?.join(', ') ?? '')
+      .filter(Boolean);
+    const count = snapshot.fields.length;
+    return {
+      name: snapshot.name,
+      category: `saved ${new Date(snapshot.savedAt).toLocaleString()}`,
+      value: '',
+      detail: escapePreview(values.join(' · ')) || '(no text values)',
+      count: `${count} field${count === 1 ? '' : 's'}`,
+      snapshot
+    };
+  });
+}
+
+// Export for testing (Node.js environment)
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    FORM_SNAPSHOTS_KEY,
+    MAX_FORM_SNAPSHOTS,
+    getSnapshotPage,
+    getFormFieldKeys,
+    addFormSnapshot,
+    getSnapshotFields,
+    readFieldState,
+    applyFieldState,
+    captureFormState,
+    restoreFormState,
+    getPageSnapshots,
+    saveFormSnapshot,
+    buildSnapshotEntries
+  };
+}
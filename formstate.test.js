@@ -0,0 +1,282 @@
+/**
+ * @jest-environment jsdom
+ */
+
+// Tests for formstate.js form snapshots
+
+// In-memory chrome.storage.local with the callback API
+let storage = {};
+global.chrome = {
+  storage: {
+    local: {
+      get: jest.fn((keys, callback) => callback(Object.fromEntries(keys.filter(key => key in storage).map(key => [key, storage[key]])))),
+      set: jest.fn((items, callback) => {
+        storage = { ...storage, ...items };
+        callback?.();
+      })
+    }
+  }
+};
+
+// Shared helpers are globals in the extension (utils.js, dom.js and injection.js load first)
+global.escapePreview = require('./utils').escapePreview;
+Object.assign(global, require('./dom'));
+const { setNativeValue, dispatchValueEvents, restoreValue } = require('./injection');
+Object.assign(global, { setNativeValue, dispatchValueEvents, restoreValue });
+
+const {
+  FORM_SNAPSHOTS_KEY,
+  MAX_FORM_SNAPSHOTS,
+  getSnapshotPage,
+  getFormFieldKeys,
+  addFormSnapshot,
+  getSnapshotFields,
+  captureFormState,
+  restoreFormState,
+  getPageSnapshots,
+  saveFormSnapshot,
+  buildSnapshotEntries
+} = require('./formstate');
+
+// contentEditable region with jsdom's missing isContentEditable stubbed
+function stubEditable(element) {
+  Object.defineProperty(element, 'isContentEditable', { value: true });
+  return element;
+}
+
+describe('formstate.js', () => {
+  let form;
+
+  beforeEach(() => {
+    storage = {};
+    document.body.innerHTML = `
+      <form>
+        <input name="email" type="email" value="alice@example.com">
+        <input type="hidden" name="csrf" value="token">
+        <input name="terms" type="checkbox" checked>
+        <input name="plan" type="radio" value="free">
+        <input name="plan" type="radio" value="pro" checked>
+        <select name="country"><option value="GB">GB</option><option value="FR" selected>FR</option></select>
+        <textarea id="bio">Hello</textarea>
+        <input name="items[]" value="first">
+        <input name="items[]" value="second">
+        <div contenteditable="true"><p>Rich <b>text</b></p></div>
+        <button type="submit">Send</button>
+      </form>
+    `;
+    form = document.querySelector('form');
+    stubEditable(form.querySelector('[contenteditable]'));
+  });
+
+  // Change every field away from the state in the markup
+  function changeEverything() {
+    form.elements.email.value = '<script>';
+    form.elements.terms.checked = false;
+    form.querySelector('[value="free"]').checked = true;
+    form.elements.country.value = 'GB';
+    form.querySelector('#bio').value = '';
+    form.querySelectorAll('[name="items[]"]')[1].value = 'x';
+    form.querySelector('[contenteditable]').innerHTML = 'payload';
+  }
+
+  test('snapshots cover text inputs, checkboxes, radios, selects, textareas and contentEditable', () => {
+    const fields = getSnapshotFields(form);
+    expect(fields.map(field => field.getAttribute('name') || field.id || field.tagName)).toEqual(
+      ['email', 'terms', 'plan', 'plan', 'country', 'bio', 'items[]', 'items[]', 'DIV']
+    );
+  });
+
+  test('captureFormState records each field under a stable key', () => {
+    expect(captureFormState(form)).toEqual([
+      { key: 'name:email', value: 'alice@example.com' },
+      { key: 'name:terms=on', checked: true },
+      { key: 'name:plan=free', checked: false },
+      { key: 'name:plan=pro', checked: true },
+      { key: 'name:country', selected: ['FR'] },
+      { key: 'id:bio', value: 'Hello' },
+      { key: 'name:items[]', value: 'first' },
+      { key: 'name:items[]#1', value: 'second' },
+      { key: 'unnamed', html: '<p>Rich <b>text</b></p>' }
+    ]);
+  });
+
+  test('restoreFormState puts every field back', () => {
+    const saved = captureFormState(form);
+    changeEverything();
+
+    expect(restoreFormState(form, saved)).toEqual({ restored: 9, missing: 0 });
+    expect(form.elements.email.value).toBe('alice@example.com');
+    expect(form.elements.terms.checked).toBe(true);
+    expect(form.querySelector('[value="pro"]').checked).toBe(true);
+    expect(form.querySelector('[value="free"]').checked).toBe(false);
+    expect(form.elements.country.value).toBe('FR');
+    expect(form.querySelector('#bio').value).toBe('Hello');
+    expect(form.querySelectorAll('[name="items[]"]')[1].value).toBe('second');
+    expect(form.querySelector('[contenteditable]').innerHTML).toBe('<p>Rich <b>text</b></p>');
+  });
+
+  test('rich text is restored as an undo even when the page blocks pasting', () => {
+    const editor = form.querySelector('[contenteditable]');
+    const saved = captureFormState(form);
+    changeEverything();
+    const events = [];
+    editor.addEventListener('paste', (e) => e.preventDefault());
+    editor.addEventListener('input', (e) => events.push(e.inputType));
+
+    restoreFormState(form, saved);
+
+    expect(editor.innerHTML).toBe('<p>Rich <b>text</b></p>');
+    expect(events).toEqual(['historyUndo']);
+  });
+
+  test('restoring fires input and change only on fields that change', () => {
+    const saved = captureFormState(form);
+    form.elements.email.value = 'changed';
+    form.elements.terms.checked = false;
+    const events = [];
+    form.addEventListener('input', (e) => events.push(`input:${e.target.name}`));
+    form.addEventListener('change', (e) => events.push(`change:${e.target.name}`));
+
+    restoreFormState(form, saved);
+
+    expect(events).toEqual(['input:email', 'change:email', 'input:terms', 'change:terms']);
+  });
+
+  test('a radio group saved with nothing checked is cleared', () => {
+    form.querySelector('[value="pro"]').checked = false;
+    const saved = captureFormState(form);
+    form.querySelector('[value="free"]').checked = true;
+
+    restoreFormState(form, saved);
+
+    expect(form.querySelectorAll('[name="plan"]:checked')).toHaveLength(0);
+  });
+
+  test('a radio group is restored by clicking the saved radio, never passing through none checked', () => {
+    const saved = captureFormState(form);
+    form.querySelector('[value="free"]').checked = true;
+    const states = [];
+    form.addEventListener('change', (e) => {
+      states.push([e.target.value, ...[...form.querySelectorAll('[name="plan"]')].map(radio => radio.checked)]);
+    });
+
+    restoreFormState(form, saved);
+
+    expect(states).toEqual([['pro', false, true]]);
+  });
+
+  test('a radio group is left alone when its saved radio is disabled', () => {
+    const saved = captureFormState(form);
+    form.querySelector('[value="free"]').checked = true;
+    form.querySelector('[value="pro"]').disabled = true;
+
+    restoreFormState(form, saved);
+
+    expect(form.querySelector('[value="free"]').checked).toBe(true);
+  });
+
+  test('skips disabled and read-only fields and counts fields the form no longer has', () => {
+    const saved = captureFormState(form);
+    changeEverything();
+    form.elements.email.readOnly = true;
+    form.querySelector('#bio').remove();
+
+    expect(restoreFormState(form, saved)).toEqual({ restored: 7, missing: 1 });
+    expect(form.elements.email.value).toBe('<script>');
+  });
+
+  test('saves snapshots per origin and path under their names', () => {
+    const callback = jest.fn();
+    saveFormSnapshot(form, 'Baseline', callback);
+
+    const page = getSnapshotPage(location.href);
+    expect(storage[FORM_SNAPSHOTS_KEY][page]).toEqual([
+      expect.objectContaining({ name: 'Baseline', fields: captureFormState(form) })
+    ]);
+    expect(callback).toHaveBeenCalledWith(expect.objectContaining({ name: 'Baseline' }));
+
+    const snapshots = jest.fn();
+    getPageSnapshots(snapshots);
+    expect(snapshots).toHaveBeenCalledWith([expect.objectContaining({ name: 'Baseline' })]);
+  });
+
+  test('getPageSnapshots ignores snapshots of other pages', () => {
+    storage[FORM_SNAPSHOTS_KEY] = { 'https://example.com/signup': [{ name: 'Other', savedAt: '', fields: [] }] };
+    const snapshots = jest.fn();
+
+    getPageSnapshots(snapshots);
+
+    expect(snapshots).toHaveBeenCalledWith([]);
+  });
+
+  test('buildSnapshotEntries previews the text values of each snapshot', () => {
+    const [entry] = buildSnapshotEntries([{ name: 'Baseline', savedAt: '2026-10-19T10:00:00.000Z', fields: captureFormState(form) }]);
+
+    expect(entry).toEqual(expect.objectContaining({
+      name: 'Baseline',
+      value: '',
+      detail: 'alice@example.com · FR · Hello · first · second',
+      count: '9 fields'
+    }));
+    expect(entry.category).toMatch(/^saved /);
+  });
+});
+
+describe('snapshot helpers', () => {
+  test('getSnapshotPage keeps the origin and path only', () => {
+    expect(getSnapshotPage('https://shop.example.com:8443/checkout/step-2?session=abc#billing'))
+      .toBe('https://shop.example.com:8443/checkout/step-2');
+  });
+
+  test('getFormFieldKeys prefers the name, then the id', () => {
+    expect(getFormFieldKeys([
+      { name: 'email', id: 'e1', type: 'email', value: 'a@b.c' },
+      { name: '', id: 'bio', type: 'textarea', value: '' },
+      { name: '', id: '', type: 'text', value: '' }
+    ])).toEqual(['name:email', 'id:bio', 'unnamed']);
+  });
+
+  test('getFormFieldKeys tells checkboxes and radios sharing a name apart by value', () => {
+    expect(getFormFieldKeys([
+      { name: 'plan', id: '', type: 'radio', value: 'free' },
+      { name: 'plan', id: '', type: 'radio', value: 'pro' },
+      { name: 'tags', id: '', type: 'checkbox', value: 'a' }
+    ])).toEqual(['name:plan=free', 'name:plan=pro', 'name:tags=a']);
+  });
+
+  test('getFormFieldKeys numbers repeated keys in order', () => {
+    expect(getFormFieldKeys([
+      { name: 'items[]', id: '', type: 'text', value: '' },
+      { name: '', id: '', type: 'text', value: '' },
+      { name: 'items[]', id: '', type: 'text', value: '' },
+      { name: '', id: '', type: 'contenteditable', value: '' }
+    ])).toEqual(['name:items[]', 'unnamed', 'name:items[]#1', 'unnamed#1']);
+  });
+
+  test('addFormSnapshot puts the newest first and replaces one with the same name', () => {
+    const page = 'https://example.com/signup';
+    let store = addFormSnapshot({}, page, { name: 'Baseline', fields: [1] });
+    store = addFormSnapshot(store, page, { name: 'Long names', fields: [] });
+    store = addFormSnapshot(store, page, { name: 'Baseline', fields: [2] });
+
+    expect(store[page]).toEqual([{ name: 'Baseline', fields: [2] }, { name: 'Long names', fields: [] }]);
+  });
+
+  test('addFormSnapshot keeps pages apart and drops the oldest past the limit', () => {
+    let store = { 'https://example.com/other': [{ name: 'Other', fields: [] }] };
+    for (let i = 0; i <= MAX_FORM_SNAPSHOTS; i++) {
+      store = addFormSnapshot(store, 'https://example.com/signup', { name: `State ${i}`, fields: [] });
+    }
+
+    expect(store['https://example.com/signup']).toHaveLength(MAX_FORM_SNAPSHOTS);
+    expect(store['https://example.com/signup'][0].name).toBe(`State ${MAX_FORM_SNAPSHOTS}`);
+    expect(store['https://example.com/signup'].some(snapshot => snapshot.name === 'State 0')).toBe(false);
+    expect(store['https://example.com/other']).toHaveLength(1);
+  });
+
+  test('addFormSnapshot does not change the store it was given', () => {
+    const store = {};
+    addFormSnapshot(store, 'https://example.com/', { name: 'Baseline', fields: [] });
+    expect(store).toEqual({});
+  });
+});
@@ -0,0 +1,540 @@
+// Framework-aware value injection
+// Sets values through the native prototype setters and dispatches the events
+// React, Vue and Angular listen for, so controlled inputs keep injected payloads
+
+/**
+ * Find the native value setter for an element, skipping any setter defined on the
+ * instance itself (React installs one to track the last value it rendered)
+ * @param {HTMLElement} element - Input, textarea or select element
+ * @returns {Function|null} Native setter, or null if the element has no value property
+ */
+function getNativeValueSetter(element) {
+  let proto = Object.getPrototypeOf(element);
+  while (proto) {
+    const descriptor = Object.getOwnPropertyDescriptor(proto, 'value');
+    if (descriptor && descriptor.set) {
+      return descriptor.set;
+    }
+    proto = Object.getPrototypeOf(proto);
+  }
+  return null;
+}
+
+/**
+ * Read the current value of a field (text content for contentEditable)
+ * @param {HTMLElement} element - Target field
+ * @returns {string} Current value
+ */
+function getFieldValue(element) {
+  if (element.isContentEditable) {
+    return element.textContent;
+  }
+  return element.value;
+}
+
+/**
+ * Set a field value without notifying frameworks.
+ * Uses the prototype setter so React's value tracker sees the value as changed.
+ * @param {HTMLElement} element - Target field
+ * @param {string} value - New value
+ */
+function setNativeValue(element, value) {
+  if (element.isContentEditable) {
+    element.textContent = value;
+    return;
+  }
+
+  const setter = getNativeValueSetter(element);
+  if (setter) {
+    setter.call(element, value);
+  } else {
+    element.value = value;
+  }
+}
+
+/**
+ * Dispatch the events frameworks use to pick up a value change:
+ * - input: React onChange, Vue v-model, Angular DefaultValueAccessor
+ * - change: Vue v-model.lazy, Angular select/checkbox accessors, vanilla listeners
+ * @param {HTMLElement} element - Target field
+ * @param {Object} options - InputEvent details
+ * @param {string} options.inputType - InputEvent inputType (default insertReplacementText)
+ * @param {string|null} options.data - InputEvent data
+ */
+function dispatchValueEvents(element, { inputType = 'insertReplacementText', data = null } = {}) {
+  element.dispatchEvent(new InputEvent('input', {
+    inputType,
+    data,
+    bubbles: true,
+    composed: true
+  }));
+  element.dispatchEvent(new Event('change', { bubbles: true }));
+}
+
+/**
+ * Run an editing command on the focused contentEditable element. Commands make real
+ * DOM edits with trusted beforeinput/input events, the same path as typing, so
+ * rich-text editors (ProseMirror, Quill, CKEditor, Draft.js, Lexical) update their models.
+ * @param {HTMLElement} element - contentEditable element
+ * @param {string} command - execCommand name (insertText, insertHTML, delete)
+ * @param {string|null} value - Command argument
+ * @returns {boolean} True if the browser performed the command
+ */
+function execEditorCommand(element, command, value = null) {
+  const doc = element.ownerDocument;
+  if (typeof doc.execCommand !== 'function') return false;
+  try {
+    return doc.execCommand(command, false, value);
+  } catch (err) {
+    return false;
+  }
+}
+
+/**
+ * Selection that can see into the element's tree. Chrome's document.getSelection()
+ * retargets nodes inside a shadow root to its host; ShadowRoot.getSelection() doesn't.
+ * @param {HTMLElement} element - Element whose selection is wanted
+ * @returns {Selection|null} Selection
+ */
+function getEditorSelection(element) {
+  const root = element.getRootNode();
+  return typeof root.getSelection === 'function' ? root.getSelection() : element.ownerDocument.getSelection();
+}
+
+/**
+ * Place the selection inside a contentEditable element before an edit
+ * @param {HTMLElement} element - contentEditable element
+ * @param {string} target - 'all' (select everything), 'end', 'caret' (collapse to the
+ *   end the selection was extended to) or 'selection' (keep it); anything but 'all'
+ *   falls back to the end when the selection is outside the element
+ */
+function setEditorSelection(element, target) {
+  // Focus first: focusing can move the caret, which would undo the selection below.
+  // The root's activeElement is the focused element even inside a shadow root
+  if (!element.contains(element.getRootNode().activeElement)) {
+    element.focus();
+  }
+  const selection = getEditorSelection(element);
+  if (!selection) return;
+
+  const isInside = selection.rangeCount > 0 &&
+    element.contains(selection.anchorNode) && element.contains(selection.focusNode);
+
+  if (target === 'all') {
+    selection.selectAllChildren(element);
+  } else if (target === 'end' || !isInside) {
+    selection.selectAllChildren(element);
+    selection.collapseToEnd();
+  } else if (target === 'caret') {
+    selection.collapse(selection.focusNode, selection.focusOffset);
+  }
+}
+
+/**
+ * Insert an HTML fragment at the selection of a contentEditable element
+ * (fallback when insertHTML isn't available). The caret ends up after the fragment.
+ * @param {HTMLElement} element - contentEditable element
+ * @param {string} html - HTML to insert
+ */
+function insertHtmlIntoEditable(element, html) {
+  const doc = element.ownerDocument;
+  // Parse in a template so <script> elements stay inert
+  const template = doc.createElement('template');
+  template.innerHTML = html;
+  const lastNode = template.content.lastChild;
+
+  const selection = getEditorSelection(element);
+  const range = selection.getRangeAt(0);
+  range.deleteContents();
+  range.insertNode(template.content);
+
+  if (lastNode) {
+    range.setStartAfter(lastNode);
+    range.collapse(true);
+    selection.removeAllRanges();
+    selection.addRange(range);
+  }
+}
+
+/**
+ * Insert text or HTML at the selection of a contentEditable element so the editor
+ * processes it as typed or pasted input:
+ * - text: insertText command, else a cancelable beforeinput(insertText) and a Range insert
+ * - HTML: a paste event with text/html data (editors insert it themselves and cancel it),
+ *   else the insertHTML command, else beforeinput(insertFromPaste) and a Range insert
+ * Call setEditorSelection first to choose where the value goes.
+ * @param {HTMLElement} element - contentEditable element
+ * @param {string} value - Text, or HTML when options.html is set
+ * @param {Object} options - Insert options
+ * @param {boolean} options.html - Insert the value as rich content
+ */
+function insertIntoEditor(element, value, { html = false } = {}) {
+  if (html) {
+    const template = element.ownerDocument.createElement('template');
+    template.innerHTML = value;
+    const clipboardData = new DataTransfer();
+    clipboardData.setData('text/plain', template.content.textContent);
+    clipboardData.setData('text/html', value);
+
+    const paste = new ClipboardEvent('paste', { clipboardData, bubbles: true, cancelable: true, composed: true });
+    if (!element.dispatchEvent(paste)) return; // the editor inserted it
+    if (execEditorCommand(element, 'insertHTML', value)) return;
+
+    const beforeInput = new InputEvent('beforeinput', {
+      inputType: 'insertFromPaste',
+      dataTransfer: clipboardData,
+      bubbles: true,
+      cancelable: true,
+      composed: true
+    });
+    if (!element.dispatchEvent(beforeInput)) return;
+    insertHtmlIntoEditable(element, value);
+    element.dispatchEvent(new InputEvent('input', { inputType: 'insertFromPaste', bubbles: true, composed: true }));
+    return;
+  }
+
+  if (execEditorCommand(element, 'insertText', value)) return;
+
+  const inputInit = { inputType: 'insertText', data: value, bubbles: true, composed: true };
+  if (!element.dispatchEvent(new InputEvent('beforeinput', { ...inputInit, cancelable: true }))) return;
+  insertIntoEditable(element, value);
+  element.dispatchEvent(new InputEvent('input', inputInit));
+}
+
+/**
+ * Delete everything in a contentEditable element the way the editor expects
+ * @param {HTMLElement} element - contentEditable element
+ */
+function clearEditor(element) {
+  setEditorSelection(element, 'all');
+  const selection = getEditorSelection(element);
+  if (!selection || selection.isCollapsed) return;
+  if (execEditorCommand(element, 'delete')) return;
+
+  const inputInit = { inputType: 'deleteContent', bubbles: true, composed: true };
+  if (!element.dispatchEvent(new InputEvent('beforeinput', { ...inputInit, cancelable: true }))) return;
+  selection.getRangeAt(0).deleteContents();
+  element.dispatchEvent(new InputEvent('input', inputInit));
+}
+
+/**
+ * Replace a field value and notify frameworks
+ * @param {HTMLElement} element - Target field
+ * @param {string} value - New value
+ * @param {Object} options - Editor options (see insertIntoEditor)
+ */
+function injectValue(element, value, options = {}) {
+  if (element.isContentEditable) {
+    setEditorSelection(element, 'all');
+    insertIntoEditor(element, value, options);
+    return;
+  }
+  setNativeValue(element, value);
+  dispatchValueEvents(element, { inputType: 'insertReplacementText', data: value });
+}
+
+/**
+ * Append to a field value and notify frameworks
+ * @param {HTMLElement} element - Target field
+ * @param {string} value - Value to append
+ * @param {Object} options - Editor options (see insertIntoEditor)
+ */
+function appendValue(element, value, options = {}) {
+  if (element.isContentEditable) {
+    setEditorSelection(element, 'end');
+    insertIntoEditor(element, value, options);
+    return;
+  }
+  setNativeValue(element, getFieldValue(element) + value);
+  dispatchValueEvents(element, { inputType: 'insertText', data: value });
+}
+
+/**
+ * Read a field value in a form restoreValue can put back: markup for contentEditable,
+ * so formatting survives an undo, the value for anything else
+ * @param {HTMLElement} element - Target field
+ * @returns {string} Restorable value
+ */
+function getRestorableValue(element) {
+  return element.isContentEditable ? element.innerHTML : element.value;
+}
+
+/**
+ * Put back a value read with getRestorableValue and notify frameworks the way an undo
+ * would (input with inputType historyUndo, then change). Editors get the markup through
+ * the insertHTML (or delete) command, else a cancelable beforeinput(historyUndo) and a
+ * Range insert; never as a paste, which the page could cancel or rewrite
+ * @param {HTMLElement} element - Target field
+ * @param {string} value - Value to restore
+ */
+function restoreValue(element, value) {
+  if (element.isContentEditable) {
+    setEditorSelection(element, 'all');
+    const restored = value === ''
+      ? execEditorCommand(element, 'delete')
+      : execEditorCommand(element, 'insertHTML', value);
+    if (restored) return;
+
+    const inputInit = { inputType: 'historyUndo', bubbles: true, composed: true };
+    if (!element.dispatchEvent(new InputEvent('beforeinput', { ...inputInit, cancelable: true }))) return;
+    insertHtmlIntoEditable(element, value);
+    element.dispatchEvent(new InputEvent('input', inputInit));
+    return;
+  }
+  setNativeValue(element, value);
+  dispatchValueEvents(element, { inputType: 'historyUndo' });
+}
+
+/**
+ * Get the selected range of a text field. Input types without a selection API
+ * (email, number, ...) report null, so the caret is assumed to be at the end.
+ * @param {HTMLInputElement|HTMLTextAreaElement} element - Target field
+ * @returns {{start: number, end: number}} Selection offsets
+ */
+function getSelectionOffsets(element) {
+  const { selectionStart, selectionEnd } = element;
+  if (typeof selectionStart === 'number' && typeof selectionEnd === 'number') {
+    return { start: selectionStart, end: selectionEnd };
+  }
+  const length = element.value.length;
+  return { start: length, end: length };
+}
+
+/**
+ * Insert text at the caret of a contentEditable element, replacing the selection.
+ * Falls back to the end of the element when the selection is elsewhere.
+ * @param {HTMLElement} element - contentEditable element
+ * @param {string} text - Text to insert
+ */
+function insertIntoEditable(element, text) {
+  const doc = element.ownerDocument;
+  const selection = getEditorSelection(element);
+  let range;
+  if (selection && selection.rangeCount > 0 && element.contains(selection.getRangeAt(0).commonAncestorContainer)) {
+    range = selection.getRangeAt(0);
+  } else {
+    range = doc.createRange();
+    range.selectNodeContents(element);
+    range.collapse(false);
+  }
+
+  range.deleteContents();
+  const node = doc.createTextNode(text);
+  range.insertNode(node);
+
+  // Caret after the inserted text
+  range.setStartAfter(node);
+  range.collapse(true);
+  if (selection) {
+    selection.removeAllRanges();
+    selection.addRange(range);
+  }
+}
+
+/**
+ * Insert text at the caret, replacing any selection, without notifying frameworks.
+ * The caret ends up after the inserted text.
+ * @param {HTMLElement} element - Target field
+ * @param {string} text - Text to insert
+ */
+function insertAtSelection(element, text) {
+  if (element.isContentEditable) {
+    insertIntoEditable(element, text);
+    return;
+  }
+
+  const current = element.value;
+  const { start, end } = getSelectionOffsets(element);
+  setNativeValue(element, current.slice(0, start) + text + current.slice(end));
+
+  const caret = start + text.length;
+  try {
+    element.setSelectionRange(caret, caret);
+  } catch (err) {
+    // Input type without a selection API
+  }
+}
+
+/**
+ * Collapse the selection to the caret (the end the user extended it towards)
+ * so an insertion keeps the selected text
+ * @param {HTMLElement} element - Target field
+ */
+function collapseToCaret(element) {
+  if (element.isContentEditable) {
+    setEditorSelection(element, 'caret');
+    return;
+  }
+
+  const { start, end } = getSelectionOffsets(element);
+  const caret = element.selectionDirection === 'backward' ? start : end;
+  try {
+    element.setSelectionRange(caret, caret);
+  } catch (err) {
+    // Input type without a selection API
+  }
+}
+
+/**
+ * Insert a value at the caret, keeping any selected text, and notify frameworks.
+ * Offsets are UTF-16 code units, so a caret between surrogate halves splits the pair.
+ * @param {HTMLElement} element - Target field
+ * @param {string} value - Value to insert
+ * @param {Object} options - Editor options (see insertIntoEditor)
+ */
+function insertValueAtCaret(element, value, options = {}) {
+  collapseToCaret(element);
+  if (element.isContentEditable) {
+    insertIntoEditor(element, value, options);
+    return;
+  }
+  insertAtSelection(element, value);
+  dispatchValueEvents(element, { inputType: 'insertText', data: value });
+}
+
+/**
+ * Replace the selected text with a value and notify frameworks
+ * (inserts at the caret when nothing is selected)
+ * @param {HTMLElement} element - Target field
+ * @param {string} value - Replacement value
+ * @param {Object} options - Editor options (see insertIntoEditor)
+ */
+function replaceSelectionValue(element, value, options = {}) {
+  if (element.isContentEditable) {
+    setEditorSelection(element, 'selection');
+    insertIntoEditor(element, value, options);
+    return;
+  }
+  insertAtSelection(element, value);
+  dispatchValueEvents(element, { inputType: 'insertText', data: value });
+}
+
+/**
+ * Paste text the way a real clipboard paste does: dispatch a cancelable paste
+ * ClipboardEvent carrying text/plain and text/html data, then a beforeinput, and
+ * only insert at the caret (replacing the selection) if the page allowed both.
+ * @param {HTMLElement} element - Target field
+ * @param {string} text - Plain text payload
+ * @param {string} html - HTML payload (default: the text itself, so markup payloads reach HTML paste handlers as markup)
+ * @returns {boolean} True if the text was inserted, false if the page called preventDefault()
+ */
+function pasteValue(element, text, html = text) {
+  const clipboardData = new DataTransfer();
+  clipboardData.setData('text/plain', text);
+  clipboardData.setData('text/html', html);
+
+  const paste = new ClipboardEvent('paste', {
+    clipboardData,
+    bubbles: true,
+    cancelable: true,
+    composed: true
+  });
+  if (!element.dispatchEvent(paste)) return false;
+
+  // Editors get the paste's insertion as a real edit they can observe
+  if (element.isContentEditable) {
+    setEditorSelection(element, 'selection');
+    if (execEditorCommand(element, 'insertText', text)) return true;
+  }
+
+  // Browsers give text fields the pasted text as data, and editable content the DataTransfer
+  const isEditable = element.isContentEditable;
+  const beforeInput = new InputEvent('beforeinput', {
+    inputType: 'insertFromPaste',
+    data: isEditable ? null : text,
+    dataTransfer: isEditable ? clipboardData : null,
+    bubbles: true,
+    cancelable: true,
+    composed: true
+  });
+  if (!element.dispatchEvent(beforeInput)) return false;
+
+  insertAtSelection(element, text);
+  dispatchValueEvents(element, { inputType: 'insertFromPaste', data: isEditable ? null : text });
+  return true;
+}
+
+/**
+ * Create the File for a file payload (bytes from buildFileBytes in utils.js)
+ * @param {Object} spec - File spec: name, type, size, content, encoding
+ * @returns {File} File object
+ */
+function createPayloadFile(spec) {
+  return new File([buildFileBytes(spec)], spec.name, {
+    type: spec.type || '',
+    lastModified: Date.now()
+  });
+}
+
+/**
+ * Attach files to an input[type=file] as if the user picked them: the input's
+ * FileList is replaced with one from a DataTransfer, then input and change fire
+ * @param {HTMLInputElement} input - File input
+ * @param {File[]} files - Files to attach (more than one only sticks on multiple inputs)
+ */
+function attachFiles(input, files) {
+  const dataTransfer = new DataTransfer();
+  files.forEach(file => dataTransfer.items.add(file));
+  input.files = dataTransfer.files;
+  input.dispatchEvent(new Event('input', { bubbles: true, composed: true }));
+  input.dispatchEvent(new Event('change', { bubbles: true }));
+}
+
+/**
+ * Drop files on an element the way a drag from the desktop does: dragenter, a
+ * cancelable dragover, and the drop only if the page accepted the dragover
+ * (drop zones call preventDefault() on it to mark themselves as targets)
+ * @param {HTMLElement} target - Drop zone
+ * @param {File[]} files - Files to drop
+ * @returns {boolean} True if the files were dropped, false if the element isn't a drop zone
+ */
+function dropFiles(target, files) {
+  const dataTransfer = new DataTransfer();
+  files.forEach(file => dataTransfer.items.add(file));
+  dataTransfer.effectAllowed = 'all';
+  dataTransfer.dropEffect = 'copy';
+
+  const rect = target.getBoundingClientRect();
+  const init = {
+    dataTransfer,
+    clientX: rect.left + rect.width / 2,
+    clientY: rect.top + rect.height / 2,
+    bubbles: true,
+    cancelable: true,
+    composed: true
+  };
+
+  target.dispatchEvent(new DragEvent('dragenter', init));
+  const accepted = !target.dispatchEvent(new DragEvent('dragover', init));
+  // A drag that ends without a drop leaves the element instead
+  target.dispatchEvent(new DragEvent(accepted ? 'drop' : 'dragleave', init));
+  return accepted;
+}
+
+// Export for testing (Node.js environment)
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    getNativeValueSetter,
+    getFieldValue,
+    setNativeValue,
+    dispatchValueEvents,
+    injectValue,
+    appendValue,
+    getRestorableValue,
+    restoreValue,
+    execEditorCommand,
+    getEditorSelection,
+    setEditorSelection,
+    insertIntoEditor,
+    clearEditor,
+    getSelectionOffsets,
+    insertAtSelection,
+    collapseToCaret,
+    insertValueAtCaret,
+    replaceSelectionValue,
+    pasteValue,
+    createPayloadFile,
+    attachFiles,
+    dropFiles
+  };
+}
@@ -0,0 +1,763 @@
+/**
+ * @jest-environment jsdom
+ */
+
+// Tests for injection.js framework-aware value injection
+
+const {
+  getNativeValueSetter,
+  getFieldValue,
+  setNativeValue,
+  dispatchValueEvents,
+  injectValue,
+  appendValue,
+  getRestorableValue,
+  restoreValue,
+  insertIntoEditor,
+  clearEditor,
+  getEditorSelection,
+  getSelectionOffsets,
+  insertAtSelection,
+  insertValueAtCaret,
+  replaceSelectionValue,
+  pasteValue,
+  createPayloadFile,
+  attachFiles,
+  dropFiles
+} = require('./injection');
+const { TextEncoder } = require('util');
+
+// createPayloadFile builds bytes with utils.js (a global in content scripts), which needs TextEncoder
+global.TextEncoder = TextEncoder;
+global.buildFileBytes = require('./utils').buildFileBytes;
+
+// jsdom has no clipboard or drag and drop API; minimal stand-ins with the parts
+// pasteValue, attachFiles and dropFiles use
+global.DataTransfer = class DataTransfer {
+  constructor() {
+    this.data = new Map();
+    this.files = [];
+    this.items = { add: file => this.files.push(file) };
+  }
+  setData(type, value) {
+    this.data.set(type, value);
+  }
+  getData(type) {
+    return this.data.get(type) ?? '';
+  }
+  get types() {
+    return [...this.data.keys()];
+  }
+};
+global.ClipboardEvent = class ClipboardEvent extends Event {
+  constructor(type, init = {}) {
+    super(type, init);
+    this.clipboardData = init.clipboardData ?? null;
+  }
+};
+global.DragEvent = class DragEvent extends MouseEvent {
+  constructor(type, init = {}) {
+    super(type, init);
+    this.dataTransfer = init.dataTransfer ?? null;
+  }
+};
+
+// jsdom only accepts a real FileList for input.files, which can't be built in tests
+function stubFilesProperty(input) {
+  let files = input.files;
+  Object.defineProperty(input, 'files', {
+    configurable: true,
+    get: () => files,
+    set(value) {
+      files = value;
+    }
+  });
+}
+
+function readFileText(file) {
+  return new Promise((resolve) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.readAsText(file);
+  });
+}
+
+// Mimic React's inputValueTracking: React defines an instance-level "value"
+// property that records every assignment, and its onChange only fires when
+// the DOM value differs from the last tracked value at the time of an input event.
+function attachReactValueTracker(element) {
+  const proto = Object.getPrototypeOf(element);
+  const descriptor = Object.getOwnPropertyDescriptor(proto, 'value');
+  let trackedValue = descriptor.get.call(element);
+
+  Object.defineProperty(element, 'value', {
+    configurable: true,
+    get() {
+      return descriptor.get.call(this);
+    },
+    set(value) {
+      trackedValue = String(value);
+      descriptor.set.call(this, value);
+    }
+  });
+
+  const onChange = jest.fn();
+  element.addEventListener('input', () => {
+    const actual = descriptor.get.call(element);
+    if (actual !== trackedValue) {
+      trackedValue = actual;
+      onChange(actual);
+    }
+  });
+  return onChange;
+}
+
+function createField(tagName, attrs = {}) {
+  const element = document.createElement(tagName);
+  Object.entries(attrs).forEach(([key, value]) => element.setAttribute(key, value));
+  document.body.appendChild(element);
+  return element;
+}
+
+describe('injection.js', () => {
+  beforeEach(() => {
+    document.body.innerHTML = '';
+  });
+
+  describe('React value tracker mimic', () => {
+    test('direct value assignment is ignored by React', () => {
+      const input = createField('input', { type: 'text' });
+      const onChange = attachReactValueTracker(input);
+
+      input.value = 'payload';
+      input.dispatchEvent(new Event('input', { bubbles: true }));
+
+      expect(onChange).not.toHaveBeenCalled();
+    });
+
+    test('injectValue triggers React onChange for inputs', () => {
+      const input = createField('input', { type: 'text' });
+      const onChange = attachReactValueTracker(input);
+
+      injectValue(input, 'payload');
+
+      expect(onChange).toHaveBeenCalledWith('payload');
+      expect(input.value).toBe('payload');
+    });
+
+    test('injectValue triggers React onChange for textareas', () => {
+      const textarea = createField('textarea');
+      const onChange = attachReactValueTracker(textarea);
+
+      injectValue(textarea, 'line 1\nline 2');
+
+      expect(onChange).toHaveBeenCalledWith('line 1\nline 2');
+    });
+
+    test('appendValue triggers React onChange with combined value', () => {
+      const input = createField('input', { type: 'text' });
+      const onChange = attachReactValueTracker(input);
+      input.value = 'existing';
+
+      appendValue(input, '+more');
+
+      expect(onChange).toHaveBeenCalledWith('existing+more');
+    });
+  });
+
+  describe('getNativeValueSetter', () => {
+    test('skips instance-level setters', () => {
+      const input = createField('input', { type: 'text' });
+      attachReactValueTracker(input);
+
+      const setter = getNativeValueSetter(input);
+      expect(setter).toBe(Object.getOwnPropertyDescriptor(HTMLInputElement.prototype, 'value').set);
+    });
+
+    test('returns textarea setter for textareas', () => {
+      const textarea = createField('textarea');
+      expect(getNativeValueSetter(textarea))
+        .toBe(Object.getOwnPropertyDescriptor(HTMLTextAreaElement.prototype, 'value').set);
+    });
+
+    test('returns null for elements without a value property', () => {
+      const div = createField('div');
+      expect(getNativeValueSetter(div)).toBeNull();
+    });
+  });
+
+  describe('setNativeValue', () => {
+    test('sets textContent on contentEditable elements', () => {
+      const div = createField('div', { contenteditable: 'true' });
+      // jsdom doesn't implement isContentEditable
+      Object.defineProperty(div, 'isContentEditable', { value: true });
+
+      setNativeValue(div, 'rich');
+
+      expect(div.textContent).toBe('rich');
+      expect(getFieldValue(div)).toBe('rich');
+    });
+
+    test('does not dispatch events', () => {
+      const input = createField('input', { type: 'text' });
+      const listener = jest.fn();
+      input.addEventListener('input', listener);
+
+      setNativeValue(input, 'quiet');
+
+      expect(listener).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('dispatchValueEvents', () => {
+    test('fires bubbling input then change', () => {
+      const form = createField('form');
+      const input = document.createElement('input');
+      form.appendChild(input);
+      const events = [];
+      form.addEventListener('input', (e) => events.push(`input:${e.inputType}`));
+      form.addEventListener('change', () => events.push('change'));
+
+      dispatchValueEvents(input, { inputType: 'insertFromPaste', data: 'x' });
+
+      expect(events).toEqual(['input:insertFromPaste', 'change']);
+    });
+
+    test('input event is an InputEvent carrying the data', () => {
+      const input = createField('input', { type: 'text' });
+      let received = null;
+      input.addEventListener('input', (e) => { received = e; });
+
+      injectValue(input, 'data');
+
+      expect(received).toBeInstanceOf(InputEvent);
+      expect(received.data).toBe('data');
+      expect(received.inputType).toBe('insertReplacementText');
+    });
+  });
+
+  describe('framework listeners', () => {
+    test('Vue v-model (input) and v-model.lazy (change) both see the value', () => {
+      const input = createField('input', { type: 'text' });
+      let model = '';
+      let lazyModel = '';
+      input.addEventListener('input', (e) => { model = e.target.value; });
+      input.addEventListener('change', (e) => { lazyModel = e.target.value; });
+
+      injectValue(input, 'vue');
+
+      expect(model).toBe('vue');
+      expect(lazyModel).toBe('vue');
+    });
+
+    test('Angular DefaultValueAccessor (input) sees the value', () => {
+      const input = createField('input', { type: 'email' });
+      const onChange = jest.fn();
+      input.addEventListener('input', (e) => onChange(e.target.value));
+
+      injectValue(input, 'a@b.c');
+
+      expect(onChange).toHaveBeenCalledWith('a@b.c');
+    });
+  });
+
+  describe('insertAtSelection', () => {
+    test('replaces the selection and puts the caret after the text', () => {
+      const input = createField('input', { type: 'text' });
+      input.value = 'hello world';
+      input.setSelectionRange(6, 11);
+
+      insertAtSelection(input, 'there');
+
+      expect(input.value).toBe('hello there');
+      expect(input.selectionStart).toBe(11);
+      expect(input.selectionEnd).toBe(11);
+    });
+
+    test('inserts at a collapsed caret', () => {
+      const textarea = createField('textarea');
+      textarea.value = 'ac';
+      textarea.setSelectionRange(1, 1);
+
+      insertAtSelection(textarea, 'b');
+
+      expect(textarea.value).toBe('abc');
+      expect(textarea.selectionStart).toBe(2);
+    });
+
+    test('appends to input types without a selection API', () => {
+      const input = createField('input', { type: 'email' });
+      input.value = 'a@example.com';
+
+      expect(getSelectionOffsets(input)).toEqual({ start: 13, end: 13 });
+      insertAtSelection(input, '<x>');
+      expect(input.value).toBe('a@example.com<x>');
+    });
+
+    test('replaces the selection inside contentEditable', () => {
+      const div = createField('div', { contenteditable: 'true' });
+      Object.defineProperty(div, 'isContentEditable', { value: true });
+      div.textContent = 'hello world';
+      const range = document.createRange();
+      range.setStart(div.firstChild, 6);
+      range.setEnd(div.firstChild, 11);
+      document.getSelection().removeAllRanges();
+      document.getSelection().addRange(range);
+
+      insertAtSelection(div, 'there');
+
+      expect(div.textContent).toBe('hello there');
+      const caret = document.getSelection().getRangeAt(0);
+      expect(caret.collapsed).toBe(true);
+      expect(caret.startContainer).toBe(div);
+      expect(caret.startOffset).toBe(2);
+    });
+
+    test('appends to contentEditable when the selection is elsewhere', () => {
+      const div = createField('div', { contenteditable: 'true' });
+      Object.defineProperty(div, 'isContentEditable', { value: true });
+      div.textContent = 'start';
+      document.getSelection().removeAllRanges();
+
+      insertAtSelection(div, ' end');
+
+      expect(div.textContent).toBe('start end');
+    });
+  });
+
+  describe('insertValueAtCaret', () => {
+    test('inserts in the middle of a value', () => {
+      const input = createField('input', { type: 'text' });
+      input.value = 'abcdef';
+      input.setSelectionRange(3, 3);
+
+      insertValueAtCaret(input, '\u200D');
+
+      expect(input.value).toBe('abc\u200Ddef');
+      expect(input.selectionStart).toBe(4);
+      expect(input.selectionEnd).toBe(4);
+    });
+
+    test('keeps the selected text and inserts at the end the selection was extended to', () => {
+      const input = createField('input', { type: 'text' });
+      input.value = 'abcdef';
+      input.setSelectionRange(1, 3, 'forward');
+      insertValueAtCaret(input, 'X');
+      expect(input.value).toBe('abcXdef');
+
+      input.value = 'abcdef';
+      input.setSelectionRange(1, 3, 'backward');
+      insertValueAtCaret(input, 'X');
+      expect(input.value).toBe('aXbcdef');
+    });
+
+    test('can split a surrogate pair', () => {
+      const input = createField('input', { type: 'text' });
+      input.value = '😀';
+      input.setSelectionRange(1, 1);
+
+      insertValueAtCaret(input, 'x');
+
+      expect(input.value).toBe('\uD83Dx\uDE00');
+    });
+
+    test('inserts at the caret inside contentEditable', () => {
+      const div = createField('div', { contenteditable: 'true' });
+      Object.defineProperty(div, 'isContentEditable', { value: true });
+      div.textContent = 'abcdef';
+      div.focus();
+      const selection = document.getSelection();
+      selection.setBaseAndExtent(div.firstChild, 1, div.firstChild, 3);
+
+      insertValueAtCaret(div, 'X');
+
+      expect(div.textContent).toBe('abcXdef');
+    });
+
+    test('notifies frameworks', () => {
+      const input = createField('input', { type: 'text' });
+      const onChange = attachReactValueTracker(input);
+      input.value = 'ac';
+      input.setSelectionRange(1, 1);
+
+      insertValueAtCaret(input, 'b');
+
+      expect(onChange).toHaveBeenCalledWith('abc');
+    });
+  });
+
+  describe('replaceSelectionValue', () => {
+    test('replaces only the selected text', () => {
+      const textarea = createField('textarea');
+      textarea.value = 'keep REPLACE keep';
+      textarea.setSelectionRange(5, 12);
+
+      replaceSelectionValue(textarea, 'new');
+
+      expect(textarea.value).toBe('keep new keep');
+      expect(textarea.selectionStart).toBe(8);
+    });
+
+    test('inserts at the caret when nothing is selected', () => {
+      const input = createField('input', { type: 'text' });
+      input.value = 'ab';
+      input.setSelectionRange(1, 1);
+
+      replaceSelectionValue(input, '-');
+
+      expect(input.value).toBe('a-b');
+    });
+
+    test('replaces a Range selection inside contentEditable', () => {
+      const div = createField('div', { contenteditable: 'true' });
+      Object.defineProperty(div, 'isContentEditable', { value: true });
+      div.innerHTML = '<b>bold</b> plain';
+      div.focus();
+      document.getSelection().setBaseAndExtent(div.querySelector('b').firstChild, 0, div.lastChild, 1);
+
+      replaceSelectionValue(div, 'X');
+
+      expect(div.textContent).toBe('Xplain');
+    });
+  });
+
+  describe('rich-text editors', () => {
+    // contentEditable host with jsdom's missing isContentEditable stubbed
+    function createEditor(html = '') {
+      const div = createField('div', { contenteditable: 'true' });
+      Object.defineProperty(div, 'isContentEditable', { value: true });
+      div.innerHTML = html;
+      return div;
+    }
+
+    afterEach(() => {
+      delete document.execCommand;
+    });
+
+    test('injectValue replaces the content through beforeinput and input', () => {
+      const editor = createEditor('<p>old <b>text</b></p>');
+      const events = [];
+      editor.addEventListener('beforeinput', (e) => events.push(`beforeinput:${e.inputType}:${e.data}`));
+      editor.addEventListener('input', (e) => events.push(`input:${e.inputType}`));
+
+      injectValue(editor, 'new');
+
+      expect(editor.textContent).toBe('new');
+      expect(events).toEqual(['beforeinput:insertText:new', 'input:insertText']);
+    });
+
+    test('getEditorSelection prefers the shadow root\'s own selection', () => {
+      const host = createField('div');
+      const root = host.attachShadow({ mode: 'open' });
+      const editor = document.createElement('div');
+      root.appendChild(editor);
+      const shadowSelection = {};
+      root.getSelection = () => shadowSelection;
+
+      expect(getEditorSelection(editor)).toBe(shadowSelection);
+      expect(getEditorSelection(host)).toBe(document.getSelection());
+    });
+
+    test('an editor that handles beforeinput itself keeps control of the DOM', () => {
+      const editor = createEditor('<p>model</p>');
+      editor.addEventListener('beforeinput', (e) => e.preventDefault());
+
+      injectValue(editor, 'new');
+
+      expect(editor.innerHTML).toBe('<p>model</p>');
+    });
+
+    test('uses the insertText command when the browser supports it', () => {
+      const editor = createEditor('<p>old</p>');
+      let selected = null;
+      document.execCommand = jest.fn(() => {
+        const range = document.getSelection().getRangeAt(0);
+        selected = [range.startContainer, range.startOffset, range.endContainer, range.endOffset];
+        return true;
+      });
+
+      injectValue(editor, 'new');
+
+      expect(document.execCommand).toHaveBeenCalledWith('insertText', false, 'new');
+      expect(selected).toEqual([editor, 0, editor, 1]); // whole content selected for replacement
+      expect(editor.textContent).toBe('old'); // the browser would have replaced it
+    });
+
+    test('appendValue inserts at the end of the editor', () => {
+      const editor = createEditor('<p>start</p>');
+
+      appendValue(editor, ' end');
+
+      expect(editor.textContent).toBe('start end');
+      expect(document.getSelection().isCollapsed).toBe(true);
+    });
+
+    test('HTML goes through a paste event the editor can take over', () => {
+      const editor = createEditor('<p>old</p>');
+      let clipboard = null;
+      editor.addEventListener('paste', (e) => {
+        clipboard = e.clipboardData;
+        e.preventDefault();
+      });
+
+      injectValue(editor, '<b>bold</b> text', { html: true });
+
+      expect(clipboard.getData('text/html')).toBe('<b>bold</b> text');
+      expect(clipboard.getData('text/plain')).toBe('bold text');
+      expect(editor.innerHTML).toBe('<p>old</p>');
+    });
+
+    test('HTML uses the insertHTML command when the paste is not handled', () => {
+      const editor = createEditor('<p>old</p>');
+      document.execCommand = jest.fn(() => true);
+
+      injectValue(editor, '<i>x</i>', { html: true });
+
+      expect(document.execCommand).toHaveBeenCalledWith('insertHTML', false, '<i>x</i>');
+    });
+
+    test('HTML falls back to inserting inert markup at the selection', () => {
+      const editor = createEditor('<p>old</p>');
+      const events = [];
+      editor.addEventListener('beforeinput', (e) => events.push(`beforeinput:${e.inputType}`));
+
+      injectValue(editor, '<b>bold</b><script>window.__ran = true;</script>', { html: true });
+
+      expect(editor.querySelector('b').textContent).toBe('bold');
+      expect(editor.querySelector('p')).toBeNull();
+      expect(window.__ran).toBeUndefined();
+      expect(events).toEqual(['beforeinput:insertFromPaste']);
+    });
+
+    test('insertIntoEditor inserts plain text literally', () => {
+      const editor = createEditor('');
+      document.getSelection().selectAllChildren(editor);
+
+      insertIntoEditor(editor, '<b>not bold</b>');
+
+      expect(editor.querySelector('b')).toBeNull();
+      expect(editor.textContent).toBe('<b>not bold</b>');
+    });
+
+    test('clearEditor deletes everything through beforeinput', () => {
+      const editor = createEditor('<p>one</p><p>two</p>');
+      const inputTypes = [];
+      editor.addEventListener('beforeinput', (e) => inputTypes.push(e.inputType));
+
+      clearEditor(editor);
+
+      expect(editor.textContent).toBe('');
+      expect(inputTypes).toEqual(['deleteContent']);
+    });
+
+    test('clearEditor uses the delete command when available', () => {
+      const editor = createEditor('<p>one</p>');
+      document.execCommand = jest.fn(() => true);
+
+      clearEditor(editor);
+
+      expect(document.execCommand).toHaveBeenCalledWith('delete', false, null);
+    });
+
+    test('restoreValue puts the saved markup back', () => {
+      const editor = createEditor('<p>pre-filled <b>text</b></p>');
+      const saved = getRestorableValue(editor);
+      injectValue(editor, 'payload');
+
+      restoreValue(editor, saved);
+
+      expect(editor.innerHTML).toBe('<p>pre-filled <b>text</b></p>');
+    });
+
+    test('restoreValue clears the editor when the saved value is empty', () => {
+      const editor = createEditor('<p>payload</p>');
+
+      restoreValue(editor, '');
+
+      expect(editor.textContent).toBe('');
+    });
+
+    test('restoreValue fires an undo, not a paste the page could cancel or rewrite', () => {
+      const editor = createEditor('<p>payload</p>');
+      const events = [];
+      editor.addEventListener('paste', (e) => {
+        events.push('paste');
+        e.preventDefault();
+      });
+      editor.addEventListener('beforeinput', (e) => events.push(`beforeinput:${e.inputType}`));
+      editor.addEventListener('input', (e) => events.push(`input:${e.inputType}`));
+
+      restoreValue(editor, '<p>pre-filled <b>text</b></p>');
+
+      expect(events).toEqual(['beforeinput:historyUndo', 'input:historyUndo']);
+      expect(editor.innerHTML).toBe('<p>pre-filled <b>text</b></p>');
+    });
+
+    test('restoreValue prefers the insertHTML command', () => {
+      const editor = createEditor('<p>payload</p>');
+      document.execCommand = jest.fn(() => true);
+
+      restoreValue(editor, '<p>original</p>');
+
+      expect(document.execCommand).toHaveBeenCalledWith('insertHTML', false, '<p>original</p>');
+    });
+  });
+
+  describe('restoreValue', () => {
+    test('sets the value and fires input as an undo, then change', () => {
+      const input = createField('input', { value: 'payload' });
+      const events = [];
+      input.addEventListener('input', (e) => events.push(`input:${e.inputType}`));
+      input.addEventListener('change', () => events.push('change'));
+
+      restoreValue(input, 'original');
+
+      expect(input.value).toBe('original');
+      expect(events).toEqual(['input:historyUndo', 'change']);
+    });
+
+    test('getRestorableValue reads the value of plain fields', () => {
+      const textarea = createField('textarea');
+      textarea.value = 'line 1\nline 2';
+      expect(getRestorableValue(textarea)).toBe('line 1\nline 2');
+    });
+  });
+
+  describe('pasteValue', () => {
+    test('dispatches paste with text/plain and text/html, then inserts at the caret', () => {
+      const input = createField('input', { type: 'text' });
+      input.value = 'ab';
+      input.setSelectionRange(1, 1);
+      const events = [];
+      let clipboard = null;
+      input.addEventListener('paste', (e) => {
+        clipboard = e.clipboardData;
+        events.push('paste');
+      });
+      input.addEventListener('beforeinput', (e) => events.push(`beforeinput:${e.inputType}`));
+      input.addEventListener('input', (e) => events.push(`input:${e.inputType}`));
+
+      expect(pasteValue(input, '<b>x</b>')).toBe(true);
+
+      expect(events).toEqual(['paste', 'beforeinput:insertFromPaste', 'input:insertFromPaste']);
+      expect(clipboard.getData('text/plain')).toBe('<b>x</b>');
+      expect(clipboard.getData('text/html')).toBe('<b>x</b>');
+      expect(input.value).toBe('a<b>x</b>b');
+    });
+
+    test('paste event is cancelable and bubbles to the document', () => {
+      const input = createField('input', { type: 'text' });
+      let received = null;
+      const listener = (e) => { received = e; };
+      document.addEventListener('paste', listener);
+
+      pasteValue(input, 'x');
+      document.removeEventListener('paste', listener);
+
+      expect(received).toBeInstanceOf(ClipboardEvent);
+      expect(received.cancelable).toBe(true);
+    });
+
+    test('leaves the field alone when the page cancels the paste', () => {
+      const input = createField('input', { type: 'text' });
+      input.value = 'keep';
+      const onInput = jest.fn();
+      input.addEventListener('paste', (e) => e.preventDefault());
+      input.addEventListener('input', onInput);
+
+      expect(pasteValue(input, 'blocked')).toBe(false);
+      expect(input.value).toBe('keep');
+      expect(onInput).not.toHaveBeenCalled();
+    });
+
+    test('leaves the field alone when beforeinput is cancelled', () => {
+      const input = createField('input', { type: 'text' });
+      input.addEventListener('beforeinput', (e) => e.preventDefault());
+
+      expect(pasteValue(input, 'blocked')).toBe(false);
+      expect(input.value).toBe('');
+    });
+
+    test('a paste handler that rewrites the value sees its own result kept', () => {
+      const input = createField('input', { type: 'text' });
+      // Typical "strip formatting" handler: cancel, then insert cleaned text itself
+      input.addEventListener('paste', (e) => {
+        e.preventDefault();
+        input.value = e.clipboardData.getData('text/plain').trim();
+      });
+
+      expect(pasteValue(input, '  padded  ')).toBe(false);
+      expect(input.value).toBe('padded');
+    });
+
+    test('triggers React onChange', () => {
+      const input = createField('input', { type: 'text' });
+      const onChange = attachReactValueTracker(input);
+
+      pasteValue(input, 'pasted');
+
+      expect(onChange).toHaveBeenCalledWith('pasted');
+    });
+  });
+
+  describe('createPayloadFile', () => {
+    test('builds a File with the spec name, type and content', async () => {
+      const file = createPayloadFile({ name: 'note.txt', type: 'text/plain', content: 'ab', size: 5 });
+
+      expect(file).toBeInstanceOf(File);
+      expect(file.name).toBe('note.txt');
+      expect(file.type).toBe('text/plain');
+      expect(file.size).toBe(5);
+      expect(await readFileText(file)).toBe('ababa');
+    });
+
+    test('keeps hostile names untouched', () => {
+      expect(createPayloadFile({ name: 'invoice\u202Efdp.exe' }).name).toBe('invoice\u202Efdp.exe');
+      expect(createPayloadFile({ name: 'zero', size: 0 }).size).toBe(0);
+    });
+  });
+
+  describe('attachFiles', () => {
+    test('sets the input files and fires input then change', () => {
+      const input = createField('input', { type: 'file' });
+      stubFilesProperty(input);
+      const events = [];
+      input.addEventListener('input', () => events.push('input'));
+      input.addEventListener('change', (e) => events.push(`change:${e.target.files[0].name}`));
+      const file = createPayloadFile({ name: 'empty.txt' });
+
+      attachFiles(input, [file]);
+
+      expect(input.files).toEqual([file]);
+      expect(events).toEqual(['input', 'change:empty.txt']);
+    });
+  });
+
+  describe('dropFiles', () => {
+    test('drops on elements that accept the dragover', () => {
+      const zone = createField('div');
+      const events = [];
+      zone.addEventListener('dragenter', () => events.push('dragenter'));
+      zone.addEventListener('dragover', (e) => {
+        e.preventDefault();
+        events.push('dragover');
+      });
+      zone.addEventListener('drop', (e) => events.push(`drop:${e.dataTransfer.files[0].name}`));
+
+      expect(dropFiles(zone, [createPayloadFile({ name: 'shell.php.jpg' })])).toBe(true);
+      expect(events).toEqual(['dragenter', 'dragover', 'drop:shell.php.jpg']);
+    });
+
+    test('does not drop on elements that ignore the dragover', () => {
+      const zone = createField('div');
+      const onDrop = jest.fn();
+      const onLeave = jest.fn();
+      zone.addEventListener('drop', onDrop);
+      zone.addEventListener('dragleave', onLeave);
+
+      expect(dropFiles(zone, [createPayloadFile({ name: 'a.txt' })])).toBe(false);
+      expect(onDrop).not.toHaveBeenCalled();
+      expect(onLeave).toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,310 @@
+// Options page script - manage user-defined payload categories
+
+const categoriesContainer = document.getElementById('categories');
+const addCategoryBtn = document.getElementById('addCategory');
+const savePayloadsBtn = document.getElementById('savePayloads');
+const statusEl = document.getElementById('status');
+const packNameInput = document.getElementById('packName');
+const packVersionInput = document.getElementById('packVersion');
+const packAuthorInput = document.getElementById('packAuthor');
+const exportPackBtn = document.getElementById('exportPack');
+const importPackBtn = document.getElementById('importPack');
+const importFileInput = document.getElementById('importFile');
+const importPreview = document.getElementById('importPreview');
+const importSummary = document.getElementById('importSummary');
+const importDiff = document.getElementById('importDiff');
+const importMergeBtn = document.getElementById('importMerge');
+const importReplaceBtn = document.getElementById('importReplace');
+const importCancelBtn = document.getElementById('importCancel');
+
+// Note: payloadsToList, listToPayloads, moveArrayItem, validatePayloads, isGeneratorItem, isFileItem,
+// describeFileSpec and getItemValue are provided by utils.js, createPayloadPack, parsePayloadPack,
+// diffPayloads and mergePayloadCategories by packs.js (loaded before this script)
+
+// Ordered list of { name, items } being edited
+let categories = [];
+
+// Pack waiting for the user to choose merge or replace
+let pendingImport = null;
+
+// Show a status message next to the Save button
+function showStatus(message, isError = false) {
+  statusEl.textContent = message;
+  statusEl.classList.toggle('error', isError);
+  if (!isError) {
+    setTimeout(() => {
+      if (statusEl.textContent === message) statusEl.textContent = '';
+    }, 1500);
+  }
+}
+
+// Create a small button with a click handler
+function createButton(label, title, onClick, className = 'icon') {
+  const button = document.createElement('button');
+  button.textContent = label;
+  button.title = title;
+  button.className = className;
+  button.addEventListener('click', onClick);
+  return button;
+}
+
+// Create a text input bound to a setter
+function createTextInput(value, placeholder, className, onInput) {
+  const input = document.createElement('input');
+  input.type = 'text';
+  input.value = value;
+  input.placeholder = placeholder;
+  input.className = className;
+  input.addEventListener('input', () => onInput(input.value));
+  return input;
+}
+
+// Render one payload item row
+function renderItem(category, itemIndex) {
+  const item = category.items[itemIndex];
+  const row = document.createElement('div');
+  row.className = 'item';
+
+  if (isGeneratorItem(item) || isFileItem(item)) {
+    // Generator and file items are kept as-is; edit them through import/export
+    const label = document.createElement('span');
+    label.className = 'item-generator';
+    label.textContent = isFileItem(item)
+      ? `${item.name} (file: ${describeFileSpec(item.file)})`
+      : `${item.name} (generator: ${item.generator})`;
+    row.appendChild(label);
+  } else {
+    const isObject = typeof item === 'object';
+    const name = isObject ? item.name : '';
+    const value = isObject ? item.value : item;
+
+    // Items without a name are stored as plain strings
+    const update = (newName, newValue) => {
+      category.items[itemIndex] = newName ? { name: newName, value: newValue } : newValue;
+    };
+
+    const nameInput = createTextInput(name, 'Name (optional)', 'item-name', (newName) => {
+      update(newName, getItemValue(category.items[itemIndex]));
+    });
+    const valueInput = createTextInput(value, 'Value', 'item-value', (newValue) => {
+      const current = category.items[itemIndex];
+      update(typeof current === 'object' ? current.name : '', newValue);
+    });
+    row.append(nameInput, valueInput);
+  }
+
+  row.append(
+    createButton('↑', 'Move up', () => {
+      category.items = moveArrayItem(category.items, itemIndex, itemIndex - 1);
+      render();
+    }),
+    createButton('↓', 'Move down', () => {
+      category.items = moveArrayItem(category.items, itemIndex, itemIndex + 1);
+      render();
+    }),
+    createButton('✕', 'Delete item', () => {
+      category.items.splice(itemIndex, 1);
+      render();
+    })
+  );
+
+  return row;
+}
+
+// Render one category card
+function renderCategory(categoryIndex) {
+  const category = categories[categoryIndex];
+  const card = document.createElement('div');
+  card.className = 'category';
+
+  const header = document.createElement('div');
+  header.className = 'category-header';
+  header.append(
+    createTextInput(category.name, 'Category name', 'category-name', (name) => {
+      category.name = name;
+    }),
+    createButton('↑', 'Move category up', () => {
+      categories = moveArrayItem(categories, categoryIndex, categoryIndex - 1);
+      render();
+    }),
+    createButton('↓', 'Move category down', () => {
+      categories = moveArrayItem(categories, categoryIndex, categoryIndex + 1);
+      render();
+    }),
+    createButton('Delete', 'Delete category', () => {
+      if (category.items.length === 0 || confirm(`Delete category "${category.name}" and its ${category.items.length} items?`)) {
+        categories.splice(categoryIndex, 1);
+        render();
+      }
+    }, '')
+  );
+  card.appendChild(header);
+
+  category.items.forEach((_, itemIndex) => {
+    card.appendChild(renderItem(category, itemIndex));
+  });
+
+  card.appendChild(createButton('Add item', 'Add item', () => {
+    category.items.push('');
+    render();
+  }, ''));
+
+  return card;
+}
+
+// Rebuild the editor from state
+function render() {
+  categoriesContainer.innerHTML = '';
+
+  if (categories.length === 0) {
+    const empty = document.createElement('div');
+    empty.className = 'empty';
+    empty.textContent = 'No custom categories yet.';
+    categoriesContainer.appendChild(empty);
+    return;
+  }
+
+  categories.forEach((_, categoryIndex) => {
+    categoriesContainer.appendChild(renderCategory(categoryIndex));
+  });
+}
+
+// Load saved categories
+chrome.storage.local.get(['customPayloads'], (result) => {
+  categories = payloadsToList(result.customPayloads);
+  render();
+});
+
+addCategoryBtn.addEventListener('click', () => {
+  categories.push({ name: '', items: [''] });
+  render();
+  const inputs = categoriesContainer.querySelectorAll('.category-name');
+  inputs[inputs.length - 1].focus();
+});
+
+// Persist categories - background rebuilds the context menus via storage.onChanged
+function savePayloads(payloads, message = 'Saved!') {
+  chrome.storage.local.set({ customPayloads: payloads }, () => {
+    if (chrome.runtime.lastError) {
+      showStatus(`Failed to save: ${chrome.runtime.lastError.message}`, true);
+      return;
+    }
+    showStatus(message);
+  });
+}
+
+// Validate editor state and convert it to a payloads object
+function getEditedPayloads() {
+  const payloads = listToPayloads(categories);
+  if (Object.keys(payloads).length > 0) {
+    validatePayloads(payloads);
+  }
+  return payloads;
+}
+
+savePayloadsBtn.addEventListener('click', () => {
+  let payloads;
+  try {
+    payloads = getEditedPayloads();
+  } catch (err) {
+    showStatus(err.message, true);
+    return;
+  }
+  savePayloads(payloads);
+});
+
+// Export custom categories as a pack file
+exportPackBtn.addEventListener('click', () => {
+  let payloads;
+  try {
+    payloads = getEditedPayloads();
+  } catch (err) {
+    showStatus(err.message, true);
+    return;
+  }
+
+  const pack = createPayloadPack(payloads, {
+    name: packNameInput.value.trim() || 'Buglin payloads',
+    version: packVersionInput.value.trim() || '1.0.0',
+    author: packAuthorInput.value.trim()
+  });
+  const blob = new Blob([JSON.stringify(pack, null, 2)], { type: 'application/json' });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = `${pack.name.replace(/[^a-z0-9-_]+/gi, '-').toLowerCase()}.json`;
+  link.click();
+  URL.revokeObjectURL(url);
+});
+
+// Render the diff preview for a pending import
+function showImportPreview({ pack, format, skipped }, current) {
+  const diff = diffPayloads(current, pack.categories);
+  const formatLabel = { buglin: 'Buglin pack', payloads: 'payloads.json', bugmagnet: 'BugMagnet config' }[format];
+
+  importSummary.textContent = `${pack.name} ${pack.version}${pack.author ? ` by ${pack.author}` : ''} (${formatLabel})`;
+  importDiff.innerHTML = '';
+
+  const addLine = (className, text) => {
+    const li = document.createElement('li');
+    li.className = className;
+    li.textContent = text;
+    importDiff.appendChild(li);
+  };
+
+  diff.added.forEach(({ category, count }) => addLine('diff-added', `+ ${category} (new, ${count} items)`));
+  diff.changed.forEach(({ category, added, removed }) => {
+    addLine('diff-changed', `~ ${category} (${added} new items, ${removed} only in your copy)`);
+  });
+  diff.unchanged.forEach(category => addLine('diff-unchanged', `= ${category} (unchanged)`));
+  diff.removed.forEach(category => addLine('diff-removed', `- ${category} (removed on replace)`));
+  if (skipped.length > 0) {
+    addLine('diff-removed', `Skipped unsupported BugMagnet entries: ${skipped.join(', ')}`);
+  }
+
+  importPreview.classList.add('visible');
+}
+
+// Close the import preview
+function clearImport() {
+  pendingImport = null;
+  importFileInput.value = '';
+  importPreview.classList.remove('visible');
+}
+
+// Apply the pending import to the editor and save
+function applyImport(replace) {
+  if (!pendingImport) return;
+
+  const current = listToPayloads(categories);
+  const incoming = pendingImport.pack.categories;
+  const payloads = replace ? incoming : mergePayloadCategories(current, incoming);
+
+  categories = payloadsToList(payloads);
+  render();
+  clearImport();
+  savePayloads(payloads, replace ? 'Replaced with imported pack' : 'Imported pack merged');
+}
+
+importPackBtn.addEventListener('click', () => importFileInput.click());
+
+importFileInput.addEventListener('change', async () => {
+  const file = importFileInput.files[0];
+  if (!file) return;
+
+  let current;
+  try {
+    current = getEditedPayloads();
+    pendingImport = parsePayloadPack(await file.text(), file.name.replace(/\.json$/i, ''));
+  } catch (err) {
+    clearImport();
+    showStatus(`Import failed: ${err.message}`, true);
+    return;
+  }
+
+  showImportPreview(pendingImport, current);
+});
+
+importMergeBtn.addEventListener('click', () => applyImport(false));
+importReplaceBtn.addEventListener('click', () => applyImport(true));
+importCancelBtn.addEventListener('click', clearImport);
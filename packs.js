@@ -0,0 +1,184 @@
+// Payload Packs - Pure logic module (testable without DOM)
+// Exports payload categories as packs, and imports packs, bare payloads.json files and
+// BugMagnet configs with a preview of what an import adds or changes
+
+// Note: validatePayloads is provided by utils.js (loaded before this script)
+
+/**
+ * Wrap payload categories in a pack with metadata for export
+ * @param {Object} categories - Payload categories
+ * @param {Object} meta - Pack metadata
+ * @param {string} meta.name - Pack name
+ * @param {string} meta.version - Pack version
+ * @param {string} meta.author - Pack author
+ * @returns {Object} Payload pack
+ */
+function createPayloadPack(categories, { name = 'Buglin payloads', version = '1.0.0', author = '' } = {}) {
+  return { name, version, author, categories };
+}
+
+/**
+ * Validate a payload pack ({name, version, author, categories})
+ * @param {any} pack - Parsed pack
+ * @throws {Error} If the pack or its categories are invalid
+ */
+function validatePayloadPack(pack) {
+  if (!pack || typeof pack !== 'object' || Array.isArray(pack)) {
+    throw new Error('Pack must be a JSON object');
+  }
+  if (typeof pack.name !== 'string' || !pack.name.trim()) {
+    throw new Error('Pack must have a name');
+  }
+  if (typeof pack.version !== 'string') {
+    throw new Error('Pack version must be a string');
+  }
+  if (pack.author !== undefined && typeof pack.author !== 'string') {
+    throw new Error('Pack author must be a string');
+  }
+  validatePayloads(pack.categories, { strict: true });
+}
+
+/**
+ * Convert a BugMagnet config (nested menu objects) to payload categories.
+ * Top-level entries become categories; nested submenus become "Parent / Child"
+ * categories. Leaves are strings or {_type: 'literal', value} objects; other
+ * _type entries have no Buglin equivalent and are reported as skipped.
+ * @param {Object} config - Parsed BugMagnet config
+ * @param {string} rootCategory - Category for leaves at the top level (default "BugMagnet")
+ * @returns {{categories: Object, skipped: Array<string>}} Converted categories and skipped menu paths
+ */
+function convertBugMagnetConfig(config, rootCategory = 'BugMagnet') {
+  const categories = {};
+  const skipped = [];
+
+  const addItem = (category, name, value) => {
+    if (!categories[category]) categories[category] = [];
+    categories[category].push({ name, value });
+  };
+
+  const walk = (node, path) => {
+    for (const [key, entry] of Object.entries(node)) {
+      const category = path.length > 0 ? path.join(' / ') : rootCategory;
+      if (typeof entry === 'string') {
+        addItem(category, key, entry);
+      } else if (entry && typeof entry === 'object' && !Array.isArray(entry)) {
+        if (entry._type === 'literal' && typeof entry.value === 'string') {
+          addItem(category, key, entry.value);
+        } else if (entry._type !== undefined) {
+          skipped.push([...path, key].join(' / '));
+        } else {
+          walk(entry, [...path, key]);
+        }
+      } else {
+        skipped.push([...path, key].join(' / '));
+      }
+    }
+  };
+
+  walk(config, []);
+  return { categories, skipped };
+}
+
+/**
+ * Parse an imported file into a payload pack. Accepts Buglin packs, bare
+ * payloads.json-shaped objects and BugMagnet configs.
+ * @param {string} text - File contents
+ * @param {string} fallbackName - Pack name to use when the file has no metadata
+ * @returns {{pack: Object, format: string, skipped: Array<string>}} Validated pack
+ * @throws {Error} If the file isn't valid JSON or the result fails strict validation
+ */
+function parsePayloadPack(text, fallbackName = 'Imported payloads') {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (err) {
+    throw new Error(`Invalid JSON: ${err.message}`);
+  }
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    throw new Error('Pack must be a JSON object');
+  }
+
+  let pack;
+  let format;
+  let skipped = [];
+  if (data.categories && typeof data.categories === 'object') {
+    pack = data;
+    format = 'buglin';
+  } else if (Object.values(data).every(Array.isArray)) {
+    pack = createPayloadPack(data, { name: fallbackName });
+    format = 'payloads';
+  } else {
+    const converted = convertBugMagnetConfig(data);
+    pack = createPayloadPack(converted.categories, { name: fallbackName });
+    format = 'bugmagnet';
+    skipped = converted.skipped;
+  }
+
+  validatePayloadPack(pack);
+  return { pack, format, skipped };
+}
+
+/**
+ * Compare current payload categories with incoming ones for an import preview
+ * @param {Object} current - Current categories
+ * @param {Object} incoming - Incoming categories
+ * @returns {{added: Array, changed: Array, unchanged: Array<string>, removed: Array<string>}}
+ *   added: [{category, count}], changed: [{category, added, removed}] item counts,
+ *   removed: current categories missing from incoming (dropped on replace)
+ */
+function diffPayloads(current, incoming) {
+  const added = [];
+  const changed = [];
+  const unchanged = [];
+  const key = item => JSON.stringify(item);
+
+  for (const [category, items] of Object.entries(incoming)) {
+    if (!current[category]) {
+      added.push({ category, count: items.length });
+      continue;
+    }
+    const currentKeys = new Set(current[category].map(key));
+    const incomingKeys = new Set(items.map(key));
+    const addedCount = [...incomingKeys].filter(k => !currentKeys.has(k)).length;
+    const removedCount = [...currentKeys].filter(k => !incomingKeys.has(k)).length;
+    if (addedCount === 0 && removedCount === 0) {
+      unchanged.push(category);
+    } else {
+      changed.push({ category, added: addedCount, removed: removedCount });
+    }
+  }
+
+  const removed = Object.keys(current).filter(category => !incoming[category]);
+  return { added, changed, unchanged, removed };
+}
+
+/**
+ * Merge incoming categories into current ones, skipping items already present
+ * @param {Object} current - Current categories
+ * @param {Object} incoming - Incoming categories
+ * @returns {Object} Merged categories
+ */
+function mergePayloadCategories(current, incoming) {
+  const merged = {};
+  for (const [category, items] of Object.entries(current)) {
+    merged[category] = [...items];
+  }
+  for (const [category, items] of Object.entries(incoming)) {
+    const existing = merged[category] || [];
+    const existingKeys = new Set(existing.map(item => JSON.stringify(item)));
+    merged[category] = [...existing, ...items.filter(item => !existingKeys.has(JSON.stringify(item)))];
+  }
+  return merged;
+}
+
+// Export for Node.js (tests) and browser (options page)
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    createPayloadPack,
+    validatePayloadPack,
+    convertBugMagnetConfig,
+    parsePayloadPack,
+    diffPayloads,
+    mergePayloadCategories
+  };
+}
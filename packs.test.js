@@ -0,0 +1,84 @@
+// Tests for packs.js payload pack import and export
+
+// validatePayloads is a global in the extension (utils.js loads first)
+global.validatePayloads = require('./utils').validatePayloads;
+
+const {
+  createPayloadPack,
+  validatePayloadPack,
+  convertBugMagnetConfig,
+  parsePayloadPack,
+  diffPayloads,
+  mergePayloadCategories
+} = require('./packs');
+
+describe('payload packs', () => {
+  test('createPayloadPack wraps categories with metadata', () => {
+    expect(createPayloadPack({ 'A': ['x'] }, { name: 'Mine', author: 'QA' }))
+      .toEqual({ name: 'Mine', version: '1.0.0', author: 'QA', categories: { 'A': ['x'] } });
+  });
+
+  test('validatePayloadPack checks metadata and categories', () => {
+    expect(() => validatePayloadPack(createPayloadPack({ 'A': ['x'] }))).not.toThrow();
+    expect(() => validatePayloadPack([])).toThrow('Pack must be a JSON object');
+    expect(() => validatePayloadPack({ name: '', version: '1', categories: { 'A': ['x'] } })).toThrow('Pack must have a name');
+    expect(() => validatePayloadPack({ name: 'P', version: 1, categories: { 'A': ['x'] } })).toThrow('version must be a string');
+    expect(() => validatePayloadPack({ name: 'P', version: '1' })).toThrow('non-null object');
+  });
+
+  test('convertBugMagnetConfig flattens submenus and skips unsupported entries', () => {
+    const { categories, skipped } = convertBugMagnetConfig({
+      'Names': { 'Short': 'Al', 'Long': { '_type': 'literal', 'value': 'Wolfeschlegelsteinhausen' } },
+      'Lorem': { 'Short': { 'Words': 'lorem ipsum' } },
+      'Help': { '_type': 'link', 'url': 'https://example.com' },
+      'Top': 'value'
+    });
+    expect(categories).toEqual({
+      'Names': [{ name: 'Short', value: 'Al' }, { name: 'Long', value: 'Wolfeschlegelsteinhausen' }],
+      'Lorem / Short': [{ name: 'Words', value: 'lorem ipsum' }],
+      'BugMagnet': [{ name: 'Top', value: 'value' }]
+    });
+    expect(skipped).toEqual(['Help']);
+  });
+
+  test('parsePayloadPack detects the file format', () => {
+    const pack = createPayloadPack({ 'A': [{ name: 'X', value: 'x' }] }, { name: 'Mine' });
+    expect(parsePayloadPack(JSON.stringify(pack))).toEqual({ pack, format: 'buglin', skipped: [] });
+
+    const bare = parsePayloadPack(JSON.stringify({ 'A': ['x'] }), 'file');
+    expect(bare.format).toBe('payloads');
+    expect(bare.pack.name).toBe('file');
+
+    const bugmagnet = parsePayloadPack(JSON.stringify({ 'Names': { 'Short': 'Al' } }));
+    expect(bugmagnet.format).toBe('bugmagnet');
+    expect(bugmagnet.pack.categories).toEqual({ 'Names': [{ name: 'Short', value: 'Al' }] });
+  });
+
+  test('parsePayloadPack rejects malformed files', () => {
+    expect(() => parsePayloadPack('{')).toThrow('Invalid JSON');
+    expect(() => parsePayloadPack('[1]')).toThrow('Pack must be a JSON object');
+    expect(() => parsePayloadPack(JSON.stringify({ name: 'P', version: '1', categories: { 'A': [{ value: 'x' }] } })))
+      .toThrow('must have a name');
+  });
+
+  test('diffPayloads reports added, changed, unchanged and removed categories', () => {
+    const current = { 'A': ['1', '2'], 'B': ['x'], 'C': ['y'] };
+    const incoming = { 'A': ['2', '3', '4'], 'B': ['x'], 'D': ['z'] };
+    expect(diffPayloads(current, incoming)).toEqual({
+      added: [{ category: 'D', count: 1 }],
+      changed: [{ category: 'A', added: 2, removed: 1 }],
+      unchanged: ['B'],
+      removed: ['C']
+    });
+  });
+
+  test('mergePayloadCategories appends new items without duplicates', () => {
+    const current = { 'A': ['1', { name: 'N', value: 'v' }] };
+    const incoming = { 'A': [{ name: 'N', value: 'v' }, '2'], 'B': ['x'] };
+    expect(mergePayloadCategories(current, incoming)).toEqual({
+      'A': ['1', { name: 'N', value: 'v' }, '2'],
+      'B': ['x']
+    });
+    expect(current.A).toHaveLength(2);
+  });
+});
@@ -0,0 +1,275 @@
+// Payload Palette Module
+// In-page search over every payload, opened by a shortcut or from the Buglin menu.
+// Other choosers (saved form states) reuse it with their own entries and labels
+
+// Note: searchPayloads, escapePreview and getAdjacentIndex are provided by utils.js,
+// getDeepActiveElement by dom.js (loaded before this script)
+
+const PALETTE_HOST_ID = 'buglin-palette-host';
+
+// Styles live in the shadow root so page CSS can't reach the palette (and vice versa)
+const PALETTE_STYLES = `
+  .backdrop {
+    position: fixed;
+    inset: 0;
+    background: rgba(17, 24, 39, 0.35);
+    display: flex;
+    justify-content: center;
+    align-items: flex-start;
+    padding-top: 12vh;
+    font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+  }
+  .palette {
+    width: min(640px, 92vw);
+    background: white;
+    border-radius: 8px;
+    box-shadow: 0 12px 32px rgba(0, 0, 0, 0.25);
+    overflow: hidden;
+  }
+  .search {
+    box-sizing: border-box;
+    width: 100%;
+    padding: 12px 14px;
+    border: none;
+    border-bottom: 1px solid #e5e7eb;
+    font-size: 15px;
+    outline: none;
+  }
+  .results {
+    list-style: none;
+    margin: 0;
+    padding: 0;
+    max-height: 50vh;
+    overflow-y: auto;
+  }
+  .result {
+    padding: 8px 14px;
+    cursor: pointer;
+    border-bottom: 1px solid #f3f4f6;
+  }
+  .result.selected {
+    background: #ecfdf5;
+  }
+  .result-title {
+    font-size: 13px;
+    color: #111827;
+  }
+  .result-category {
+    color: #6b7280;
+    margin-left: 6px;
+    font-size: 12px;
+  }
+  .result-preview {
+    margin-top: 2px;
+    font-family: ui-monospace, SFMono-Regular, Menlo, monospace;
+    font-size: 12px;
+    color: #374151;
+    white-space: nowrap;
+    overflow: hidden;
+    text-overflow: ellipsis;
+    unicode-bidi: isolate;
+  }
+  .result-count {
+    float: right;
+    margin-left: 8px;
+    font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+    color: #9ca3af;
+  }
+  .empty, .footer {
+    padding: 8px 14px;
+    font-size: 12px;
+    color: #6b7280;
+  }
+  .footer {
+    background: #f9fafb;
+  }
+`;
+
+// State
+let paletteHost = null;
+let paletteRoot = null; // closed shadow root, so neither the page nor our shadow DOM scans see into it
+let paletteReturnFocus = null; // element that had focus before the palette opened
+
+// Describe an entry's value for the preview line
+function getPalettePreview(entry) {
+  if (entry.detail !== undefined) {
+    return { preview: entry.detail, count: entry.count || '' };
+  }
+  if (entry.generator) {
+    return { preview: `generator: ${entry.generator}`, count: 'fresh value' };
+  }
+  if (entry.file) {
+    return { preview: `file: ${escapePreview(entry.file)}`, count: 'attached file' };
+  }
+  const length = Array.from(entry.value).length;
+  return { preview: escapePreview(entry.value) || '(empty)', count: `${length} char${length === 1 ? '' : 's'}` };
+}
+
+// Build one result row
+function createPaletteResult(entry, isSelected) {
+  const { preview, count } = getPalettePreview(entry);
+  const item = document.createElement('li');
+  item.className = isSelected ? 'result selected' : 'result';
+  item.setAttribute('role', 'option');
+  item.setAttribute('aria-selected', String(isSelected));
+
+  const title = document.createElement('div');
+  title.className = 'result-title';
+  title.textContent = entry.name || escapePreview(entry.value, 60) || '(empty)';
+  const category = document.createElement('span');
+  category.className = 'result-category';
+  category.textContent = entry.category;
+  title.appendChild(category);
+
+  const previewLine = document.createElement('div');
+  previewLine.className = 'result-preview';
+  const countLabel = document.createElement('span');
+  countLabel.className = 'result-count';
+  countLabel.textContent = count;
+  previewLine.append(countLabel, preview);
+
+  item.append(title, previewLine);
+  return item;
+}
+
+// Open the palette over the page. Options name what is searched and what choosing does;
+// onSelect gets the chosen entry after the palette has closed and focus is back on the field
+function openPalette(entries, {
+  label = 'Search payloads',
+  placeholder = 'Search payloads by name, value or category…',
+  action = 'inject',
+  emptyText = 'No matching payloads',
+  onSelect = selectPaletteEntry
+} = {}) {
+  closePalette(false);
+  paletteReturnFocus = getDeepActiveElement();
+
+  paletteHost = document.createElement('div');
+  paletteHost.id = PALETTE_HOST_ID;
+  paletteHost.style.cssText = 'position: fixed; inset: 0; z-index: 2147483647;';
+
+  const root = paletteHost.attachShadow({ mode: 'closed' });
+  paletteRoot = root;
+  const style = document.createElement('style');
+  style.textContent = PALETTE_STYLES;
+
+  const backdrop = document.createElement('div');
+  backdrop.className = 'backdrop';
+  const palette = document.createElement('div');
+  palette.className = 'palette';
+  palette.setAttribute('role', 'dialog');
+  palette.setAttribute('aria-label', label);
+
+  const search = document.createElement('input');
+  search.className = 'search';
+  search.type = 'text';
+  search.placeholder = placeholder;
+  search.setAttribute('aria-label', label);
+
+  const list = document.createElement('ul');
+  list.className = 'results';
+  list.setAttribute('role', 'listbox');
+
+  const footer = document.createElement('div');
+  footer.className = 'footer';
+  footer.textContent = `↑↓ to move · Enter to ${action} · Esc to close`;
+
+  palette.append(search, list, footer);
+  backdrop.appendChild(palette);
+  root.append(style, backdrop);
+
+  let results = [];
+  let selected = 0;
+
+  const choose = (entry) => {
+    closePalette();
+    onSelect(entry);
+  };
+
+  const render = () => {
+    list.innerHTML = '';
+    if (results.length === 0) {
+      const empty = document.createElement('li');
+      empty.className = 'empty';
+      empty.textContent = emptyText;
+      list.appendChild(empty);
+      return;
+    }
+    results.forEach((entry, index) => {
+      const item = createPaletteResult(entry, index === selected);
+      item.addEventListener('mousedown', (event) => {
+        event.preventDefault(); // keep focus handling in choose
+        choose(entry);
+      });
+      list.appendChild(item);
+    });
+    list.children[selected]?.scrollIntoView?.({ block: 'nearest' });
+  };
+
+  const update = () => {
+    results = searchPayloads(entries, search.value);
+    selected = 0;
+    render();
+  };
+
+  search.addEventListener('input', update);
+  search.addEventListener('keydown', (event) => {
+    // Keep page shortcuts from reacting to typing in the palette
+    event.stopPropagation();
+
+    if (event.key === 'ArrowDown' || event.key === 'ArrowUp') {
+      event.preventDefault();
+      if (results.length === 0) return;
+      selected = getAdjacentIndex(results.length, selected, event.key === 'ArrowDown' ? 1 : -1);
+      render();
+    } else if (event.key === 'Enter') {
+      event.preventDefault();
+      if (results[selected]) choose(results[selected]);
+    } else if (event.key === 'Escape') {
+      event.preventDefault();
+      closePalette();
+    }
+  });
+  backdrop.addEventListener('mousedown', (event) => {
+    if (event.target === backdrop) closePalette();
+  });
+
+  document.documentElement.appendChild(paletteHost);
+  update();
+  search.focus();
+}
+
+// Close the palette, optionally returning focus to the field it was opened from
+function closePalette(restoreFocus = true) {
+  if (!paletteHost) return;
+  paletteHost.remove();
+  paletteHost = null;
+  paletteRoot = null;
+  if (restoreFocus && paletteReturnFocus?.isConnected) {
+    paletteReturnFocus.focus();
+  }
+}
+
+// Inject the chosen payload into the field that had focus before the palette opened
+function selectPaletteEntry(entry) {
+  closePalette();
+  chrome.runtime.sendMessage({ action: 'paletteSelect', category: entry.category, index: entry.index });
+}
+
+// Whether the palette is showing in this frame
+function isPaletteOpen() {
+  return paletteHost !== null;
+}
+
+// Export for testing (Node.js environment)
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    PALETTE_HOST_ID,
+    getPalettePreview,
+    openPalette,
+    closePalette,
+    selectPaletteEntry,
+    isPaletteOpen,
+    getPaletteRoot: () => paletteRoot
+  };
+}
@@ -0,0 +1,200 @@
+/**
+ * @jest-environment jsdom
+ */
+
+// Tests for palette.js in-page payload search
+
+global.chrome = {
+  runtime: {
+    sendMessage: jest.fn()
+  }
+};
+
+// Shared utilities are globals in the extension (utils.js loads first)
+const { searchPayloads, escapePreview, getAdjacentIndex } = require('./utils.js');
+Object.assign(global, { searchPayloads, escapePreview, getAdjacentIndex });
+const { getDeepActiveElement } = require('./dom.js');
+global.getDeepActiveElement = getDeepActiveElement;
+
+const {
+  PALETTE_HOST_ID,
+  getPalettePreview,
+  openPalette,
+  closePalette,
+  isPaletteOpen,
+  getPaletteRoot
+} = require('./palette');
+
+const entries = [
+  { category: 'Emails', index: 0, name: '', value: 'a@example.com', generator: null },
+  { category: 'Cursed', index: 3, name: 'RTL override', value: 'abc\u202Edef', generator: null },
+  { category: 'Generated', index: 8, name: 'UUID v4', value: '', generator: 'uuid' }
+];
+
+function getShadowRoot() {
+  return getPaletteRoot();
+}
+
+function getResultTitles() {
+  return Array.from(getShadowRoot().querySelectorAll('.result-title'), el => el.firstChild.textContent);
+}
+
+function typeQuery(query) {
+  const search = getShadowRoot().querySelector('.search');
+  search.value = query;
+  search.dispatchEvent(new Event('input'));
+}
+
+function pressKey(key) {
+  getShadowRoot().querySelector('.search').dispatchEvent(new KeyboardEvent('keydown', { key, bubbles: true }));
+}
+
+describe('palette.js', () => {
+  let field;
+
+  beforeEach(() => {
+    document.body.innerHTML = '';
+    chrome.runtime.sendMessage.mockClear();
+    field = document.createElement('input');
+    document.body.appendChild(field);
+    field.focus();
+  });
+
+  afterEach(() => {
+    closePalette(false);
+  });
+
+  describe('getPalettePreview', () => {
+    test('escapes invisible characters and counts characters', () => {
+      expect(getPalettePreview(entries[1])).toEqual({ preview: 'abc\\u202Edef', count: '7 chars' });
+    });
+
+    test('counts emoji as one character', () => {
+      expect(getPalettePreview({ value: '😀', generator: null }).count).toBe('1 char');
+    });
+
+    test('describes generator entries', () => {
+      expect(getPalettePreview(entries[2])).toEqual({ preview: 'generator: uuid', count: 'fresh value' });
+    });
+
+    test('describes file entries with their name escaped', () => {
+      expect(getPalettePreview({ value: '', generator: null, file: 'invoice\u202Efdp.exe, 2 bytes' }))
+        .toEqual({ preview: 'file: invoice\\u202Efdp.exe, 2 bytes', count: 'attached file' });
+    });
+
+    test('uses the detail and count of entries that bring their own', () => {
+      expect(getPalettePreview({ value: '', detail: 'alice · GB', count: '2 fields' }))
+        .toEqual({ preview: 'alice · GB', count: '2 fields' });
+    });
+  });
+
+  test('opens in a shadow root with every entry and focuses the search box', () => {
+    openPalette(entries);
+
+    expect(isPaletteOpen()).toBe(true);
+    expect(getResultTitles()).toEqual(['a@example.com', 'RTL override', 'UUID v4']);
+    expect(getShadowRoot().activeElement).toBe(getShadowRoot().querySelector('.search'));
+  });
+
+  test('filters results as the user types', () => {
+    openPalette(entries);
+    typeQuery('rtl');
+    expect(getResultTitles()).toEqual(['RTL override']);
+
+    typeQuery('zzz');
+    expect(getShadowRoot().querySelector('.empty').textContent).toBe('No matching payloads');
+  });
+
+  test('Enter injects the selected entry and restores focus', () => {
+    openPalette(entries);
+    pressKey('ArrowDown');
+    pressKey('Enter');
+
+    expect(isPaletteOpen()).toBe(false);
+    expect(document.activeElement).toBe(field);
+    expect(chrome.runtime.sendMessage).toHaveBeenCalledWith({ action: 'paletteSelect', category: 'Cursed', index: 3 });
+  });
+
+  test('ArrowUp wraps to the last entry', () => {
+    openPalette(entries);
+    pressKey('ArrowUp');
+
+    expect(getShadowRoot().querySelector('.result.selected .result-title').firstChild.textContent).toBe('UUID v4');
+  });
+
+  test('clicking a result injects it', () => {
+    openPalette(entries);
+    getShadowRoot().querySelectorAll('.result')[2].dispatchEvent(new MouseEvent('mousedown', { bubbles: true }));
+
+    expect(chrome.runtime.sendMessage).toHaveBeenCalledWith({ action: 'paletteSelect', category: 'Generated', index: 8 });
+  });
+
+  test('Escape closes without injecting', () => {
+    openPalette(entries);
+    pressKey('Escape');
+
+    expect(isPaletteOpen()).toBe(false);
+    expect(document.activeElement).toBe(field);
+    expect(chrome.runtime.sendMessage).not.toHaveBeenCalled();
+  });
+
+  test('keystrokes in the palette do not reach page listeners', () => {
+    const pageListener = jest.fn();
+    document.addEventListener('keydown', pageListener);
+    openPalette(entries);
+    pressKey('a');
+    document.removeEventListener('keydown', pageListener);
+
+    expect(pageListener).not.toHaveBeenCalled();
+  });
+
+  test('keeps its shadow root closed to page scripts', () => {
+    openPalette(entries);
+    expect(document.getElementById(PALETTE_HOST_ID).shadowRoot).toBeNull();
+  });
+
+  test('restores focus to a field inside a shadow root', () => {
+    const host = document.createElement('div');
+    document.body.appendChild(host);
+    const inner = document.createElement('input');
+    host.attachShadow({ mode: 'open' }).appendChild(inner);
+    inner.focus();
+
+    openPalette(entries);
+    pressKey('Escape');
+
+    expect(host.shadowRoot.activeElement).toBe(inner);
+  });
+
+  test('other choosers set their own labels and handle the choice', () => {
+    const onSelect = jest.fn();
+    openPalette([{ category: 'saved', name: 'Baseline', value: '', detail: '', count: '' }], {
+      label: 'Restore form state',
+      placeholder: 'Search saved form states',
+      action: 'restore',
+      emptyText: 'No matching form states',
+      onSelect
+    });
+
+    const search = getShadowRoot().querySelector('.search');
+    expect(search.placeholder).toBe('Search saved form states');
+    expect(search.getAttribute('aria-label')).toBe('Restore form state');
+    expect(getShadowRoot().querySelector('.footer').textContent).toContain('Enter to restore');
+    typeQuery('zzz');
+    expect(getShadowRoot().querySelector('.empty').textContent).toBe('No matching form states');
+
+    typeQuery('base');
+    pressKey('Enter');
+    expect(onSelect).toHaveBeenCalledWith(expect.objectContaining({ name: 'Baseline' }));
+    expect(document.activeElement).toBe(field);
+    expect(chrome.runtime.sendMessage).not.toHaveBeenCalled();
+  });
+
+  test('opening again replaces the existing palette', () => {
+    openPalette(entries);
+    openPalette(entries.slice(0, 1));
+
+    expect(document.querySelectorAll(`#${PALETTE_HOST_ID}`)).toHaveLength(1);
+    expect(getResultTitles()).toEqual(['a@example.com']);
+  });
+});
@@ -5,11 +5,15 @@ const wordScannerToggle = document.getElementById('wordScannerToggle');
 const wordListContainer = document.getElementById('wordListContainer');
 const wordListInput = document.getElementById('wordListInput');
 const saveWordListBtn = document.getElementById('saveWordList');
+const typingDelayInput = document.getElementById('typingDelayInput');
+const managePayloadsBtn = document.getElementById('managePayloads');
+const sessionLogBtn = document.getElementById('sessionLog');
+const validationBypassToggle = document.getElementById('validationBypassToggle');
 
-// Note: DEFAULT_FORBIDDEN_WORDS is provided by utils.js (loaded before this script)
+// Note: DEFAULT_FORBIDDEN_WORDS and DEFAULT_TYPING_DELAY are provided by utils.js (loaded before this script)
 
 // Load saved state
-chrome.storage.local.get(['autofillDetectorEnabled', 'wordScannerEnabled', 'forbiddenWords'], (result) => {
+chrome.storage.local.get(['autofillDetectorEnabled', 'wordScannerEnabled', 'forbiddenWords', 'typingDelay'], (result) => {
   enableToggle.checked = result.autofillDetectorEnabled !== false;
   wordScannerToggle.checked = result.wordScannerEnabled === true;
 
@@ -21,6 +25,8 @@ chrome.storage.local.get(['autofillDetectorEnabled', 'wordScannerEnabled', 'forb
   if (wordScannerToggle.checked) {
     wordListContainer.classList.add('visible');
   }
+
+  typingDelayInput.value = result.typingDelay ?? DEFAULT_TYPING_DELAY;
 });
 
 // Toggle handler - storage change triggers update in all frames via storage.onChanged listener
@@ -62,3 +68,46 @@ saveWordListBtn.addEventListener('click', () => {
   }, 1000);
 });
 
+
+// Validation bypass is per tab, so it lives in the background rather than in storage.local
+let activeTabId = null;
+chrome.tabs.query({ active: true, currentWindow: true }, ([tab]) => {
+  if (!tab) {
+    validationBypassToggle.disabled = true;
+    return;
+  }
+  activeTabId = tab.id;
+  chrome.runtime.sendMessage({ action: 'getValidationBypass', tabId: activeTabId }, (response) => {
+    validationBypassToggle.checked = response?.enabled === true;
+  });
+});
+
+validationBypassToggle.addEventListener('change', () => {
+  chrome.runtime.sendMessage({
+    action: 'setValidationBypass',
+    tabId: activeTabId,
+    enabled: validationBypassToggle.checked
+  });
+});
+
+// Typing delay handler - background picks up the change via storage.onChanged
+typingDelayInput.addEventListener('change', () => {
+  const delay = parseInt(typingDelayInput.value, 10);
+  if (Number.isNaN(delay) || delay < 0) {
+    typingDelayInput.value = DEFAULT_TYPING_DELAY;
+    chrome.storage.local.set({ typingDelay: DEFAULT_TYPING_DELAY });
+    return;
+  }
+  chrome.storage.local.set({ typingDelay: delay });
+});
+
+// Open the payload manager. It is the options page rather than part of the popup: the popup
+// closes whenever it loses focus (a click on the page, the pack import file picker), which
+// would throw away unsaved edits
+managePayloadsBtn.addEventListener('click', () => {
+  chrome.runtime.openOptionsPage();
+});
+
+sessionLogBtn.addEventListener('click', () => {
+  chrome.tabs.create({ url: chrome.runtime.getURL('session.html') });
+});
@@ -0,0 +1,516 @@
+// Test Script Generation - Pure logic module (testable without DOM)
+// Turns session log entries (see SESSION_LOG_COLUMNS in sessionlog.js) into a Playwright,
+// Cypress or Selenium WebDriver test that revisits the pages and injects the same payloads
+
+const TEST_SCRIPT_FRAMEWORKS = [
+  { id: 'playwright', title: 'Playwright', fileName: 'buglin-session.spec.js' },
+  { id: 'cypress', title: 'Cypress', fileName: 'buglin-session.cy.js' },
+  { id: 'selenium', title: 'Selenium WebDriver', fileName: 'buglin-session.test.js' }
+];
+
+// Separates shadow host selectors in logged selectors (see getRobustSelector in dom.js)
+const SCRIPT_SHADOW_SEPARATOR = ' >>> ';
+
+// Payloads of one repeated character this long are written as "x".repeat(n)
+const MIN_REPEAT_LITERAL = 64;
+
+// Functions the generated tests run in the page, written out only when a step needs them.
+// They do what injection.js does, so frameworks see the same events as with Buglin.
+const PAGE_HELPERS = {
+  setValue: [
+    '// Set a value through the native setter (so React, Vue and Angular notice), then fire input',
+    '// (with the inputType of the recorded mode) and change',
+    'function buglinSetValue(element, { value, append, inputType }) {',
+    '  if (element.isContentEditable) {',
+    '    element.textContent = append ? element.textContent + value : value;',
+    '  } else {',
+    '    const { set } = Object.getOwnPropertyDescriptor(Object.getPrototypeOf(element), \'value\');',
+    '    set.call(element, append ? element.value + value : value);',
+    '  }',
+    '  element.dispatchEvent(new InputEvent(\'input\', { inputType, data: value, bubbles: true, composed: true }));',
+    '  element.dispatchEvent(new Event(\'change\', { bubbles: true }));',
+    '}'
+  ],
+  paste: [
+    '// Paste like the clipboard does: a cancelable paste event, then the text at the caret unless it was cancelled',
+    'function buglinPaste(element, text) {',
+    '  const clipboardData = new DataTransfer();',
+    '  clipboardData.setData(\'text/plain\', text);',
+    '  clipboardData.setData(\'text/html\', text);',
+    '  const paste = new ClipboardEvent(\'paste\', { clipboardData, bubbles: true, cancelable: true, composed: true });',
+    '  if (!element.dispatchEvent(paste)) return;',
+    '  element.focus();',
+    '  element.ownerDocument.execCommand(\'insertText\', false, text);',
+    '}'
+  ],
+  attachFile: [
+    '// Attach a generated file to a file input, or drop it on a drop zone',
+    'function buglinAttachFile(element, { name, type = \'\', size, content = \'\', encoding }) {',
+    '  let bytes = encoding === \'base64\'',
+    '    ? Uint8Array.from(atob(content), char => char.charCodeAt(0))',
+    '    : new TextEncoder().encode(content);',
+    '  if (size !== undefined && size !== bytes.length) {',
+    '    const sized = new Uint8Array(size);',
+    '    for (let i = 0; bytes.length > 0 && i < size; i += bytes.length) {',
+    '      sized.set(bytes.subarray(0, Math.min(bytes.length, size - i)), i);',
+    '    }',
+    '    bytes = sized;',
+    '  }',
+    '  const dataTransfer = new DataTransfer();',
+    '  dataTransfer.items.add(new File([bytes], name, { type }));',
+    '  if (element.matches(\'input[type="file"]\')) {',
+    '    element.files = dataTransfer.files;',
+    '    element.dispatchEvent(new Event(\'input\', { bubbles: true, composed: true }));',
+    '    element.dispatchEvent(new Event(\'change\', { bubbles: true }));',
+    '    return;',
+    '  }',
+    '  const init = { dataTransfer, bubbles: true, cancelable: true, composed: true };',
+    '  element.dispatchEvent(new DragEvent(\'dragenter\', init));',
+    '  const accepted = !element.dispatchEvent(new DragEvent(\'dragover\', init));',
+    '  element.dispatchEvent(new DragEvent(accepted ? \'drop\' : \'dragleave\', init));',
+    '}'
+  ]
+};
+
+// Characters written as escapes in string literals: quotes, backslashes, control and
+// invisible characters, and lone surrogates
+const JS_STRING_ESCAPES = /[\\'\x00-\x1F\x7F-\x9F\u00AD\u061C\u200B-\u200F\u2028-\u202E\u2060-\u206F\uFEFF]|[\uD800-\uDBFF](?![\uDC00-\uDFFF])|(?<![\uD800-\uDBFF])[\uDC00-\uDFFF]/g;
+
+const JS_SHORT_ESCAPES = { '\\': '\\\\', '\'': '\\\'', '\n': '\\n', '\r': '\\r', '\t': '\\t' };
+
+/**
+ * Write a string as a single-quoted JavaScript literal. Invisible characters are
+ * escaped so the generated test shows exactly what is injected.
+ * @param {string} value - String value
+ * @returns {string} JavaScript source
+ */
+function toJsString(value) {
+  const escaped = value.replace(JS_STRING_ESCAPES, char =>
+    JS_SHORT_ESCAPES[char] || '\\u' + char.charCodeAt(0).toString(16).toUpperCase().padStart(4, '0'));
+  return `'${escaped}'`;
+}
+
+/**
+ * Write a payload as JavaScript source, using .repeat() for long runs of one character
+ * @param {string} value - Payload
+ * @returns {string} JavaScript source
+ */
+function toJsPayload(value) {
+  const chars = Array.from(value);
+  if (chars.length >= MIN_REPEAT_LITERAL && chars.every(char => char === chars[0])) {
+    return `${toJsString(chars[0])}.repeat(${chars.length})`;
+  }
+  return toJsString(value);
+}
+
+/**
+ * Write a file spec as a JavaScript object literal (name, type, size, content, encoding)
+ * @param {Object} file - File spec
+ * @returns {string} JavaScript source
+ */
+function toJsFileSpec(file) {
+  const properties = ['name', 'type', 'size', 'content', 'encoding']
+    .filter(key => file[key] !== undefined)
+    .map(key => `${key}: ${typeof file[key] === 'number' ? file[key] : toJsString(String(file[key]))}`);
+  return `{ ${properties.join(', ')} }`;
+}
+
+/**
+ * Make text safe for a // comment: line breaks, bidi overrides and other control characters become spaces
+ * @param {string} text - Comment text
+ * @returns {string} One-line comment text
+ */
+function toCommentText(text) {
+  return String(text).replace(/[\x00-\x1F\x7F-\x9F\u2028-\u202E\u2066-\u2069]/g, ' ');
+}
+
+/**
+ * What a logged injection becomes in a test, from its mode
+ * @param {Object} entry - Session log entry
+ * @returns {string} 'fill', 'append', 'type', 'paste' or 'attachFile'
+ */
+function getReplayAction(entry) {
+  switch (entry.mode) {
+    case 'append':
+    case 'caret':
+    case 'selection':
+      // Caret and selection positions aren't logged; the payload goes at the end
+      return 'append';
+    case 'type':
+    case 'compose':
+      // Test runners have no portable way to drive an IME, so compositions are typed
+      return 'type';
+    case 'paste':
+      return 'paste';
+    case 'attach-file':
+      return 'attachFile';
+    default:
+      // inject, fill-form and smart-fill all replace the value
+      return 'fill';
+  }
+}
+
+/**
+ * The inputType injection.js fires for a logged mode, so replayed values look the same to the page
+ * @param {Object} entry - Session log entry
+ * @returns {string} 'insertText' for modes that add to the value, else 'insertReplacementText'
+ */
+function getReplayInputType(entry) {
+  return getReplayAction(entry) === 'append' ? 'insertText' : 'insertReplacementText';
+}
+
+/**
+ * Split the log into the steps a test can replay: successful injections into a known field.
+ * Each step records whether it runs in a child frame (its URL, and its position in window.frames
+ * if it was logged) and whether it starts on a new page.
+ * @param {Array} log - Session log entries, oldest first
+ * @returns {{steps: Array, failed: number, withoutSelector: number}} Replayable steps, and the
+ *   numbers of failed entries and of successful entries without a field selector left out
+ */
+function planReplaySteps(log) {
+  const steps = [];
+  let failed = 0;
+  let withoutSelector = 0;
+  let previousUrl = null;
+  for (const entry of log) {
+    if (!entry.success) {
+      failed++;
+      continue;
+    }
+    if (!entry.selector) {
+      withoutSelector++;
+      continue;
+    }
+    const url = entry.url || entry.frameUrl || '';
+    const inFrame = entry.frameId !== 0 && Boolean(entry.url) && Boolean(entry.frameUrl) && entry.frameUrl !== entry.url;
+    steps.push({
+      entry,
+      url,
+      navigate: url !== previousUrl,
+      frameUrl: inFrame ? entry.frameUrl : null,
+      // Entries logged before frame positions were recorded have none
+      framePath: inFrame && Array.isArray(entry.framePath) && entry.framePath.length > 0 ? entry.framePath : null,
+      selectors: entry.selector.split(SCRIPT_SHADOW_SEPARATOR),
+      action: getReplayAction(entry)
+    });
+    previousUrl = url;
+  }
+  return { steps, failed, withoutSelector };
+}
+
+// One-line description of a step for the comment above it
+function describeStep({ entry }) {
+  const label = [entry.category, entry.payloadName].filter(Boolean).join(' / ') || 'Payload';
+  const transform = entry.transform ? `, ${entry.transform}` : '';
+  return toCommentText(`${label} (${entry.mode}${transform})`);
+}
+
+// The argument a step passes to a page helper
+function getHelperArgument({ entry, action }) {
+  if (action === 'attachFile') return toJsFileSpec(entry.file || { name: entry.payload });
+  if (action === 'paste') return toJsPayload(entry.payload);
+  return `{ value: ${toJsPayload(entry.payload)}, append: ${action === 'append'}, inputType: ${toJsString(getReplayInputType(entry))} }`;
+}
+
+// Page helpers a set of steps needs, in a fixed order
+function getNeededHelpers(steps, { fillWithHelper = false } = {}) {
+  const actions = new Set(steps.map(step => step.action));
+  const needed = [];
+  if (actions.has('append') || (fillWithHelper && actions.has('fill'))) needed.push('setValue');
+  if (actions.has('paste')) needed.push('paste');
+  if (actions.has('attachFile')) needed.push('attachFile');
+  return needed;
+}
+
+// Names of the page helper functions
+const PAGE_HELPER_NAMES = { setValue: 'buglinSetValue', paste: 'buglinPaste', attachFile: 'buglinAttachFile' };
+
+// Helper to call for a step that doesn't use a framework command
+function getStepHelper(action) {
+  return action === 'fill' || action === 'append' ? 'setValue' : action;
+}
+
+// Comment lines at the top of every script
+function getHeaderLines({ steps, failed, withoutSelector }, frameworkTitle) {
+  const lines = [`// ${frameworkTitle} test generated by Buglin from ${steps.length} recorded injection${steps.length === 1 ? '' : 's'}`];
+  if (failed > 0) {
+    lines.push(`// ${failed} failed injection${failed === 1 ? ' was' : 's were'} left out`);
+  }
+  if (withoutSelector > 0) {
+    lines.push(`// ${withoutSelector} injection${withoutSelector === 1 ? ' was' : 's were'} left out for having no field selector`);
+  }
+  return lines;
+}
+
+// A step's frame position as a JavaScript array literal, or null if it wasn't logged
+function toJsFramePath({ framePath }) {
+  return framePath ? `[${framePath.join(', ')}]` : 'null';
+}
+
+// Message the Cypress and Selenium frame helpers fail with, as template literal source
+const FRAME_NOT_FOUND_MESSAGE = '`No frame ${path.join(\' > \')} (recorded showing ${url})`';
+const FRAME_NOT_LOGGED_MESSAGE = '`The session log has no frame position for ${url}; record this step again`';
+
+// Playwright: a locator through frames and shadow roots (its CSS engine pierces open shadow roots)
+function getPlaywrightLocator({ frameUrl, selectors }) {
+  const root = frameUrl ? `(await findFrame(page, ${toJsString(frameUrl)}))` : 'page';
+  return selectors.reduce((locator, selector) => `${locator}.locator(${toJsString(selector)})`, root);
+}
+
+function generatePlaywrightScript(plan, title) {
+  const { steps } = plan;
+  const body = [];
+  for (const step of steps) {
+    if (step.navigate && step.url) {
+      if (body.length > 0) body.push('');
+      body.push(`await page.goto(${toJsString(step.url)});`);
+    }
+    body.push('', `// ${describeStep(step)}`);
+    const locator = getPlaywrightLocator(step);
+    if (step.action === 'fill') {
+      body.push(`await ${locator}.fill(${toJsPayload(step.entry.payload)});`);
+    } else if (step.action === 'type') {
+      body.push(`await ${locator}.clear();`, `await ${locator}.pressSequentially(${toJsPayload(step.entry.payload)});`);
+    } else {
+      body.push(`await ${locator}.evaluate(${PAGE_HELPER_NAMES[getStepHelper(step.action)]}, ${getHelperArgument(step)});`);
+    }
+  }
+
+  // page.frame() returns null for a frame that isn't there; fail with the URL instead of on .locator()
+  const frameHelper = steps.some(step => step.frameUrl)
+    ? [
+        '// The child frame showing a URL (waits for it to load)',
+        'async function findFrame(page, url) {',
+        '  const frame = page.frame({ url }) ??',
+        '    await page.waitForEvent(\'framenavigated\', { predicate: candidate => candidate.url() === url }).catch(() => null);',
+        '  if (!frame) {',
+        '    throw new Error(`No frame shows ${url}`);',
+        '  }',
+        '  return frame;',
+        '}',
+        ''
+      ]
+    : [];
+
+  return [
+    ...getHeaderLines(plan, 'Playwright'),
+    'import { test } from \'@playwright/test\';',
+    '',
+    ...getNeededHelpers(steps).flatMap(name => [...PAGE_HELPERS[name], '']),
+    ...frameHelper,
+    `test(${toJsString(title)}, async ({ page }) => {`,
+    ...body.map(line => line ? `  ${line}` : ''),
+    '',
+    '  // Add assertions for the behaviour under test',
+    '});',
+    ''
+  ].join('\n');
+}
+
+// Cypress: a chain that enters same-origin frames and shadow roots
+function getCypressChain(step) {
+  const [first, ...rest] = step.selectors;
+  let chain = step.frameUrl
+    ? `frameBody(${toJsFramePath(step)}, ${toJsString(step.frameUrl)}).find(${toJsString(first)})`
+    : `cy.get(${toJsString(first)})`;
+  for (const selector of rest) {
+    chain += `.shadow().find(${toJsString(selector)})`;
+  }
+  return chain;
+}
+
+function generateCypressScript(plan, title) {
+  const { steps } = plan;
+  const body = [];
+  for (const step of steps) {
+    if (step.navigate && step.url) {
+      if (body.length > 0) body.push('');
+      body.push(`cy.visit(${toJsString(step.url)});`);
+    }
+    body.push('', `// ${describeStep(step)}`);
+    const chain = getCypressChain(step);
+    if (step.action === 'type') {
+      // Cypress refuses to type an empty string
+      body.push(step.entry.payload
+        ? `${chain}.clear().type(${toJsPayload(step.entry.payload)}, { parseSpecialCharSequences: false });`
+        : `${chain}.clear();`);
+    } else {
+      const helper = PAGE_HELPER_NAMES[getStepHelper(step.action)];
+      body.push(`${chain}.then(($element) => ${helper}($element[0], ${getHelperArgument(step)}));`);
+    }
+  }
+
+  // Frames are found by their logged position in window.frames, which a src attribute
+  // (relative, redirected or changed by the page) doesn't reliably give
+  const frameHelper = steps.some(step => step.frameUrl)
+    ? [
+        '// The body of the child frame at a position in window.frames (one index per level),',
+        '// once it has loaded. The URL it showed is only used in the failure message.',
+        'function frameBody(path, url) {',
+        '  if (!path) {',
+        `    throw new Error(${FRAME_NOT_LOGGED_MESSAGE});`,
+        '  }',
+        '  const findFrame = win => path.reduce((frame, index) => frame && frame.frames[index], win);',
+        '  return cy.window().should((win) => {',
+        `    expect(findFrame(win), ${FRAME_NOT_FOUND_MESSAGE}).to.exist;`,
+        '    expect(findFrame(win).document.body).not.to.be.empty;',
+        '  }).then(win => cy.wrap(findFrame(win).document.body));',
+        '}',
+        ''
+      ]
+    : [];
+
+  return [
+    ...getHeaderLines(plan, 'Cypress'),
+    '',
+    ...getNeededHelpers(steps, { fillWithHelper: true }).flatMap(name => [...PAGE_HELPERS[name], '']),
+    ...frameHelper,
+    `describe(${toJsString(title)}, () => {`,
+    '  it(\'replays the recorded injections\', () => {',
+    ...body.map(line => line ? `    ${line}` : ''),
+    '',
+    '    // Add assertions for the behaviour under test',
+    '  });',
+    '});',
+    ''
+  ].join('\n');
+}
+
+// ChromeDriver can only type characters in the Basic Multilingual Plane
+const ASTRAL_CHARACTER = /[\uD800-\uDBFF][\uDC00-\uDFFF]/;
+
+function generateSeleniumScript(plan, title) {
+  const { steps } = plan;
+  const body = [];
+  let currentFrame = null;
+  const usesFrames = steps.some(step => step.frameUrl);
+  // Typing astral characters fails in ChromeDriver, so those steps set the value instead
+  const plannedSteps = steps.map(step => (step.action === 'type' && ASTRAL_CHARACTER.test(step.entry.payload)
+    ? { ...step, action: 'fill', typedAstral: true }
+    : step));
+
+  for (const step of plannedSteps) {
+    if (step.navigate && step.url) {
+      if (body.length > 0) body.push('');
+      body.push(`await driver.get(${toJsString(step.url)});`);
+      currentFrame = null;
+    }
+    body.push('', `// ${describeStep(step)}`);
+    const frame = step.frameUrl ? `${toJsFramePath(step)}, ${toJsString(step.frameUrl)}` : null;
+    if (frame !== currentFrame) {
+      body.push(frame ? `await switchToFrame(driver, ${frame});` : 'await driver.switchTo().defaultContent();');
+      currentFrame = frame;
+    }
+    body.push(`element = await findElement(driver, ${toJsString(step.entry.selector)});`);
+    if (step.action === 'type') {
+      body.push('await element.clear();', `await element.sendKeys(${toJsPayload(step.entry.payload)});`);
+    } else {
+      if (step.typedAstral) {
+        body.push('// ChromeDriver can\'t type characters outside the BMP, so the value is set instead');
+      }
+      const helper = PAGE_HELPER_NAMES[getStepHelper(step.action)];
+      body.push(`await runInPage(driver, ${helper}, element, ${getHelperArgument(step)});`);
+    }
+  }
+
+  const frameHelper = usesFrames
+    ? [
+        '// Switch to the child frame at a position in window.frames (one index per level).',
+        '// The URL it showed is only used in the failure message.',
+        'async function switchToFrame(driver, path, url) {',
+        '  if (!path) {',
+        `    throw new Error(${FRAME_NOT_LOGGED_MESSAGE});`,
+        '  }',
+        '  await driver.switchTo().defaultContent();',
+        '  for (const index of path) {',
+        '    await driver.switchTo().frame(index).catch(() => {',
+        `      throw new Error(${FRAME_NOT_FOUND_MESSAGE});`,
+        '    });',
+        '  }',
+        '}',
+        ''
+      ]
+    : [];
+
+  return [
+    ...getHeaderLines(plan, 'Selenium WebDriver'),
+    'const { Builder, By } = require(\'selenium-webdriver\');',
+    '',
+    ...getNeededHelpers(plannedSteps, { fillWithHelper: true }).flatMap(name => [...PAGE_HELPERS[name], '']),
+    '// Run one of the helpers above in the page, on an element',
+    'function runInPage(driver, helper, element, argument) {',
+    '  return driver.executeScript(`(${helper})(arguments[0], arguments[1])`, element, argument);',
+    '}',
+    '',
+    '// Find an element by a Buglin selector, stepping into shadow roots at " >>> "',
+    'async function findElement(driver, selector) {',
+    `  const [first, ...rest] = selector.split(${toJsString(SCRIPT_SHADOW_SEPARATOR)});`,
+    '  let element = await driver.findElement(By.css(first));',
+    '  for (const part of rest) {',
+    '    element = await (await element.getShadowRoot()).findElement(By.css(part));',
+    '  }',
+    '  return element;',
+    '}',
+    '',
+    ...frameHelper,
+    `describe(${toJsString(title)}, function () {`,
+    '  this.timeout(120000);',
+    '  let driver;',
+    '',
+    '  before(async () => {',
+    '    driver = await new Builder().forBrowser(\'chrome\').build();',
+    '  });',
+    '',
+    '  after(async () => {',
+    '    await driver.quit();',
+    '  });',
+    '',
+    '  it(\'replays the recorded injections\', async () => {',
+    '    let element;',
+    ...body.map(line => line ? `    ${line}` : ''),
+    '',
+    '    // Add assertions for the behaviour under test',
+    '  });',
+    '});',
+    ''
+  ].join('\n');
+}
+
+const SCRIPT_GENERATORS = {
+  playwright: generatePlaywrightScript,
+  cypress: generateCypressScript,
+  selenium: generateSeleniumScript
+};
+
+/**
+ * Generate a test that replays a recorded session: it visits each page in turn and
+ * injects the same payloads into the same fields (found by their logged selectors)
+ * in the same modes. Failed injections and injections without a field selector are left out.
+ * @param {Array} log - Session log entries, oldest first
+ * @param {string} framework - 'playwright', 'cypress' or 'selenium'
+ * @param {Object} options - title: name of the test (default 'Buglin session')
+ * @returns {string} Test source
+ * @throws {Error} If the framework is unknown
+ */
+function generateTestScript(log, framework, { title = 'Buglin session' } = {}) {
+  const generate = SCRIPT_GENERATORS[framework];
+  if (!generate) {
+    throw new Error(`Unknown test framework "${framework}"`);
+  }
+  return generate(planReplaySteps(log), title);
+}
+
+// Export for Node.js (tests) and browser (session page)
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    TEST_SCRIPT_FRAMEWORKS,
+    toJsString,
+    toJsPayload,
+    toJsFileSpec,
+    toCommentText,
+    getReplayAction,
+    getReplayInputType,
+    planReplaySteps,
+    generateTestScript
+  };
+}
@@ -0,0 +1,176 @@
+// Tests for scriptgen.js test script generation
+
+const {
+  TEST_SCRIPT_FRAMEWORKS,
+  toJsString,
+  toJsPayload,
+  toJsFileSpec,
+  toCommentText,
+  getReplayAction,
+  getReplayInputType,
+  planReplaySteps,
+  generateTestScript
+} = require('./scriptgen');
+
+// A session log entry as background.js records it
+function entry(overrides = {}) {
+  return {
+    time: '2026-10-19T10:00:00.000Z',
+    url: 'https://shop.example/checkout',
+    frameId: 0,
+    frameUrl: 'https://shop.example/checkout',
+    framePath: [],
+    selector: '#email',
+    tagName: 'input',
+    name: 'email',
+    id: 'email',
+    type: 'email',
+    mode: 'inject',
+    category: 'Emails',
+    payloadName: '',
+    payload: 'a@b.c',
+    transform: '',
+    success: true,
+    error: '',
+    ...overrides
+  };
+}
+
+// One entry of every kind the generators handle differently
+const SESSION = [
+  entry(),
+  entry({ selector: 'input[name="zip"]', mode: 'type', category: 'Numbers', payload: '-0' }),
+  entry({ selector: '', success: false, error: 'No valid field focused', payload: 'lost' }),
+  entry({ frameId: 3, frameUrl: 'https://pay.example/card', framePath: [1], selector: '#card >>> label > input', mode: 'type', category: 'Emojis', payload: '\u{1F600}\u{1F600}' }),
+  entry({ selector: 'textarea[name="notes"]', mode: 'paste', category: 'Cursed', payloadName: 'RTL override', payload: "it's\u202Eevil\n", transform: 'URL-encode' }),
+  entry({ selector: 'textarea[name="notes"]', mode: 'append', category: 'Long', payload: 'A'.repeat(1000) }),
+  entry({ selector: 'textarea[name="notes"]', mode: 'type', category: 'Null', payload: '' }),
+  entry({ url: 'https://shop.example/upload', frameUrl: 'https://shop.example/upload', selector: 'input[name="document"]', mode: 'attach-file', category: 'Files', payloadName: 'PNG signature named .pdf', payload: 'document.pdf', file: { name: 'document.pdf', type: 'application/pdf', content: 'iVBORw0KGgo=', encoding: 'base64' } }),
+  entry({ url: 'https://shop.example/upload', frameUrl: 'https://shop.example/upload', selector: '#form > div:nth-of-type(2) > input', mode: 'fill-form', category: 'SQL', payload: "' OR 1=1 --" })
+];
+
+describe('literals', () => {
+  test('toJsString escapes quotes, backslashes and invisible characters', () => {
+    expect(toJsString("it's")).toBe("'it\\'s'");
+    expect(toJsString('a\\b\n\t')).toBe("'a\\\\b\\n\\t'");
+    expect(toJsString('\u202E\u200B\u0000')).toBe("'\\u202E\\u200B\\u0000'");
+  });
+
+  test('toJsString keeps emoji but escapes lone surrogates', () => {
+    expect(toJsString('\u{1F600}')).toBe("'\u{1F600}'");
+    expect(toJsString('\uD83D')).toBe("'\\uD83D'");
+  });
+
+  test('toJsPayload writes long runs of one character with repeat()', () => {
+    expect(toJsPayload('A'.repeat(1000))).toBe("'A'.repeat(1000)");
+    expect(toJsPayload('\u{1F600}'.repeat(64))).toBe("'\u{1F600}'.repeat(64)");
+    expect(toJsPayload('AAA')).toBe("'AAA'");
+  });
+
+  test('toJsFileSpec writes the defined properties in order', () => {
+    expect(toJsFileSpec({ size: 0, name: 'empty.txt' })).toBe("{ name: 'empty.txt', size: 0 }");
+  });
+
+  test('toCommentText keeps comments on one line and free of bidi controls', () => {
+    expect(toCommentText('a\nb\u202Ec')).toBe('a b c');
+  });
+});
+
+describe('planReplaySteps', () => {
+  test('leaves out failed injections and injections without a field', () => {
+    const { steps, failed, withoutSelector } = planReplaySteps([...SESSION, entry({ selector: '' })]);
+    expect(steps).toHaveLength(8);
+    expect(failed).toBe(1);
+    expect(withoutSelector).toBe(1);
+  });
+
+  test('navigates when the page changes', () => {
+    const { steps } = planReplaySteps(SESSION);
+    expect(steps.map(step => step.navigate)).toEqual([true, false, false, false, false, false, true, false]);
+  });
+
+  test('detects child frames and splits shadow selectors', () => {
+    const [, , frameStep] = planReplaySteps(SESSION).steps;
+    expect(frameStep.frameUrl).toBe('https://pay.example/card');
+    expect(frameStep.framePath).toEqual([1]);
+    expect(frameStep.selectors).toEqual(['#card', 'label > input']);
+  });
+
+  test('treats keyboard-command entries on the top page as top frame', () => {
+    const [step] = planReplaySteps([entry({ frameId: null })]).steps;
+    expect(step.frameUrl).toBeNull();
+  });
+
+  test('maps modes to replay actions', () => {
+    expect(['inject', 'fill-form', 'smart-fill', 'append', 'caret', 'selection', 'type', 'compose', 'paste', 'attach-file']
+      .map(mode => getReplayAction({ mode })))
+      .toEqual(['fill', 'fill', 'fill', 'append', 'append', 'append', 'type', 'type', 'paste', 'attachFile']);
+  });
+
+  test('replayed values fire the inputType of the recorded mode', () => {
+    expect(['inject', 'fill-form', 'append', 'caret', 'selection'].map(mode => getReplayInputType({ mode })))
+      .toEqual(['insertReplacementText', 'insertReplacementText', 'insertText', 'insertText', 'insertText']);
+    expect(generateTestScript([entry({ mode: 'caret', payload: 'x' })], 'cypress'))
+      .toContain("buglinSetValue($element[0], { value: 'x', append: true, inputType: 'insertText' })");
+  });
+});
+
+describe('generateTestScript', () => {
+  test.each(TEST_SCRIPT_FRAMEWORKS.map(framework => framework.id))('%s script', (framework) => {
+    expect(generateTestScript(SESSION, framework, { title: 'Checkout regressions' })).toMatchSnapshot();
+  });
+
+  test('only writes the page helpers a session uses', () => {
+    const script = generateTestScript([entry()], 'playwright');
+    expect(script).toContain("test('Buglin session'");
+    expect(script).not.toContain('function buglin');
+  });
+
+  test('Playwright fails with the frame URL when a frame is missing', () => {
+    expect(generateTestScript([entry()], 'playwright')).not.toContain('findFrame');
+    const script = generateTestScript(SESSION, 'playwright');
+    expect(script).toContain("await (await findFrame(page, 'https://pay.example/card')).locator('#card')");
+    expect(script).toContain('throw new Error(`No frame shows ${url}`);');
+    expect(script).not.toContain('page.frame({ url: \'');
+  });
+
+  test('the header counts failed injections and injections without a field separately', () => {
+    const script = generateTestScript([entry(), entry({ success: false }), entry({ selector: '' }), entry({ selector: '' })], 'playwright');
+    expect(script).toContain('// 1 failed injection was left out\n');
+    expect(script).toContain('// 2 injections were left out for having no field selector\n');
+    expect(generateTestScript([entry()], 'playwright')).not.toContain('left out');
+  });
+
+  test('Selenium only defines the frame helper when a step is in a frame', () => {
+    expect(generateTestScript([entry()], 'selenium')).not.toContain('switchToFrame');
+    expect(generateTestScript(SESSION, 'selenium')).toContain("await switchToFrame(driver, [1], 'https://pay.example/card');");
+  });
+
+  test('Cypress and Selenium find frames by their logged position, not their src', () => {
+    const cypress = generateTestScript(SESSION, 'cypress');
+    expect(cypress).toContain("frameBody([1], 'https://pay.example/card').find('#card')");
+    expect(cypress).not.toContain('.src');
+    const selenium = generateTestScript(SESSION, 'selenium');
+    expect(selenium).toContain('await driver.switchTo().frame(index)');
+    expect(selenium).not.toContain('getAttribute(\'src\')');
+  });
+
+  test('Cypress and Selenium fail clearly for frames logged without a position', () => {
+    const session = [entry({ frameId: 3, frameUrl: 'https://pay.example/card', framePath: undefined })];
+    for (const framework of ['cypress', 'selenium']) {
+      const script = generateTestScript(session, framework);
+      expect(script).toContain("null, 'https://pay.example/card')");
+      expect(script).toContain('throw new Error(`The session log has no frame position for ${url}; record this step again`);');
+    }
+  });
+
+  test('generated scripts parse as JavaScript', () => {
+    for (const framework of ['cypress', 'selenium']) {
+      expect(() => new Function(generateTestScript(SESSION, framework))).not.toThrow();
+    }
+  });
+
+  test('rejects unknown frameworks', () => {
+    expect(() => generateTestScript([], 'puppeteer')).toThrow('Unknown test framework "puppeteer"');
+  });
+});
@@ -0,0 +1,146 @@
+// Session log page script - browse, filter and export the injections recorded by the background worker
+
+const queryInput = document.getElementById('query');
+const statusSelect = document.getElementById('status');
+const modeSelect = document.getElementById('mode');
+const countEl = document.getElementById('count');
+const entriesBody = document.getElementById('entries');
+const emptyEl = document.getElementById('empty');
+const exportCsvBtn = document.getElementById('exportCsv');
+const exportJsonBtn = document.getElementById('exportJson');
+const exportMarkdownBtn = document.getElementById('exportMarkdown');
+const frameworkSelect = document.getElementById('framework');
+const generateTestBtn = document.getElementById('generateTest');
+const clearLogBtn = document.getElementById('clearLog');
+
+// Note: escapePreview is provided by utils.js, filterSessionLog and formatSessionLog by sessionlog.js,
+// generateTestScript and TEST_SCRIPT_FRAMEWORKS by scriptgen.js (loaded before this script)
+
+// File extension and MIME type of each export format
+const EXPORT_FORMATS = {
+  csv: { extension: 'csv', type: 'text/csv' },
+  json: { extension: 'json', type: 'application/json' },
+  markdown: { extension: 'md', type: 'text/markdown' }
+};
+
+// Full log, oldest first, as kept in storage.session
+let sessionLog = [];
+
+// Entries matching the current filter
+function getFilteredLog() {
+  return filterSessionLog(sessionLog, {
+    query: queryInput.value,
+    status: statusSelect.value,
+    mode: modeSelect.value
+  });
+}
+
+// Create a table cell with a main line and an optional secondary line
+function createCell(text, secondary = '', className = '') {
+  const cell = document.createElement('td');
+  const main = document.createElement('div');
+  main.textContent = text;
+  main.className = className;
+  cell.appendChild(main);
+  if (secondary) {
+    const detail = document.createElement('div');
+    detail.className = 'secondary';
+    detail.textContent = secondary;
+    cell.appendChild(detail);
+  }
+  return cell;
+}
+
+// Render one log entry as a table row
+function renderEntry(entry) {
+  const row = document.createElement('tr');
+  const field = [entry.name && `name=${entry.name}`, entry.id && `id=${entry.id}`, entry.type && `type=${entry.type}`]
+    .filter(Boolean).join(' ');
+  const payload = createCell(escapePreview(entry.payload) || '(empty)',
+    [entry.category, entry.payloadName, entry.transform].filter(Boolean).join(' · '), 'code');
+  payload.title = escapePreview(entry.payload, Infinity);
+
+  row.append(
+    createCell(new Date(entry.time).toLocaleTimeString(), new Date(entry.time).toLocaleDateString()),
+    createCell(entry.url, entry.frameUrl && entry.frameUrl !== entry.url ? `frame: ${entry.frameUrl}` : ''),
+    createCell(entry.selector || '—', field, 'code'),
+    createCell(entry.mode),
+    payload,
+    createCell(entry.success ? 'OK' : 'Failed', entry.error, entry.success ? 'result-success' : 'result-failed')
+  );
+  return row;
+}
+
+// Offer a mode filter option for every mode in the log
+function updateModeOptions() {
+  const selected = modeSelect.value;
+  const modes = [...new Set(sessionLog.map(entry => entry.mode))].sort();
+  modeSelect.replaceChildren(new Option('All modes', 'all'), ...modes.map(mode => new Option(mode, mode)));
+  modeSelect.value = modes.includes(selected) ? selected : 'all';
+}
+
+// Render the filtered log, newest first
+function render() {
+  const filtered = getFilteredLog();
+  entriesBody.replaceChildren(...filtered.slice().reverse().map(renderEntry));
+  emptyEl.style.display = filtered.length === 0 ? 'block' : 'none';
+  emptyEl.textContent = sessionLog.length === 0 ? 'No injections yet.' : 'No entries match the filter.';
+  countEl.textContent = filtered.length === sessionLog.length
+    ? `${sessionLog.length} entries`
+    : `${filtered.length} of ${sessionLog.length} entries`;
+}
+
+// Save text as a file through the browser's downloads
+function downloadText(text, fileName, type) {
+  const blob = new Blob([text], { type });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  link.click();
+  URL.revokeObjectURL(url);
+}
+
+// Download the filtered log in one of the export formats
+function exportLog(format) {
+  const { extension, type } = EXPORT_FORMATS[format];
+  const timestamp = new Date().toISOString().slice(0, 19).replace(/[T:]/g, '-');
+  downloadText(formatSessionLog(getFilteredLog(), format), `buglin-session-${timestamp}.${extension}`, type);
+}
+
+// Download a test that replays the filtered log
+function generateTest() {
+  const framework = TEST_SCRIPT_FRAMEWORKS.find(f => f.id === frameworkSelect.value);
+  downloadText(generateTestScript(getFilteredLog(), framework.id), framework.fileName, 'text/javascript');
+}
+
+function setSessionLog(log) {
+  sessionLog = log || [];
+  updateModeOptions();
+  render();
+}
+
+chrome.storage.session.get(['sessionLog'], (result) => setSessionLog(result.sessionLog));
+
+// Follow injections made while the page is open
+chrome.storage.onChanged.addListener((changes, areaName) => {
+  if (areaName === 'session' && changes.sessionLog) {
+    setSessionLog(changes.sessionLog.newValue);
+  }
+});
+
+queryInput.addEventListener('input', render);
+statusSelect.addEventListener('change', render);
+modeSelect.addEventListener('change', render);
+
+exportCsvBtn.addEventListener('click', () => exportLog('csv'));
+exportJsonBtn.addEventListener('click', () => exportLog('json'));
+exportMarkdownBtn.addEventListener('click', () => exportLog('markdown'));
+
+frameworkSelect.append(...TEST_SCRIPT_FRAMEWORKS.map(framework => new Option(framework.title, framework.id)));
+generateTestBtn.addEventListener('click', generateTest);
+
+clearLogBtn.addEventListener('click', () => {
+  if (!confirm('Clear the session log?')) return;
+  chrome.runtime.sendMessage({ action: 'clearSessionLog' });
+});
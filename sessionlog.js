@@ -0,0 +1,158 @@
+// Session Log - Pure logic module (testable without DOM)
+// Keeps the log of injections within its size limits, and filters and exports it for the session page
+
+// Note: escapePreview is provided by utils.js (loaded before this script)
+
+// Session log limits: entries kept, and payload characters kept in total
+// (storage.session holds 10 MB, and a few 100,000-character payloads add up)
+const MAX_SESSION_LOG_ENTRIES = 1000;
+const MAX_SESSION_LOG_CHARS = 2000000;
+
+// Session log columns, in export order
+const SESSION_LOG_COLUMNS = [
+  { key: 'time', title: 'Time' },
+  { key: 'url', title: 'Page' },
+  { key: 'frameUrl', title: 'Frame' },
+  { key: 'selector', title: 'Selector' },
+  { key: 'name', title: 'Name' },
+  { key: 'id', title: 'Id' },
+  { key: 'type', title: 'Type' },
+  { key: 'mode', title: 'Mode' },
+  { key: 'category', title: 'Category' },
+  { key: 'payloadName', title: 'Payload name' },
+  { key: 'payload', title: 'Payload' },
+  { key: 'transform', title: 'Transform' },
+  { key: 'success', title: 'Success' },
+  { key: 'error', title: 'Error' }
+];
+
+// Columns shown as code in Markdown exports
+const SESSION_LOG_CODE_COLUMNS = ['selector', 'name', 'id', 'payload'];
+
+/**
+ * Append entries to the session log, dropping the oldest past the entry and payload size limits
+ * (the newest entry is always kept)
+ * @param {Array} log - Current session log
+ * @param {Array} entries - New entries
+ * @param {Object} limits - maxEntries and maxChars (default MAX_SESSION_LOG_ENTRIES, MAX_SESSION_LOG_CHARS)
+ * @returns {Array} New session log
+ */
+function addToSessionLog(log, entries, { maxEntries = MAX_SESSION_LOG_ENTRIES, maxChars = MAX_SESSION_LOG_CHARS } = {}) {
+  let result = [...log, ...entries].slice(-maxEntries);
+  let chars = result.reduce((total, entry) => total + (entry.payload || '').length, 0);
+  while (result.length > 1 && chars > maxChars) {
+    chars -= (result[0].payload || '').length;
+    result = result.slice(1);
+  }
+  return result;
+}
+
+/**
+ * Filter the session log by text, result and mode
+ * @param {Array} log - Session log
+ * @param {Object} filter - query (matched case-insensitively against page, field, category and payload),
+ *   status ('all', 'success' or 'failed') and mode ('all' or a mode id)
+ * @returns {Array} Matching entries, in log order
+ */
+function filterSessionLog(log, { query = '', status = 'all', mode = 'all' } = {}) {
+  const needle = query.trim().toLowerCase();
+  return log.filter(entry => {
+    if (status === 'success' && !entry.success) return false;
+    if (status === 'failed' && entry.success) return false;
+    if (mode !== 'all' && entry.mode !== mode) return false;
+    if (!needle) return true;
+    return ['url', 'frameUrl', 'selector', 'name', 'id', 'type', 'category', 'payloadName', 'payload', 'error']
+      .some(key => String(entry[key] ?? '').toLowerCase().includes(needle));
+  });
+}
+
+/**
+ * Format a CSV cell. Cells a spreadsheet would run as a formula (=, +, -, @) get a leading
+ * apostrophe, since logged payloads are often exactly that
+ * @param {*} value - Cell value
+ * @returns {string} CSV cell
+ */
+function formatCsvCell(value) {
+  let text = String(value ?? '');
+  if (/^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Format a Markdown table cell as inline code: invisible characters spelled out,
+ * the fence longer than any backtick run inside, and pipes escaped for the table
+ * @param {*} value - Cell value
+ * @returns {string} Markdown cell
+ */
+function formatMarkdownCode(value) {
+  const text = escapePreview(String(value ?? ''), Infinity);
+  if (!text) return '';
+  const longestRun = Math.max(0, ...(text.match(/`+/g) || []).map(run => run.length));
+  const fence = '`'.repeat(longestRun + 1);
+  const padding = text.startsWith('`') || text.endsWith('`') ? ' ' : '';
+  return `${fence}${padding}${text.replace(/\|/g, '\\|')}${padding}${fence}`;
+}
+
+/**
+ * Format a Markdown table cell as text, with markup characters escaped so payloads don't render
+ * @param {*} value - Cell value
+ * @returns {string} Markdown cell
+ */
+function formatMarkdownText(value) {
+  return escapePreview(String(value ?? ''), Infinity)
+    .replace(/[\\`*_[\]|]/g, '\\$&')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;');
+}
+
+/**
+ * Export the session log
+ * @param {Array} log - Session log entries
+ * @param {string} format - 'csv', 'json' or 'markdown'
+ * @returns {string} Exported text
+ * @throws {Error} If the format is unknown
+ */
+function formatSessionLog(log, format) {
+  if (format === 'json') {
+    return JSON.stringify(log, null, 2);
+  }
+  if (format === 'csv') {
+    const rows = [SESSION_LOG_COLUMNS.map(column => column.title)]
+      .concat(log.map(entry => SESSION_LOG_COLUMNS.map(column => entry[column.key])));
+    return rows.map(row => row.map(formatCsvCell).join(',')).join('\r\n') + '\r\n';
+  }
+  if (format === 'markdown') {
+    const lines = [
+      '# Buglin session log',
+      '',
+      `| ${SESSION_LOG_COLUMNS.map(column => column.title).join(' | ')} |`,
+      `| ${SESSION_LOG_COLUMNS.map(() => '---').join(' | ')} |`
+    ];
+    for (const entry of log) {
+      const cells = SESSION_LOG_COLUMNS.map(({ key }) => {
+        if (key === 'success') return entry.success ? 'yes' : 'no';
+        return SESSION_LOG_CODE_COLUMNS.includes(key) ? formatMarkdownCode(entry[key]) : formatMarkdownText(entry[key]);
+      });
+      lines.push(`| ${cells.join(' | ')} |`);
+    }
+    return lines.join('\n') + '\n';
+  }
+  throw new Error(`Unknown export format "${format}"`);
+}
+
+// Export for Node.js (tests) and browser (service worker and session page)
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    MAX_SESSION_LOG_ENTRIES,
+    MAX_SESSION_LOG_CHARS,
+    SESSION_LOG_COLUMNS,
+    addToSessionLog,
+    filterSessionLog,
+    formatCsvCell,
+    formatMarkdownCode,
+    formatSessionLog
+  };
+}
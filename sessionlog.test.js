@@ -0,0 +1,103 @@
+// Tests for sessionlog.js session log limits, filtering and export
+
+// escapePreview is a global in the extension (utils.js loads first)
+global.escapePreview = require('./utils').escapePreview;
+
+const {
+  addToSessionLog,
+  filterSessionLog,
+  formatCsvCell,
+  formatMarkdownCode,
+  formatSessionLog
+} = require('./sessionlog');
+
+describe('session log', () => {
+  const entry = (overrides = {}) => ({
+    time: '2026-10-19T10:00:00.000Z',
+    url: 'https://shop.example/checkout',
+    frameId: 0,
+    frameUrl: 'https://shop.example/checkout',
+    selector: '#email',
+    tagName: 'input',
+    name: 'email',
+    id: 'email',
+    type: 'email',
+    mode: 'inject',
+    category: 'Emails',
+    payloadName: '',
+    payload: 'a@b.c',
+    transform: '',
+    success: true,
+    error: '',
+    ...overrides
+  });
+
+  test('addToSessionLog appends and keeps the newest entries', () => {
+    const log = addToSessionLog([entry({ payload: '1' })], [entry({ payload: '2' }), entry({ payload: '3' })], { maxEntries: 2 });
+    expect(log.map(e => e.payload)).toEqual(['2', '3']);
+  });
+
+  test('addToSessionLog drops old entries past the payload size budget', () => {
+    const log = addToSessionLog([entry({ payload: 'a'.repeat(6) }), entry({ payload: 'b'.repeat(3) })],
+      [entry({ payload: 'c'.repeat(3) })], { maxChars: 8 });
+    expect(log.map(e => e.payload)).toEqual(['bbb', 'ccc']);
+
+    expect(addToSessionLog([], [entry({ payload: 'x'.repeat(20) })], { maxChars: 8 })).toHaveLength(1);
+  });
+
+  test('filterSessionLog matches text, result and mode', () => {
+    const log = [
+      entry(),
+      entry({ selector: 'input[name="zip"]', category: 'Numbers', payload: '-1', mode: 'type' }),
+      entry({ success: false, error: 'No valid field focused', selector: '', payload: "' OR 1=1" })
+    ];
+    expect(filterSessionLog(log, { query: 'ZIP' })).toEqual([log[1]]);
+    expect(filterSessionLog(log, { query: 'or 1=1' })).toEqual([log[2]]);
+    expect(filterSessionLog(log, { status: 'failed' })).toEqual([log[2]]);
+    expect(filterSessionLog(log, { status: 'success', mode: 'inject' })).toEqual([log[0]]);
+    expect(filterSessionLog(log)).toEqual(log);
+  });
+
+  test('formatCsvCell quotes and defuses formulas', () => {
+    expect(formatCsvCell('plain')).toBe('plain');
+    expect(formatCsvCell('a,"b"\nc')).toBe('"a,""b""\nc"');
+    expect(formatCsvCell('=1+1')).toBe("'=1+1");
+    expect(formatCsvCell('-1')).toBe("'-1");
+    expect(formatCsvCell(null)).toBe('');
+    expect(formatCsvCell(true)).toBe('true');
+  });
+
+  test('formatMarkdownCode spells out invisible characters and survives backticks and pipes', () => {
+    expect(formatMarkdownCode('a|b')).toBe('`a\\|b`');
+    expect(formatMarkdownCode('x`y')).toBe('``x`y``');
+    expect(formatMarkdownCode('`')).toBe('`` ` ``');
+    expect(formatMarkdownCode('a\nb')).toBe('`a\\u000Ab`');
+    expect(formatMarkdownCode('')).toBe('');
+  });
+
+  test('formatSessionLog exports CSV with a header row', () => {
+    const csv = formatSessionLog([entry({ payload: 'x,y' })], 'csv');
+    const [header, row] = csv.split('\r\n');
+    expect(header).toBe('Time,Page,Frame,Selector,Name,Id,Type,Mode,Category,Payload name,Payload,Transform,Success,Error');
+    expect(row).toBe('2026-10-19T10:00:00.000Z,https://shop.example/checkout,https://shop.example/checkout,#email,email,email,email,inject,Emails,,"x,y",,true,');
+  });
+
+  test('formatSessionLog exports JSON that round-trips', () => {
+    const log = [entry({ payload: '\u202Eevil' })];
+    expect(JSON.parse(formatSessionLog(log, 'json'))).toEqual(log);
+  });
+
+  test('formatSessionLog exports a Markdown table that does not render payloads', () => {
+    const markdown = formatSessionLog([entry({ payload: '<img src=x onerror=alert(1)>', payloadName: '<b>XSS</b>', success: false })], 'markdown');
+    const lines = markdown.trim().split('\n');
+    expect(lines[0]).toBe('# Buglin session log');
+    expect(lines[2]).toMatch(/^\| Time \| Page \|/);
+    expect(lines[4]).toContain('| `<img src=x onerror=alert(1)>` |');
+    expect(lines[4]).toContain('| &lt;b&gt;XSS&lt;/b&gt; |');
+    expect(lines[4]).toContain('| no |');
+  });
+
+  test('formatSessionLog rejects unknown formats', () => {
+    expect(() => formatSessionLog([], 'xml')).toThrow('Unknown export format "xml"');
+  });
+});
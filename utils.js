@@ -2,6 +2,340 @@
 
 const MAX_RECENT = 5;
 const DEFAULT_FORBIDDEN_WORDS = ['todo', 'fixme', 'lorem', 'ipsum', 'placeholder', 'tbd', 'example.com'];
+const DEFAULT_TYPING_DELAY = 30; // ms between keystrokes in "Type it" mode (and composition updates)
+const MAX_CATEGORY_NAME_LENGTH = 100;
+
+// Properties allowed on object payload items (checked when importing packs)
+const PAYLOAD_ITEM_KEYS = ['name', 'value', 'generator', 'params', 'file'];
+
+// Properties allowed in the file spec of {name, file} items, and the largest file they may describe
+const PAYLOAD_FILE_KEYS = ['name', 'type', 'size', 'content', 'encoding'];
+const MAX_FILE_PAYLOAD_SIZE = 100 * 1024 * 1024;
+
+// How "Fill whole form" distributes a category's payloads over the form fields
+const FORM_FILL_STRATEGIES = [
+  { id: 'round-robin', title: 'Round-robin' },
+  { id: 'by-index', title: 'By index' }
+];
+
+// Payload categories used by "Smart fill this form" for each field purpose
+// (purposes come from classifyFieldPurpose in analysis.js)
+const SMART_FILL_CATEGORIES = {
+  'email': 'Emails',
+  'url': 'URLs',
+  'tel': 'Phone numbers',
+  'number': 'Numbers',
+  'card-number': 'Card numbers',
+  'postal-code': 'Postcodes',
+  'address': 'Addresses',
+  'name': 'Names',
+  'organization': 'Organizations',
+  'password': 'Passwords',
+  'multiline': 'Long',
+  'text': 'Lorems'
+};
+
+// Character pools for the "chars" generator (arrays of graphemes so length counts characters)
+const GENERATOR_CHAR_CLASSES = {
+  alpha: Array.from('abcdefghijklmnopqrstuvwxyzABCDEFGHIJKLMNOPQRSTUVWXYZ'),
+  digit: Array.from('0123456789'),
+  alnum: Array.from('abcdefghijklmnopqrstuvwxyzABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789'),
+  ascii: Array.from({ length: 95 }, (_, i) => String.fromCharCode(0x20 + i)),
+  whitespace: [' ', '\t', '\u00A0', '\u2003', '\u200B', '\u3000', '\uFEFF'],
+  emoji: ['😀', '💩', '🔥', '👍🏽', '👨‍👩‍👧', '🏳️‍🌈', '🇬🇧', '🧑‍💻'],
+  cjk: Array.from('田中さんにあげて下さい和製漢語部落格사회과학원'),
+  rtl: Array.from('שלוםעולםمرحبابالعالم')
+};
+
+// BBAN layouts for the "iban" generator: a = uppercase letter, n = digit, c = uppercase alphanumeric
+const IBAN_FORMATS = {
+  GB: 'a4n14',
+  DE: 'n18',
+  FR: 'n10c11n2',
+  NL: 'a4n10',
+  ES: 'n20',
+  IT: 'a1n10c12'
+};
+
+/**
+ * Pick random entries from a character pool
+ * @param {Array<string>} pool - Characters to choose from
+ * @param {number} length - Number of characters
+ * @returns {string} Random string
+ */
+function randomFromPool(pool, length) {
+  let result = '';
+  for (let i = 0; i < length; i++) {
+    result += pool[Math.floor(Math.random() * pool.length)];
+  }
+  return result;
+}
+
+/**
+ * Compute the Luhn check digit for a string of digits
+ * @param {string} digits - Digits without the check digit
+ * @returns {string} Check digit
+ */
+function luhnCheckDigit(digits) {
+  let sum = 0;
+  for (let i = 0; i < digits.length; i++) {
+    let digit = Number(digits[digits.length - 1 - i]);
+    if (i % 2 === 0) {
+      digit *= 2;
+      if (digit > 9) digit -= 9;
+    }
+    sum += digit;
+  }
+  return String((10 - (sum % 10)) % 10);
+}
+
+/**
+ * Compute ISO 7064 mod 97 of an IBAN-style alphanumeric string (letters count as 10-35)
+ * @param {string} str - Uppercase alphanumeric string
+ * @returns {number} Remainder
+ */
+function ibanMod97(str) {
+  let remainder = 0;
+  for (const char of str) {
+    const value = parseInt(char, 36);
+    remainder = (value > 9 ? remainder * 100 + value : remainder * 10 + value) % 97;
+  }
+  return remainder;
+}
+
+// Limits for template expansion
+const MAX_TEMPLATE_DEPTH = 5; // nested {{payload:...}} references
+const MAX_TEMPLATE_REPEAT = 100000; // {{random:N}} and generator length, {{repeat:N:...}} count
+
+// Formats of the timestamp and date generators
+const GENERATED_DATE_FORMATS = ['iso', 'date', 'unix', 'unix-ms'];
+
+/**
+ * Format a date for the timestamp and date generators
+ * @param {Date} date - Date to format
+ * @param {string} format - iso, date, unix or unix-ms
+ * @returns {string} Formatted date
+ */
+function formatGeneratedDate(date, format) {
+  switch (format) {
+    case 'iso': return date.toISOString();
+    case 'date': return date.toISOString().slice(0, 10);
+    case 'unix': return String(Math.floor(date.getTime() / 1000));
+    case 'unix-ms': return String(date.getTime());
+    default: throw new Error(`Unknown date format "${format}"`);
+  }
+}
+
+// Payload generators for {name, generator, params} items, evaluated at injection time
+const PAYLOAD_GENERATORS = {
+  // N characters of a given class
+  chars({ length = 10, charClass = 'alpha' } = {}) {
+    const pool = GENERATOR_CHAR_CLASSES[charClass];
+    if (!pool) throw new Error(`Unknown character class "${charClass}"`);
+    return randomFromPool(pool, length);
+  },
+
+  // Unique email address (timestamp plus random suffix in the local part)
+  email({ prefix = 'buglin', domain = 'example.com' } = {}) {
+    const unique = Date.now().toString(36) + randomFromPool(GENERATOR_CHAR_CLASSES.digit, 4);
+    return `${prefix}+${unique}@${domain}`;
+  },
+
+  // Luhn-valid card number
+  cardNumber({ prefix = '4', length = 16 } = {}) {
+    if (prefix.length >= length) {
+      throw new Error(`Card number prefix "${prefix}" must be shorter than the length (${length})`);
+    }
+    const body = prefix + randomFromPool(GENERATOR_CHAR_CLASSES.digit, length - prefix.length - 1);
+    return body + luhnCheckDigit(body);
+  },
+
+  // IBAN with valid check digits
+  iban({ country = 'GB' } = {}) {
+    const layout = IBAN_FORMATS[country];
+    if (!layout) throw new Error(`Unsupported IBAN country "${country}"`);
+    const pools = {
+      a: Array.from('ABCDEFGHIJKLMNOPQRSTUVWXYZ'),
+      n: GENERATOR_CHAR_CLASSES.digit,
+      c: Array.from('ABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789')
+    };
+    let bban = '';
+    for (const [, kind, count] of layout.matchAll(/([anc])(\d+)/g)) {
+      bban += randomFromPool(pools[kind], Number(count));
+    }
+    const check = 98 - ibanMod97(bban + country + '00');
+    return country + String(check).padStart(2, '0') + bban;
+  },
+
+  // Random version 4 UUID
+  uuid() {
+    if (typeof crypto !== 'undefined' && typeof crypto.randomUUID === 'function') {
+      return crypto.randomUUID();
+    }
+    return 'xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx'.replace(/[xy]/g, c => {
+      const r = Math.floor(Math.random() * 16);
+      return (c === 'x' ? r : (r & 0x3) | 0x8).toString(16);
+    });
+  },
+
+  // Current time
+  timestamp({ format = 'iso' } = {}) {
+    return formatGeneratedDate(new Date(), format);
+  },
+
+  // Today offset by a number of days
+  date({ days = 0, format = 'date' } = {}) {
+    return formatGeneratedDate(new Date(Date.now() + days * 86400000), format);
+  }
+};
+
+// Params each generator accepts: an integer in a range, a string (optionally matching a
+// pattern) or one of a list of values. Checked before the generator runs.
+const GENERATOR_PARAMS = {
+  chars: {
+    length: { type: 'integer', min: 1, max: MAX_TEMPLATE_REPEAT },
+    charClass: { values: Object.keys(GENERATOR_CHAR_CLASSES) }
+  },
+  email: {
+    prefix: { type: 'string' },
+    domain: { type: 'string' }
+  },
+  cardNumber: {
+    prefix: { type: 'string', pattern: /^\d*$/, description: 'a string of digits' },
+    length: { type: 'integer', min: 1, max: MAX_TEMPLATE_REPEAT }
+  },
+  iban: {
+    country: { values: Object.keys(IBAN_FORMATS) }
+  },
+  uuid: {},
+  timestamp: {
+    format: { values: GENERATED_DATE_FORMATS }
+  },
+  date: {
+    days: { type: 'integer', min: -100000, max: 100000 },
+    format: { values: GENERATED_DATE_FORMATS }
+  }
+};
+
+/**
+ * Check a generator's params against GENERATOR_PARAMS
+ * @param {string} generator - Generator name
+ * @param {Object} params - Generator params
+ * @throws {Error} If a param is unknown or has the wrong type or value
+ */
+function validateGeneratorParams(generator, params = {}) {
+  const schema = GENERATOR_PARAMS[generator];
+  for (const [key, value] of Object.entries(params)) {
+    const spec = schema[key];
+    const param = `${generator} param "${key}"`;
+    if (!spec) {
+      throw new Error(`Unknown ${param}`);
+    }
+    if (spec.values) {
+      if (!spec.values.includes(value)) {
+        throw new Error(`${param} must be one of ${spec.values.join(', ')}`);
+      }
+    } else if (spec.type === 'integer') {
+      if (!Number.isInteger(value) || value < spec.min || value > spec.max) {
+        throw new Error(`${param} must be an integer between ${spec.min} and ${spec.max}`);
+      }
+    } else if (typeof value !== 'string' || (spec.pattern && !spec.pattern.test(value))) {
+      throw new Error(`${param} must be ${spec.description || 'a string'}`);
+    }
+  }
+}
+
+// Encoding transforms for the "Transform" menu, applied after templates are expanded
+const PAYLOAD_TRANSFORMS = [
+  { id: 'none', title: 'None', apply: value => value },
+  { id: 'url', title: 'URL-encode', apply: value => encodeURIComponent(value) },
+  { id: 'double-url', title: 'Double URL-encode', apply: value => encodeURIComponent(encodeURIComponent(value)) },
+  { id: 'html', title: 'HTML entity encode', apply: value => encodeHtmlEntities(value) },
+  { id: 'base64', title: 'Base64', apply: value => encodeBase64(value) },
+  { id: 'js', title: 'JS/JSON string escape', apply: value => escapeJsString(value) },
+  { id: 'unicode', title: 'Unicode \\u escape', apply: value => escapeUnicode(value) },
+  { id: 'upper', title: 'Uppercase', apply: value => value.toUpperCase() },
+  { id: 'lower', title: 'Lowercase', apply: value => value.toLowerCase() }
+];
+
+const HTML_ENTITIES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+/**
+ * Encode markup characters as named entities and non-ASCII as numeric entities
+ * @param {string} value - Text to encode
+ * @returns {string} Encoded text
+ */
+function encodeHtmlEntities(value) {
+  return Array.from(value, char => {
+    if (HTML_ENTITIES[char]) return HTML_ENTITIES[char];
+    const codePoint = char.codePointAt(0);
+    return codePoint > 0x7E ? `&#x${codePoint.toString(16).toUpperCase()};` : char;
+  }).join('');
+}
+
+/**
+ * Base64-encode the UTF-8 bytes of a string
+ * @param {string} value - Text to encode
+ * @returns {string} Base64 text
+ */
+function encodeBase64(value) {
+  let binary = '';
+  for (const byte of new TextEncoder().encode(value)) {
+    binary += String.fromCharCode(byte);
+  }
+  return btoa(binary);
+}
+
+/**
+ * Escape a string for use inside a JS or JSON string literal (without the quotes)
+ * @param {string} value - Text to escape
+ * @returns {string} Escaped text
+ */
+function escapeJsString(value) {
+  return JSON.stringify(value)
+    .slice(1, -1)
+    .replace(/'/g, '\\u0027')
+    .replace(/\u2028/g, '\\u2028')
+    .replace(/\u2029/g, '\\u2029');
+}
+
+/**
+ * Escape every UTF-16 code unit as \uXXXX
+ * @param {string} value - Text to escape
+ * @returns {string} Escaped text
+ */
+function escapeUnicode(value) {
+  let result = '';
+  for (let i = 0; i < value.length; i++) {
+    result += '\\u' + value.charCodeAt(i).toString(16).padStart(4, '0');
+  }
+  return result;
+}
+
+/**
+ * Apply an encoding transform to a payload value
+ * @param {string} value - Payload value
+ * @param {string} transformId - Transform ID from PAYLOAD_TRANSFORMS (default 'none')
+ * @returns {string} Transformed value
+ * @throws {Error} If the transform is unknown
+ */
+function applyTransform(value, transformId = 'none') {
+  const transform = PAYLOAD_TRANSFORMS.find(t => t.id === transformId);
+  if (!transform) {
+    throw new Error(`Unknown transform "${transformId}"`);
+  }
+  return transform.apply(value);
+}
+
+/**
+ * Get the display title of a transform
+ * @param {string} transformId - Transform ID
+ * @returns {string|null} Title, or null for 'none' and unknown IDs
+ */
+function getTransformTitle(transformId) {
+  if (!transformId || transformId === 'none') return null;
+  return PAYLOAD_TRANSFORMS.find(t => t.id === transformId)?.title || null;
+}
 
 /**
  * Sanitize and truncate string for menu display
@@ -30,6 +364,72 @@ function getItemTitle(item) {
   return truncate(item);
 }
 
+/**
+ * Check whether a payload item is a {name, generator, params} generator entry
+ * @param {string|Object} item - Payload item
+ * @returns {boolean} True for generator items
+ */
+function isGeneratorItem(item) {
+  return typeof item === 'object' && item !== null && typeof item.generator === 'string';
+}
+
+/**
+ * Check whether a payload item is a {name, file} entry attached to file inputs and drop zones
+ * @param {string|Object} item - Payload item
+ * @returns {boolean} True for file items
+ */
+function isFileItem(item) {
+  return typeof item === 'object' && item !== null && typeof item.file === 'object' && item.file !== null;
+}
+
+/**
+ * Build the bytes of a file item. The content (UTF-8 text, or binary when encoding
+ * is "base64") is repeated or cut to size; without content the file is zero-filled.
+ * @param {Object} file - File spec: name, type, size, content, encoding
+ * @returns {Uint8Array} File contents
+ */
+function buildFileBytes({ size, content = '', encoding } = {}) {
+  const bytes = encoding === 'base64'
+    ? Uint8Array.from(atob(content), char => char.charCodeAt(0))
+    : new TextEncoder().encode(content);
+  if (size === undefined || size === bytes.length) return bytes;
+
+  const data = new Uint8Array(size);
+  if (bytes.length === 0) return data;
+  data.set(bytes.subarray(0, Math.min(bytes.length, size)));
+  // Double the filled part until the file is full
+  for (let filled = Math.min(bytes.length, size); filled < size; filled *= 2) {
+    data.copyWithin(filled, 0, Math.min(filled, size - filled));
+  }
+  return data;
+}
+
+/**
+ * Format a byte count for display (e.g. 0 bytes, 68 bytes, 50 MB)
+ * @param {number} bytes - Byte count
+ * @returns {string} Formatted size
+ */
+function formatFileSize(bytes) {
+  const units = ['bytes', 'KB', 'MB', 'GB'];
+  let value = bytes;
+  let unit = 0;
+  while (value >= 1024 && unit < units.length - 1) {
+    value /= 1024;
+    unit++;
+  }
+  return unit === 0 ? `${bytes} ${bytes === 1 ? 'byte' : 'bytes'}` : `${Number(value.toFixed(1))} ${units[unit]}`;
+}
+
+/**
+ * Describe a file item's file for menus, previews and notifications
+ * @param {Object} file - File spec
+ * @returns {string} e.g. "eicar.com, 68 bytes, application/octet-stream"
+ */
+function describeFileSpec(file) {
+  const size = file.size ?? buildFileBytes(file).length;
+  return [file.name, formatFileSize(size), file.type].filter(Boolean).join(', ');
+}
+
 /**
  * Get actual value from a payload item
  * @param {string|Object} item - Payload item
@@ -42,22 +442,198 @@ function getItemValue(item) {
   return item;
 }
 
+/**
+ * Get the value to inject for a payload item, running generators
+ * @param {string|Object} item - Payload item
+ * @returns {string} Payload value
+ * @throws {Error} If the generator is unknown or its params are invalid
+ */
+function resolveItemValue(item) {
+  if (isGeneratorItem(item)) {
+    const generator = PAYLOAD_GENERATORS[item.generator];
+    if (!generator) {
+      throw new Error(`Unknown generator "${item.generator}"`);
+    }
+    validateGeneratorParams(item.generator, item.params);
+    return generator(item.params || {});
+  }
+  return getItemValue(item);
+}
+
+// {{name}} or {{name:argument}}; \{{ is an escaped literal {{
+const TEMPLATE_PATTERN = /\\\{\{|\{\{([a-z]+)(?::([\s\S]*?))?\}\}/g;
+
+/**
+ * Parse a template count argument
+ * @param {string} arg - Count argument
+ * @param {string} token - Token name for error messages
+ * @returns {number} Count
+ * @throws {Error} If the count isn't an integer in range
+ */
+function parseTemplateCount(arg, token) {
+  const count = Number(arg);
+  if (!/^\d+$/.test(arg || '') || count > MAX_TEMPLATE_REPEAT) {
+    throw new Error(`{{${token}}} needs a count between 0 and ${MAX_TEMPLATE_REPEAT}`);
+  }
+  return count;
+}
+
+// Template variables: (argument, payloads, depth) => replacement
+const TEMPLATE_VARIABLES = {
+  email: () => PAYLOAD_GENERATORS.email(),
+  timestamp: () => PAYLOAD_GENERATORS.timestamp(),
+  uuid: () => PAYLOAD_GENERATORS.uuid(),
+
+  // {{random:N}} - N random letters and digits
+  random: (arg) => PAYLOAD_GENERATORS.chars({
+    length: arg === undefined ? 10 : parseTemplateCount(arg, 'random'),
+    charClass: 'alnum'
+  }),
+
+  // {{repeat:N:text}} - text repeated N times (text is taken literally)
+  repeat: (arg) => {
+    const separator = (arg || '').indexOf(':');
+    if (separator === -1) {
+      throw new Error('{{repeat}} needs a count and text, e.g. {{repeat:3:ab}}');
+    }
+    return arg.slice(separator + 1).repeat(parseTemplateCount(arg.slice(0, separator), 'repeat'));
+  },
+
+  // {{payload:Category/index}} - another payload, itself expanded (only items that produce text)
+  payload: (arg, payloads, depth) => {
+    const separator = (arg || '').lastIndexOf('/');
+    const category = arg?.slice(0, separator);
+    const index = Number(arg?.slice(separator + 1));
+    const items = payloads[category];
+    if (separator === -1 || !Array.isArray(items) || !Number.isInteger(index) || !(index in items)) {
+      throw new Error(`Unknown payload reference "${arg}"`);
+    }
+    if (isFileItem(items[index])) {
+      throw new Error(`Payload reference "${arg}" is a file, not text`);
+    }
+    const value = resolveItemValue(items[index]);
+    if (typeof value !== 'string') {
+      throw new Error(`Payload reference "${arg}" doesn't produce text`);
+    }
+    return expandTemplate(value, payloads, depth + 1);
+  }
+};
+
+/**
+ * Expand {{...}} template tokens in a payload value.
+ * Supported: {{email}}, {{timestamp}}, {{uuid}}, {{random:N}}, {{repeat:N:text}}
+ * and {{payload:Category/index}}. Write \{{ for a literal {{. Unknown tokens are
+ * left as they are, so values that merely contain braces are unaffected.
+ * @param {string} template - Payload value
+ * @param {Object} payloads - Payload categories for {{payload:...}} references
+ * @param {number} depth - Current nesting depth (internal)
+ * @returns {string} Expanded value
+ * @throws {Error} If a token has invalid arguments or references nest too deeply
+ */
+function expandTemplate(template, payloads = {}, depth = 0) {
+  if (typeof template !== 'string' || !template.includes('{{')) return template;
+  if (depth > MAX_TEMPLATE_DEPTH) {
+    throw new Error('Payload references nest too deeply (circular {{payload}}?)');
+  }
+
+  return template.replace(TEMPLATE_PATTERN, (match, name, arg) => {
+    if (match === '\\{{') return '{{';
+    const variable = TEMPLATE_VARIABLES[name];
+    return variable ? variable(arg, payloads, depth) : match;
+  });
+}
+
+/**
+ * Split a string into user-perceived characters (grapheme clusters)
+ * so emoji sequences and combining marks are typed as single keystrokes
+ * @param {string} str - String to split
+ * @returns {string[]} Grapheme clusters
+ */
+function splitGraphemes(str) {
+  if (!str) return [];
+  if (typeof Intl !== 'undefined' && typeof Intl.Segmenter === 'function') {
+    const segmenter = new Intl.Segmenter(undefined, { granularity: 'grapheme' });
+    return Array.from(segmenter.segment(str), s => s.segment);
+  }
+  // Fallback: split by code point (keeps surrogate pairs together)
+  return Array.from(str);
+}
+
+// Graphemes an input method editor composes before committing; longer text is split into
+// several compositions, the way users commit a phrase at a time
+const MAX_COMPOSITION_LENGTH = 8;
+
+/**
+ * Plan how an input method editor (IME) delivers a string. Whitespace commits a composition
+ * rather than joining one, so runs of it are typed directly; other text is composed in
+ * sessions of up to maxLength graphemes, growing by one grapheme per update
+ * @param {string} value - Payload
+ * @param {number} maxLength - Graphemes per composition (default MAX_COMPOSITION_LENGTH)
+ * @returns {Array<{text: string, updates: string[]|null}>} Segments in order: updates is null for
+ *   text typed directly, otherwise the composition string after each update (the last is text)
+ */
+function buildCompositionSteps(value, maxLength = MAX_COMPOSITION_LENGTH) {
+  const steps = [];
+  let current = null;
+  for (const grapheme of splitGraphemes(value)) {
+    const typed = /^\s+$/.test(grapheme);
+    const isFull = !typed && current?.updates?.length >= maxLength;
+    if (!current || (current.updates === null) !== typed || isFull) {
+      current = { text: '', updates: typed ? null : [] };
+      steps.push(current);
+    }
+    current.text += grapheme;
+    if (!typed) {
+      current.updates.push(current.text);
+    }
+  }
+  return steps;
+}
+
+/**
+ * Get the payload item behind a recent entry (generator entries are re-run on use)
+ * @param {Object} recent - Recent payload entry
+ * @returns {string|Object} Payload item
+ */
+function getRecentItem(recent) {
+  if (recent.generator) {
+    return { name: recent.name, generator: recent.generator, params: recent.params };
+  }
+  if (recent.file) {
+    return { name: recent.name, file: recent.file };
+  }
+  return recent.value;
+}
+
+/**
+ * Get menu title for a recent entry
+ * @param {Object} recent - Recent payload entry
+ * @returns {string} Display title
+ */
+function getRecentTitle(recent) {
+  const title = recent.generator || recent.file ? recent.name : truncate(recent.value);
+  const transformTitle = getTransformTitle(recent.transform);
+  return transformTitle ? `${title} [${transformTitle}]` : title;
+}
+
 /**
  * Add payload to recent list (pure function for testability)
  * @param {Array} recentPayloads - Current recent payloads array
  * @param {string} category - Payload category
  * @param {number} index - Payload index within category
  * @param {string} value - Payload value
+ * @param {Object} extra - Extra properties to keep with the entry (e.g. generator, params, name, transform)
  * @returns {Array} New recent payloads array
  */
-function addToRecentList(recentPayloads, category, index, value) {
-  // Remove if already exists
+function addToRecentList(recentPayloads, category, index, value, extra = {}) {
+  // Remove if already exists (the same payload with another transform is a separate entry)
+  const transform = extra.transform || 'none';
   let result = recentPayloads.filter(r =>
-    !(r.category === category && r.index === index)
+    !(r.category === category && r.index === index && (r.transform || 'none') === transform)
   );
 
   // Add to front
-  result.unshift({ category, index, value });
+  result.unshift({ category, index, value, ...extra });
 
   // Limit size
   if (result.length > MAX_RECENT) {
@@ -67,12 +643,84 @@ function addToRecentList(recentPayloads, category, index, value) {
   return result;
 }
 
+/**
+ * Step through a list with wrap-around (used to cycle payloads and modes)
+ * @param {number} length - List length
+ * @param {number} index - Current index
+ * @param {number} step - Offset (1 = next, -1 = previous)
+ * @returns {number} New index in [0, length)
+ */
+function getAdjacentIndex(length, index, step) {
+  return (((index + step) % length) + length) % length;
+}
+
+/**
+ * Assign payload values to form fields for "Fill whole form"
+ * - round-robin: field i gets values[i % values.length]
+ * - by-index: field i gets values[i]; fields past the end of the list get null
+ * @param {number} fieldCount - Number of fillable fields
+ * @param {Array<string>} values - Payload values in category order
+ * @param {string} strategy - Strategy id from FORM_FILL_STRATEGIES
+ * @returns {Array<string|null>} Value per field (null = skip)
+ */
+function assignFormValues(fieldCount, values, strategy = 'round-robin') {
+  const result = [];
+  for (let i = 0; i < fieldCount; i++) {
+    if (values.length === 0) {
+      result.push(null);
+    } else if (strategy === 'by-index') {
+      result.push(i < values.length ? values[i] : null);
+    } else {
+      result.push(values[i % values.length]);
+    }
+  }
+  return result;
+}
+
+/**
+ * Pick a payload for each field based on its purpose
+ * @param {Array<string>} purposes - Field purposes from classifyFieldPurpose
+ * @param {Object} payloads - Payload categories (payloads.json shape)
+ * @param {Function} random - Random number source in [0, 1) (default Math.random)
+ * @returns {Array<string|null>} Value per field (null = no matching payload)
+ */
+function pickSmartFillValues(purposes, payloads, random = Math.random) {
+  return purposes.map(purpose => {
+    const category = SMART_FILL_CATEGORIES[purpose] || SMART_FILL_CATEGORIES.text;
+    const items = payloads[category];
+    if (!Array.isArray(items) || items.length === 0) return null;
+    return resolveItemValue(items[Math.floor(random() * items.length)]);
+  });
+}
+
+/**
+ * Build the notification text shown after filling a form
+ * @param {number} filledCount - Number of fields that received a payload
+ * @param {Array<{field: string, reason: string}>} skipped - Skipped fields with reasons
+ * @param {number} maxListed - Maximum number of skipped fields to name (default 5)
+ * @returns {string} Summary message
+ */
+function formatFillSummary(filledCount, skipped, maxListed = 5) {
+  let message = `Filled ${filledCount} field${filledCount === 1 ? '' : 's'}`;
+  if (skipped.length > 0) {
+    const listed = skipped.slice(0, maxListed).map(s => `${s.field} (${s.reason})`);
+    if (skipped.length > maxListed) {
+      listed.push(`+${skipped.length - maxListed} more`);
+    }
+    message += `, skipped ${skipped.length}: ${listed.join(', ')}`;
+  }
+  return message;
+}
+
 /**
  * Validate payloads.json structure
  * @param {any} data - Parsed JSON data
+ * @param {Object} options - Validation options
+ * @param {boolean} options.strict - Also reject blank/oversized category names, empty
+ *   categories, unnamed objects and unknown item keys (used for imported packs)
  * @throws {Error} If structure is invalid
  */
-function validatePayloads(data) {
+function validatePayloads(data, { strict = false } = {}) {
   if (!data || typeof data !== 'object') {
     throw new Error('payloads.json must be a non-null object');
   }
@@ -83,9 +731,285 @@ function validatePayloads(data) {
     if (!Array.isArray(items)) {
       throw new Error(`Category "${category}" must be an array`);
     }
+    if (strict) {
+      if (!category.trim() || category.length > MAX_CATEGORY_NAME_LENGTH) {
+        throw new Error(`Category name "${category}" must be 1-${MAX_CATEGORY_NAME_LENGTH} characters`);
+      }
+      if (items.length === 0) {
+        throw new Error(`Category "${category}" must not be empty`);
+      }
+    }
+    items.forEach((item, index) => validatePayloadItem(item, `Item ${index} in category "${category}"`, strict));
   }
 }
 
+/**
+ * Validate a single payload item: a string, {name, value}, {name, generator, params} or {name, file}
+ * @param {any} item - Payload item
+ * @param {string} label - Item description for error messages
+ * @param {boolean} strict - Require names and reject unknown keys
+ * @throws {Error} If the item is invalid
+ */
+function validatePayloadItem(item, label, strict = false) {
+  if (typeof item === 'string') return;
+  if (!item || typeof item !== 'object' || Array.isArray(item)) {
+    throw new Error(`${label} must be a string or an object`);
+  }
+
+  if (strict) {
+    if (typeof item.name !== 'string' || !item.name.trim()) {
+      throw new Error(`${label} must have a name`);
+    }
+    const unknownKey = Object.keys(item).find(key => !PAYLOAD_ITEM_KEYS.includes(key));
+    if (unknownKey) {
+      throw new Error(`${label} has unknown property "${unknownKey}"`);
+    }
+  }
+
+  if (isFileItem(item)) {
+    validatePayloadFile(item, label);
+    return;
+  }
+
+  if (isGeneratorItem(item)) {
+    if (typeof item.name !== 'string' || !item.name) {
+      throw new Error(`${label} must have a name`);
+    }
+    if (!PAYLOAD_GENERATORS[item.generator]) {
+      throw new Error(`${label} uses unknown generator "${item.generator}"`);
+    }
+    if (item.params !== undefined && (typeof item.params !== 'object' || item.params === null || Array.isArray(item.params))) {
+      throw new Error(`${label} params must be an object`);
+    }
+    // Check the params and do a dry run so bad params fail at load time instead of on click
+    try {
+      resolveItemValue(item);
+    } catch (err) {
+      throw new Error(`${label}: ${err.message}`);
+    }
+    return;
+  }
+
+  if (typeof item.value !== 'string') {
+    throw new Error(`${label} must have a string value`);
+  }
+}
+
+/**
+ * Validate a {name, file} payload item
+ * @param {Object} item - File item
+ * @param {string} label - Item description for error messages
+ * @throws {Error} If the file spec is invalid
+ */
+function validatePayloadFile(item, label) {
+  const { file } = item;
+  if (typeof item.name !== 'string' || !item.name) {
+    throw new Error(`${label} must have a name`);
+  }
+  if (Array.isArray(file)) {
+    throw new Error(`${label} file must be an object`);
+  }
+  const unknownKey = Object.keys(file).find(key => !PAYLOAD_FILE_KEYS.includes(key));
+  if (unknownKey) {
+    throw new Error(`${label} file has unknown property "${unknownKey}"`);
+  }
+  if (typeof file.name !== 'string' || !file.name) {
+    throw new Error(`${label} file must have a name`);
+  }
+  for (const key of ['type', 'content']) {
+    if (file[key] !== undefined && typeof file[key] !== 'string') {
+      throw new Error(`${label} file ${key} must be a string`);
+    }
+  }
+  if (file.size !== undefined &&
+      (!Number.isInteger(file.size) || file.size < 0 || file.size > MAX_FILE_PAYLOAD_SIZE)) {
+    throw new Error(`${label} file size must be a whole number of bytes up to ${formatFileSize(MAX_FILE_PAYLOAD_SIZE)}`);
+  }
+  if (file.encoding !== undefined && file.encoding !== 'base64') {
+    throw new Error(`${label} file encoding must be "base64"`);
+  }
+  if (file.encoding === 'base64') {
+    try {
+      atob(file.content || '');
+    } catch (err) {
+      throw new Error(`${label} file content is not valid base64`);
+    }
+  }
+}
+
+/**
+ * Merge user-defined categories into the bundled payloads.
+ * Custom categories are appended in their own order; a custom category with the
+ * same name as a bundled one adds its items after the bundled items.
+ * @param {Object} bundled - Bundled payloads (payloads.json)
+ * @param {Object} custom - User-defined payloads (same shape)
+ * @returns {Object} Merged payloads
+ */
+function mergePayloads(bundled, custom) {
+  const merged = {};
+  for (const [category, items] of Object.entries(bundled)) {
+    merged[category] = [...items];
+  }
+  for (const [category, items] of Object.entries(custom || {})) {
+    merged[category] = merged[category] ? [...merged[category], ...items] : [...items];
+  }
+  return merged;
+}
+
+/**
+ * Convert payloads object to an ordered list for editing
+ * @param {Object} payloads - Payload categories
+ * @returns {Array<{name: string, items: Array}>} Ordered categories
+ */
+function payloadsToList(payloads) {
+  return Object.entries(payloads || {}).map(([name, items]) => ({ name, items: [...items] }));
+}
+
+/**
+ * Convert an ordered category list back to a payloads object
+ * @param {Array<{name: string, items: Array}>} list - Ordered categories
+ * @returns {Object} Payload categories
+ * @throws {Error} If a category name is empty or duplicated
+ */
+function listToPayloads(list) {
+  const payloads = {};
+  for (const { name, items } of list) {
+    const trimmed = (name || '').trim();
+    if (!trimmed) {
+      throw new Error('Category names cannot be empty');
+    }
+    if (Object.prototype.hasOwnProperty.call(payloads, trimmed)) {
+      throw new Error(`Duplicate category "${trimmed}"`);
+    }
+    payloads[trimmed] = items;
+  }
+  return payloads;
+}
+
+/**
+ * Move an array element to a new position (pure function)
+ * @param {Array} array - Source array
+ * @param {number} from - Current index
+ * @param {number} to - New index (clamped to array bounds)
+ * @returns {Array} New array
+ */
+function moveArrayItem(array, from, to) {
+  const result = [...array];
+  const target = Math.max(0, Math.min(result.length - 1, to));
+  const [item] = result.splice(from, 1);
+  result.splice(target, 0, item);
+  return result;
+}
+
+// Maximum results shown by the payload palette
+const MAX_PALETTE_RESULTS = 50;
+
+// Invisible and control characters shown as \uXXXX in previews
+const INVISIBLE_CHARS = /[\x00-\x1F\x7F-\x9F\u00AD\u034F\u061C\u115F\u1160\u17B4\u17B5\u180E\u200B-\u200F\u2028-\u202E\u2060-\u206F\u3164\uFE00-\uFE0F\uFEFF\uFFF9-\uFFFB]/g;
+
+/**
+ * Flatten payloads into palette entries
+ * @param {Object} payloads - Payload categories
+ * @returns {Array<{category: string, index: number, name: string, value: string, generator: string|null, file: string|null}>}
+ *   Entries; generator and file items have an empty value (file is a description of the file)
+ */
+function buildPaletteEntries(payloads) {
+  const entries = [];
+  for (const [category, items] of Object.entries(payloads)) {
+    items.forEach((item, index) => {
+      const generator = isGeneratorItem(item) ? item.generator : null;
+      const file = isFileItem(item) ? describeFileSpec(item.file) : null;
+      entries.push({
+        category,
+        index,
+        name: typeof item === 'object' && item.name ? item.name : '',
+        value: generator || file ? '' : getItemValue(item),
+        generator,
+        file
+      });
+    });
+  }
+  return entries;
+}
+
+/**
+ * Score how well a query fuzzy-matches a text (characters in order, not necessarily adjacent).
+ * Consecutive characters, matches at word starts and exact substrings score higher.
+ * @param {string} query - Search query
+ * @param {string} text - Text to search
+ * @returns {number} Score (higher is better), or -1 if the query doesn't match
+ */
+function fuzzyScore(query, text) {
+  const q = query.toLowerCase();
+  const t = text.toLowerCase();
+  if (!q) return 0;
+
+  let score = 0;
+  let textIndex = 0;
+  let previousMatch = -2;
+  for (const char of q) {
+    const found = t.indexOf(char, textIndex);
+    if (found === -1) return -1;
+    score += 1;
+    if (found === previousMatch + 1) score += 2; // consecutive
+    if (found === 0 || /[\s\-_/.:+]/.test(t[found - 1])) score += 3; // word start
+    previousMatch = found;
+    textIndex = found + 1;
+  }
+
+  if (t.includes(q)) score += q.length * 2;
+  // Prefer shorter texts among equal matches
+  return score - Math.min(t.length, 200) / 200;
+}
+
+/**
+ * Search palette entries by name, category and value
+ * @param {Array<Object>} entries - Entries from buildPaletteEntries
+ * @param {string} query - Search query (words may match different fields)
+ * @param {number} limit - Maximum results (default MAX_PALETTE_RESULTS)
+ * @returns {Array<Object>} Matching entries, best first
+ */
+function searchPayloads(entries, query, limit = MAX_PALETTE_RESULTS) {
+  const words = query.trim().split(/\s+/).filter(Boolean);
+  if (words.length === 0) return entries.slice(0, limit);
+
+  const scored = [];
+  entries.forEach((entry, order) => {
+    let total = 0;
+    for (const word of words) {
+      // Names are what people remember, so they weigh more than values
+      const best = Math.max(
+        fuzzyScore(word, entry.name) * 1.5,
+        fuzzyScore(word, entry.category),
+        fuzzyScore(word, entry.generator || ''),
+        fuzzyScore(word, entry.file || ''),
+        // Escaped so invisible characters can be found by code, e.g. "202e"
+        fuzzyScore(word, escapePreview(entry.value, Infinity))
+      );
+      if (best < 0) return;
+      total += best;
+    }
+    scored.push({ entry, total, order });
+  });
+
+  scored.sort((a, b) => b.total - a.total || a.order - b.order);
+  return scored.slice(0, limit).map(({ entry }) => entry);
+}
+
+/**
+ * Make a payload readable in a one-line preview: invisible and control
+ * characters become \uXXXX and long values are truncated
+ * @param {string} value - Payload value
+ * @param {number} maxLength - Maximum preview length before truncation (default 120)
+ * @returns {string} Escaped preview
+ */
+function escapePreview(value, maxLength = 120) {
+  const escaped = value.replace(INVISIBLE_CHARS, char =>
+    '\\u' + char.charCodeAt(0).toString(16).toUpperCase().padStart(4, '0'));
+  const chars = Array.from(escaped);
+  return chars.length > maxLength ? chars.slice(0, maxLength).join('') + '…' : escaped;
+}
+
 /**
  * Get badge background color based on risk stats
  * @param {Object} stats - Object with high, medium, low counts
@@ -105,11 +1029,52 @@ if (typeof module !== 'undefined' && module.exports) {
   module.exports = {
     MAX_RECENT,
     DEFAULT_FORBIDDEN_WORDS,
+    DEFAULT_TYPING_DELAY,
+    FORM_FILL_STRATEGIES,
+    SMART_FILL_CATEGORIES,
+    GENERATOR_CHAR_CLASSES,
+    IBAN_FORMATS,
+    PAYLOAD_GENERATORS,
+    GENERATOR_PARAMS,
+    validateGeneratorParams,
+    PAYLOAD_TRANSFORMS,
+    luhnCheckDigit,
+    ibanMod97,
     truncate,
     getItemTitle,
     getItemValue,
+    isGeneratorItem,
+    isFileItem,
+    buildFileBytes,
+    formatFileSize,
+    describeFileSpec,
+    MAX_FILE_PAYLOAD_SIZE,
+    resolveItemValue,
+    MAX_TEMPLATE_DEPTH,
+    MAX_TEMPLATE_REPEAT,
+    expandTemplate,
+    applyTransform,
+    getTransformTitle,
+    splitGraphemes,
+    MAX_COMPOSITION_LENGTH,
+    buildCompositionSteps,
+    getRecentItem,
+    getRecentTitle,
     addToRecentList,
+    getAdjacentIndex,
+    assignFormValues,
+    pickSmartFillValues,
+    formatFillSummary,
     validatePayloads,
+    mergePayloads,
+    payloadsToList,
+    listToPayloads,
+    moveArrayItem,
+    MAX_PALETTE_RESULTS,
+    buildPaletteEntries,
+    fuzzyScore,
+    searchPayloads,
+    escapePreview,
     getBadgeColor
   };
 }
@@ -0,0 +1,179 @@
+// Validation Bypass Module
+// Strips client-side constraints from the page's fields (per tab, switched from the popup)
+// so oversized or malformed payloads reach the server, and puts them back exactly
+
+// Note: planValidationBypass and VALIDATION_CONSTRAINT_ATTRIBUTES are provided by analysis.js,
+// querySelectorAllDeep, observeShadowRoots and onLateShadowRoot by dom.js (loaded before this script)
+
+const BYPASS_SELECTOR = 'form, input, textarea, select';
+
+// State
+let validationBypassEnabled = false;
+const bypassChanges = new WeakMap(); // element -> changes made to it (see planValidationBypass)
+const bypassedElements = new Set();  // elements to restore when the bypass is switched off
+const bypassChangeListeners = [];    // (element, bypassed) => void, see onValidationBypassChange
+
+// Watches for new fields, and for the page putting constraints back
+let validationBypassObserver = null;
+
+const BYPASS_OBSERVER_OPTIONS = {
+  childList: true,
+  subtree: true,
+  attributes: true,
+  attributeFilter: [...VALIDATION_CONSTRAINT_ATTRIBUTES, 'type', 'novalidate']
+};
+
+// Call listener(element, bypassed) when an element's constraints are first removed and when they are restored
+function onValidationBypassChange(listener) {
+  bypassChangeListeners.push(listener);
+}
+
+// Remove the constraints of one element, remembering the original attributes
+function bypassElementValidation(element) {
+  const attributes = Object.fromEntries(Array.from(element.attributes, attr => [attr.name, attr.value]));
+  const changes = planValidationBypass({ tagName: element.tagName, attributes });
+  if (changes.length === 0) return;
+
+  // Each bypass records the page's current value: a constraint the page puts back, perhaps with
+  // a new value, is removed again and restored as the page last set it
+  const recorded = bypassChanges.get(element) || [];
+  for (const change of changes) {
+    const index = recorded.findIndex(({ name }) => name === change.name);
+    if (index === -1) {
+      recorded.push(change);
+    } else {
+      recorded[index] = change;
+    }
+    if (change.to === null) {
+      element.removeAttribute(change.name);
+    } else {
+      element.setAttribute(change.name, change.to);
+    }
+  }
+  bypassChanges.set(element, recorded);
+  if (!bypassedElements.has(element)) {
+    bypassedElements.add(element);
+    bypassChangeListeners.forEach(listener => listener(element, true));
+  }
+}
+
+// Put back the original attributes of one element. Attributes the page changed after the bypass
+// did (before the observer could remove the constraint again) keep the page's value.
+function restoreElementValidation(element) {
+  const recorded = bypassChanges.get(element);
+  if (!recorded) return;
+  for (const { name, from, to } of recorded) {
+    if (element.getAttribute(name) !== to) continue;
+    if (from === null) {
+      element.removeAttribute(name);
+    } else {
+      element.setAttribute(name, from);
+    }
+  }
+  bypassChanges.delete(element);
+  bypassedElements.delete(element);
+  bypassChangeListeners.forEach(listener => listener(element, false));
+}
+
+// Forms and fields in a subtree: the node itself or any descendant, shadow trees included
+function findBypassTargets(node) {
+  const targets = node.matches && node.matches(BYPASS_SELECTOR) ? [node] : [];
+  return targets.concat(querySelectorAllDeep(BYPASS_SELECTOR, node));
+}
+
+// Changes made to an element, for the autofill tooltip ([] when it is untouched)
+function getBypassChanges(element) {
+  return bypassChanges.get(element) || [];
+}
+
+// An attribute as the page set it, before the bypass changed it
+function getPageAttribute(element, name) {
+  const change = getBypassChanges(element).find(c => c.name === name);
+  return change ? change.from : element.getAttribute(name);
+}
+
+function startValidationBypassObserver() {
+  if (validationBypassObserver) return;
+
+  validationBypassObserver = new MutationObserver((mutations) => {
+    if (!validationBypassEnabled) return;
+
+    for (const mutation of mutations) {
+      if (mutation.type === 'attributes') {
+        bypassElementValidation(mutation.target);
+      } else {
+        for (const node of mutation.addedNodes) {
+          if (node.nodeType !== Node.ELEMENT_NODE) continue;
+          findBypassTargets(node).forEach(bypassElementValidation);
+          observeShadowRoots(validationBypassObserver, node, BYPASS_OBSERVER_OPTIONS);
+        }
+      }
+    }
+  });
+
+  validationBypassObserver.observe(document.documentElement, BYPASS_OBSERVER_OPTIONS);
+  observeShadowRoots(validationBypassObserver, document.documentElement, BYPASS_OBSERVER_OPTIONS);
+}
+
+// Shadow roots attached after their host was inserted (e.g. a custom element upgraded later)
+onLateShadowRoot((shadowRoot) => {
+  if (!validationBypassEnabled || !validationBypassObserver) return;
+  validationBypassObserver.observe(shadowRoot, BYPASS_OBSERVER_OPTIONS);
+  querySelectorAllDeep(BYPASS_SELECTOR, shadowRoot).forEach(bypassElementValidation);
+});
+
+function stopValidationBypassObserver() {
+  if (validationBypassObserver) {
+    validationBypassObserver.disconnect();
+    validationBypassObserver = null;
+  }
+}
+
+// Switch the bypass on or off for this frame; returns the number of elements changed
+function setValidationBypass(enabled) {
+  if (enabled === validationBypassEnabled) return bypassedElements.size;
+  validationBypassEnabled = enabled;
+
+  if (enabled) {
+    findBypassTargets(document.documentElement).forEach(bypassElementValidation);
+    startValidationBypassObserver();
+    return bypassedElements.size;
+  }
+
+  // Stop watching first so our own restores aren't bypassed again
+  stopValidationBypassObserver();
+  const count = bypassedElements.size;
+  for (const element of [...bypassedElements]) {
+    restoreElementValidation(element);
+  }
+  return count;
+}
+
+// Initialize from the tab's state in the background (it survives reloads and applies to every frame)
+function initValidationBypass() {
+  chrome.runtime.sendMessage({ action: 'getValidationBypass' }).then((response) => {
+    if (response?.enabled) {
+      setValidationBypass(true);
+    }
+  }).catch(() => {
+    // Ignore errors (e.g., no background script in some contexts)
+  });
+}
+
+// Auto-initialize when loaded as content script
+initValidationBypass();
+
+// Export for testing (Node.js environment)
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    bypassElementValidation,
+    restoreElementValidation,
+    findBypassTargets,
+    getBypassChanges,
+    getPageAttribute,
+    onValidationBypassChange,
+    setValidationBypass,
+    initValidationBypass,
+    getValidationBypassEnabled: () => validationBypassEnabled
+  };
+}
@@ -0,0 +1,173 @@
+/**
+ * @jest-environment jsdom
+ */
+
+// Tests for validation.js client-side validation bypass
+
+global.chrome = {
+  runtime: {
+    sendMessage: jest.fn().mockResolvedValue({ enabled: false })
+  }
+};
+
+// Shared helpers are globals in the extension (analysis.js and dom.js load first)
+const { planValidationBypass, VALIDATION_CONSTRAINT_ATTRIBUTES } = require('./analysis');
+Object.assign(global, { planValidationBypass, VALIDATION_CONSTRAINT_ATTRIBUTES }, require('./dom'));
+
+const {
+  bypassElementValidation,
+  restoreElementValidation,
+  getBypassChanges,
+  getPageAttribute,
+  onValidationBypassChange,
+  setValidationBypass,
+  getValidationBypassEnabled
+} = require('./validation');
+
+// Let the MutationObserver deliver its records
+const flushMutations = () => new Promise(resolve => setTimeout(resolve, 0));
+
+describe('validation.js', () => {
+  beforeEach(() => {
+    document.body.innerHTML = `
+      <form id="signup">
+        <input id="name" maxlength="10" minlength="2" pattern="[A-Za-z]+" required>
+        <input id="age" type="number" min="18" max="120" step="1">
+        <input id="email" type="EMAIL" required="required">
+        <textarea id="bio" maxlength="140"></textarea>
+        <select id="country" required><option>GB</option></select>
+      </form>
+      <form id="search" novalidate><input id="q" type="search"></form>
+    `;
+  });
+
+  afterEach(() => {
+    setValidationBypass(false);
+  });
+
+  test('asks the background for the tab state when loaded', () => {
+    expect(chrome.runtime.sendMessage).toHaveBeenCalledWith({ action: 'getValidationBypass' });
+    expect(getValidationBypassEnabled()).toBe(false);
+  });
+
+  test('strips constraints from every field and adds novalidate to forms', () => {
+    setValidationBypass(true);
+
+    const name = document.getElementById('name');
+    expect(['maxlength', 'minlength', 'pattern', 'required'].some(attr => name.hasAttribute(attr))).toBe(false);
+    const age = document.getElementById('age');
+    expect(age.getAttribute('type')).toBe('text');
+    expect(age.hasAttribute('min') || age.hasAttribute('max') || age.hasAttribute('step')).toBe(false);
+    expect(document.getElementById('email').getAttribute('type')).toBe('text');
+    expect(document.getElementById('bio').hasAttribute('maxlength')).toBe(false);
+    expect(document.getElementById('country').required).toBe(false);
+    expect(document.getElementById('signup').noValidate).toBe(true);
+    expect(document.getElementById('q').getAttribute('type')).toBe('search');
+  });
+
+  test('lets an oversized value pass constraint validation', () => {
+    const name = document.getElementById('name');
+    name.value = '1234567890123';
+    expect(name.checkValidity()).toBe(false);
+
+    setValidationBypass(true);
+    expect(name.checkValidity()).toBe(true);
+  });
+
+  test('switching off restores the original markup exactly', () => {
+    const before = document.body.innerHTML;
+    expect(setValidationBypass(true)).toBe(6);
+    expect(document.body.innerHTML).not.toBe(before);
+
+    expect(setValidationBypass(false)).toBe(6);
+    expect(document.body.innerHTML).toBe(before);
+    expect(getBypassChanges(document.getElementById('name'))).toEqual([]);
+  });
+
+  test('getPageAttribute reports the original value while bypassed', () => {
+    setValidationBypass(true);
+    const email = document.getElementById('email');
+
+    expect(getPageAttribute(email, 'type')).toBe('EMAIL');
+    expect(getPageAttribute(email, 'id')).toBe('email');
+  });
+
+  test('fields added later are bypassed too, including inside shadow roots', async () => {
+    setValidationBypass(true);
+    const late = document.createElement('input');
+    late.setAttribute('maxlength', '3');
+    const host = document.createElement('div');
+    const shadowed = document.createElement('input');
+    shadowed.setAttribute('required', '');
+    host.attachShadow({ mode: 'open' }).appendChild(shadowed);
+    document.body.append(late, host);
+    await flushMutations();
+
+    expect(late.hasAttribute('maxlength')).toBe(false);
+    expect(shadowed.hasAttribute('required')).toBe(false);
+
+    setValidationBypass(false);
+    expect(late.getAttribute('maxlength')).toBe('3');
+    expect(shadowed.hasAttribute('required')).toBe(true);
+  });
+
+  test('constraints the page puts back are removed again and restored as the page last set them', async () => {
+    setValidationBypass(true);
+    const name = document.getElementById('name');
+    name.setAttribute('maxlength', '20');
+    await flushMutations();
+
+    expect(name.hasAttribute('maxlength')).toBe(false);
+    setValidationBypass(false);
+    expect(name.getAttribute('maxlength')).toBe('20');
+    expect(name.getAttribute('minlength')).toBe('2');
+  });
+
+  test('restoring leaves attributes the page changed since the bypass', () => {
+    setValidationBypass(true);
+    const name = document.getElementById('name');
+    const email = document.getElementById('email');
+    // Switched off before the observer sees these
+    name.setAttribute('maxlength', '20');
+    email.setAttribute('type', 'search');
+
+    setValidationBypass(false);
+    expect(name.getAttribute('maxlength')).toBe('20');
+    expect(email.getAttribute('type')).toBe('search');
+    expect(email.getAttribute('required')).toBe('required');
+  });
+
+  test('onValidationBypassChange reports each element bypassed and restored once', async () => {
+    const listener = jest.fn();
+    onValidationBypassChange(listener);
+    setValidationBypass(true);
+    const name = document.getElementById('name');
+    name.setAttribute('maxlength', '20');
+    await flushMutations();
+
+    expect(listener).toHaveBeenCalledTimes(6);
+    expect(listener).toHaveBeenCalledWith(name, true);
+    listener.mockClear();
+
+    setValidationBypass(false);
+    expect(listener).toHaveBeenCalledTimes(6);
+    expect(listener).toHaveBeenCalledWith(name, false);
+  });
+
+  test('restoreElementValidation ignores untouched elements', () => {
+    const q = document.getElementById('q');
+    restoreElementValidation(q);
+    expect(q.getAttribute('type')).toBe('search');
+  });
+
+  test('bypassElementValidation records each attribute once, with the page\'s latest value', () => {
+    const bio = document.getElementById('bio');
+    bypassElementValidation(bio);
+    bio.setAttribute('maxlength', '50');
+    bypassElementValidation(bio);
+
+    expect(getBypassChanges(bio)).toEqual([{ name: 'maxlength', from: '50', to: null }]);
+    restoreElementValidation(bio);
+    expect(bio.getAttribute('maxlength')).toBe('50');
+  });
+});
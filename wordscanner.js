@@ -1,7 +1,7 @@
 // Word Scanner Feature Module
 // Scans page for forbidden words and highlights them
 
-// Note: DEFAULT_FORBIDDEN_WORDS is provided by utils.js (loaded before this script)
+// Note: DEFAULT_FORBIDDEN_WORDS is provided by utils.js and the shadow DOM helpers by dom.js (loaded before this script)
 
 // State
 let wordScannerEnabled = false;
@@ -12,6 +12,97 @@ const wordScannerHighlights = new Set();
 let wordScannerObserver = null;
 let wordScannerRescanTimeout = null;
 
+const WORD_SCANNER_OBSERVER_OPTIONS = { childList: true, subtree: true, characterData: true };
+
+// styles.css doesn't reach into shadow roots, so each one that gets a highlight carries its own copy
+const WORD_SCANNER_SHADOW_STYLES = `
+  .word-scanner-highlight {
+    background: #a855f7;
+    color: white;
+    padding: 1px 4px;
+    border-radius: 3px;
+    font-weight: bold;
+    cursor: help;
+  }
+`;
+const wordScannerShadowStyles = new Set();
+
+// Build the regex for all forbidden words (case-insensitive, whole words)
+function buildForbiddenWordPattern() {
+  // Escape special regex characters in words
+  const escapedWords = forbiddenWords.map(w => w.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+  return new RegExp(`\\b(${escapedWords.join('|')})\\b`, 'gi');
+}
+
+// TreeWalker filter accepting text nodes that contain a forbidden word
+function createForbiddenWordFilter(pattern) {
+  return (node) => {
+    // Text directly inside a shadow root has no parent element but still renders
+    const parent = node.parentElement;
+    if (!parent && !(node.parentNode instanceof ShadowRoot)) return NodeFilter.FILTER_REJECT;
+    if (parent) {
+      // Skip script, style, and our own elements
+      const tagName = parent.tagName.toLowerCase();
+      if (tagName === 'script' || tagName === 'style' || tagName === 'noscript') {
+        return NodeFilter.FILTER_REJECT;
+      }
+      if (parent.classList.contains('word-scanner-highlight') ||
+          parent.classList.contains('autofill-detector-overlay') ||
+          parent.classList.contains('autofill-detector-tooltip')) {
+        return NodeFilter.FILTER_REJECT;
+      }
+    }
+    // Skip if no forbidden words
+    if (!pattern.test(node.textContent)) {
+      return NodeFilter.FILTER_REJECT;
+    }
+    pattern.lastIndex = 0; // Reset regex
+    return NodeFilter.FILTER_ACCEPT;
+  };
+}
+
+// Highlight forbidden words in root and every open shadow root inside it
+function highlightForbiddenWordsInTree(root, pattern) {
+  const acceptNode = createForbiddenWordFilter(pattern);
+  const nodesToProcess = [];
+  for (const treeRoot of [root, ...collectShadowRoots(root)]) {
+    const walker = document.createTreeWalker(treeRoot, NodeFilter.SHOW_TEXT, { acceptNode });
+    let node;
+    while ((node = walker.nextNode())) {
+      nodesToProcess.push(node);
+    }
+  }
+
+  // Process nodes (separate loop to avoid tree modification during walk)
+  for (const textNode of nodesToProcess) {
+    highlightForbiddenWordsInNode(textNode, pattern);
+  }
+}
+
+// Add the highlight styles to a shadow root once
+function ensureShadowHighlightStyles(shadowRoot) {
+  if (shadowRoot.querySelector('style[data-word-scanner]')) return;
+  const style = document.createElement('style');
+  style.setAttribute('data-word-scanner', '');
+  style.textContent = WORD_SCANNER_SHADOW_STYLES;
+  shadowRoot.appendChild(style);
+  wordScannerShadowStyles.add(style);
+}
+
+// Remove the highlight styles added to shadow roots
+function removeShadowHighlightStyles() {
+  for (const style of wordScannerShadowStyles) {
+    style.remove();
+  }
+  wordScannerShadowStyles.clear();
+}
+
+// Watch the page and every open shadow root in it
+function observeForWordScanner() {
+  wordScannerObserver.observe(document.body, WORD_SCANNER_OBSERVER_OPTIONS);
+  observeShadowRoots(wordScannerObserver, document.body, WORD_SCANNER_OBSERVER_OPTIONS);
+}
+
 // Scan page for forbidden words and highlight them
 function scanForForbiddenWords() {
   if (!wordScannerEnabled) return;
@@ -29,71 +120,23 @@ function scanForForbiddenWords() {
   // Remove existing highlights first
   removeWordHighlights();
 
-  // Build regex pattern for all forbidden words (case-insensitive, whole words)
   if (forbiddenWords.length === 0) {
     updateWordScannerBadge();
     // Reconnect observer before returning
     if (wordScannerObserver && wordScannerEnabled) {
-      wordScannerObserver.observe(document.body, {
-        childList: true,
-        subtree: true,
-        characterData: true
-      });
+      observeForWordScanner();
     }
     return;
   }
-  // Escape special regex characters in words
-  const escapedWords = forbiddenWords.map(w => w.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
-  const pattern = new RegExp(`\\b(${escapedWords.join('|')})\\b`, 'gi');
-
-  // Walk through all text nodes
-  const walker = document.createTreeWalker(
-    document.body,
-    NodeFilter.SHOW_TEXT,
-    {
-      acceptNode: (node) => {
-        // Skip script, style, and our own elements
-        const parent = node.parentElement;
-        if (!parent) return NodeFilter.FILTER_REJECT;
-        const tagName = parent.tagName.toLowerCase();
-        if (tagName === 'script' || tagName === 'style' || tagName === 'noscript') {
-          return NodeFilter.FILTER_REJECT;
-        }
-        if (parent.classList.contains('word-scanner-highlight') ||
-            parent.classList.contains('autofill-detector-overlay') ||
-            parent.classList.contains('autofill-detector-tooltip')) {
-          return NodeFilter.FILTER_REJECT;
-        }
-        // Skip if no forbidden words
-        if (!pattern.test(node.textContent)) {
-          return NodeFilter.FILTER_REJECT;
-        }
-        pattern.lastIndex = 0; // Reset regex
-        return NodeFilter.FILTER_ACCEPT;
-      }
-    }
-  );
-
-  const nodesToProcess = [];
-  let node;
-  while ((node = walker.nextNode())) {
-    nodesToProcess.push(node);
-  }
 
-  // Process nodes (separate loop to avoid tree modification during walk)
-  for (const textNode of nodesToProcess) {
-    highlightForbiddenWordsInNode(textNode, pattern);
-  }
+  // Walk through all text nodes, in the page and in open shadow roots
+  highlightForbiddenWordsInTree(document.body, buildForbiddenWordPattern());
 
   updateWordScannerBadge();
 
   // Reconnect observer after DOM modifications are done
   if (wordScannerObserver && wordScannerEnabled) {
-    wordScannerObserver.observe(document.body, {
-      childList: true,
-      subtree: true,
-      characterData: true
-    });
+    observeForWordScanner();
   }
 }
 
@@ -131,6 +174,10 @@ function highlightForbiddenWordsInNode(textNode, pattern) {
   // Replace original text node with fragments
   if (fragments.length > 0) {
     const parent = textNode.parentNode;
+    const root = textNode.getRootNode();
+    if (root instanceof ShadowRoot) {
+      ensureShadowHighlightStyles(root);
+    }
     for (const fragment of fragments) {
       parent.insertBefore(fragment, textNode);
     }
@@ -149,7 +196,7 @@ function removeWordHighlights() {
   wordScannerHighlights.clear();
 
   // Also clean up any orphaned highlights
-  document.querySelectorAll('.word-scanner-highlight').forEach(el => {
+  querySelectorAllDeep('.word-scanner-highlight').forEach(el => {
     const textNode = document.createTextNode(el.textContent);
     el.parentNode.replaceChild(textNode, el);
   });
@@ -171,49 +218,13 @@ let pendingMutationTargets = new Set();
 function scanSubtreesForForbiddenWords(roots) {
   if (!wordScannerEnabled || forbiddenWords.length === 0) return;
 
-  // Build regex pattern
-  const escapedWords = forbiddenWords.map(w => w.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
-  const pattern = new RegExp(`\\b(${escapedWords.join('|')})\\b`, 'gi');
-
-  const acceptNode = (node) => {
-    const parent = node.parentElement;
-    if (!parent) return NodeFilter.FILTER_REJECT;
-    const tagName = parent.tagName.toLowerCase();
-    if (tagName === 'script' || tagName === 'style' || tagName === 'noscript') {
-      return NodeFilter.FILTER_REJECT;
-    }
-    if (parent.classList.contains('word-scanner-highlight') ||
-        parent.classList.contains('autofill-detector-overlay') ||
-        parent.classList.contains('autofill-detector-tooltip')) {
-      return NodeFilter.FILTER_REJECT;
-    }
-    if (!pattern.test(node.textContent)) {
-      return NodeFilter.FILTER_REJECT;
-    }
-    pattern.lastIndex = 0;
-    return NodeFilter.FILTER_ACCEPT;
-  };
+  const pattern = buildForbiddenWordPattern();
 
   // Scan each root subtree
   for (const root of roots) {
-    // Skip if root is no longer in DOM
-    if (!document.body.contains(root)) continue;
-
-    const walker = document.createTreeWalker(
-      root,
-      NodeFilter.SHOW_TEXT,
-      { acceptNode }
-    );
-
-    const nodesToProcess = [];
-    let node;
-    while ((node = walker.nextNode())) {
-      nodesToProcess.push(node);
-    }
-
-    for (const textNode of nodesToProcess) {
-      highlightForbiddenWordsInNode(textNode, pattern);
-    }
+    // Skip if root is no longer in DOM (isConnected also covers nodes inside shadow roots)
+    if (!root.isConnected) continue;
+    highlightForbiddenWordsInTree(root, pattern);
   }
 
   updateWordScannerBadge();
@@ -228,53 +239,61 @@ function startWordScannerObserver() {
     // Collect affected nodes for incremental scanning
     for (const mutation of mutations) {
       if (mutation.type === 'childList') {
-        // For added nodes, scan the added subtrees
+        // For added nodes, scan the added subtrees (and watch any shadow roots they bring)
         for (const node of mutation.addedNodes) {
           if (node.nodeType === Node.ELEMENT_NODE || node.nodeType === Node.TEXT_NODE) {
             pendingMutationTargets.add(node);
           }
+          if (node.nodeType === Node.ELEMENT_NODE) {
+            observeShadowRoots(wordScannerObserver, node, WORD_SCANNER_OBSERVER_OPTIONS);
+          }
         }
       } else if (mutation.type === 'characterData') {
-        // For text changes, scan the parent element
-        if (mutation.target.parentElement) {
-          pendingMutationTargets.add(mutation.target.parentElement);
+        // For text changes, scan the parent element (or the shadow root the text sits in)
+        const parent = mutation.target.parentElement || mutation.target.parentNode;
+        if (parent) {
+          pendingMutationTargets.add(parent);
         }
       }
     }
 
-    // Debounce incremental rescans for dynamic content
-    clearTimeout(wordScannerRescanTimeout);
-    wordScannerRescanTimeout = setTimeout(() => {
-      if (pendingMutationTargets.size === 0) return;
+    scheduleWordScannerRescan();
+  });
 
-      // Pause observer to prevent infinite loop
-      wordScannerObserver.disconnect();
+  observeForWordScanner();
+}
 
-      // Copy and clear pending targets
-      const targets = [...pendingMutationTargets];
-      pendingMutationTargets.clear();
+// Debounce incremental rescans for dynamic content
+function scheduleWordScannerRescan() {
+  clearTimeout(wordScannerRescanTimeout);
+  wordScannerRescanTimeout = setTimeout(() => {
+    if (pendingMutationTargets.size === 0) return;
 
-      // Scan only affected subtrees
-      scanSubtreesForForbiddenWords(targets);
+    // Pause observer to prevent infinite loop
+    wordScannerObserver.disconnect();
 
-      // Reconnect observer
-      if (wordScannerEnabled) {
-        wordScannerObserver.observe(document.body, {
-          childList: true,
-          subtree: true,
-          characterData: true
-        });
-      }
-    }, 300);
-  });
+    // Copy and clear pending targets
+    const targets = [...pendingMutationTargets];
+    pendingMutationTargets.clear();
 
-  wordScannerObserver.observe(document.body, {
-    childList: true,
-    subtree: true,
-    characterData: true
-  });
+    // Scan only affected subtrees
+    scanSubtreesForForbiddenWords(targets);
+
+    // Reconnect observer
+    if (wordScannerEnabled) {
+      observeForWordScanner();
+    }
+  }, 300);
 }
 
+// Shadow roots attached after their host was inserted (e.g. a custom element upgraded later)
+onLateShadowRoot((shadowRoot) => {
+  if (!wordScannerEnabled || !wordScannerObserver) return;
+  wordScannerObserver.observe(shadowRoot, WORD_SCANNER_OBSERVER_OPTIONS);
+  pendingMutationTargets.add(shadowRoot);
+  scheduleWordScannerRescan();
+});
+
 function stopWordScannerObserver() {
   if (wordScannerObserver) {
     wordScannerObserver.disconnect();
@@ -343,6 +362,7 @@ function initWordScanner() {
       } else {
         stopWordScannerObserver();
         removeWordHighlights();
+        removeShadowHighlightStyles();
         updateWordScannerBadge();
       }
     }
@@ -359,6 +379,8 @@ if (typeof module !== 'undefined' && module.exports) {
     scanForForbiddenWords,
     scanSubtreesForForbiddenWords,
     highlightForbiddenWordsInNode,
+    highlightForbiddenWordsInTree,
+    removeShadowHighlightStyles,
     removeWordHighlights,
     updateWordScannerBadge,
     startWordScannerObserver,